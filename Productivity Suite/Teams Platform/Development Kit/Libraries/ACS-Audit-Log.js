@@ -0,0 +1,525 @@
+/**
+ * ACS-Audit-Log.js
+ *
+ * Tamper-evident audit trail of the Azure Communication Services (ACS)
+ * operations a Microsoft Teams bot performs, for security reviews.
+ *
+ * Each state-changing operation of the bot helpers is recorded as a structured
+ * event naming the operation, the Teams user it was done for, their tenant,
+ * the ACS resources it targeted and its outcome. Events are appended to a JSON
+ * Lines sink, one event per line. Every event carries the hash of the one
+ * before it, so editing, removing or reordering events breaks the chain and is
+ * found by verification.
+ *
+ * @version 1.0.1
+ * @license MIT
+ */
+
+// Dependencies
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createHash, createHmac } = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { AcsConfigError, AcsValidationError } = require('./ACS-Errors');
+
+/**
+ * Operations recorded by the bot helpers
+ */
+const AUDIT_OPERATIONS = {
+    identityCreate: 'identity.create',
+    threadCreate: 'thread.create',
+    threadLink: 'thread.link',
+    threadUpdateTopic: 'thread.updateTopic',
+    participantAdd: 'participant.add',
+    participantRemove: 'participant.remove',
+    messageSend: 'message.send',
+    messageUpdate: 'message.update',
+    messageDelete: 'message.delete',
+    conversationArchive: 'conversation.archive'
+};
+
+/**
+ * Outcomes of an audited operation
+ */
+const AUDIT_OUTCOMES = {
+    success: 'success',
+    failure: 'failure'
+};
+
+/**
+ * Previous hash of the first event in a log
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+// Actor of the operations run within the current Teams turn
+const actorScope = new AsyncLocalStorage();
+
+/**
+ * Serializes a value as JSON with object keys in sorted order
+ *
+ * The hash must not depend on the order properties were written in.
+ *
+ * @param {*} value - A JSON-serializable value
+ * @returns {string} The canonical JSON
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Computes the hash of an audit event
+ *
+ * The hash covers every field except `hash` itself, including `previousHash`.
+ * With a key, an HMAC is used so the chain cannot be recomputed without it.
+ *
+ * @param {Object} event - The audit event
+ * @param {string} hmacKey - Secret key (optional)
+ * @returns {string} Hex-encoded SHA-256 hash or HMAC
+ */
+function hashAuditEvent(event, hmacKey) {
+    const { hash, ...content } = event;
+    const digest = hmacKey ? createHmac('sha256', hmacKey) : createHash('sha256');
+    return digest.update(canonicalJson(content)).digest('hex');
+}
+
+/**
+ * Creates a sink that keeps audit lines in memory
+ *
+ * @returns {Object} Sink with append and readLines methods
+ */
+function createMemoryAuditSink() {
+    const lines = [];
+    return {
+        async append(line) {
+            lines.push(line);
+        },
+        async *readLines() {
+            yield* lines.slice();
+        }
+    };
+}
+
+/**
+ * Creates a sink that appends audit lines to a JSON Lines file
+ *
+ * The file is only ever appended to. Only one process may write to a file.
+ *
+ * @param {Object} options - Sink options
+ * @param {string} options.filePath - Path of the .jsonl file
+ * @returns {Object} Sink with append and readLines methods
+ * @throws {AcsConfigError} If no file path is given
+ */
+function createFileAuditSink(options = {}) {
+    if (!options.filePath) {
+        throw new AcsConfigError('A filePath is required for the file audit sink');
+    }
+
+    const filePath = path.resolve(options.filePath);
+    return {
+        async append(line) {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.appendFile(filePath, `${line}\n`, { encoding: 'utf8', flag: 'a' });
+        },
+        async *readLines() {
+            let stream;
+            try {
+                await fs.promises.access(filePath);
+                stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return;
+                }
+                throw error;
+            }
+            yield* readline.createInterface({ input: stream, crlfDelay: Infinity });
+        }
+    };
+}
+
+/**
+ * Checks the hash chain of audit log lines
+ *
+ * @param {AsyncIterable<string>|Iterable<string>} lines - The log lines, oldest first
+ * @param {Object} options - Object containing hmacKey and checkpoint, a `{ sequence, hash }` from getHead kept elsewhere (optional)
+ * @returns {Promise<Object>} Object containing valid, count, lastHash and, when invalid, line and reason
+ */
+async function verifyAuditLines(lines, options = {}) {
+    let previousHash = GENESIS_HASH;
+    let count = 0;
+    let lineNumber = 0;
+    const fail = (reason, line = lineNumber) => ({ valid: false, count, lastHash: previousHash, line, reason });
+
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) {
+            continue;
+        }
+
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch (error) {
+            return fail('the line is not valid JSON');
+        }
+
+        if (event.sequence !== count + 1) {
+            return fail(`expected sequence ${count + 1} but found ${event.sequence}`);
+        }
+        if (event.previousHash !== previousHash) {
+            return fail('previousHash does not match the hash of the event before it');
+        }
+        if (hashAuditEvent(event, options.hmacKey) !== event.hash) {
+            return fail('the event does not match its hash');
+        }
+
+        if (options.checkpoint && event.sequence === options.checkpoint.sequence && event.hash !== options.checkpoint.hash) {
+            return fail('the event does not match the checkpoint');
+        }
+
+        previousHash = event.hash;
+        count++;
+    }
+
+    if (options.checkpoint && count < options.checkpoint.sequence) {
+        return fail(`the log ends before checkpoint ${options.checkpoint.sequence}; events were removed from the end`, null);
+    }
+    return { valid: true, count, lastHash: previousHash };
+}
+
+/**
+ * Verifies an audit log file
+ *
+ * @param {string} filePath - Path of the .jsonl file
+ * @param {Object} options - Object containing hmacKey and checkpoint (optional)
+ * @returns {Promise<Object>} Object containing valid, count, lastHash and, when invalid, line and reason
+ */
+async function verifyAuditLogFile(filePath, options) {
+    return verifyAuditLines(createFileAuditSink({ filePath }).readLines(), options);
+}
+
+/**
+ * Checks whether an audit event matches a query
+ *
+ * @param {Object} event - The audit event
+ * @param {Object} query - The query
+ * @returns {boolean} True if the event matches
+ */
+function matchesAuditQuery(event, query) {
+    const actor = event.actor || {};
+    const target = event.target || {};
+
+    if (query.userId && ![actor.teamsUserId, actor.aadObjectId, target.teamsUserId, target.acsUserId].includes(query.userId)) {
+        return false;
+    }
+    if (query.threadId && target.threadId !== query.threadId) {
+        return false;
+    }
+    if (query.conversationId && target.teamsConversationId !== query.conversationId) {
+        return false;
+    }
+    if (query.tenantId && event.tenantId !== query.tenantId) {
+        return false;
+    }
+    if (query.operation && ![].concat(query.operation).includes(event.operation)) {
+        return false;
+    }
+    if (query.outcome && event.outcome !== query.outcome) {
+        return false;
+    }
+
+    const time = new Date(event.timestamp).getTime();
+    if (query.from && time < new Date(query.from).getTime()) {
+        return false;
+    }
+    if (query.to && time >= new Date(query.to).getTime()) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Creates an audit log
+ *
+ * @param {Object} options - Log options
+ * @param {string} options.type - memory or file (default: memory, or file when filePath is given)
+ * @param {string} options.filePath - Path of the .jsonl file for the file sink
+ * @param {Object} options.sink - A custom sink with append(line) and readLines() methods
+ * @param {string} options.hmacKey - Secret key that makes the chain an HMAC chain (optional)
+ * @returns {Object} Audit log with record, query, verify and getHead methods
+ * @throws {AcsConfigError} If the sink type is unknown
+ */
+function createAuditLog(options = {}) {
+    const type = options.type || (options.filePath ? 'file' : 'memory');
+    let sink = options.sink;
+    if (!sink) {
+        if (type === 'file') {
+            sink = createFileAuditSink(options);
+        } else if (type === 'memory') {
+            sink = createMemoryAuditSink();
+        } else {
+            throw new AcsConfigError(`Unknown audit log type "${type}"; use memory or file, or pass a sink`);
+        }
+    }
+
+    let head = null;
+    let pendingWrite = Promise.resolve();
+
+    // Continues the chain from the last event already in the sink
+    const loadHead = async () => {
+        if (head) {
+            return head;
+        }
+
+        let last = null;
+        for await (const line of sink.readLines()) {
+            if (line.trim()) {
+                last = line;
+            }
+        }
+
+        if (!last) {
+            head = { sequence: 0, hash: GENESIS_HASH };
+            return head;
+        }
+        try {
+            const event = JSON.parse(last);
+            head = { sequence: event.sequence, hash: event.hash };
+            return head;
+        } catch (error) {
+            throw new AcsValidationError('The audit log ends with an unreadable event; verify the log before recording more events');
+        }
+    };
+
+    const auditLog = {
+        /**
+         * Appends an event to the log
+         *
+         * Events are written one at a time, in the order they were recorded. The
+         * log assigns sequence, timestamp, previousHash and hash, and ignores
+         * those fields in the event.
+         *
+         * @param {Object} event - Object containing operation, outcome, actor, tenantId, target, details and error
+         * @returns {Promise<Object>} The recorded event with sequence, timestamp, previousHash and hash
+         */
+        record(event) {
+            const write = pendingWrite.then(async () => {
+                const previous = await loadHead();
+                // The chain fields come last, so an event cannot set them
+                const entry = {
+                    ...event,
+                    sequence: previous.sequence + 1,
+                    timestamp: new Date().toISOString(),
+                    previousHash: previous.hash
+                };
+                entry.hash = hashAuditEvent(entry, options.hmacKey);
+
+                await sink.append(JSON.stringify(entry));
+                head = { sequence: entry.sequence, hash: entry.hash };
+                return entry;
+            });
+
+            // A failed write must not block later ones
+            pendingWrite = write.catch(() => {});
+            return write;
+        },
+
+        /**
+         * Finds events for a security review
+         *
+         * @param {Object} query - Filters, all optional
+         * @param {string} query.userId - Teams user ID, AAD object ID or ACS user ID of the actor or target
+         * @param {string} query.threadId - Target ACS thread ID
+         * @param {string} query.conversationId - Target Teams conversation ID
+         * @param {string} query.tenantId - Tenant ID
+         * @param {string|Array<string>} query.operation - One or more operations from AUDIT_OPERATIONS
+         * @param {string} query.outcome - success or failure
+         * @param {Date|string} query.from - Earliest time, inclusive
+         * @param {Date|string} query.to - Latest time, exclusive
+         * @param {number} query.limit - Maximum number of events, the most recent kept
+         * @returns {Promise<Array<Object>>} Matching events, oldest first
+         */
+        async query(query = {}) {
+            await pendingWrite;
+            const matches = [];
+            for await (const line of sink.readLines()) {
+                if (!line.trim()) {
+                    continue;
+                }
+                const event = JSON.parse(line);
+                if (matchesAuditQuery(event, query)) {
+                    matches.push(event);
+                    if (query.limit && matches.length > query.limit) {
+                        matches.shift();
+                    }
+                }
+            }
+            return matches;
+        },
+
+        /**
+         * Verifies the hash chain of the whole log
+         *
+         * @param {Object} verifyOptions - Object containing checkpoint (optional)
+         * @returns {Promise<Object>} Object containing valid, count, lastHash and, when invalid, line and reason
+         */
+        async verify(verifyOptions = {}) {
+            await pendingWrite;
+            return verifyAuditLines(sink.readLines(), { ...verifyOptions, hmacKey: options.hmacKey });
+        },
+
+        /**
+         * Gets the sequence and hash of the last event
+         *
+         * Keep the head somewhere the log's writers cannot change, and pass it to
+         * verify as checkpoint, to detect events removed from the end.
+         *
+         * @returns {Promise<Object>} Object containing sequence and hash
+         */
+        async getHead() {
+            await pendingWrite;
+            return { ...(await loadHead()) };
+        }
+    };
+
+    return auditLog;
+}
+
+/**
+ * Checks whether a value can be used as an audit log
+ *
+ * @param {*} candidate - The value to check
+ * @returns {boolean} True if the value has record and query methods
+ */
+function isAuditLog(candidate) {
+    return !!candidate && typeof candidate.record === 'function' && typeof candidate.query === 'function';
+}
+
+// Logs resolved per acsConfig object
+const resolvedLogs = new WeakMap();
+
+/**
+ * Resolves the audit log selected by an acsConfig object
+ *
+ * `acsConfig.audit` may be an audit log or options accepted by `createAuditLog`.
+ * Without one, nothing is audited.
+ *
+ * @param {Object} acsConfig - Configuration with an optional audit setting
+ * @returns {Object|null} The audit log, or null when auditing is off
+ */
+function resolveAuditLog(acsConfig) {
+    if (!acsConfig || !acsConfig.audit) {
+        return null;
+    }
+
+    if (isAuditLog(acsConfig.audit)) {
+        return acsConfig.audit;
+    }
+
+    if (!resolvedLogs.has(acsConfig)) {
+        resolvedLogs.set(acsConfig, createAuditLog(acsConfig.audit));
+    }
+    return resolvedLogs.get(acsConfig);
+}
+
+/**
+ * Describes who an incoming Teams activity acts for
+ *
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @returns {Object} Object containing actor and tenantId
+ */
+function describeAuditActor(context) {
+    const activity = context.activity || {};
+    const from = activity.from || {};
+    const channelData = activity.channelData || {};
+    const conversation = activity.conversation || {};
+
+    return {
+        actor: {
+            type: from.role === 'bot' ? 'bot' : 'teamsUser',
+            teamsUserId: from.id,
+            aadObjectId: from.aadObjectId,
+            name: from.name
+        },
+        tenantId: (channelData.tenant && channelData.tenant.id) || conversation.tenantId
+    };
+}
+
+/**
+ * Runs a function with a Teams turn as the actor of the operations it audits
+ *
+ * `setupAcsMiddleware` runs each turn this way, so operations done while
+ * handling an activity, including in the bot's own handlers, name its sender.
+ *
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} The function's result
+ */
+function runWithAuditActor(context, fn) {
+    return actorScope.run(describeAuditActor(context), fn);
+}
+
+/**
+ * Records an operation in the configured audit log
+ *
+ * The actor and tenant come from the current turn; operations outside a turn,
+ * such as scheduled jobs, are recorded with a system actor. Auditing errors are
+ * logged and never fail the operation.
+ *
+ * @param {Object} acsConfig - Configuration with an optional audit setting
+ * @param {Object} event - Object containing operation, outcome, target, details and error
+ * @returns {Promise<Object|null>} The recorded event, or null if it was not recorded
+ */
+async function recordAuditEvent(acsConfig, event) {
+    const auditLog = resolveAuditLog(acsConfig);
+    if (!auditLog) {
+        return null;
+    }
+
+    const scope = actorScope.getStore() || { actor: { type: 'system' } };
+    const error = event.error
+        ? { code: event.error.code || event.error.name, message: event.error.message }
+        : undefined;
+
+    try {
+        return await auditLog.record({
+            operation: event.operation,
+            outcome: event.outcome || (error ? AUDIT_OUTCOMES.failure : AUDIT_OUTCOMES.success),
+            actor: scope.actor,
+            tenantId: scope.tenantId,
+            target: event.target || {},
+            details: event.details,
+            error
+        });
+    } catch (auditError) {
+        console.error(`Error recording ${event.operation} in the audit log:`, auditError);
+        return null;
+    }
+}
+
+// Export the audit log functions
+module.exports = {
+    AUDIT_OPERATIONS,
+    AUDIT_OUTCOMES,
+    GENESIS_HASH,
+    hashAuditEvent,
+    createMemoryAuditSink,
+    createFileAuditSink,
+    verifyAuditLines,
+    verifyAuditLogFile,
+    createAuditLog,
+    resolveAuditLog,
+    describeAuditActor,
+    runWithAuditActor,
+    recordAuditEvent
+};
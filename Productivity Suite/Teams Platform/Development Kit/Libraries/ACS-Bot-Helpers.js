@@ -13,35 +13,129 @@
  */
 
 // Dependencies
-const { BotFrameworkAdapter, TurnContext } = require('botbuilder');
+const { BotFrameworkAdapter, TurnContext, TeamsInfo } = require('botbuilder');
 const { CommunicationIdentityClient } = require('@azure/communication-identity');
-const { ChatClient } = require('@azure/communication-chat');
-const { AzureKeyCredential } = require('@azure/core-auth');
+const { randomUUID } = require('crypto');
+const { MAPPING_COLLECTIONS, resolveMappingStore, compareAndSetMapping } = require('./ACS-Mapping-Store');
+const { createBotIdentityManager, resolveBotIdentityManager } = require('./ACS-Bot-Identity');
+const { TOKEN_SCOPES, createTokenBroker, resolveTokenBroker } = require('./ACS-Token-Broker');
+const { getSdkClientOptions, createResiliencePolicy, resolveResiliencePolicy } = require('./ACS-Resilience');
+const {
+    createChatClientFactory,
+    resolveChatClientFactory,
+    withChatClient,
+    withBotChatThreadClient
+} = require('./ACS-Chat-Client-Factory');
+const {
+    AcsError,
+    AcsAuthError,
+    AcsNotFoundError,
+    AcsThrottledError,
+    AcsValidationError,
+    AcsServiceError,
+    AcsCircuitOpenError,
+    AcsConfigError,
+    toAcsError
+} = require('./ACS-Errors');
+const { resolveAcsConfig, loadAcsConfig, createLocalFileSecretProvider } = require('./ACS-Config');
+const { BRIDGE_METADATA, createAcsToTeamsRelay } = require('./ACS-Teams-Relay');
+const { translateTeamsActivityToAcs, translateAcsMessageToTeams } = require('./ACS-Message-Translator');
+const {
+    FORWARDING_TIMING,
+    describeConversation,
+    setConversationForwarding,
+    getConversationForwarding,
+    suppressForwarding,
+    isForwardingSuppressed,
+    evaluateForwardingPolicy
+} = require('./ACS-Forwarding-Policy');
+const {
+    TRANSCRIPT_FORMATS,
+    collectThreadTranscript,
+    renderTranscript,
+    exportThreadTranscript,
+    sendTranscriptToTeams,
+    handleTranscriptFileConsent
+} = require('./ACS-Transcript-Export');
+const { createCommandRouter } = require('./ACS-Command-Router');
+const {
+    AUDIT_OPERATIONS,
+    AUDIT_OUTCOMES,
+    createAuditLog,
+    resolveAuditLog,
+    verifyAuditLogFile,
+    runWithAuditActor,
+    recordAuditEvent
+} = require('./ACS-Audit-Log');
+const {
+    TEAMS_READ_RECEIPT_EVENT,
+    resetTeamsTyping,
+    forwardTeamsTypingToAcs,
+    forwardTeamsReadReceiptToAcs,
+    createSeenByCard
+} = require('./ACS-Live-Indicators');
+const {
+    HOST_CARD_VERSIONS,
+    getCardTarget,
+    registerCardStrings,
+    getCardStrings,
+    expandCardTemplate,
+    validateCard,
+    downgradeCard,
+    renderCard,
+    createAdaptiveCard,
+    createHeaderFragment,
+    createFactSetFragment,
+    createStatusFragment,
+    createThreadPickerFragment,
+    createParticipantListFragment,
+    createCardAction
+} = require('./ACS-Card-Builder');
+const {
+    createCardActionRouter,
+    createCardInvokeResponse,
+    createMessageInvokeResponse,
+    createErrorInvokeResponse,
+    withUserRefresh
+} = require('./ACS-Card-Router');
 
 /**
  * Creates an ACS identity for a Teams user, enabling them to interact with ACS resources
  * 
  * @param {string} userId - The Teams user ID to create an ACS identity for
  * @param {Object} acsConfig - Configuration with ACS connection string
+ * @param {string|Array<string>} scopes - Token scopes to issue (default: chat)
  * @returns {Promise<Object>} Object containing ACS user ID and access token
  */
-async function createAcsIdentityForTeamsUser(userId, acsConfig) {
+async function createAcsIdentityForTeamsUser(userId, acsConfig, scopes) {
     try {
         if (!userId || !acsConfig || !acsConfig.connectionString) {
-            throw new Error('Missing required parameters for ACS identity creation');
+            throw new AcsConfigError('Missing required parameters for ACS identity creation');
         }
         
         // Create an identity client using the connection string
-        const identityClient = new CommunicationIdentityClient(acsConfig.connectionString);
+        const identityClient = new CommunicationIdentityClient(acsConfig.connectionString, getSdkClientOptions(acsConfig));
         
-        // Create a new ACS identity
-        const identityResponse = await identityClient.createUser();
+        // Create a new ACS identity; retried only when throttled, as a repeat would create a second identity
+        const identityResponse = await resolveResiliencePolicy(acsConfig).execute(
+            'createUser',
+            () => identityClient.createUser()
+        );
         
-        // Issue an access token with chat scope
-        const tokenResponse = await identityClient.getToken(identityResponse, ["chat"]);
+        // Issue an access token through the shared token cache
+        const tokenResponse = await resolveTokenBroker(acsConfig).getToken(
+            identityResponse.communicationUserId,
+            scopes
+        );
         
         // Store mapping between Teams userId and ACS identity for future reference
-        await storeUserMapping(userId, identityResponse.communicationUserId);
+        await storeUserMapping(userId, identityResponse.communicationUserId, acsConfig);
+        
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.identityCreate,
+            target: { teamsUserId: userId, acsUserId: identityResponse.communicationUserId },
+            details: { scopes: [].concat(scopes || 'chat') }
+        });
         
         return {
             acsUserId: identityResponse.communicationUserId,
@@ -50,29 +144,33 @@ async function createAcsIdentityForTeamsUser(userId, acsConfig) {
         };
     } catch (error) {
         console.error('Error creating ACS identity:', error);
-        throw new Error(`Failed to create ACS identity: ${error.message}`);
+        const acsError = toAcsError(error, 'createAcsIdentityForTeamsUser', 'Failed to create ACS identity');
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.identityCreate,
+            target: { teamsUserId: userId },
+            error: acsError
+        });
+        throw acsError;
     }
 }
 
 /**
  * Stores a mapping between Teams user ID and ACS communication user ID
  * 
+ * The mapping is written in both directions so either ID can be looked up later.
+ * 
  * @param {string} teamsUserId - The Teams user ID
  * @param {string} acsUserId - The ACS communication user ID
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
  * @returns {Promise<boolean>} Success indicator
  */
-async function storeUserMapping(teamsUserId, acsUserId) {
-    // Implementation will depend on your storage solution (e.g., Cosmos DB, Table Storage)
-    // This is a placeholder implementation
+async function storeUserMapping(teamsUserId, acsUserId, acsConfig) {
     try {
-        // Example storage call
-        /* 
-        await userMappingTable.createEntity({
-            partitionKey: teamsUserId,
-            rowKey: acsUserId,
-            timestamp: new Date()
-        });
-        */
+        const store = resolveMappingStore(acsConfig);
+        const updatedOn = new Date().toISOString();
+        
+        await store.set(MAPPING_COLLECTIONS.teamsUsers, teamsUserId, { acsUserId, updatedOn });
+        await store.set(MAPPING_COLLECTIONS.acsUsers, acsUserId, { teamsUserId, updatedOn });
         
         console.log(`Mapped Teams user ${teamsUserId} to ACS user ${acsUserId}`);
         return true;
@@ -86,84 +184,159 @@ async function storeUserMapping(teamsUserId, acsUserId) {
  * Retrieves an ACS user ID for a given Teams user ID from storage
  * 
  * @param {string} teamsUserId - The Teams user ID
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
  * @returns {Promise<string|null>} The ACS user ID or null if not found
  */
-async function getAcsUserIdForTeamsUser(teamsUserId) {
-    // Implementation will depend on your storage solution
-    // This is a placeholder implementation
+async function getAcsUserIdForTeamsUser(teamsUserId, acsConfig) {
     try {
-        /* 
-        const entity = await userMappingTable.getEntity(teamsUserId);
-        return entity.rowKey;
-        */
-        
-        // Placeholder return for example purposes
-        return null;
+        const record = await resolveMappingStore(acsConfig).get(MAPPING_COLLECTIONS.teamsUsers, teamsUserId);
+        return record ? record.acsUserId : null;
     } catch (error) {
         console.error('Error retrieving ACS user mapping:', error);
         return null;
     }
 }
 
+/**
+ * Retrieves the Teams user ID mapped to a given ACS user ID from storage
+ * 
+ * @param {string} acsUserId - The ACS communication user ID
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
+ * @returns {Promise<string|null>} The Teams user ID or null if not found
+ */
+async function getTeamsUserIdForAcsUser(acsUserId, acsConfig) {
+    try {
+        const record = await resolveMappingStore(acsConfig).get(MAPPING_COLLECTIONS.acsUsers, acsUserId);
+        return record ? record.teamsUserId : null;
+    } catch (error) {
+        console.error('Error retrieving Teams user mapping:', error);
+        return null;
+    }
+}
+
 /**
  * Creates or retrieves a chat thread for a Teams conversation
  * 
+ * New threads are created by the bot's managed ACS identity. The mapping is a
+ * conditional write, so when two turns create a thread for the same
+ * conversation at once, both return the thread mapped first and the other
+ * thread is deleted.
+ * 
  * @param {string} teamsConversationId - The Teams conversation ID
- * @param {string} acsUserId - The ACS user ID of the bot
- * @param {string} acsToken - The ACS access token for the bot
- * @param {Object} acsConfig - Configuration with ACS endpoint
+ * @param {Object} acsConfig - Configuration with ACS endpoint and connection string
  * @returns {Promise<string>} The chat thread ID
  */
-async function createOrGetChatThread(teamsConversationId, acsUserId, acsToken, acsConfig) {
+async function createOrGetChatThread(teamsConversationId, acsConfig) {
     try {
         // First check if we already have a thread ID for this conversation
-        const existingThreadId = await getChatThreadForConversation(teamsConversationId);
+        const existingThreadId = await getChatThreadForConversation(teamsConversationId, acsConfig);
         if (existingThreadId) {
             return existingThreadId;
         }
         
-        // Create a new chat client
-        const chatClient = new ChatClient(
-            acsConfig.endpoint,
-            new AzureKeyCredential(acsToken)
-        );
-        
-        // Create a new chat thread
+        // Create a new chat thread as the bot
         const createChatThreadRequest = {
             topic: `Teams Conversation ${teamsConversationId}`,
         };
         
-        const createChatThreadResult = await chatClient.createChatThread(createChatThreadRequest);
+        // The idempotency token makes retries return the same thread instead of a new one
+        const idempotencyToken = randomUUID();
+        const createChatThreadResult = await withChatClient(
+            acsConfig,
+            clientFactory => clientFactory.getBotChatClient(),
+            chatClient => resolveResiliencePolicy(acsConfig).execute(
+                'createChatThread',
+                () => chatClient.createChatThread(createChatThreadRequest, { idempotencyToken }),
+                { idempotent: true }
+            )
+        );
         const threadId = createChatThreadResult.chatThread.id;
         
-        // Store mapping between Teams conversation and ACS chat thread
-        await storeThreadMapping(teamsConversationId, threadId);
+        // Map the conversation only if no other turn mapped it meanwhile
+        const store = resolveMappingStore(acsConfig);
+        const updatedOn = new Date().toISOString();
+        const mapped = await compareAndSetMapping(
+            store,
+            MAPPING_COLLECTIONS.conversations,
+            teamsConversationId,
+            null,
+            { threadId, updatedOn }
+        );
+        if (!mapped) {
+            await deleteUnmappedThread(threadId, acsConfig);
+            const mappedThreadId = await getChatThreadForConversation(teamsConversationId, acsConfig);
+            if (!mappedThreadId) {
+                throw new AcsError('The conversation was mapped to a chat thread and unmapped again', {
+                    operation: 'createOrGetChatThread',
+                    retryable: true
+                });
+            }
+            return mappedThreadId;
+        }
+        await store.set(MAPPING_COLLECTIONS.threads, threadId, { teamsConversationId, updatedOn });
+        console.log(`Mapped Teams conversation ${teamsConversationId} to ACS thread ${threadId}`);
+        
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.threadCreate,
+            target: { teamsConversationId, threadId }
+        });
         
         return threadId;
     } catch (error) {
         console.error('Error creating or getting chat thread:', error);
-        throw new Error(`Failed to create or get chat thread: ${error.message}`);
+        const acsError = toAcsError(error, 'createOrGetChatThread', 'Failed to create or get chat thread');
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.threadCreate,
+            target: { teamsConversationId },
+            error: acsError
+        });
+        throw acsError;
+    }
+}
+
+/**
+ * Deletes a thread that lost the race to be mapped to a conversation
+ * 
+ * The thread has no messages yet, so a failed delete only leaves an empty
+ * thread behind and is logged rather than thrown.
+ * 
+ * @param {string} threadId - The ACS chat thread ID
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<void>}
+ */
+async function deleteUnmappedThread(threadId, acsConfig) {
+    try {
+        await withChatClient(
+            acsConfig,
+            clientFactory => clientFactory.getBotChatClient(),
+            chatClient => resolveResiliencePolicy(acsConfig).execute(
+                'deleteChatThread',
+                () => chatClient.deleteChatThread(threadId),
+                { idempotent: true }
+            )
+        );
+    } catch (error) {
+        console.error('Error deleting unmapped ACS chat thread:', error);
     }
 }
 
 /**
  * Stores a mapping between Teams conversation ID and ACS chat thread ID
  * 
+ * The mapping is written in both directions so either ID can be looked up later.
+ * 
  * @param {string} teamsConversationId - The Teams conversation ID
  * @param {string} threadId - The ACS chat thread ID
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
  * @returns {Promise<boolean>} Success indicator
  */
-async function storeThreadMapping(teamsConversationId, threadId) {
-    // Implementation will depend on your storage solution
-    // This is a placeholder implementation
+async function storeThreadMapping(teamsConversationId, threadId, acsConfig) {
     try {
-        /* 
-        await threadMappingTable.createEntity({
-            partitionKey: teamsConversationId,
-            rowKey: threadId,
-            timestamp: new Date()
-        });
-        */
+        const store = resolveMappingStore(acsConfig);
+        const updatedOn = new Date().toISOString();
+        
+        await store.set(MAPPING_COLLECTIONS.conversations, teamsConversationId, { threadId, updatedOn });
+        await store.set(MAPPING_COLLECTIONS.threads, threadId, { teamsConversationId, updatedOn });
         
         console.log(`Mapped Teams conversation ${teamsConversationId} to ACS thread ${threadId}`);
         return true;
@@ -177,19 +350,13 @@ async function storeThreadMapping(teamsConversationId, threadId) {
  * Retrieves an ACS chat thread ID for a given Teams conversation ID
  * 
  * @param {string} teamsConversationId - The Teams conversation ID
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
  * @returns {Promise<string|null>} The ACS chat thread ID or null if not found
  */
-async function getChatThreadForConversation(teamsConversationId) {
-    // Implementation will depend on your storage solution
-    // This is a placeholder implementation
+async function getChatThreadForConversation(teamsConversationId, acsConfig) {
     try {
-        /* 
-        const entity = await threadMappingTable.getEntity(teamsConversationId);
-        return entity.rowKey;
-        */
-        
-        // Placeholder return for example purposes
-        return null;
+        const record = await resolveMappingStore(acsConfig).get(MAPPING_COLLECTIONS.conversations, teamsConversationId);
+        return record ? record.threadId : null;
     } catch (error) {
         console.error('Error retrieving chat thread mapping:', error);
         return null;
@@ -197,366 +364,1570 @@ async function getChatThreadForConversation(teamsConversationId) {
 }
 
 /**
- * Sends a message to an ACS chat thread
+ * Retrieves the Teams conversation ID mapped to a given ACS chat thread ID
  * 
  * @param {string} threadId - The ACS chat thread ID
- * @param {string} content - The content of the message
- * @param {string} acsUserId - The ACS user ID sending the message
- * @param {string} acsToken - The ACS access token
- * @param {Object} acsConfig - Configuration with ACS endpoint
- * @returns {Promise<string>} The message ID of the sent message
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
+ * @returns {Promise<string|null>} The Teams conversation ID or null if not found
  */
-async function sendMessageToThread(threadId, content, acsUserId, acsToken, acsConfig) {
+async function getConversationForChatThread(threadId, acsConfig) {
     try {
-        // Create a new chat client
-        const chatClient = new ChatClient(
-            acsConfig.endpoint,
-            new AzureKeyCredential(acsToken)
-        );
-        
-        // Get a thread client
-        const threadClient = chatClient.getChatThreadClient(threadId);
-        
-        // Send the message
-        const sendMessageRequest = {
-            content: content
-        };
-        
-        const sendMessageResult = await threadClient.sendMessage(sendMessageRequest);
-        return sendMessageResult.id;
+        const record = await resolveMappingStore(acsConfig).get(MAPPING_COLLECTIONS.threads, threadId);
+        return record ? record.teamsConversationId : null;
     } catch (error) {
-        console.error('Error sending message to thread:', error);
-        throw new Error(`Failed to send message to thread: ${error.message}`);
+        console.error('Error retrieving conversation mapping:', error);
+        return null;
     }
 }
 
 /**
- * Forwards a message from Teams to an ACS chat thread
+ * Stores the conversation reference of the current Teams conversation
+ * 
+ * The reference is needed to post ACS messages back into the conversation
+ * proactively. It is stored with the conversation's team and channel and only
+ * rewritten when it is missing or one of them changed.
  * 
  * @param {TurnContext} context - The Bot Framework turn context
- * @param {Object} acsConfig - Configuration with ACS details
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
  * @returns {Promise<boolean>} Success indicator
  */
-async function forwardTeamsMessageToAcs(context, acsConfig) {
+async function storeConversationReference(context, acsConfig) {
     try {
-        // Get the Teams conversation ID
-        const teamsConversationId = context.activity.conversation.id;
-        
-        // Get the bot's ACS identity and token
-        // In a real implementation, you would retrieve this from a secure storage
-        const botAcsId = 'your-bot-acs-id';
-        const botAcsToken = 'your-bot-acs-token';
-        
-        // Get or create a chat thread for this conversation
-        const threadId = await createOrGetChatThread(
-            teamsConversationId,
-            botAcsId,
-            botAcsToken,
-            acsConfig
-        );
+        const reference = TurnContext.getConversationReference(context.activity);
+        const teamsConversationId = reference.conversation.id;
+        const { teamId, channelId } = describeConversation(context.activity);
+        const store = resolveMappingStore(acsConfig);
         
-        // Forward the message content
-        const messageContent = context.activity.text;
-        const messageId = await sendMessageToThread(
-            threadId,
-            messageContent,
-            botAcsId,
-            botAcsToken,
-            acsConfig
-        );
+        const existing = await store.get(MAPPING_COLLECTIONS.conversationReferences, teamsConversationId);
+        if (existing && existing.reference.serviceUrl === reference.serviceUrl
+            && existing.teamId === teamId && existing.channelId === channelId) {
+            return true;
+        }
         
-        return !!messageId;
+        // The team and channel let lifecycle events find every conversation they affect
+        await store.set(MAPPING_COLLECTIONS.conversationReferences, teamsConversationId, {
+            reference,
+            teamId,
+            channelId,
+            updatedOn: new Date().toISOString()
+        });
+        return true;
     } catch (error) {
-        console.error('Error forwarding Teams message to ACS:', error);
+        console.error('Error storing conversation reference:', error);
         return false;
     }
 }
 
 /**
- * Adds a Teams user to an ACS chat thread
+ * Retrieves the stored conversation reference for a Teams conversation
+ * 
+ * @param {string} teamsConversationId - The Teams conversation ID
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
+ * @returns {Promise<Object|null>} The conversation reference or null if not found
+ */
+async function getConversationReference(teamsConversationId, acsConfig) {
+    try {
+        const record = await resolveMappingStore(acsConfig).get(MAPPING_COLLECTIONS.conversationReferences, teamsConversationId);
+        return record ? record.reference : null;
+    } catch (error) {
+        console.error('Error retrieving conversation reference:', error);
+        return null;
+    }
+}
+
+/**
+ * Sends a message to an ACS chat thread
+ * 
+ * Messages are sent as the bot unless a sending ACS user is given. Clients come
+ * from the shared chat client factory, which keeps their tokens fresh.
  * 
- * @param {string} teamsUserId - The Teams user ID
  * @param {string} threadId - The ACS chat thread ID
- * @param {Object} acsConfig - Configuration with ACS details
- * @returns {Promise<boolean>} Success indicator
+ * @param {string} content - The content of the message
+ * @param {Object} acsConfig - Configuration with ACS endpoint and connection string
+ * @param {Object} sender - The sending ACS user's acsUserId (optional)
+ * @param {Object} options - Message options such as senderDisplayName, type and metadata (optional)
+ * @returns {Promise<string>} The message ID of the sent message
  */
-async function addTeamsUserToThread(teamsUserId, threadId, acsConfig) {
+async function sendMessageToThread(threadId, content, acsConfig, sender, options = {}) {
     try {
-        // Get the user's ACS ID (or create one if it doesn't exist)
-        let acsUserId = await getAcsUserIdForTeamsUser(teamsUserId);
-        
-        if (!acsUserId) {
-            const identity = await createAcsIdentityForTeamsUser(teamsUserId, acsConfig);
-            acsUserId = identity.acsUserId;
-        }
+        // Send the message
+        const sendMessageRequest = {
+            content: content
+        };
         
-        // Get a bot token for ACS
-        // In a real implementation, you would retrieve this from a secure storage
-        const botAcsToken = 'your-bot-acs-token';
+        const sendMessageOptions = {
+            senderDisplayName: options.senderDisplayName,
+            type: options.type,
+            metadata: options.metadata
+        };
         
-        // Create a new chat client
-        const chatClient = new ChatClient(
-            acsConfig.endpoint,
-            new AzureKeyCredential(botAcsToken)
+        // Sending is not idempotent, so the message is only retried when ACS throttled it
+        // Send as the sender, or as the bot
+        const sendMessageResult = await withChatClient(
+            acsConfig,
+            clientFactory => (sender
+                ? clientFactory.getChatThreadClient(sender.acsUserId, threadId)
+                : clientFactory.getBotChatThreadClient(threadId)),
+            threadClient => resolveResiliencePolicy(acsConfig).execute(
+                'sendMessage',
+                () => threadClient.sendMessage(sendMessageRequest, sendMessageOptions)
+            )
         );
         
-        // Get a thread client
-        const threadClient = chatClient.getChatThreadClient(threadId);
-        
-        // Add the user
-        await threadClient.addParticipants({
-            participants: [
-                {
-                    id: { communicationUserId: acsUserId },
-                    displayName: `Teams User ${teamsUserId}`
-                }
-            ]
+        // Message content is left out of the audit log
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.messageSend,
+            target: { threadId, messageId: sendMessageResult.id },
+            details: { senderAcsUserId: sender ? sender.acsUserId : 'bot', type: options.type || 'text' }
         });
-        
-        return true;
+        return sendMessageResult.id;
     } catch (error) {
-        console.error('Error adding Teams user to ACS thread:', error);
-        return false;
+        console.error('Error sending message to thread:', error);
+        const acsError = toAcsError(error, 'sendMessageToThread', 'Failed to send message to thread');
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.messageSend,
+            target: { threadId },
+            details: { senderAcsUserId: sender ? sender.acsUserId : 'bot' },
+            error: acsError
+        });
+        throw acsError;
     }
 }
 
 /**
- * Handles adaptive card actions from Teams
+ * Updates a message the bot sent to an ACS chat thread
  * 
- * @param {TurnContext} context - The Bot Framework turn context
+ * @param {string} threadId - The ACS chat thread ID
+ * @param {string} messageId - The ACS message ID
+ * @param {string} content - The new content of the message
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @param {Object} options - Message options such as metadata (optional)
  * @returns {Promise<void>}
  */
-async function handleAdaptiveCardAction(context) {
+async function updateMessageInThread(threadId, messageId, content, acsConfig, options = {}) {
     try {
-        const action = context.activity.value;
-        
-        if (!action) {
-            return;
-        }
+        await withBotChatThreadClient(acsConfig, threadId, threadClient => resolveResiliencePolicy(acsConfig).execute(
+            'updateMessage',
+            () => threadClient.updateMessage(messageId, { content, metadata: options.metadata }),
+            { idempotent: true }
+        ));
         
-        switch (action.actionType) {
-            case 'joinAcsThread':
-                await handleJoinThreadAction(context, action);
-                break;
-            case 'sendAcsMessage':
-                await handleSendMessageAction(context, action);
-                break;
-            default:
-                console.log(`Unknown action type: ${action.actionType}`);
-                break;
-        }
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.messageUpdate,
+            target: { threadId, messageId }
+        });
     } catch (error) {
-        console.error('Error handling adaptive card action:', error);
+        console.error('Error updating message in thread:', error);
+        const acsError = toAcsError(error, 'updateMessageInThread', 'Failed to update message in thread');
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.messageUpdate,
+            target: { threadId, messageId },
+            error: acsError
+        });
+        throw acsError;
     }
 }
 
 /**
- * Handles a request to join an ACS thread
+ * Deletes a message the bot sent to an ACS chat thread
  * 
- * @param {TurnContext} context - The Bot Framework turn context
- * @param {Object} action - The action data
+ * Messages that are already gone are treated as deleted.
+ * 
+ * @param {string} threadId - The ACS chat thread ID
+ * @param {string} messageId - The ACS message ID
+ * @param {Object} acsConfig - Configuration with ACS details
  * @returns {Promise<void>}
  */
-async function handleJoinThreadAction(context, action) {
-    // Implementation of handling join thread action
-    // This would typically create an ACS identity for the user if needed
-    // and add them to the specified thread
-    
-    await context.sendActivity('Processing your request to join the thread...');
-    // Call addTeamsUserToThread with the appropriate parameters
+async function deleteMessageFromThread(threadId, messageId, acsConfig) {
+    try {
+        await withBotChatThreadClient(acsConfig, threadId, threadClient => resolveResiliencePolicy(acsConfig).execute(
+            'deleteMessage',
+            () => threadClient.deleteMessage(messageId),
+            { idempotent: true }
+        ));
+        
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.messageDelete,
+            target: { threadId, messageId }
+        });
+    } catch (error) {
+        const acsError = toAcsError(error, 'deleteMessageFromThread', 'Failed to delete message from thread');
+        if (acsError instanceof AcsNotFoundError) {
+            return;
+        }
+        console.error('Error deleting message from thread:', error);
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.messageDelete,
+            target: { threadId, messageId },
+            error: acsError
+        });
+        throw acsError;
+    }
 }
 
 /**
- * Handles a request to send a message to an ACS thread
+ * States of a forwarded message record
+ */
+const FORWARDED_MESSAGE_STATUS = {
+    pending: 'pending',
+    sent: 'sent',
+    deleted: 'deleted'
+};
+
+// Teams activities this process is forwarding right now, to drop concurrent redeliveries
+const forwardsInFlight = new Set();
+
+// Time after which a pending claim is taken to belong to an instance that stopped (milliseconds)
+const DEFAULT_FORWARD_CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Builds the mapping store key of a forwarded Teams activity
  * 
- * @param {TurnContext} context - The Bot Framework turn context
- * @param {Object} action - The action data
- * @returns {Promise<void>}
+ * @param {string} teamsConversationId - The Teams conversation ID
+ * @param {string} activityId - The Teams activity ID
+ * @returns {string} The record key
  */
-async function handleSendMessageAction(context, action) {
-    // Implementation of handling send message action
-    // This would typically retrieve the user's ACS identity and token
-    // and use it to send a message to the specified thread
-    
-    await context.sendActivity('Sending your message to the thread...');
-    // Call sendMessageToThread with the appropriate parameters
+function forwardedMessageKey(teamsConversationId, activityId) {
+    return `${teamsConversationId}|${activityId}`;
 }
 
 /**
- * Creates an adaptive card for Teams with ACS integration options
+ * Stores the record of a forwarded Teams activity
  * 
- * @param {Object} options - Options for the card
- * @returns {Object} An adaptive card JSON object
+ * @param {string} teamsConversationId - The Teams conversation ID
+ * @param {string} activityId - The Teams activity ID
+ * @param {Object} record - Object containing threadId, acsMessageId and status
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
+ * @returns {Promise<void>}
  */
-function createAcsIntegrationCard(options) {
-    return {
-        type: 'AdaptiveCard',
-        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
-        version: '1.3',
-        body: [
-            {
-                type: 'TextBlock',
-                text: options.title || 'Azure Communication Services Integration',
-                size: 'Large',
-                weight: 'Bolder'
-            },
-            {
-                type: 'TextBlock',
-                text: options.description || 'Connect to ACS services',
-                wrap: true
-            }
-        ],
-        actions: [
-            {
-                type: 'Action.Submit',
-                title: 'Join Chat Thread',
-                data: {
-                    actionType: 'joinAcsThread',
-                    threadId: options.threadId
-                }
-            },
-            {
-                type: 'Action.ShowCard',
-                title: 'Send Message',
-                card: {
-                    type: 'AdaptiveCard',
-                    body: [
-                        {
-                            type: 'Input.Text',
-                            id: 'messageText',
-                            placeholder: 'Type your message here',
-                            isMultiline: true
-                        }
-                    ],
-                    actions: [
-                        {
-                            type: 'Action.Submit',
-                            title: 'Send',
-                            data: {
-                                actionType: 'sendAcsMessage',
-                                threadId: options.threadId
-                            }
-                        }
-                    ]
-                }
-            }
-        ]
-    };
+async function storeForwardedMessage(teamsConversationId, activityId, record, acsConfig) {
+    await resolveMappingStore(acsConfig).set(
+        MAPPING_COLLECTIONS.forwardedMessages,
+        forwardedMessageKey(teamsConversationId, activityId),
+        {
+            threadId: record.threadId,
+            acsMessageId: record.acsMessageId,
+            status: record.status,
+            updatedOn: new Date().toISOString()
+        }
+    );
 }
 
 /**
- * Handles errors in ACS operations with appropriate logging and responses
+ * Retrieves the record of a forwarded Teams activity
  * 
- * @param {Error} error - The error that occurred
- * @param {TurnContext} context - The Bot Framework turn context (optional)
- * @returns {Promise<void>}
+ * @param {string} teamsConversationId - The Teams conversation ID
+ * @param {string} activityId - The Teams activity ID
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
+ * @returns {Promise<Object|null>} Object containing threadId, acsMessageId and status, or null if the activity was not forwarded
  */
-async function handleAcsError(error, context) {
-    console.error('ACS error occurred:', error);
-    
-    // Determine the user-friendly error message
-    let userMessage;
-    
-    if (error.code === 'Unauthorized') {
-        userMessage = 'Your authorization to access communication services has expired. Please try again.';
-    } else if (error.code === 'ResourceNotFound') {
-        userMessage = 'The requested communication resource could not be found.';
-    } else if (error.code === 'TooManyRequests') {
-        userMessage = 'The service is currently busy. Please try again in a few minutes.';
-    } else {
-        userMessage = 'An error occurred while processing your request. Our team has been notified.';
-    }
-    
-    // Send a message to the user if a context is provided
-    if (context) {
-        await context.sendActivity(userMessage);
+async function getForwardedMessage(teamsConversationId, activityId, acsConfig) {
+    try {
+        return await resolveMappingStore(acsConfig).get(
+            MAPPING_COLLECTIONS.forwardedMessages,
+            forwardedMessageKey(teamsConversationId, activityId)
+        );
+    } catch (error) {
+        console.error('Error retrieving forwarded message:', error);
+        return null;
     }
-    
-    // Additional error handling like sending telemetry could be added here
 }
 
 /**
- * Gets configuration for ACS from environment variables or settings
+ * Builds the metadata that marks a forwarded message as coming from Teams
  * 
- * @returns {Object} ACS configuration object
+ * @param {Object} activity - The Teams activity
+ * @param {Object} translatedMetadata - Metadata from the message translator
+ * @returns {Object} The ACS message metadata
  */
-function getAcsConfig() {
+function createBridgeMetadata(activity, translatedMetadata) {
     return {
-        connectionString: process.env.ACS_CONNECTION_STRING,
-        endpoint: process.env.ACS_ENDPOINT
+        ...translatedMetadata,
+        [BRIDGE_METADATA.originKey]: BRIDGE_METADATA.teamsOrigin,
+        [BRIDGE_METADATA.activityIdKey]: activity.id
     };
 }
 
 /**
- * Refreshes an ACS access token before it expires
+ * Checks whether a forwarded message record is a claim left by an instance that stopped
  * 
- * @param {string} acsUserId - The ACS user ID
- * @param {Object} acsConfig - Configuration with ACS connection string
- * @returns {Promise<Object>} Object containing the new token and expiration
+ * A pending claim older than `acsConfig.forwarding.claimTimeoutMs` was never
+ * sent, for example because its instance crashed, and can be taken over.
+ * 
+ * @param {Object} record - The forwarded message record
+ * @param {Object} acsConfig - Configuration with optional forwarding settings
+ * @returns {boolean} True if the claim can be taken over
  */
-async function refreshAcsToken(acsUserId, acsConfig) {
-    try {
-        // Create an identity client using the connection string
-        const identityClient = new CommunicationIdentityClient(acsConfig.connectionString);
-        
-        // Issue a new access token with chat scope
-        const tokenResponse = await identityClient.getToken(
-            { communicationUserId: acsUserId },
-            ["chat"]
-        );
-        
-        return {
-            token: tokenResponse.token,
-            expiresOn: tokenResponse.expiresOn
-        };
-    } catch (error) {
-        console.error('Error refreshing ACS token:', error);
-        throw new Error(`Failed to refresh ACS token: ${error.message}`);
-    }
+function isStaleForwardClaim(record, acsConfig) {
+    const forwarding = (acsConfig && acsConfig.forwarding) || {};
+    const claimTimeoutMs = forwarding.claimTimeoutMs !== undefined
+        ? forwarding.claimTimeoutMs
+        : DEFAULT_FORWARD_CLAIM_TIMEOUT_MS;
+    const claimedAt = Date.parse(record.updatedOn) || 0;
+    return record.status === FORWARDED_MESSAGE_STATUS.pending && Date.now() - claimedAt >= claimTimeoutMs;
 }
 
 /**
- * Sets up a middleware for handling ACS integration in a Teams bot
+ * Claims a Teams activity for forwarding, so other bot instances drop its redeliveries
  * 
- * @param {BotFrameworkAdapter} adapter - The Bot Framework adapter
- * @param {Object} acsConfig - Configuration with ACS details
- * @returns {void}
+ * The claim is a conditional write, so only one instance wins even when two
+ * receive the same activity at once.
+ * 
+ * @param {string} teamsConversationId - The Teams conversation ID
+ * @param {string} activityId - The Teams activity ID
+ * @param {string} threadId - The ACS thread ID
+ * @param {Object|null} existing - The stale claim being taken over, or null
+ * @param {Object} acsConfig - Configuration selecting the mapping store
+ * @returns {Promise<boolean>} True if this instance holds the claim
  */
-function setupAcsMiddleware(adapter, acsConfig) {
-    adapter.use(async (context, next) => {
-        try {
-            // Check if this is a message activity
-            if (context.activity.type === 'message') {
-                // Forward the message to ACS (only if needed for your scenario)
-                await forwardTeamsMessageToAcs(context, acsConfig);
-            }
-            // Check if this is a card action
-            else if (context.activity.type === 'invoke' && context.activity.name === 'adaptiveCard/action') {
-                // Handle adaptive card action
-                await handleAdaptiveCardAction(context);
-            }
-            
-            // Call next middleware
-            await next();
-        } catch (error) {
-            // Handle the error
-            await handleAcsError(error, context);
+async function claimForwardedMessage(teamsConversationId, activityId, threadId, existing, acsConfig) {
+    return compareAndSetMapping(
+        resolveMappingStore(acsConfig),
+        MAPPING_COLLECTIONS.forwardedMessages,
+        forwardedMessageKey(teamsConversationId, activityId),
+        existing,
+        {
+            threadId,
+            acsMessageId: null,
+            status: FORWARDED_MESSAGE_STATUS.pending,
+            updatedOn: new Date().toISOString()
         }
+    );
+}
+
+/**
+ * Forwards a message from Teams to an ACS chat thread
+ * 
+ * Formatting, mentions, quoted replies and attachments are translated with
+ * ACS-Message-Translator.js. The Teams activity ID is recorded against the ACS
+ * message ID, so redelivered activities are dropped and later edits and
+ * deletes can be applied to the ACS message.
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<boolean>} Success indicator
+ */
+async function forwardTeamsMessageToAcs(context, acsConfig) {
+    // Get the Teams conversation and activity IDs
+    const teamsConversationId = context.activity.conversation.id;
+    const activityId = context.activity.id;
+    const key = activityId ? forwardedMessageKey(teamsConversationId, activityId) : null;
+    
+    // Teams redelivers activities when the bot is slow to answer
+    if (key && forwardsInFlight.has(key)) {
+        return false;
+    }
+    if (key) {
+        forwardsInFlight.add(key);
+    }
+    
+    let claimed = false;
+    let messageId = null;
+    try {
+        const existing = key ? await getForwardedMessage(teamsConversationId, activityId, acsConfig) : null;
+        if (existing && !isStaleForwardClaim(existing, acsConfig)) {
+            console.log(`Teams activity ${activityId} was already forwarded; dropping duplicate delivery`);
+            return false;
+        }
+        if (existing) {
+            console.log(`Taking over the stale forwarding claim of Teams activity ${activityId}`);
+        }
+        
+        // Get or create a chat thread for this conversation
+        const threadId = await createOrGetChatThread(teamsConversationId, acsConfig);
+        
+        // Translate the activity; a message that only mentioned the bot has nothing to forward
+        const translated = await translateTeamsActivityToAcs(context.activity, acsConfig);
+        if (!translated.content) {
+            return false;
+        }
+        
+        // Claim the activity before sending, so other bot instances drop redeliveries too
+        if (key) {
+            if (!(await claimForwardedMessage(teamsConversationId, activityId, threadId, existing, acsConfig))) {
+                console.log(`Teams activity ${activityId} is being forwarded by another instance; dropping duplicate delivery`);
+                return false;
+            }
+            claimed = true;
+        }
+        
+        // Forward the message as the bot, marked so it is never relayed back
+        messageId = await sendMessageToThread(threadId, translated.content, acsConfig, null, {
+            senderDisplayName: context.activity.from && context.activity.from.name,
+            type: translated.type,
+            metadata: createBridgeMetadata(context.activity, translated.metadata)
+        });
+        
+        if (key) {
+            await storeForwardedMessage(teamsConversationId, activityId, {
+                threadId,
+                acsMessageId: messageId,
+                status: FORWARDED_MESSAGE_STATUS.sent
+            }, acsConfig);
+        }
+        
+        // ACS clears the typing indicator when the message arrives
+        resetTeamsTyping(teamsConversationId);
+        return !!messageId;
+    } catch (error) {
+        console.error('Error forwarding Teams message to ACS:', error);
+        
+        // Release the claim of a message that was never sent, so a redelivery can try again
+        if (claimed && !messageId) {
+            await resolveMappingStore(acsConfig)
+                .delete(MAPPING_COLLECTIONS.forwardedMessages, key)
+                .catch(() => {});
+        }
+        return false;
+    } finally {
+        if (key) {
+            forwardsInFlight.delete(key);
+        }
+    }
+}
+
+/**
+ * Applies an edited Teams message to the ACS message it was forwarded as
+ * 
+ * Handles `messageUpdate` activities. Messages that were never forwarded, or
+ * whose ACS copy was deleted, are left alone.
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<boolean>} Success indicator
+ */
+async function forwardTeamsMessageUpdateToAcs(context, acsConfig) {
+    try {
+        const teamsConversationId = context.activity.conversation.id;
+        const record = await getForwardedMessage(teamsConversationId, context.activity.id, acsConfig);
+        if (!record || record.status !== FORWARDED_MESSAGE_STATUS.sent) {
+            return false;
+        }
+        
+        const translated = await translateTeamsActivityToAcs(context.activity, acsConfig);
+        if (!translated.content) {
+            return false;
+        }
+        
+        await updateMessageInThread(record.threadId, record.acsMessageId, translated.content, acsConfig, {
+            metadata: createBridgeMetadata(context.activity, translated.metadata)
+        });
+        await storeForwardedMessage(teamsConversationId, context.activity.id, record, acsConfig);
+        
+        return true;
+    } catch (error) {
+        console.error('Error forwarding Teams message edit to ACS:', error);
+        return false;
+    }
+}
+
+/**
+ * Deletes the ACS message a deleted Teams message was forwarded as
+ * 
+ * Handles `messageDelete` activities. The record is kept, marked deleted, so a
+ * late redelivery of the original message is still dropped.
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<boolean>} Success indicator
+ */
+async function forwardTeamsMessageDeleteToAcs(context, acsConfig) {
+    try {
+        const teamsConversationId = context.activity.conversation.id;
+        const record = await getForwardedMessage(teamsConversationId, context.activity.id, acsConfig);
+        if (!record || record.status !== FORWARDED_MESSAGE_STATUS.sent) {
+            return false;
+        }
+        
+        await deleteMessageFromThread(record.threadId, record.acsMessageId, acsConfig);
+        await storeForwardedMessage(teamsConversationId, context.activity.id, {
+            ...record,
+            status: FORWARDED_MESSAGE_STATUS.deleted
+        }, acsConfig);
+        
+        return true;
+    } catch (error) {
+        console.error('Error forwarding Teams message delete to ACS:', error);
+        return false;
+    }
+}
+
+/**
+ * Adds a Teams user to an ACS chat thread
+ * 
+ * @param {string} teamsUserId - The Teams user ID
+ * @param {string} threadId - The ACS chat thread ID
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @param {string} displayName - Display name to show in the thread (optional)
+ * @returns {Promise<boolean>} Success indicator
+ */
+async function addTeamsUserToThread(teamsUserId, threadId, acsConfig, displayName) {
+    try {
+        // Get the user's ACS ID (or create one if it doesn't exist)
+        let acsUserId = await getAcsUserIdForTeamsUser(teamsUserId, acsConfig);
+        
+        if (!acsUserId) {
+            const identity = await createAcsIdentityForTeamsUser(teamsUserId, acsConfig);
+            acsUserId = identity.acsUserId;
+        }
+        
+        // Add the user as the bot; adding an existing participant is harmless, so this may be retried
+        await withBotChatThreadClient(acsConfig, threadId, threadClient => resolveResiliencePolicy(acsConfig).execute(
+            'addParticipants',
+            () => threadClient.addParticipants({
+                participants: [
+                    {
+                        id: { communicationUserId: acsUserId },
+                        displayName: displayName || `Teams User ${teamsUserId}`
+                    }
+                ]
+            }),
+            { idempotent: true }
+        ));
+        
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.participantAdd,
+            target: { threadId, teamsUserId, acsUserId }
+        });
+        return true;
+    } catch (error) {
+        console.error('Error adding Teams user to ACS thread:', error);
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.participantAdd,
+            target: { threadId, teamsUserId },
+            error: toAcsError(error, 'addTeamsUserToThread')
+        });
+        return false;
+    }
+}
+
+/**
+ * Removes a Teams user from an ACS chat thread
+ * 
+ * Users without an ACS identity, or who already left, are treated as removed.
+ * 
+ * @param {string} teamsUserId - The Teams user ID
+ * @param {string} threadId - The ACS chat thread ID
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<boolean>} Success indicator
+ */
+async function removeTeamsUserFromThread(teamsUserId, threadId, acsConfig) {
+    try {
+        const acsUserId = await getAcsUserIdForTeamsUser(teamsUserId, acsConfig);
+        if (!acsUserId) {
+            return true;
+        }
+        
+        await withBotChatThreadClient(acsConfig, threadId, threadClient => resolveResiliencePolicy(acsConfig).execute(
+            'removeParticipant',
+            () => threadClient.removeParticipant({ communicationUserId: acsUserId }),
+            { idempotent: true }
+        ));
+        
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.participantRemove,
+            target: { threadId, teamsUserId, acsUserId }
+        });
+        return true;
+    } catch (error) {
+        const acsError = toAcsError(error, 'removeTeamsUserFromThread');
+        if (acsError instanceof AcsNotFoundError) {
+            return true;
+        }
+        console.error('Error removing Teams user from ACS thread:', error);
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.participantRemove,
+            target: { threadId, teamsUserId },
+            error: acsError
+        });
+        return false;
+    }
+}
+
+/**
+ * Sets the topic of an ACS chat thread
+ * 
+ * @param {string} threadId - The ACS chat thread ID
+ * @param {string} topic - The new topic
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<boolean>} Success indicator
+ */
+async function updateThreadTopic(threadId, topic, acsConfig) {
+    try {
+        await withBotChatThreadClient(acsConfig, threadId, threadClient => resolveResiliencePolicy(acsConfig).execute(
+            'updateTopic',
+            () => threadClient.updateTopic(topic),
+            { idempotent: true }
+        ));
+        
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.threadUpdateTopic,
+            target: { threadId },
+            details: { topic }
+        });
+        return true;
+    } catch (error) {
+        console.error('Error updating ACS thread topic:', error);
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.threadUpdateTopic,
+            target: { threadId },
+            details: { topic },
+            error: toAcsError(error, 'updateThreadTopic')
+        });
+        return false;
+    }
+}
+
+/**
+ * Archives the mapping of a Teams conversation that no longer exists
+ * 
+ * The mapping moves to the archivedConversations collection and ACS messages
+ * are no longer relayed to the conversation. The ACS thread and its history are
+ * kept; a new thread is created if the conversation is used again.
+ * 
+ * @param {string} teamsConversationId - The Teams conversation ID
+ * @param {string} reason - Why the conversation was archived, such as teamDeleted
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
+ * @returns {Promise<boolean>} True if a mapping was archived
+ */
+async function archiveConversationMapping(teamsConversationId, reason, acsConfig) {
+    try {
+        const store = resolveMappingStore(acsConfig);
+        const mapping = await store.get(MAPPING_COLLECTIONS.conversations, teamsConversationId);
+        if (!mapping) {
+            return false;
+        }
+        
+        await store.set(MAPPING_COLLECTIONS.archivedConversations, teamsConversationId, {
+            threadId: mapping.threadId,
+            reason,
+            archivedOn: new Date().toISOString()
+        });
+        await store.delete(MAPPING_COLLECTIONS.conversations, teamsConversationId);
+        await store.delete(MAPPING_COLLECTIONS.threads, mapping.threadId);
+        await store.delete(MAPPING_COLLECTIONS.conversationReferences, teamsConversationId);
+        
+        console.log(`Archived mapping of Teams conversation ${teamsConversationId} to ACS thread ${mapping.threadId} (${reason})`);
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.conversationArchive,
+            target: { teamsConversationId, threadId: mapping.threadId },
+            details: { reason }
+        });
+        return true;
+    } catch (error) {
+        console.error('Error archiving conversation mapping:', error);
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.conversationArchive,
+            target: { teamsConversationId },
+            details: { reason },
+            error
+        });
+        return false;
+    }
+}
+
+/**
+ * Gets the display name of a Teams conversation member
+ * 
+ * conversationUpdate activities rarely carry member names, so the member is
+ * looked up through the Teams roster first.
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} member - The channel account of the member
+ * @returns {Promise<string>} The display name
+ */
+async function getTeamsMemberDisplayName(context, member) {
+    try {
+        const teamsMember = await TeamsInfo.getMember(context, member.id);
+        if (teamsMember && teamsMember.name) {
+            return teamsMember.name;
+        }
+    } catch (error) {
+        console.log(`Could not look up Teams member ${member.id}: ${error.message}`);
+    }
+    
+    return member.name || `Teams User ${member.id}`;
+}
+
+/**
+ * Finds the bridged conversations of a team or channel
+ * 
+ * @param {Object} scope - Object containing teamId or channelId
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
+ * @returns {Promise<Array<Object>>} Objects containing teamsConversationId and threadId
+ */
+async function findBridgedConversations(scope, acsConfig) {
+    const store = resolveMappingStore(acsConfig);
+    const references = await store.list(MAPPING_COLLECTIONS.conversationReferences);
+    const conversations = [];
+    
+    for (const { key, value } of references) {
+        if ((scope.teamId && value.teamId !== scope.teamId) || (scope.channelId && value.channelId !== scope.channelId)) {
+            continue;
+        }
+        const mapping = await store.get(MAPPING_COLLECTIONS.conversations, key);
+        if (mapping) {
+            conversations.push({ teamsConversationId: key, threadId: mapping.threadId });
+        }
+    }
+    
+    return conversations;
+}
+
+/**
+ * Synchronizes ACS threads with a Teams conversationUpdate activity
+ * 
+ * Members added to or removed from a conversation or team are added to or
+ * removed from the affected threads under their Teams display names. Renamed
+ * channels rename their threads. Mappings are archived when a channel or team is
+ * deleted or the bot is removed.
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<boolean>} Success indicator
+ */
+async function handleConversationUpdate(context, acsConfig) {
+    try {
+        const activity = context.activity;
+        const channelData = activity.channelData || {};
+        const eventType = channelData.eventType;
+        const { teamId } = describeConversation(activity);
+        const botId = activity.recipient && activity.recipient.id;
+        
+        if (eventType === 'channelRenamed') {
+            const channel = channelData.channel || {};
+            for (const { threadId } of await findBridgedConversations({ channelId: channel.id }, acsConfig)) {
+                await updateThreadTopic(threadId, channel.name, acsConfig);
+            }
+            return true;
+        }
+        
+        if (eventType === 'channelDeleted' || eventType === 'teamDeleted' || eventType === 'teamHardDeleted') {
+            const scope = eventType === 'channelDeleted'
+                ? { channelId: channelData.channel && channelData.channel.id }
+                : { teamId };
+            for (const { teamsConversationId } of await findBridgedConversations(scope, acsConfig)) {
+                await archiveConversationMapping(teamsConversationId, eventType, acsConfig);
+            }
+            return true;
+        }
+        
+        // Team membership changes affect every bridged conversation in the team
+        let conversations;
+        if (teamId && typeof eventType === 'string' && eventType.startsWith('team')) {
+            conversations = await findBridgedConversations({ teamId }, acsConfig);
+        } else {
+            const threadId = await getChatThreadForConversation(activity.conversation.id, acsConfig);
+            conversations = threadId ? [{ teamsConversationId: activity.conversation.id, threadId }] : [];
+        }
+        
+        const membersRemoved = activity.membersRemoved || [];
+        if (membersRemoved.some(member => member.id === botId)) {
+            for (const { teamsConversationId } of conversations) {
+                await archiveConversationMapping(teamsConversationId, 'botRemoved', acsConfig);
+            }
+            return true;
+        }
+        
+        const membersAdded = (activity.membersAdded || []).filter(member => member.id !== botId);
+        for (const member of membersAdded) {
+            const displayName = await getTeamsMemberDisplayName(context, member);
+            for (const { threadId } of conversations) {
+                await addTeamsUserToThread(member.id, threadId, acsConfig, displayName);
+            }
+        }
+        
+        for (const member of membersRemoved) {
+            for (const { threadId } of conversations) {
+                await removeTeamsUserFromThread(member.id, threadId, acsConfig);
+            }
+        }
+        
+        return true;
+    } catch (error) {
+        console.error('Error synchronizing conversation update with ACS:', error);
+        return false;
+    }
+}
+
+/**
+ * Handles adaptive card actions from Teams
+ * 
+ * Accepts both `adaptiveCard/action` invokes and Action.Submit message activities
+ * and dispatches them through the card action router selected by acsConfig.
+ * The handler's result is delivered as the invoke response, or by updating the
+ * card the action came from.
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<Object|null>} The invoke response sent, or null if the action was not handled
+ */
+async function handleAdaptiveCardAction(context, acsConfig) {
+    try {
+        return await resolveCardActionRouter(acsConfig).route(context, acsConfig);
+    } catch (error) {
+        console.error('Error handling adaptive card action:', error);
+        return null;
+    }
+}
+
+/**
+ * Registers an application handler for an adaptive card action type
+ * 
+ * The handler is added to the shared router used when acsConfig does not supply
+ * its own `cardActionRouter`.
+ * 
+ * @param {string} actionType - The actionType (Action.Submit) or verb (Action.Execute)
+ * @param {Function} handler - Async handler receiving (context, action, acsConfig)
+ * @param {Object} options - Registration options such as a payload schema (optional)
+ * @returns {void}
+ */
+function registerCardAction(actionType, handler, options) {
+    defaultCardActionRouter.register(actionType, handler, options);
+}
+
+/**
+ * Resolves the card action router for an acsConfig object
+ * 
+ * @param {Object} acsConfig - Configuration with an optional cardActionRouter
+ * @returns {Object} The card action router
+ */
+function resolveCardActionRouter(acsConfig) {
+    return (acsConfig && acsConfig.cardActionRouter) || defaultCardActionRouter;
+}
+
+/**
+ * Resolves the thread a card action may act on
+ * 
+ * Card payloads come from the client, so the thread is the one mapped to the
+ * conversation the action was sent from, as for the text commands. A payload
+ * naming any other thread is not trusted.
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} action - The action data
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<string|null>} The thread ID, or null if the payload names another thread
+ */
+async function resolveCardActionThread(context, action, acsConfig) {
+    const threadId = await getChatThreadForConversation(context.activity.conversation.id, acsConfig);
+    return threadId && threadId === action.threadId ? threadId : null;
+}
+
+/**
+ * Creates the response to a card action naming a thread other than the conversation's
+ * 
+ * @returns {Object} The invoke response
+ */
+function createForeignThreadResponse() {
+    return createErrorInvokeResponse(403, 'Forbidden', 'This card is not for the chat thread linked to this conversation.');
+}
+
+/**
+ * Handles a request to join an ACS thread
+ * 
+ * Resolves or provisions the clicking user's ACS identity and adds them to the
+ * thread linked to the conversation, which must be the card's thread.
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} action - The action data
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<Object>} Invoke response with the updated card
+ */
+async function handleJoinThreadAction(context, action, acsConfig) {
+    const threadId = await resolveCardActionThread(context, action, acsConfig);
+    if (!threadId) {
+        return createForeignThreadResponse();
+    }
+    
+    const teamsUser = context.activity.from;
+    const added = await addTeamsUserToThread(teamsUser.id, threadId, acsConfig, teamsUser.name);
+    
+    return createCardInvokeResponse(createAcsIntegrationCard({
+        ...action,
+        ...getCardTarget(context.activity, acsConfig && acsConfig.cards),
+        universalActions: action.universalActions || !!action.verb,
+        status: added
+            ? { type: 'success', message: `${teamsUser.name || 'You'} joined the chat thread.` }
+            : { type: 'failure', message: 'We could not add you to the chat thread. Please try again.' }
+    }));
+}
+
+/**
+ * Handles a request to send a message to an ACS thread
+ * 
+ * The message is sent as the clicking user's ACS identity, not as the bot, to
+ * the thread linked to the conversation, which must be the card's thread.
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} action - The action data
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<Object>} Invoke response with the updated card
+ */
+async function handleSendMessageAction(context, action, acsConfig) {
+    const teamsUser = context.activity.from;
+    const messageText = (action.messageText || '').trim();
+    
+    const respond = (type, message) => createCardInvokeResponse(createAcsIntegrationCard({
+        ...action,
+        ...getCardTarget(context.activity, acsConfig && acsConfig.cards),
+        messageText: undefined,
+        universalActions: action.universalActions || !!action.verb,
+        status: { type, message }
+    }));
+    
+    const threadId = await resolveCardActionThread(context, action, acsConfig);
+    if (!threadId) {
+        return createForeignThreadResponse();
+    }
+    
+    if (!messageText) {
+        return respond('failure', 'Type a message before selecting Send.');
+    }
+    
+    const acsUserId = await getAcsUserIdForTeamsUser(teamsUser.id, acsConfig);
+    if (!acsUserId) {
+        return respond('failure', 'Join the chat thread before sending messages.');
+    }
+    
+    try {
+        await sendMessageToThread(
+            threadId,
+            messageText,
+            acsConfig,
+            { acsUserId },
+            { senderDisplayName: teamsUser.name }
+        );
+        return respond('success', 'Your message was sent to the chat thread.');
+    } catch (error) {
+        console.error('Error sending card message to ACS thread:', error);
+        return respond('failure', 'Your message could not be sent. Please try again.');
+    }
+}
+
+/**
+ * Handles a request to refresh the bridge status card
+ * 
+ * Also runs for automatic Universal Actions refreshes, so each viewer sees
+ * whether they already have an ACS identity.
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} action - The action data
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<Object>} The refreshed status card
+ */
+async function handleRefreshStatusAction(context, action, acsConfig) {
+    const threadId = await getChatThreadForConversation(context.activity.conversation.id, acsConfig);
+    const viewerAcsUserId = await getAcsUserIdForTeamsUser(context.activity.from.id, acsConfig);
+    
+    return createAcsBridgeStatusCard({
+        ...getCardTarget(context.activity, acsConfig && acsConfig.cards),
+        title: action.title,
+        threadId,
+        viewerStatus: viewerAcsUserId ? 'Connected to ACS' : 'Not yet connected to ACS',
+        userIds: action.userIds
+    });
+}
+
+/**
+ * Handles a text command addressed to the bot
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<boolean>} True if the activity was a command
+ */
+async function handleBotCommand(context, acsConfig) {
+    try {
+        return await resolveCommandRouter(acsConfig).route(context, acsConfig);
+    } catch (error) {
+        console.error('Error handling bot command:', error);
+        return false;
+    }
+}
+
+/**
+ * Registers an application handler for a text command
+ * 
+ * The handler is added to the shared router used when acsConfig does not supply
+ * its own `commandRouter`, and appears on the generated help card.
+ * 
+ * @param {string} name - The command name, typed after the `acs` prefix
+ * @param {Function} handler - Async handler receiving (context, command, acsConfig)
+ * @param {Object} options - Registration options: description, args and aliases (optional)
+ * @returns {void}
+ */
+function registerCommand(name, handler, options) {
+    defaultCommandRouter.register(name, handler, options);
+}
+
+/**
+ * Resolves the command router for an acsConfig object
+ * 
+ * @param {Object} acsConfig - Configuration with an optional commandRouter
+ * @returns {Object} The command router
+ */
+function resolveCommandRouter(acsConfig) {
+    return (acsConfig && acsConfig.commandRouter) || defaultCommandRouter;
+}
+
+/**
+ * Handles the link command
+ * 
+ * Links the conversation to the given ACS thread, or to a new thread when none
+ * is given. The bot must already be a participant of a given thread, and the
+ * thread must not be linked to another conversation. The command is restricted:
+ * it only runs for users `acsConfig.commands.authorize` allows.
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} command - The parsed command
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<string>} The reply
+ */
+async function handleLinkCommand(context, command, acsConfig) {
+    const teamsConversationId = context.activity.conversation.id;
+    const threadId = command.args.threadId;
+    
+    if (!threadId) {
+        const linkedThreadId = await createOrGetChatThread(teamsConversationId, acsConfig);
+        return `This conversation is linked to ACS chat thread ${linkedThreadId}.`;
+    }
+    
+    // Make sure the bot can use the thread before linking to it
+    try {
+        await withBotChatThreadClient(acsConfig, threadId, threadClient => resolveResiliencePolicy(acsConfig).execute(
+            'getProperties',
+            () => threadClient.getProperties(),
+            { idempotent: true }
+        ));
+    } catch (error) {
+        console.error('Error checking ACS thread before linking:', error);
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.threadLink,
+            target: { teamsConversationId, threadId },
+            error: toAcsError(error, 'handleLinkCommand')
+        });
+        return `The bot cannot access ACS chat thread ${threadId}. Add the bot to the thread first.`;
+    }
+    
+    // Relinking a thread would relay another conversation's ACS traffic here
+    const linkedConversationId = await getConversationForChatThread(threadId, acsConfig);
+    if (linkedConversationId && linkedConversationId !== teamsConversationId) {
+        await recordAuditEvent(acsConfig, {
+            operation: AUDIT_OPERATIONS.threadLink,
+            outcome: AUDIT_OUTCOMES.failure,
+            target: { teamsConversationId, threadId },
+            details: { reason: 'linkedToAnotherConversation' }
+        });
+        return `ACS chat thread ${threadId} is already linked to another conversation.`;
+    }
+    
+    const previousThreadId = await getChatThreadForConversation(teamsConversationId, acsConfig);
+    if (previousThreadId && previousThreadId !== threadId) {
+        await resolveMappingStore(acsConfig).delete(MAPPING_COLLECTIONS.threads, previousThreadId);
+    }
+    await storeThreadMapping(teamsConversationId, threadId, acsConfig);
+    await recordAuditEvent(acsConfig, {
+        operation: AUDIT_OPERATIONS.threadLink,
+        target: { teamsConversationId, threadId },
+        details: { previousThreadId }
+    });
+    
+    return `This conversation is linked to ACS chat thread ${threadId}.`;
+}
+
+/**
+ * Handles the join command, adding the sender to the conversation's thread
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} command - The parsed command
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<string>} The reply
+ */
+async function handleJoinCommand(context, command, acsConfig) {
+    const threadId = await getChatThreadForConversation(context.activity.conversation.id, acsConfig);
+    if (!threadId) {
+        return 'This conversation is not linked to an ACS chat thread yet. Use "acs link" first.';
+    }
+    
+    const teamsUser = context.activity.from;
+    const displayName = await getTeamsMemberDisplayName(context, teamsUser);
+    const added = await addTeamsUserToThread(teamsUser.id, threadId, acsConfig, displayName);
+    
+    return added
+        ? `${displayName} joined the ACS chat thread.`
+        : 'We could not add you to the chat thread. Please try again.';
+}
+
+/**
+ * Handles the leave command, removing the sender from the conversation's thread
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} command - The parsed command
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<string>} The reply
+ */
+async function handleLeaveCommand(context, command, acsConfig) {
+    const threadId = await getChatThreadForConversation(context.activity.conversation.id, acsConfig);
+    if (!threadId) {
+        return 'This conversation is not linked to an ACS chat thread.';
+    }
+    
+    const removed = await removeTeamsUserFromThread(context.activity.from.id, threadId, acsConfig);
+    return removed
+        ? 'You left the ACS chat thread.'
+        : 'We could not remove you from the chat thread. Please try again.';
+}
+
+/**
+ * Handles the export command by offering the thread transcript as a file
+ * 
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} command - The parsed command
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<void>}
+ */
+async function handleExportCommand(context, command, acsConfig) {
+    await sendTranscriptToTeams(context, acsConfig, command.args);
+}
+
+/**
+ * Creates an adaptive card showing the ACS bridge status of a conversation
+ * 
+ * The card refreshes through the `refreshStatus` action; pass `userIds` to have
+ * those users' clients refresh it automatically with their own view. Pass
+ * `locale` for localized labels, and `host` or `version` to downgrade the card
+ * for older clients.
+ * 
+ * @param {Object} options - Options for the card
+ * @returns {Object} An adaptive card JSON object
+ */
+function createAcsBridgeStatusCard(options = {}) {
+    const strings = getCardStrings(options.locale, options.strings);
+    const facts = [
+        {
+            title: strings.status,
+            value: options.threadId ? strings.bridged : strings.notBridged
+        },
+        {
+            title: strings.chatThread,
+            value: options.threadId || strings.none
+        }
+    ];
+    
+    if (options.viewerStatus) {
+        facts.push({ title: strings.you, value: options.viewerStatus });
+    }
+    
+    facts.push({
+        title: strings.lastUpdated,
+        value: options.lastUpdated || new Date().toLocaleString(options.locale)
+    });
+    
+    const refreshData = { title: options.title, userIds: options.userIds };
+    const card = createAdaptiveCard({
+        version: '1.4',
+        body: [
+            createHeaderFragment({ title: options.title || strings.statusTitle }),
+            createFactSetFragment(facts)
+        ],
+        actions: [
+            createCardAction(strings.refreshStatus, 'refreshStatus', refreshData, { universalActions: true })
+        ]
+    });
+    
+    return renderCard(
+        options.userIds && options.userIds.length > 0
+            ? withUserRefresh(card, { verb: 'refreshStatus', data: refreshData, userIds: options.userIds })
+            : card,
+        options
+    );
+}
+
+/**
+ * Creates an adaptive card for Teams with ACS integration options
+ * 
+ * Pass `options.status` ({ type: 'success'|'failure', message }) to show the
+ * outcome of a previous action on the card, and `options.universalActions` to
+ * emit Action.Execute instead of Action.Submit. Labels follow `options.locale`,
+ * `options.data` is bound into `${...}` expressions in the title and
+ * description, and `options.host` or `options.version` downgrade the card.
+ * 
+ * @param {Object} options - Options for the card
+ * @returns {Object} An adaptive card JSON object
+ */
+function createAcsIntegrationCard(options) {
+    const strings = getCardStrings(options.locale, options.strings);
+    
+    // Carried in the action data so the card can be rebuilt after an action
+    const cardData = {
+        threadId: options.threadId,
+        title: options.title,
+        description: options.description,
+        universalActions: options.universalActions
+    };
+    const actionOptions = { universalActions: options.universalActions };
+    
+    const body = [
+        createHeaderFragment({ title: options.title || strings.integrationTitle }),
+        {
+            type: 'TextBlock',
+            text: options.description || strings.integrationDescription,
+            wrap: true
+        }
+    ];
+    
+    if (options.status && options.status.message) {
+        body.push(createStatusFragment(options.status));
+    }
+    
+    // Action.Execute needs schema 1.4 and carries its action type as the verb
+    const card = createAdaptiveCard({
+        version: options.universalActions ? '1.4' : '1.3',
+        body,
+        actions: [
+            createCardAction(strings.joinThread, 'joinAcsThread', cardData, actionOptions),
+            {
+                type: 'Action.ShowCard',
+                title: strings.sendMessage,
+                card: {
+                    type: 'AdaptiveCard',
+                    body: [
+                        {
+                            type: 'Input.Text',
+                            id: 'messageText',
+                            placeholder: strings.messagePlaceholder,
+                            isMultiline: true
+                        }
+                    ],
+                    actions: [
+                        createCardAction(strings.send, 'sendAcsMessage', cardData, actionOptions)
+                    ]
+                }
+            }
+        ]
+    });
+    
+    return renderCard(card, options);
+}
+
+/**
+ * Handles errors in ACS operations with appropriate logging and responses
+ * 
+ * Errors are classified with ACS-Errors.js, so raw Azure SDK errors and the typed
+ * errors thrown by the helpers produce the same user-facing message.
+ * 
+ * @param {Error} error - The error that occurred
+ * @param {TurnContext} context - The Bot Framework turn context (optional)
+ * @returns {Promise<void>}
+ */
+async function handleAcsError(error, context) {
+    const acsError = toAcsError(error);
+    console.error(`ACS error occurred${acsError.operation ? ` in ${acsError.operation}` : ''}:`, acsError);
+    
+    // Determine the user-friendly error message
+    let userMessage;
+    
+    if (acsError instanceof AcsAuthError) {
+        userMessage = 'Your authorization to access communication services has expired. Please try again.';
+    } else if (acsError instanceof AcsNotFoundError) {
+        userMessage = 'The requested communication resource could not be found.';
+    } else if (acsError instanceof AcsThrottledError || acsError instanceof AcsCircuitOpenError) {
+        userMessage = 'The service is currently busy. Please try again in a few minutes.';
+    } else if (acsError instanceof AcsServiceError) {
+        userMessage = 'Communication services are temporarily unavailable. Please try again shortly.';
+    } else {
+        userMessage = 'An error occurred while processing your request. Our team has been notified.';
+    }
+    
+    // Send a message to the user if a context is provided
+    if (context) {
+        await context.sendActivity(userMessage);
+    }
+    
+    // Additional error handling like sending telemetry could be added here
+}
+
+/**
+ * Gets configuration for ACS from environment variables or settings
+ * 
+ * Settings are layered from the JSON file named by ACS_CONFIG_FILE, environment
+ * variables and overrides, then validated by ACS-Config.js. Call this at startup
+ * so misconfiguration fails immediately. Use loadAcsConfig when settings refer
+ * to secrets.
+ * 
+ * @param {Object} options - Loader options such as configFile and overrides (optional)
+ * @returns {Object} ACS configuration object
+ * @throws {AcsConfigError} If the configuration is missing or invalid
+ */
+function getAcsConfig(options) {
+    return resolveAcsConfig(options);
+}
+
+/**
+ * Refreshes an ACS access token before it expires
+ * 
+ * Tokens come from the shared token cache, which only contacts the identity
+ * service when the cached token is close to expiry or a refresh is forced.
+ * 
+ * @param {string} acsUserId - The ACS user ID
+ * @param {Object} acsConfig - Configuration with ACS connection string
+ * @param {string|Array<string>} scopes - Token scopes (default: chat)
+ * @param {Object} options - Set forceRefresh to bypass the cache (optional)
+ * @returns {Promise<Object>} Object containing the new token and expiration
+ */
+async function refreshAcsToken(acsUserId, acsConfig, scopes, options) {
+    try {
+        const tokenResponse = await resolveTokenBroker(acsConfig).getToken(acsUserId, scopes, options);
+        
+        return {
+            token: tokenResponse.token,
+            expiresOn: tokenResponse.expiresOn
+        };
+    } catch (error) {
+        console.error('Error refreshing ACS token:', error);
+        throw toAcsError(error, 'refreshAcsToken', 'Failed to refresh ACS token');
+    }
+}
+
+// Shared card action router with the built-in ACS actions
+const defaultCardActionRouter = createCardActionRouter()
+    .register('joinAcsThread', handleJoinThreadAction, {
+        schema: { threadId: { type: 'string', required: true } }
+    })
+    .register('sendAcsMessage', handleSendMessageAction, {
+        schema: {
+            threadId: { type: 'string', required: true },
+            messageText: { type: 'string', maxLength: 28000 }
+        }
+    })
+    .register('refreshStatus', handleRefreshStatusAction, {
+        schema: { userIds: { type: 'array' } }
+    });
+
+// Shared command router with the built-in ACS commands
+const defaultCommandRouter = createCommandRouter()
+    .register('link', handleLinkCommand, {
+        description: 'Links this conversation to an ACS chat thread, creating one when no ID is given',
+        args: [{ name: 'threadId' }],
+        // Linking redirects a thread's traffic, so only users acsConfig.commands.authorize allows may link
+        restricted: true
+    })
+    .register('join', handleJoinCommand, {
+        description: 'Adds you to the linked ACS chat thread'
+    })
+    .register('leave', handleLeaveCommand, {
+        description: 'Removes you from the linked ACS chat thread'
+    })
+    .register('status', handleRefreshStatusAction, {
+        description: 'Shows whether this conversation is bridged to ACS'
+    })
+    .register('export', handleExportCommand, {
+        description: 'Sends you a transcript of the linked ACS chat thread',
+        // The format can be left out, as in `acs export 2024-01-01 2024-02-01`
+        args: [
+            { name: 'format', enum: Object.keys(TRANSCRIPT_FORMATS) },
+            { name: 'from', pattern: '^\\d' },
+            { name: 'to', pattern: '^\\d' }
+        ]
+    })
+    .register('help', (context, command, acsConfig) => resolveCommandRouter(acsConfig).createHelpCard(), {
+        description: 'Lists the available commands'
+    });
+
+/**
+ * Sets up a middleware for handling ACS integration in a Teams bot
+ * 
+ * Messages are forwarded to ACS as allowed by the forwarding policy in
+ * acsConfig.forwarding, before or after the application's handlers. Edits and
+ * deletes of forwarded messages are applied to their ACS copies, and membership,
+ * rename and deletion events are synchronized with the bridged threads.
+ * Typing and read receipts are passed on as set in acsConfig.indicators.
+ * Text commands such as `acs status` are answered instead of forwarded.
+ * Operations audited while handling an activity name its sender as the actor.
+ * 
+ * @param {BotFrameworkAdapter} adapter - The Bot Framework adapter
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {void}
+ */
+function setupAcsMiddleware(adapter, acsConfig) {
+    adapter.use(async (context, next) => {
+        // Operations done while handling the activity are audited as its sender's
+        await runWithAuditActor(context, async () => {
+            try {
+                // Remember where this conversation lives so ACS replies can be relayed back
+                await storeConversationReference(context, acsConfig);
+                
+                // Check if this is an Action.Submit card action
+                if (context.activity.type === 'message' && context.activity.value && !context.activity.text) {
+                    await handleAdaptiveCardAction(context, acsConfig);
+                }
+                // Answer commands addressed to the bot instead of forwarding them
+                else if (context.activity.type === 'message' && resolveCommandRouter(acsConfig).parse(context.activity)) {
+                    await handleBotCommand(context, acsConfig);
+                    return;
+                }
+                // Check if this is a message activity the forwarding policy allows
+                else if (context.activity.type === 'message') {
+                    const decision = await evaluateForwardingPolicy(context, acsConfig);
+                    
+                    // Forward after the application's handlers unless one of them suppressed it
+                    if (decision.forward && decision.timing === FORWARDING_TIMING.after) {
+                        await next();
+                        if (!isForwardingSuppressed(context)) {
+                            await forwardTeamsMessageToAcs(context, acsConfig);
+                        }
+                        return;
+                    }
+                    
+                    if (decision.forward) {
+                        await forwardTeamsMessageToAcs(context, acsConfig);
+                    }
+                }
+                // Keep forwarded messages in step with Teams edits and deletes
+                else if (context.activity.type === 'messageUpdate') {
+                    await forwardTeamsMessageUpdateToAcs(context, acsConfig);
+                }
+                else if (context.activity.type === 'messageDelete') {
+                    await forwardTeamsMessageDeleteToAcs(context, acsConfig);
+                }
+                // Show ACS participants when Teams users are typing or have read their messages
+                else if (context.activity.type === 'typing') {
+                    await forwardTeamsTypingToAcs(context, acsConfig);
+                }
+                else if (context.activity.type === 'event' && context.activity.name === TEAMS_READ_RECEIPT_EVENT) {
+                    await forwardTeamsReadReceiptToAcs(context, acsConfig);
+                }
+                // Keep thread participants, topics and mappings in step with the Teams conversation
+                else if (context.activity.type === 'conversationUpdate') {
+                    await handleConversationUpdate(context, acsConfig);
+                }
+                // Deliver transcripts the user agreed to receive
+                else if (context.activity.type === 'invoke' && context.activity.name === 'fileConsent/invoke') {
+                    const invokeResponse = await handleTranscriptFileConsent(context, acsConfig);
+                    if (invokeResponse) {
+                        await context.sendActivity({ type: 'invokeResponse', value: invokeResponse });
+                        return;
+                    }
+                }
+                // Check if this is a card action
+                else if (context.activity.type === 'invoke' && context.activity.name === 'adaptiveCard/action') {
+                    // Handle adaptive card action; handled invokes already have their response
+                    const invokeResponse = await handleAdaptiveCardAction(context, acsConfig);
+                    if (invokeResponse) {
+                        return;
+                    }
+                }
+                
+                // Call next middleware
+                await next();
+            } catch (error) {
+                // Handle the error
+                await handleAcsError(error, context);
+            }
+        });
     });
 }
 
 // Export the helper functions
 module.exports = {
     createAcsIdentityForTeamsUser,
+    storeUserMapping,
     getAcsUserIdForTeamsUser,
+    getTeamsUserIdForAcsUser,
     createOrGetChatThread,
+    storeThreadMapping,
+    getChatThreadForConversation,
+    getConversationForChatThread,
+    storeConversationReference,
+    getConversationReference,
     sendMessageToThread,
+    updateMessageInThread,
+    deleteMessageFromThread,
     forwardTeamsMessageToAcs,
+    forwardTeamsMessageUpdateToAcs,
+    forwardTeamsMessageDeleteToAcs,
+    getForwardedMessage,
+    FORWARDED_MESSAGE_STATUS,
+    evaluateForwardingPolicy,
+    forwardTeamsTypingToAcs,
+    forwardTeamsReadReceiptToAcs,
+    createSeenByCard,
+    setConversationForwarding,
+    getConversationForwarding,
+    suppressForwarding,
     addTeamsUserToThread,
+    removeTeamsUserFromThread,
+    updateThreadTopic,
+    archiveConversationMapping,
+    getTeamsMemberDisplayName,
+    handleConversationUpdate,
     handleAdaptiveCardAction,
+    registerCardAction,
+    handleBotCommand,
+    registerCommand,
+    resolveCommandRouter,
+    createCommandRouter,
+    resolveCardActionRouter,
+    createCardActionRouter,
+    createCardInvokeResponse,
+    createMessageInvokeResponse,
+    createErrorInvokeResponse,
+    withUserRefresh,
     createAcsIntegrationCard,
+    createAcsBridgeStatusCard,
+    HOST_CARD_VERSIONS,
+    getCardTarget,
+    registerCardStrings,
+    getCardStrings,
+    expandCardTemplate,
+    validateCard,
+    downgradeCard,
+    renderCard,
+    createAdaptiveCard,
+    createHeaderFragment,
+    createFactSetFragment,
+    createStatusFragment,
+    createThreadPickerFragment,
+    createParticipantListFragment,
+    createCardAction,
     handleAcsError,
     getAcsConfig,
+    loadAcsConfig,
+    createLocalFileSecretProvider,
     refreshAcsToken,
-    setupAcsMiddleware
+    setupAcsMiddleware,
+    createBotIdentityManager,
+    resolveBotIdentityManager,
+    TOKEN_SCOPES,
+    createTokenBroker,
+    resolveTokenBroker,
+    createAcsToTeamsRelay,
+    createResiliencePolicy,
+    resolveResiliencePolicy,
+    createChatClientFactory,
+    resolveChatClientFactory,
+    withChatClient,
+    withBotChatThreadClient,
+    AcsError,
+    AcsAuthError,
+    AcsNotFoundError,
+    AcsThrottledError,
+    AcsValidationError,
+    AcsServiceError,
+    AcsCircuitOpenError,
+    AcsConfigError,
+    toAcsError,
+    translateTeamsActivityToAcs,
+    translateAcsMessageToTeams,
+    TRANSCRIPT_FORMATS,
+    collectThreadTranscript,
+    renderTranscript,
+    exportThreadTranscript,
+    sendTranscriptToTeams,
+    AUDIT_OPERATIONS,
+    AUDIT_OUTCOMES,
+    createAuditLog,
+    resolveAuditLog,
+    verifyAuditLogFile,
+    runWithAuditActor,
+    recordAuditEvent
 };
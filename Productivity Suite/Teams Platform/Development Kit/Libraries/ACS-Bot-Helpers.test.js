@@ -0,0 +1,1186 @@
+/**
+ * ACS-Bot-Helpers.test.js
+ *
+ * Runs every export of ACS-Bot-Helpers.js against the fake ACS service, through
+ * setupAcsMiddleware where the helpers handle Teams activities.
+ *
+ * Run with `node --test`.
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TurnContext } = require('botbuilder');
+const {
+    createBotTestFixture,
+    createTeamsActivity,
+    createTeamsMessageActivity,
+    createTeamsMessageChangeActivity,
+    createTeamsReadReceiptActivity,
+    createConversationUpdateActivity
+} = require('./ACS-Test-Harness');
+const helpers = require('./ACS-Bot-Helpers');
+
+const fixtures = [];
+
+/**
+ * Creates a bot fixture that is disposed after the test
+ *
+ * @param {Object} options - Options for createBotTestFixture (optional)
+ * @returns {Object} The fixture
+ */
+function createFixture(options = {}) {
+    const fixture = createBotTestFixture(options);
+    fixtures.push(fixture);
+    return fixture;
+}
+
+/**
+ * Creates a turn context outside the middleware
+ *
+ * @param {Object} fixture - The bot fixture
+ * @param {Object} activity - The activity
+ * @returns {TurnContext} The turn context
+ */
+function createContext(fixture, activity) {
+    return new TurnContext(fixture.adapter, activity);
+}
+
+/**
+ * Sends a message so the conversation gets a bridged thread
+ *
+ * @param {Object} fixture - The bot fixture
+ * @param {Object} options - Options for createTeamsMessageActivity (optional)
+ * @returns {Promise<Object>} Object containing activity, conversationId and threadId
+ */
+async function bridgeConversation(fixture, options = {}) {
+    const activity = createTeamsMessageActivity('Hello from Teams', options);
+    await fixture.send(activity);
+    const conversationId = activity.conversation.id;
+    const threadId = await helpers.getChatThreadForConversation(conversationId, fixture.acsConfig);
+    return { activity, conversationId, threadId };
+}
+
+/**
+ * Gets the text of the messages users sent to a fake thread, oldest first
+ *
+ * @param {Object} fixture - The bot fixture
+ * @param {string} threadId - The chat thread ID
+ * @returns {Array<string>} The message texts
+ */
+function messageTexts(fixture, threadId) {
+    return fixture.acsService.getThread(threadId).messages
+        .filter(message => message.type === 'text' || message.type === 'html')
+        .map(message => message.content.message);
+}
+
+/**
+ * Gets the ACS user IDs of a fake thread's participants
+ *
+ * @param {Object} fixture - The bot fixture
+ * @param {string} threadId - The chat thread ID
+ * @returns {Array<string>} The participants' ACS user IDs
+ */
+function participantIds(fixture, threadId) {
+    return fixture.acsService.getThread(threadId).participants.map(participant => participant.acsUserId);
+}
+
+afterEach(() => {
+    fixtures.splice(0).forEach(fixture => fixture.dispose());
+});
+
+test('createAcsIdentityForTeamsUser creates, maps and audits an identity', async () => {
+    const fixture = createFixture({ config: { audit: { type: 'memory' } } });
+
+    const identity = await helpers.createAcsIdentityForTeamsUser('29:ada', fixture.acsConfig, ['chat', 'voip']);
+
+    assert.ok(fixture.acsService.hasIdentity(identity.acsUserId));
+    assert.strictEqual(typeof identity.acsToken, 'string');
+    assert.ok(identity.expiresOn instanceof Date);
+    assert.strictEqual(await helpers.getAcsUserIdForTeamsUser('29:ada', fixture.acsConfig), identity.acsUserId);
+    assert.strictEqual(await helpers.getTeamsUserIdForAcsUser(identity.acsUserId, fixture.acsConfig), '29:ada');
+
+    const [event] = await helpers.resolveAuditLog(fixture.acsConfig).query({ operation: helpers.AUDIT_OPERATIONS.identityCreate });
+    assert.deepStrictEqual(event.details, { scopes: ['chat', 'voip'] });
+    assert.strictEqual(event.outcome, helpers.AUDIT_OUTCOMES.success);
+
+    await assert.rejects(helpers.createAcsIdentityForTeamsUser(null, fixture.acsConfig), helpers.AcsConfigError);
+});
+
+test('storeUserMapping maps users both ways, and unknown users map to null', async () => {
+    const fixture = createFixture();
+
+    assert.strictEqual(await helpers.storeUserMapping('29:grace', '8:acs:grace', fixture.acsConfig), true);
+
+    assert.strictEqual(await helpers.getAcsUserIdForTeamsUser('29:grace', fixture.acsConfig), '8:acs:grace');
+    assert.strictEqual(await helpers.getTeamsUserIdForAcsUser('8:acs:grace', fixture.acsConfig), '29:grace');
+    assert.strictEqual(await helpers.getAcsUserIdForTeamsUser('29:nobody', fixture.acsConfig), null);
+    assert.strictEqual(await helpers.getTeamsUserIdForAcsUser('8:acs:nobody', fixture.acsConfig), null);
+});
+
+test('refreshAcsToken serves cached tokens until a refresh is forced', async () => {
+    const fixture = createFixture();
+    const { acsUserId } = await helpers.createAcsIdentityForTeamsUser('29:ada', fixture.acsConfig);
+    const tokenRequests = () => fixture.acsService.requests.filter(request => request.path.endsWith('/:issueAccessToken')).length;
+
+    const cached = await helpers.refreshAcsToken(acsUserId, fixture.acsConfig);
+    const requestsBefore = tokenRequests();
+    assert.deepStrictEqual(await helpers.refreshAcsToken(acsUserId, fixture.acsConfig), cached);
+    assert.strictEqual(tokenRequests(), requestsBefore);
+
+    const refreshed = await helpers.refreshAcsToken(acsUserId, fixture.acsConfig, 'chat', { forceRefresh: true });
+    assert.strictEqual(typeof refreshed.token, 'string');
+    assert.strictEqual(tokenRequests(), requestsBefore + 1);
+
+    await assert.rejects(helpers.refreshAcsToken(acsUserId, fixture.acsConfig, 'email'), helpers.AcsError);
+});
+
+test('createOrGetChatThread creates one thread per conversation, as the bot', async () => {
+    const fixture = createFixture();
+
+    const threadId = await helpers.createOrGetChatThread('a:conversation', fixture.acsConfig);
+
+    assert.strictEqual(await helpers.createOrGetChatThread('a:conversation', fixture.acsConfig), threadId);
+    const thread = fixture.acsService.getThread(threadId);
+    assert.strictEqual(thread.topic, 'Teams Conversation a:conversation');
+    const bot = await helpers.resolveBotIdentityManager(fixture.acsConfig).getIdentity();
+    assert.strictEqual(thread.createdBy, bot.acsUserId);
+    assert.strictEqual(fixture.acsService.listThreads().length, 1);
+});
+
+test('createOrGetChatThread maps one thread when turns race for a conversation', async () => {
+    const fixture = createFixture();
+
+    const threadIds = await Promise.all([
+        helpers.createOrGetChatThread('a:conversation', fixture.acsConfig),
+        helpers.createOrGetChatThread('a:conversation', fixture.acsConfig)
+    ]);
+
+    assert.strictEqual(threadIds[0], threadIds[1]);
+    assert.strictEqual(await helpers.getChatThreadForConversation('a:conversation', fixture.acsConfig), threadIds[0]);
+    assert.strictEqual(await helpers.getConversationForChatThread(threadIds[0], fixture.acsConfig), 'a:conversation');
+    const liveThreads = fixture.acsService.listThreads().filter(thread => !thread.deletedOn);
+    assert.deepStrictEqual(liveThreads.map(thread => thread.id), [threadIds[0]]);
+});
+
+test('storeThreadMapping maps conversations and threads both ways', async () => {
+    const fixture = createFixture();
+
+    assert.strictEqual(await helpers.storeThreadMapping('a:conversation', '19:thread', fixture.acsConfig), true);
+
+    assert.strictEqual(await helpers.getChatThreadForConversation('a:conversation', fixture.acsConfig), '19:thread');
+    assert.strictEqual(await helpers.getConversationForChatThread('19:thread', fixture.acsConfig), 'a:conversation');
+    assert.strictEqual(await helpers.getChatThreadForConversation('a:unknown', fixture.acsConfig), null);
+    assert.strictEqual(await helpers.getConversationForChatThread('19:unknown', fixture.acsConfig), null);
+});
+
+test('storeConversationReference stores where a conversation lives', async () => {
+    const fixture = createFixture();
+    const activity = createTeamsMessageActivity('Hello');
+
+    assert.strictEqual(await helpers.storeConversationReference(createContext(fixture, activity), fixture.acsConfig), true);
+
+    const reference = await helpers.getConversationReference(activity.conversation.id, fixture.acsConfig);
+    assert.strictEqual(reference.conversation.id, activity.conversation.id);
+    assert.strictEqual(reference.serviceUrl, activity.serviceUrl);
+    assert.strictEqual(await helpers.getConversationReference('a:unknown', fixture.acsConfig), null);
+});
+
+test('sendMessageToThread sends as the bot or as a given user', async () => {
+    const fixture = createFixture();
+    const threadId = await helpers.createOrGetChatThread('a:conversation', fixture.acsConfig);
+    const customer = fixture.acsService.createUser();
+    fixture.acsService.addParticipant(threadId, customer.acsUserId, 'Customer');
+
+    const botMessageId = await helpers.sendMessageToThread(threadId, 'From the bot', fixture.acsConfig, null, {
+        senderDisplayName: 'ACS Bot',
+        metadata: { origin: 'test' }
+    });
+    const customerMessageId = await helpers.sendMessageToThread(threadId, 'From the customer', fixture.acsConfig, {
+        acsUserId: customer.acsUserId
+    });
+
+    const messages = fixture.acsService.getThread(threadId).messages;
+    const botMessage = messages.find(message => message.id === botMessageId);
+    const customerMessage = messages.find(message => message.id === customerMessageId);
+    const bot = await helpers.resolveBotIdentityManager(fixture.acsConfig).getIdentity();
+    assert.strictEqual(botMessage.senderAcsUserId, bot.acsUserId);
+    assert.strictEqual(botMessage.senderDisplayName, 'ACS Bot');
+    assert.deepStrictEqual(botMessage.metadata, { origin: 'test' });
+    assert.strictEqual(customerMessage.senderAcsUserId, customer.acsUserId);
+    assert.strictEqual(customerMessage.content.message, 'From the customer');
+});
+
+test('updateMessageInThread and deleteMessageFromThread change the bot\'s messages', async () => {
+    const fixture = createFixture();
+    const threadId = await helpers.createOrGetChatThread('a:conversation', fixture.acsConfig);
+    const messageId = await helpers.sendMessageToThread(threadId, 'Draft', fixture.acsConfig);
+    const findMessage = () => fixture.acsService.getThread(threadId).messages.find(message => message.id === messageId);
+
+    await helpers.updateMessageInThread(threadId, messageId, 'Final', fixture.acsConfig);
+    assert.strictEqual(findMessage().content.message, 'Final');
+    assert.ok(findMessage().editedOn);
+
+    await helpers.deleteMessageFromThread(threadId, messageId, fixture.acsConfig);
+    assert.ok(findMessage().deletedOn);
+
+    // Messages that are already gone count as deleted
+    await helpers.deleteMessageFromThread(threadId, messageId, fixture.acsConfig);
+    await assert.rejects(helpers.updateMessageInThread(threadId, 'missing', 'Lost', fixture.acsConfig), helpers.AcsNotFoundError);
+});
+
+test('setupAcsMiddleware forwards Teams messages and records them', async () => {
+    const fixture = createFixture();
+    const activity = createTeamsMessageActivity('Hello from Teams');
+
+    const replies = await fixture.send(activity);
+
+    assert.deepStrictEqual(replies.map(reply => reply.text), ['echo: Hello from Teams']);
+    const threadId = await helpers.getChatThreadForConversation(activity.conversation.id, fixture.acsConfig);
+    assert.deepStrictEqual(messageTexts(fixture, threadId), ['Hello from Teams']);
+
+    const record = await helpers.getForwardedMessage(activity.conversation.id, activity.id, fixture.acsConfig);
+    assert.strictEqual(record.threadId, threadId);
+    assert.strictEqual(record.status, helpers.FORWARDED_MESSAGE_STATUS.sent);
+    assert.strictEqual(await helpers.getForwardedMessage(activity.conversation.id, 'unknown', fixture.acsConfig), null);
+});
+
+test('forwardTeamsMessageToAcs drops redelivered activities', async () => {
+    const fixture = createFixture();
+    const activity = createTeamsMessageActivity('Only once');
+
+    assert.strictEqual(await helpers.forwardTeamsMessageToAcs(createContext(fixture, activity), fixture.acsConfig), true);
+    assert.strictEqual(await helpers.forwardTeamsMessageToAcs(createContext(fixture, activity), fixture.acsConfig), false);
+
+    const threadId = await helpers.getChatThreadForConversation(activity.conversation.id, fixture.acsConfig);
+    assert.deepStrictEqual(messageTexts(fixture, threadId), ['Only once']);
+});
+
+test('forwardTeamsMessageUpdateToAcs and forwardTeamsMessageDeleteToAcs follow Teams edits and deletes', async () => {
+    const fixture = createFixture();
+    const { activity, conversationId, threadId } = await bridgeConversation(fixture);
+    const { acsMessageId } = await helpers.getForwardedMessage(conversationId, activity.id, fixture.acsConfig);
+    const findMessage = () => fixture.acsService.getThread(threadId).messages.find(message => message.id === acsMessageId);
+
+    await fixture.send(createTeamsMessageChangeActivity(activity, 'Edited in Teams'));
+    assert.strictEqual(findMessage().content.message, 'Edited in Teams');
+
+    await fixture.send(createTeamsMessageChangeActivity(activity, null));
+    assert.ok(findMessage().deletedOn);
+    const record = await helpers.getForwardedMessage(conversationId, activity.id, fixture.acsConfig);
+    assert.strictEqual(record.status, helpers.FORWARDED_MESSAGE_STATUS.deleted);
+
+    // Deleted and unknown messages are left alone
+    const edit = createTeamsMessageChangeActivity(activity, 'Too late');
+    assert.strictEqual(await helpers.forwardTeamsMessageUpdateToAcs(createContext(fixture, edit), fixture.acsConfig), false);
+    const unknown = createTeamsMessageChangeActivity(createTeamsMessageActivity('Never forwarded'), null);
+    assert.strictEqual(await helpers.forwardTeamsMessageDeleteToAcs(createContext(fixture, unknown), fixture.acsConfig), false);
+});
+
+test('setConversationForwarding opts a conversation out of forwarding', async () => {
+    const fixture = createFixture();
+    const activity = createTeamsMessageActivity('Keep this in Teams');
+
+    assert.strictEqual(await helpers.getConversationForwarding(activity.conversation.id, fixture.acsConfig), null);
+    await helpers.setConversationForwarding(activity.conversation.id, false, fixture.acsConfig);
+    assert.strictEqual(await helpers.getConversationForwarding(activity.conversation.id, fixture.acsConfig), false);
+
+    const decision = await helpers.evaluateForwardingPolicy(createContext(fixture, activity), fixture.acsConfig);
+    assert.strictEqual(decision.forward, false);
+
+    const replies = await fixture.send(activity);
+    assert.deepStrictEqual(replies.map(reply => reply.text), ['echo: Keep this in Teams']);
+    assert.strictEqual(fixture.acsService.listThreads().length, 0);
+});
+
+test('evaluateForwardingPolicy applies the configured rules and timing', async () => {
+    const fixture = createFixture({
+        config: { forwarding: { exclude: { conversationTypes: ['groupChat'] }, timing: 'after' } }
+    });
+
+    const personal = await helpers.evaluateForwardingPolicy(
+        createContext(fixture, createTeamsMessageActivity('Hi')), fixture.acsConfig);
+    const group = await helpers.evaluateForwardingPolicy(
+        createContext(fixture, createTeamsMessageActivity('Hi', { conversationType: 'groupChat' })), fixture.acsConfig);
+
+    assert.strictEqual(personal.forward, true);
+    assert.strictEqual(personal.timing, 'after');
+    assert.strictEqual(group.forward, false);
+});
+
+test('suppressForwarding lets a handler keep a message out of ACS', async () => {
+    const fixture = createFixture({
+        config: { forwarding: { timing: 'after' } },
+        logic: async (context) => {
+            if (context.activity.text.includes('secret')) {
+                helpers.suppressForwarding(context);
+            }
+        }
+    });
+
+    const secret = createTeamsMessageActivity('A secret', { conversationId: 'a:suppressed' });
+    await fixture.send(secret);
+    const shared = createTeamsMessageActivity('Shared', { conversationId: 'a:suppressed' });
+    await fixture.send(shared);
+
+    const threadId = await helpers.getChatThreadForConversation('a:suppressed', fixture.acsConfig);
+    assert.deepStrictEqual(messageTexts(fixture, threadId), ['Shared']);
+});
+
+test('forwardTeamsTypingToAcs passes on typing in bridged conversations only', async () => {
+    const fixture = createFixture();
+    const { conversationId, threadId } = await bridgeConversation(fixture);
+
+    await fixture.send(createTeamsActivity('typing', { conversationId }));
+    const bot = await helpers.resolveBotIdentityManager(fixture.acsConfig).getIdentity();
+    assert.strictEqual(fixture.acsService.getThread(threadId).typing.acsUserId, bot.acsUserId);
+
+    // Typing within the interval, or in a conversation without a thread, sends nothing
+    const repeat = createTeamsActivity('typing', { conversationId });
+    assert.strictEqual(await helpers.forwardTeamsTypingToAcs(createContext(fixture, repeat), fixture.acsConfig), false);
+    const unbridged = createTeamsActivity('typing');
+    assert.strictEqual(await helpers.forwardTeamsTypingToAcs(createContext(fixture, unbridged), fixture.acsConfig), false);
+    assert.strictEqual(fixture.acsService.listThreads().length, 1);
+});
+
+test('forwardTeamsReadReceiptToAcs sends a read receipt for the relayed message', async () => {
+    const fixture = createFixture();
+    const { conversationId, threadId } = await bridgeConversation(fixture);
+    const customer = fixture.acsService.createUser();
+    fixture.acsService.addParticipant(threadId, customer.acsUserId, 'Customer');
+    const acsMessageId = fixture.acsService.postMessage(threadId, customer.acsUserId, 'Reply from ACS', {
+        senderDisplayName: 'Customer'
+    });
+    const [relayed] = await fixture.relayAcsMessages();
+
+    await fixture.send(createTeamsReadReceiptActivity(relayed.id, { conversationId }));
+
+    const bot = await helpers.resolveBotIdentityManager(fixture.acsConfig).getIdentity();
+    const receipt = fixture.acsService.getThread(threadId).readReceipts.find(entry => entry.acsUserId === bot.acsUserId);
+    assert.strictEqual(receipt.chatMessageId, acsMessageId);
+
+    // Each relayed message gets one receipt
+    const again = createTeamsReadReceiptActivity(relayed.id, { conversationId });
+    assert.strictEqual(await helpers.forwardTeamsReadReceiptToAcs(createContext(fixture, again), fixture.acsConfig), false);
+});
+
+test('createSeenByCard names three readers and counts the rest', () => {
+    const readers = ['Ada', 'Grace', 'Edsger', 'Barbara'].map(displayName => ({ displayName }));
+
+    assert.strictEqual(helpers.createSeenByCard(readers.slice(0, 2)).body[0].text, 'Seen by Ada, Grace');
+    assert.strictEqual(helpers.createSeenByCard(readers).body[0].text, 'Seen by Ada, Grace, Edsger and 1 more');
+});
+
+test('createAcsToTeamsRelay relays ACS messages into the conversation, but not the bot\'s own', async () => {
+    const fixture = createFixture();
+    const { threadId } = await bridgeConversation(fixture);
+    const customer = fixture.acsService.createUser();
+    fixture.acsService.addParticipant(threadId, customer.acsUserId, 'Customer');
+
+    fixture.acsService.postMessage(threadId, customer.acsUserId, 'Reply from ACS', { senderDisplayName: 'Customer' });
+    const relayed = await fixture.relayAcsMessages();
+
+    assert.strictEqual(relayed.length, 1);
+    assert.match(relayed[0].text, /Customer.*Reply from ACS/);
+
+    // The forwarded Teams message was already taken with the events above
+    assert.deepStrictEqual(await fixture.relayAcsMessages(), []);
+    const ownRelay = helpers.createAcsToTeamsRelay(fixture.adapter, fixture.acsConfig);
+    const validation = await ownRelay.handleEventGridEvents([{
+        eventType: 'Microsoft.EventGrid.SubscriptionValidationEvent',
+        data: { validationCode: 'code-123' }
+    }]);
+    assert.deepStrictEqual(validation, { validationResponse: 'code-123' });
+});
+
+test('addTeamsUserToThread and removeTeamsUserFromThread manage participants', async () => {
+    const fixture = createFixture();
+    const threadId = await helpers.createOrGetChatThread('a:conversation', fixture.acsConfig);
+
+    assert.strictEqual(await helpers.addTeamsUserToThread('29:ada', threadId, fixture.acsConfig, 'Ada'), true);
+    const acsUserId = await helpers.getAcsUserIdForTeamsUser('29:ada', fixture.acsConfig);
+    const participant = fixture.acsService.getThread(threadId).participants.find(entry => entry.acsUserId === acsUserId);
+    assert.strictEqual(participant.displayName, 'Ada');
+
+    assert.strictEqual(await helpers.removeTeamsUserFromThread('29:ada', threadId, fixture.acsConfig), true);
+    assert.ok(!participantIds(fixture, threadId).includes(acsUserId));
+
+    // Users without an identity, or already gone, count as removed
+    assert.strictEqual(await helpers.removeTeamsUserFromThread('29:nobody', threadId, fixture.acsConfig), true);
+    assert.strictEqual(await helpers.removeTeamsUserFromThread('29:ada', threadId, fixture.acsConfig), true);
+    assert.strictEqual(await helpers.addTeamsUserToThread('29:ada', '19:missing@thread.v2', fixture.acsConfig), false);
+});
+
+test('updateThreadTopic renames the thread', async () => {
+    const fixture = createFixture();
+    const threadId = await helpers.createOrGetChatThread('a:conversation', fixture.acsConfig);
+
+    assert.strictEqual(await helpers.updateThreadTopic(threadId, 'Support', fixture.acsConfig), true);
+
+    assert.strictEqual(fixture.acsService.getThread(threadId).topic, 'Support');
+    assert.strictEqual(await helpers.updateThreadTopic('19:missing@thread.v2', 'Lost', fixture.acsConfig), false);
+});
+
+test('archiveConversationMapping stops relaying to a conversation but keeps the thread', async () => {
+    const fixture = createFixture();
+    const { conversationId, threadId } = await bridgeConversation(fixture);
+
+    assert.strictEqual(await helpers.archiveConversationMapping(conversationId, 'teamDeleted', fixture.acsConfig), true);
+
+    assert.strictEqual(await helpers.getChatThreadForConversation(conversationId, fixture.acsConfig), null);
+    assert.strictEqual(await helpers.getConversationForChatThread(threadId, fixture.acsConfig), null);
+    assert.strictEqual(await helpers.getConversationReference(conversationId, fixture.acsConfig), null);
+    assert.ok(fixture.acsService.getThread(threadId));
+    assert.strictEqual(await helpers.archiveConversationMapping(conversationId, 'teamDeleted', fixture.acsConfig), false);
+});
+
+test('getTeamsMemberDisplayName falls back to the member\'s name when the roster cannot be read', async () => {
+    const fixture = createFixture();
+    const context = createContext(fixture, createTeamsMessageActivity('Hi'));
+
+    assert.strictEqual(await helpers.getTeamsMemberDisplayName(context, { id: '29:ada', name: 'Ada' }), 'Ada');
+    assert.strictEqual(await helpers.getTeamsMemberDisplayName(context, { id: '29:anon' }), 'Teams User 29:anon');
+});
+
+test('handleConversationUpdate adds and removes members of bridged conversations', async () => {
+    const fixture = createFixture();
+    const { conversationId, threadId } = await bridgeConversation(fixture);
+
+    await fixture.send(createConversationUpdateActivity({
+        conversationId,
+        membersAdded: [{ id: '29:grace', name: 'Grace' }]
+    }));
+    const acsUserId = await helpers.getAcsUserIdForTeamsUser('29:grace', fixture.acsConfig);
+    assert.ok(participantIds(fixture, threadId).includes(acsUserId));
+
+    await fixture.send(createConversationUpdateActivity({
+        conversationId,
+        membersRemoved: [{ id: '29:grace', name: 'Grace' }]
+    }));
+    assert.ok(!participantIds(fixture, threadId).includes(acsUserId));
+});
+
+test('handleConversationUpdate renames threads of renamed channels and archives removed bots', async () => {
+    const fixture = createFixture();
+    const team = { id: '19:team@thread.tacv2', name: 'Support' };
+    const channel = { id: '19:general@thread.tacv2', name: 'General' };
+    const { conversationId, threadId } = await bridgeConversation(fixture, { team, channel, conversationId: channel.id });
+
+    const renamed = createConversationUpdateActivity({
+        conversationId,
+        team,
+        channel: { ...channel, name: 'Escalations' },
+        eventType: 'channelRenamed'
+    });
+    assert.strictEqual(await helpers.handleConversationUpdate(createContext(fixture, renamed), fixture.acsConfig), true);
+    assert.strictEqual(fixture.acsService.getThread(threadId).topic, 'Escalations');
+
+    await fixture.send(createConversationUpdateActivity({
+        conversationId,
+        team,
+        channel,
+        membersRemoved: [{ id: '28:test-bot', name: 'ACS Bot' }]
+    }));
+    assert.strictEqual(await helpers.getChatThreadForConversation(conversationId, fixture.acsConfig), null);
+});
+
+test('handleAdaptiveCardAction joins the clicking user to the thread', async () => {
+    const fixture = createFixture();
+    const threadId = await helpers.createOrGetChatThread('a:conversation', fixture.acsConfig);
+    const activity = createTeamsActivity('invoke', { conversationId: 'a:conversation' });
+    activity.name = 'adaptiveCard/action';
+    activity.value = { action: { type: 'Action.Execute', verb: 'joinAcsThread', data: { threadId } }, trigger: 'manual' };
+
+    const response = await helpers.handleAdaptiveCardAction(createContext(fixture, activity), fixture.acsConfig);
+
+    assert.strictEqual(response.status, 200);
+    const card = response.body.value;
+    assert.strictEqual(card.body[card.body.length - 1].text, 'Test User joined the chat thread.');
+    const acsUserId = await helpers.getAcsUserIdForTeamsUser('29:test-user', fixture.acsConfig);
+    assert.ok(participantIds(fixture, threadId).includes(acsUserId));
+});
+
+test('handleAdaptiveCardAction sends messages as the clicking user and validates payloads', async () => {
+    const fixture = createFixture();
+    const threadId = await helpers.createOrGetChatThread('a:conversation', fixture.acsConfig);
+    await helpers.addTeamsUserToThread('29:test-user', threadId, fixture.acsConfig, 'Test User');
+    const submit = (value) => createContext(fixture, createTeamsMessageActivity(undefined, { conversationId: 'a:conversation', value }));
+
+    const response = await helpers.handleAdaptiveCardAction(
+        submit({ actionType: 'sendAcsMessage', threadId, messageText: 'Sent from a card' }), fixture.acsConfig);
+
+    const card = response.body.value;
+    assert.strictEqual(card.body[card.body.length - 1].text, 'Your message was sent to the chat thread.');
+    const [message] = fixture.acsService.getThread(threadId).messages.filter(entry => entry.type === 'text');
+    assert.strictEqual(message.senderAcsUserId, await helpers.getAcsUserIdForTeamsUser('29:test-user', fixture.acsConfig));
+
+    const invalid = await helpers.handleAdaptiveCardAction(submit({ actionType: 'joinAcsThread' }), fixture.acsConfig);
+    assert.strictEqual(invalid.body.statusCode, 400);
+    assert.strictEqual(await helpers.handleAdaptiveCardAction(submit({ actionType: 'unknown' }), fixture.acsConfig), null);
+});
+
+test('handleAdaptiveCardAction refuses threads other than the conversation\'s own', async () => {
+    const fixture = createFixture();
+    const ownThreadId = await helpers.createOrGetChatThread('a:conversation', fixture.acsConfig);
+    const otherThreadId = await helpers.createOrGetChatThread('a:other', fixture.acsConfig);
+    await helpers.addTeamsUserToThread('29:test-user', ownThreadId, fixture.acsConfig, 'Test User');
+    const submit = (conversationId, value) => helpers.handleAdaptiveCardAction(
+        createContext(fixture, createTeamsMessageActivity(undefined, { conversationId, value })), fixture.acsConfig);
+
+    const joined = await submit('a:conversation', { actionType: 'joinAcsThread', threadId: otherThreadId });
+    const sent = await submit('a:conversation', { actionType: 'sendAcsMessage', threadId: otherThreadId, messageText: 'Hi' });
+    const unbridged = await submit('a:unbridged', { actionType: 'joinAcsThread', threadId: ownThreadId });
+
+    for (const response of [joined, sent, unbridged]) {
+        assert.strictEqual(response.body.statusCode, 403);
+        assert.strictEqual(response.body.value.code, 'Forbidden');
+    }
+    const acsUserId = await helpers.getAcsUserIdForTeamsUser('29:test-user', fixture.acsConfig);
+    assert.ok(!participantIds(fixture, otherThreadId).includes(acsUserId));
+    assert.deepStrictEqual(messageTexts(fixture, otherThreadId), []);
+});
+
+test('registerCardAction adds application actions to the shared router', async () => {
+    const fixture = createFixture();
+    const activity = createTeamsMessageActivity(undefined, { value: { actionType: 'approveRequest', requestId: '42' } });
+    helpers.registerCardAction('approveRequest', async (context, action) => `Approved ${action.requestId}`, {
+        schema: { requestId: { type: 'string', required: true } }
+    });
+
+    try {
+        assert.ok(helpers.resolveCardActionRouter(fixture.acsConfig).has('approveRequest'));
+        const response = await helpers.handleAdaptiveCardAction(createContext(fixture, activity), fixture.acsConfig);
+        assert.deepStrictEqual(response, helpers.createMessageInvokeResponse('Approved 42'));
+    } finally {
+        helpers.resolveCardActionRouter(fixture.acsConfig).unregister('approveRequest');
+    }
+});
+
+test('createCardActionRouter gives a bot its own actions', async () => {
+    const router = helpers.createCardActionRouter()
+        .register('ping', async () => helpers.createErrorInvokeResponse(409, 'Conflict', 'Already pinged'));
+    const fixture = createFixture({ config: { cardActionRouter: router } });
+    const activity = createTeamsMessageActivity(undefined, { value: { actionType: 'ping' } });
+
+    assert.strictEqual(helpers.resolveCardActionRouter(fixture.acsConfig), router);
+    const response = await helpers.handleAdaptiveCardAction(createContext(fixture, activity), fixture.acsConfig);
+
+    assert.deepStrictEqual(response.body.value, { code: 'Conflict', message: 'Already pinged' });
+    assert.strictEqual(response.body.statusCode, 409);
+    assert.ok(!router.has('joinAcsThread'));
+});
+
+test('builds invoke responses and per-user refreshes', () => {
+    const card = helpers.createAdaptiveCard({ body: [] });
+
+    assert.deepStrictEqual(helpers.createCardInvokeResponse(card).body.value, card);
+    assert.strictEqual(helpers.createCardInvokeResponse(card).status, 200);
+    assert.strictEqual(helpers.createMessageInvokeResponse('Done').body.value, 'Done');
+    assert.strictEqual(helpers.createErrorInvokeResponse(500, 'Failed', 'Broken').body.statusCode, 500);
+
+    const refreshed = helpers.withUserRefresh(card, { verb: 'refreshStatus', data: { title: 'T' }, userIds: ['29:ada'] });
+    assert.strictEqual(refreshed.version, '1.4');
+    assert.deepStrictEqual(refreshed.refresh, {
+        action: { type: 'Action.Execute', verb: 'refreshStatus', data: { title: 'T', actionType: 'refreshStatus' } },
+        userIds: ['29:ada']
+    });
+});
+
+test('acs link links the conversation to a new or given thread', async () => {
+    const fixture = createFixture({ config: { commands: { authorize: async () => true } } });
+    const first = createTeamsMessageActivity('acs link', { mentionBot: true });
+
+    const [created] = await fixture.send(first);
+
+    const threadId = await helpers.getChatThreadForConversation(first.conversation.id, fixture.acsConfig);
+    assert.strictEqual(created.text, `This conversation is linked to ACS chat thread ${threadId}.`);
+    assert.deepStrictEqual(messageTexts(fixture, threadId), []);
+
+    // A thread whose conversation was archived is free to link
+    const otherThreadId = await helpers.createOrGetChatThread('a:other', fixture.acsConfig);
+    await helpers.archiveConversationMapping('a:other', 'teamDeleted', fixture.acsConfig);
+    const [linked] = await fixture.send(createTeamsMessageActivity(`acs link ${otherThreadId}`, {
+        conversationId: first.conversation.id,
+        mentionBot: true
+    }));
+    assert.strictEqual(linked.text, `This conversation is linked to ACS chat thread ${otherThreadId}.`);
+    assert.strictEqual(await helpers.getChatThreadForConversation(first.conversation.id, fixture.acsConfig), otherThreadId);
+    assert.strictEqual(await helpers.getConversationForChatThread(threadId, fixture.acsConfig), null);
+
+    const [refused] = await fixture.send(createTeamsMessageActivity('acs link 19:unknown@thread.v2', { mentionBot: true }));
+    assert.match(refused.text, /cannot access ACS chat thread 19:unknown@thread.v2/);
+});
+
+test('acs link refuses a thread linked to another conversation', async () => {
+    const fixture = createFixture({ config: { commands: { authorize: async () => true }, audit: { type: 'memory' } } });
+    const victim = await bridgeConversation(fixture);
+    const intruder = createTeamsMessageActivity(`acs link ${victim.threadId}`, { mentionBot: true });
+
+    const [reply] = await fixture.send(intruder);
+
+    assert.strictEqual(reply.text, `ACS chat thread ${victim.threadId} is already linked to another conversation.`);
+    assert.strictEqual(await helpers.getConversationForChatThread(victim.threadId, fixture.acsConfig), victim.conversationId);
+    assert.strictEqual(await helpers.getChatThreadForConversation(intruder.conversation.id, fixture.acsConfig), null);
+    const [event] = await helpers.resolveAuditLog(fixture.acsConfig).query({ operation: helpers.AUDIT_OPERATIONS.threadLink });
+    assert.strictEqual(event.outcome, helpers.AUDIT_OUTCOMES.failure);
+});
+
+test('acs link is refused unless commands.authorize allows it', async () => {
+    const denied = createFixture();
+    const [reply] = await denied.send(createTeamsMessageActivity('acs link', { mentionBot: true }));
+    assert.strictEqual(reply.text, 'You are not allowed to use the link command.');
+    assert.strictEqual(denied.acsService.listThreads().length, 0);
+
+    const owners = createFixture({
+        config: { commands: { authorize: async (context, command) => command.name !== 'link' || context.activity.from.id === '29:owner' } }
+    });
+    const [refused] = await owners.send(createTeamsMessageActivity('acs link', { mentionBot: true }));
+    const [linked] = await owners.send(createTeamsMessageActivity('acs link', { mentionBot: true, from: { id: '29:owner', name: 'Owner' } }));
+    assert.strictEqual(refused.text, 'You are not allowed to use the link command.');
+    assert.match(linked.text, /^This conversation is linked to ACS chat thread /);
+});
+
+test('acs join and acs leave add and remove the sender', async () => {
+    const fixture = createFixture();
+    const { conversationId, threadId } = await bridgeConversation(fixture);
+    const command = text => createTeamsMessageActivity(text, { conversationId, mentionBot: true });
+
+    const [joined] = await fixture.send(command('acs join'));
+    assert.strictEqual(joined.text, 'Test User joined the ACS chat thread.');
+    const acsUserId = await helpers.getAcsUserIdForTeamsUser('29:test-user', fixture.acsConfig);
+    assert.ok(participantIds(fixture, threadId).includes(acsUserId));
+
+    const [left] = await fixture.send(command('acs leave'));
+    assert.strictEqual(left.text, 'You left the ACS chat thread.');
+    assert.ok(!participantIds(fixture, threadId).includes(acsUserId));
+
+    const [unlinked] = await fixture.send(createTeamsMessageActivity('acs join', { mentionBot: true }));
+    assert.match(unlinked.text, /not linked to an ACS chat thread yet/);
+});
+
+test('acs status and acs help answer with cards', async () => {
+    const fixture = createFixture();
+    const { conversationId, threadId } = await bridgeConversation(fixture);
+
+    const [status] = await fixture.send(createTeamsMessageActivity('acs status', { conversationId, mentionBot: true }));
+    const statusCard = status.attachments[0].content;
+    assert.deepStrictEqual(statusCard.body[1].facts.slice(0, 3), [
+        { title: 'Status', value: 'Bridged to ACS' },
+        { title: 'Chat Thread', value: threadId },
+        { title: 'You', value: 'Not yet connected to ACS' }
+    ]);
+
+    const [help] = await fixture.send(createTeamsMessageActivity('acs help', { conversationId, mentionBot: true }));
+    const helpText = JSON.stringify(help.attachments[0].content);
+    for (const name of ['link', 'join', 'leave', 'status', 'export', 'help']) {
+        assert.ok(helpText.includes(name), `help card is missing ${name}`);
+    }
+});
+
+test('acs export offers the transcript as a file, with or without a format', async () => {
+    const fixture = createFixture();
+    const { conversationId } = await bridgeConversation(fixture);
+
+    const [offer] = await fixture.send(createTeamsMessageActivity('acs export markdown', { conversationId, mentionBot: true }));
+    assert.strictEqual(offer.attachments[0].contentType, 'application/vnd.microsoft.teams.card.file.consent');
+    assert.match(offer.attachments[0].name, /\.md$/);
+
+    const [dated] = await fixture.send(createTeamsMessageActivity('acs export 2024-01-01 2099-01-01', { conversationId, mentionBot: true }));
+    assert.match(dated.attachments[0].name, /\.html$/);
+});
+
+test('transcript offers are redeemed once, by the user they were made to, for the offered thread', async () => {
+    const fixture = createFixture();
+    const { conversationId } = await bridgeConversation(fixture);
+    const otherThreadId = await helpers.createOrGetChatThread('a:other', fixture.acsConfig);
+    fixture.acsService.postMessage(otherThreadId, (await helpers.resolveBotIdentityManager(fixture.acsConfig).getIdentity()).acsUserId,
+        'Confidential');
+    const uploads = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init) => {
+        uploads.push(init.body.toString('utf8'));
+        return { ok: true, status: 201 };
+    };
+    const consent = (context, from) => {
+        const activity = createTeamsActivity('invoke', { conversationId, from });
+        activity.name = 'fileConsent/invoke';
+        activity.value = {
+            type: 'fileUpload',
+            action: 'accept',
+            context,
+            uploadInfo: { name: 'transcript.html', uploadUrl: 'https://upload.contoso.com/1', contentUrl: 'https://contoso.com/1', uniqueId: '1', fileType: 'html' }
+        };
+        return fixture.send(activity);
+    };
+
+    try {
+        const [offer] = await fixture.send(createTeamsMessageActivity('acs export', { conversationId, mentionBot: true }));
+        const acceptContext = offer.attachments[0].content.acceptContext;
+        assert.deepStrictEqual(Object.keys(acceptContext.acsTranscript), ['offerId']);
+
+        // A forged context naming another thread exports nothing
+        const [forged] = await consent({ acsTranscript: { threadId: otherThreadId, format: 'html' } });
+        assert.match(forged.text, /no longer available/);
+        const [stolen] = await consent(acceptContext, { id: '29:mallory', name: 'Mallory' });
+        assert.match(stolen.text, /no longer available/);
+        assert.deepStrictEqual(uploads, []);
+
+        const [delivered] = await consent(acceptContext);
+        assert.strictEqual(delivered.attachments[0].contentType, 'application/vnd.microsoft.teams.card.file.info');
+        assert.strictEqual(uploads.length, 1);
+        assert.match(uploads[0], /Hello from Teams/);
+        assert.ok(!uploads[0].includes('Confidential'));
+
+        const [replayed] = await consent(acceptContext);
+        assert.match(replayed.text, /no longer available/);
+        assert.strictEqual(uploads.length, 1);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+});
+
+test('sendTranscriptToTeams exports another conversation\'s thread only when authorize allows it', async () => {
+    let authorized = null;
+    const fixture = createFixture({ config: { transcripts: { authorize: async () => authorized } } });
+    const otherThreadId = await helpers.createOrGetChatThread('a:other', fixture.acsConfig);
+    const { conversationId } = await bridgeConversation(fixture);
+    const sent = [];
+    const createExportContext = () => {
+        const context = createContext(fixture, createTeamsMessageActivity('export', { conversationId }));
+        context.onSendActivities(async (turnContext, activities) => {
+            sent.push(...activities);
+            return activities.map(() => ({ id: '' }));
+        });
+        return context;
+    };
+
+    // Without the hook only the conversation's own thread can be exported
+    delete fixture.acsConfig.transcripts.authorize;
+    assert.strictEqual(await helpers.sendTranscriptToTeams(createExportContext(), fixture.acsConfig, { threadId: otherThreadId }), false);
+    assert.strictEqual(sent.pop().text, 'You are not allowed to export this transcript.');
+
+    fixture.acsConfig.transcripts.authorize = async () => authorized;
+    authorized = false;
+    assert.strictEqual(await helpers.sendTranscriptToTeams(createExportContext(), fixture.acsConfig, { threadId: otherThreadId }), false);
+    assert.strictEqual(sent.pop().text, 'You are not allowed to export this transcript.');
+
+    authorized = true;
+    assert.strictEqual(await helpers.sendTranscriptToTeams(createExportContext(), fixture.acsConfig, { threadId: otherThreadId }), true);
+    assert.strictEqual(sent.pop().attachments[0].contentType, 'application/vnd.microsoft.teams.card.file.consent');
+});
+
+test('text that names no command is forwarded, not answered', async () => {
+    const fixture = createFixture();
+    const activity = createTeamsMessageActivity('ACS is down again');
+
+    assert.strictEqual(helpers.resolveCommandRouter(fixture.acsConfig).parse(activity), null);
+    const replies = await fixture.send(activity);
+
+    assert.deepStrictEqual(replies.map(reply => reply.text), ['echo: ACS is down again']);
+    const threadId = await helpers.getChatThreadForConversation(activity.conversation.id, fixture.acsConfig);
+    assert.deepStrictEqual(messageTexts(fixture, threadId), ['ACS is down again']);
+});
+
+test('prefixed chat that does not fit a command is forwarded unless the bot is mentioned', async () => {
+    const fixture = createFixture();
+    const router = helpers.resolveCommandRouter(fixture.acsConfig);
+    const sentences = ['ACS status is degraded in westus', 'acs export failed again', 'acs join the call at 3', 'acs'];
+
+    for (const text of sentences) {
+        assert.strictEqual(router.parse(createTeamsMessageActivity(text)), null, `"${text}" parsed as a command`);
+    }
+    const conversationId = 'a:chatter';
+    for (const text of sentences) {
+        const replies = await fixture.send(createTeamsMessageActivity(text, { conversationId }));
+        assert.deepStrictEqual(replies.map(reply => reply.text), [`echo: ${text}`]);
+    }
+    const threadId = await helpers.getChatThreadForConversation(conversationId, fixture.acsConfig);
+    assert.deepStrictEqual(messageTexts(fixture, threadId), sentences);
+
+    // Addressed to the bot, the same text is a command to correct
+    const [usage] = await fixture.send(createTeamsMessageActivity('acs status is degraded', { mentionBot: true }));
+    assert.match(usage.text, /^Invalid status command: too many arguments/);
+    assert.strictEqual(router.parse(createTeamsMessageActivity('acs', { mentionBot: true })).name, 'help');
+    assert.strictEqual(router.parse(createTeamsMessageActivity('acs status')).name, 'status');
+});
+
+test('registerCommand adds commands to the shared router and help card', async () => {
+    const fixture = createFixture();
+    helpers.registerCommand('ping', async (context, command) => `pong ${command.args.target || ''}`.trim(), {
+        description: 'Checks the bot is alive',
+        args: [{ name: 'target' }]
+    });
+
+    try {
+        const [reply] = await fixture.send(createTeamsMessageActivity('acs ping ACS', { mentionBot: true }));
+        assert.strictEqual(reply.text, 'pong ACS');
+        assert.match(JSON.stringify(helpers.resolveCommandRouter(fixture.acsConfig).createHelpCard()), /Checks the bot is alive/);
+    } finally {
+        helpers.resolveCommandRouter(fixture.acsConfig).unregister('ping');
+    }
+});
+
+test('createCommandRouter and handleBotCommand give a bot its own commands', async () => {
+    const router = helpers.createCommandRouter({ prefix: 'bridge' })
+        .register('hello', async () => 'Hello from the bridge');
+    const fixture = createFixture({ config: { commandRouter: router } });
+
+    assert.strictEqual(helpers.resolveCommandRouter(fixture.acsConfig), router);
+    const [reply] = await fixture.send(createTeamsMessageActivity('bridge hello', { mentionBot: true }));
+    assert.strictEqual(reply.text, 'Hello from the bridge');
+
+    const context = createContext(fixture, createTeamsMessageActivity('just chatting'));
+    assert.strictEqual(await helpers.handleBotCommand(context, fixture.acsConfig), false);
+});
+
+test('createAcsIntegrationCard builds Submit or Universal Actions cards', () => {
+    const submitCard = helpers.createAcsIntegrationCard({ threadId: '19:thread', status: { type: 'failure', message: 'Failed' } });
+    assert.strictEqual(submitCard.version, '1.3');
+    assert.deepStrictEqual(submitCard.actions[0].data, {
+        threadId: '19:thread',
+        title: undefined,
+        description: undefined,
+        universalActions: undefined,
+        actionType: 'joinAcsThread'
+    });
+    assert.strictEqual(submitCard.body[2].color, 'Attention');
+    assert.strictEqual(submitCard.actions[1].card.actions[0].data.actionType, 'sendAcsMessage');
+
+    const executeCard = helpers.createAcsIntegrationCard({ threadId: '19:thread', universalActions: true });
+    assert.strictEqual(executeCard.version, '1.4');
+    assert.strictEqual(executeCard.actions[0].type, 'Action.Execute');
+    assert.strictEqual(executeCard.actions[0].verb, 'joinAcsThread');
+
+    const legacy = helpers.createAcsIntegrationCard({ threadId: '19:thread', universalActions: true, host: 'teamsLegacy' });
+    assert.strictEqual(legacy.actions[0].type, 'Action.Submit');
+});
+
+test('createAcsBridgeStatusCard shows the bridge and refreshes for listed users', () => {
+    const unbridged = helpers.createAcsBridgeStatusCard({ lastUpdated: '10:00' });
+    assert.deepStrictEqual(unbridged.body[1].facts, [
+        { title: 'Status', value: 'Not bridged' },
+        { title: 'Chat Thread', value: 'None' },
+        { title: 'Last Updated', value: '10:00' }
+    ]);
+    assert.strictEqual(unbridged.refresh, undefined);
+
+    const personal = helpers.createAcsBridgeStatusCard({ threadId: '19:thread', userIds: ['29:ada'], lastUpdated: '10:00' });
+    assert.deepStrictEqual(personal.refresh.userIds, ['29:ada']);
+    assert.strictEqual(personal.refresh.action.verb, 'refreshStatus');
+});
+
+test('re-exports the card builder', () => {
+    assert.strictEqual(helpers.HOST_CARD_VERSIONS.teams, '1.5');
+    assert.deepStrictEqual(helpers.getCardTarget(createTeamsMessageActivity('Hi')), { version: '1.5', locale: undefined });
+
+    helpers.registerCardStrings('de', { refreshStatus: 'Status aktualisieren' });
+    assert.strictEqual(helpers.getCardStrings('de-at').refreshStatus, 'Status aktualisieren');
+    assert.strictEqual(helpers.getCardStrings('de-at').status, 'Status');
+
+    const template = helpers.createAdaptiveCard({ version: '1.5', body: [{ type: 'TextBlock', text: 'Thread ${threadId}' }] });
+    const expanded = helpers.expandCardTemplate(template, { threadId: '19:a' });
+    assert.strictEqual(expanded.body[0].text, 'Thread 19:a');
+    assert.deepStrictEqual(helpers.validateCard(expanded), []);
+    assert.strictEqual(helpers.validateCard(template).length, 1);
+    assert.strictEqual(helpers.downgradeCard(template, { version: '1.2' }).version, '1.2');
+    assert.throws(() => helpers.renderCard({ type: 'AdaptiveCard', version: '1.2', body: [{ type: 'Image' }] }, { strict: true }),
+        helpers.AcsValidationError);
+
+    assert.strictEqual(helpers.createHeaderFragment({ title: 'T', iconUrl: 'https://contoso.com/i.png' }).items[0].type, 'ColumnSet');
+    assert.deepStrictEqual(helpers.createFactSetFragment([{ title: 'A', value: 1 }]).facts, [{ title: 'A', value: '1' }]);
+    assert.strictEqual(helpers.createStatusFragment({ type: 'success', message: 'Done' }).color, 'Good');
+    assert.strictEqual(helpers.createThreadPickerFragment({ threads: [], value: '19:a' }).value, '19:a');
+    assert.strictEqual(helpers.createParticipantListFragment([{ displayName: 'Ada', avatarUrl: 'https://contoso.com/a.png' }])
+        .items[1].columns.length, 2);
+    assert.strictEqual(helpers.createCardAction('Go', 'go', {}, { universalActions: true }).verb, 'go');
+});
+
+test('handleAcsError answers with a message for each kind of error', async () => {
+    const sent = [];
+    const context = { sendActivity: async text => sent.push(text) };
+    const errors = [
+        new helpers.AcsAuthError('Expired'),
+        new helpers.AcsNotFoundError('Missing'),
+        new helpers.AcsThrottledError('Slow down'),
+        new helpers.AcsCircuitOpenError('Open', { retryAt: new Date() }),
+        Object.assign(new Error('Unavailable'), { statusCode: 503 }),
+        new Error('Unexpected')
+    ];
+
+    for (const error of errors) {
+        await helpers.handleAcsError(error, context);
+    }
+    await helpers.handleAcsError(new Error('Without a context'));
+
+    assert.deepStrictEqual(sent, [
+        'Your authorization to access communication services has expired. Please try again.',
+        'The requested communication resource could not be found.',
+        'The service is currently busy. Please try again in a few minutes.',
+        'The service is currently busy. Please try again in a few minutes.',
+        'Communication services are temporarily unavailable. Please try again shortly.',
+        'An error occurred while processing your request. Our team has been notified.'
+    ]);
+});
+
+test('re-exports the typed errors and toAcsError', () => {
+    const error = helpers.toAcsError(Object.assign(new Error('Gone'), { statusCode: 404 }), 'probe');
+
+    assert.ok(error instanceof helpers.AcsNotFoundError);
+    assert.ok(error instanceof helpers.AcsError);
+    assert.strictEqual(error.operation, 'probe');
+    assert.ok(helpers.toAcsError({ statusCode: 429 }) instanceof helpers.AcsThrottledError);
+    assert.ok(helpers.toAcsError({ statusCode: 400 }) instanceof helpers.AcsValidationError);
+    assert.ok(helpers.toAcsError({ statusCode: 500 }) instanceof helpers.AcsServiceError);
+    assert.ok(new helpers.AcsConfigError('Bad') instanceof helpers.AcsError);
+});
+
+test('getAcsConfig validates settings, and loadAcsConfig resolves secrets', async () => {
+    const connectionString = `endpoint=https://contoso.communication.azure.com/;accesskey=${Buffer.from('key').toString('base64')}`;
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'acs-bot-helpers-'));
+    const secretsFile = path.join(directory, 'secrets.json');
+    fs.writeFileSync(secretsFile, JSON.stringify({ 'acs-connection-string': connectionString }));
+
+    try {
+        const acsConfig = helpers.getAcsConfig({ env: {}, overrides: { connectionString } });
+        assert.strictEqual(acsConfig.endpoint, 'https://contoso.communication.azure.com/');
+        assert.throws(() => helpers.getAcsConfig({ env: {} }), helpers.AcsConfigError);
+        assert.throws(() => helpers.getAcsConfig({ env: {}, overrides: { connectionString: { secret: 'acs-connection-string' } } }),
+            helpers.AcsConfigError);
+
+        const loaded = await helpers.loadAcsConfig({
+            env: {},
+            overrides: { connectionString: { secret: 'acs-connection-string' } },
+            secretProvider: helpers.createLocalFileSecretProvider({ filePath: secretsFile })
+        });
+        assert.strictEqual(loaded.connectionString, connectionString);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('the bot identity manager keeps one identity per configuration', async () => {
+    const fixture = createFixture();
+
+    const manager = helpers.resolveBotIdentityManager(fixture.acsConfig);
+    const identity = await manager.getIdentity();
+
+    assert.strictEqual(helpers.resolveBotIdentityManager(fixture.acsConfig), manager);
+    assert.deepStrictEqual(await manager.getIdentity(), identity);
+    assert.ok(fixture.acsService.hasIdentity(identity.acsUserId));
+    const { token } = await manager.getToken();
+    assert.strictEqual(typeof token, 'string');
+
+    // A separate manager shares the stored identity
+    const separate = helpers.createBotIdentityManager(fixture.acsConfig);
+    assert.notStrictEqual(separate, manager);
+    assert.strictEqual((await separate.getIdentity()).acsUserId, identity.acsUserId);
+});
+
+test('the token broker caches tokens per user and scope set', async () => {
+    const fixture = createFixture();
+    const customer = fixture.acsService.createUser();
+    const broker = helpers.resolveTokenBroker(fixture.acsConfig);
+
+    const chat = await broker.getToken(customer.acsUserId, 'chat');
+
+    assert.strictEqual(helpers.resolveTokenBroker(fixture.acsConfig), broker);
+    assert.strictEqual((await broker.getToken(customer.acsUserId, ['chat'])).token, chat.token);
+    assert.deepStrictEqual((await broker.getToken(customer.acsUserId, ['voip', 'chat'])).scopes, ['chat', 'voip']);
+    assert.ok(helpers.TOKEN_SCOPES.includes('voip'));
+
+    const separate = helpers.createTokenBroker(fixture.acsConfig);
+    try {
+        assert.strictEqual(typeof (await separate.getToken(customer.acsUserId)).token, 'string');
+        await assert.rejects(separate.getToken(customer.acsUserId, 'email'), helpers.AcsConfigError);
+    } finally {
+        separate.dispose();
+    }
+});
+
+test('the chat client factory shares clients per configuration', async () => {
+    const fixture = createFixture();
+    const threadId = await helpers.createOrGetChatThread('a:conversation', fixture.acsConfig);
+
+    const factory = helpers.resolveChatClientFactory(fixture.acsConfig);
+    assert.strictEqual(helpers.resolveChatClientFactory(fixture.acsConfig), factory);
+    const properties = await (await factory.getBotChatThreadClient(threadId)).getProperties();
+    assert.strictEqual(properties.topic, 'Teams Conversation a:conversation');
+
+    const separate = helpers.createChatClientFactory(fixture.acsConfig);
+    try {
+        assert.notStrictEqual(separate, factory);
+        assert.strictEqual(await separate.getBotChatClient(), await separate.getBotChatClient());
+    } finally {
+        separate.dispose();
+    }
+});
+
+test('the chat client factory disposes idle clients once they are released', async () => {
+    const fixture = createFixture({ config: { chatClientFactory: { idleTimeoutMs: 20 } } });
+    const threadId = await helpers.createOrGetChatThread('a:conversation', fixture.acsConfig);
+    const factory = helpers.resolveChatClientFactory(fixture.acsConfig);
+    const idle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+    // A client that is still held keeps its credential through the idle sweep
+    const threadClient = await factory.getBotChatThreadClient(threadId);
+    await idle();
+    assert.strictEqual(typeof (await threadClient.tokenCredential.getToken()).token, 'string');
+
+    // Once released and idle, its credential is disposed and the cache creates a new client
+    factory.release(threadClient);
+    await idle();
+    await assert.rejects(threadClient.tokenCredential.getToken(), /disposed/);
+
+    const replacement = await factory.getBotChatThreadClient(threadId);
+    try {
+        assert.notStrictEqual(replacement, threadClient);
+        assert.strictEqual((await replacement.getProperties()).id, threadId);
+    } finally {
+        factory.release(replacement);
+    }
+});
+
+test('the resilience policy is shared per configuration', async () => {
+    const fixture = createFixture();
+
+    const policy = helpers.resolveResiliencePolicy(fixture.acsConfig);
+    assert.strictEqual(helpers.resolveResiliencePolicy(fixture.acsConfig), policy);
+
+    let attempts = 0;
+    const separate = helpers.createResiliencePolicy(fixture.acsConfig);
+    const result = await separate.execute('probe', async () => {
+        attempts += 1;
+        if (attempts === 1) {
+            throw Object.assign(new Error('Busy'), { statusCode: 503 });
+        }
+        return 'ok';
+    }, { idempotent: true });
+    assert.strictEqual(result, 'ok');
+    assert.strictEqual(attempts, 2);
+});
+
+test('translates messages between Teams and ACS', async () => {
+    const fixture = createFixture();
+
+    const toAcs = await helpers.translateTeamsActivityToAcs({
+        ...createTeamsMessageActivity('<p>Hello <b>team</b></p>'),
+        textFormat: 'xml'
+    }, fixture.acsConfig);
+    assert.strictEqual(toAcs.type, 'html');
+    assert.match(toAcs.content, /<b>team<\/b>/);
+
+    const toTeams = await helpers.translateAcsMessageToTeams({ content: '<p>Hi <script>alert(1)</script></p>', type: 'html' }, fixture.acsConfig);
+    assert.ok(!toTeams.text.includes('<script>'));
+    assert.match(toTeams.text, /Hi/);
+});
+
+test('collects, renders and exports thread transcripts', async () => {
+    const fixture = createFixture();
+    const { threadId } = await bridgeConversation(fixture);
+
+    const transcript = await helpers.collectThreadTranscript(threadId, fixture.acsConfig);
+    assert.ok(transcript.messages.some(message => message.content.includes('Hello from Teams')));
+    assert.match(helpers.renderTranscript(transcript, 'markdown'), /Hello from Teams/);
+    assert.deepStrictEqual(Object.keys(helpers.TRANSCRIPT_FORMATS).sort(), ['html', 'json', 'markdown']);
+
+    const exported = await helpers.exportThreadTranscript(threadId, fixture.acsConfig, { format: 'html' });
+    assert.match(exported.fileName, /\.html$/);
+    assert.strictEqual(exported.contentType, helpers.TRANSCRIPT_FORMATS.html.contentType);
+    assert.match(exported.content, /Hello from Teams/);
+
+    const empty = await helpers.exportThreadTranscript(threadId, fixture.acsConfig, { to: '2000-01-01' });
+    assert.strictEqual(empty.transcript.messages.length, 0);
+});
+
+test('sendTranscriptToTeams answers conversations without a thread', async () => {
+    const fixture = createFixture();
+    const sent = [];
+    const context = createContext(fixture, createTeamsMessageActivity('acs export'));
+    context.onSendActivities(async (turnContext, activities) => {
+        sent.push(...activities);
+        return activities.map(() => ({ id: '' }));
+    });
+
+    assert.strictEqual(await helpers.sendTranscriptToTeams(context, fixture.acsConfig), false);
+    assert.strictEqual(sent[0].text, 'This conversation is not bridged to an ACS chat thread yet.');
+});
+
+test('audits operations with the turn\'s sender as the actor', async () => {
+    const fixture = createFixture({ config: { audit: { type: 'memory' } } });
+    const auditLog = helpers.resolveAuditLog(fixture.acsConfig);
+    const { threadId } = await bridgeConversation(fixture);
+
+    const [threadEvent] = await auditLog.query({ operation: helpers.AUDIT_OPERATIONS.threadCreate });
+    assert.strictEqual(threadEvent.actor.teamsUserId, '29:test-user');
+    assert.strictEqual(threadEvent.target.threadId, threadId);
+
+    await helpers.runWithAuditActor(createContext(fixture, createTeamsMessageActivity('Hi', { from: { id: '29:ada', name: 'Ada' } })),
+        () => helpers.recordAuditEvent(fixture.acsConfig, { operation: 'custom.approve', target: { threadId } }));
+    const [customEvent] = await auditLog.query({ operation: 'custom.approve' });
+    assert.strictEqual(customEvent.actor.teamsUserId, '29:ada');
+
+    const systemEvent = await helpers.recordAuditEvent(fixture.acsConfig, { operation: 'custom.nightly' });
+    assert.strictEqual(systemEvent.actor.type, 'system');
+    assert.strictEqual((await auditLog.verify()).valid, true);
+    assert.strictEqual(helpers.resolveAuditLog(createFixture().acsConfig), null);
+});
+
+test('verifyAuditLogFile detects edited audit logs', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'acs-audit-'));
+    const filePath = path.join(directory, 'audit.jsonl');
+
+    try {
+        const auditLog = helpers.createAuditLog({ type: 'file', filePath, hmacKey: 'secret' });
+        await auditLog.record({ operation: helpers.AUDIT_OPERATIONS.threadCreate, target: { threadId: '19:a' } });
+        await auditLog.record({ operation: helpers.AUDIT_OPERATIONS.threadLink, target: { threadId: '19:b' } });
+
+        assert.deepStrictEqual(await helpers.verifyAuditLogFile(filePath, { hmacKey: 'secret' }),
+            { valid: true, count: 2, lastHash: (await auditLog.getHead()).hash });
+
+        fs.writeFileSync(filePath, fs.readFileSync(filePath, 'utf8').replace('19:a', '19:z'));
+        const result = await helpers.verifyAuditLogFile(filePath, { hmacKey: 'secret' });
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.line, 1);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('audit logs assign the chain fields themselves', async () => {
+    const auditLog = helpers.createAuditLog({ type: 'memory' });
+    await auditLog.record({ operation: helpers.AUDIT_OPERATIONS.threadCreate, target: { threadId: '19:a' } });
+
+    const event = await auditLog.record({
+        operation: helpers.AUDIT_OPERATIONS.threadLink,
+        target: { threadId: '19:b' },
+        sequence: 1,
+        timestamp: '2000-01-01T00:00:00.000Z',
+        previousHash: '0'.repeat(64),
+        hash: 'forged'
+    });
+
+    assert.strictEqual(event.sequence, 2);
+    assert.notStrictEqual(event.timestamp, '2000-01-01T00:00:00.000Z');
+    assert.notStrictEqual(event.previousHash, '0'.repeat(64));
+    assert.notStrictEqual(event.hash, 'forged');
+    assert.deepStrictEqual(await auditLog.verify(), { valid: true, count: 2, lastHash: event.hash });
+});
+
+test('setupAcsMiddleware answers failures in the application with a message', async () => {
+    const fixture = createFixture({
+        logic: async () => {
+            throw new helpers.AcsNotFoundError('Thread gone');
+        }
+    });
+
+    const replies = await fixture.send(createTeamsMessageActivity('Hello'));
+
+    assert.deepStrictEqual(replies.map(reply => reply.text), ['The requested communication resource could not be found.']);
+});
+
+test('exports every helper as documented', () => {
+    const undefinedExports = Object.entries(helpers).filter(([, value]) => value === undefined).map(([name]) => name);
+    assert.deepStrictEqual(undefinedExports, []);
+});
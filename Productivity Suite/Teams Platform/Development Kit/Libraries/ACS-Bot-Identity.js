@@ -0,0 +1,152 @@
+/**
+ * ACS-Bot-Identity.js
+ *
+ * Manages the Azure Communication Services (ACS) identity that a Teams bot uses
+ * when it acts on ACS resources, such as creating chat threads, adding
+ * participants and forwarding messages.
+ *
+ * The identity is created once through the CommunicationIdentityClient, persisted
+ * in the configured mapping store, and reused across restarts. Access tokens are
+ * issued on demand through the shared token broker.
+ *
+ * @version 1.1.0
+ * @license MIT
+ */
+
+// Dependencies
+const { CommunicationIdentityClient } = require('@azure/communication-identity');
+const { MAPPING_COLLECTIONS, resolveMappingStore } = require('./ACS-Mapping-Store');
+const { resolveTokenBroker } = require('./ACS-Token-Broker');
+const { getSdkClientOptions, resolveResiliencePolicy } = require('./ACS-Resilience');
+const { AcsConfigError } = require('./ACS-Errors');
+
+/**
+ * Creates a manager for the bot's ACS identity
+ *
+ * @param {Object} acsConfig - Configuration with ACS connection string and optional botIdentity settings
+ * @returns {Object} Bot identity manager with getIdentity, getToken and reset methods
+ */
+function createBotIdentityManager(acsConfig) {
+    if (!acsConfig || !acsConfig.connectionString) {
+        throw new AcsConfigError('An ACS connection string is required to manage the bot identity');
+    }
+
+    const settings = acsConfig.botIdentity || {};
+    const identityKey = settings.key || 'default';
+    const scopes = settings.scopes || ['chat'];
+
+    let identityClient = null;
+    let identity = null;
+    let pendingIdentity = null;
+
+    const getIdentityClient = () => {
+        if (!identityClient) {
+            identityClient = new CommunicationIdentityClient(acsConfig.connectionString, getSdkClientOptions(acsConfig));
+        }
+        return identityClient;
+    };
+
+    const loadOrCreateIdentity = async () => {
+        const store = resolveMappingStore(acsConfig);
+
+        // A pre-provisioned identity takes precedence over a stored one
+        if (settings.acsUserId) {
+            return { acsUserId: settings.acsUserId, displayName: settings.displayName || 'ACS Bot' };
+        }
+
+        const stored = await store.get(MAPPING_COLLECTIONS.botIdentities, identityKey);
+        if (stored && stored.acsUserId) {
+            return stored;
+        }
+
+        const user = await resolveResiliencePolicy(acsConfig).execute(
+            'createUser',
+            () => getIdentityClient().createUser()
+        );
+        const created = {
+            acsUserId: user.communicationUserId,
+            displayName: settings.displayName || 'ACS Bot',
+            createdOn: new Date().toISOString()
+        };
+
+        await store.set(MAPPING_COLLECTIONS.botIdentities, identityKey, created);
+        console.log(`Created ACS bot identity ${created.acsUserId}`);
+        return created;
+    };
+
+    const manager = {
+        /**
+         * Gets the bot's ACS identity, creating and persisting it on first use
+         *
+         * @returns {Promise<Object>} Object containing acsUserId and displayName
+         */
+        async getIdentity() {
+            if (identity) {
+                return identity;
+            }
+            if (!pendingIdentity) {
+                pendingIdentity = loadOrCreateIdentity()
+                    .then(result => {
+                        identity = result;
+                        return result;
+                    })
+                    .finally(() => {
+                        pendingIdentity = null;
+                    });
+            }
+            return pendingIdentity;
+        },
+
+        /**
+         * Gets a valid access token for the bot's ACS identity
+         *
+         * @returns {Promise<Object>} Object containing acsUserId, token and expiresOn
+         */
+        async getToken() {
+            const { acsUserId } = await manager.getIdentity();
+            return resolveTokenBroker(acsConfig).getToken(acsUserId, scopes);
+        },
+
+        /**
+         * Discards the cached identity and token so they are reloaded on next use
+         *
+         * @returns {void}
+         */
+        reset() {
+            if (identity) {
+                resolveTokenBroker(acsConfig).invalidate(identity.acsUserId);
+            }
+            identity = null;
+        }
+    };
+
+    return manager;
+}
+
+// Managers resolved per acsConfig object
+const resolvedManagers = new WeakMap();
+
+/**
+ * Resolves the bot identity manager for an acsConfig object
+ *
+ * `acsConfig.botIdentityManager` may supply a custom manager; otherwise one is
+ * created on first use and shared by every helper given the same acsConfig.
+ *
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Object} The bot identity manager
+ */
+function resolveBotIdentityManager(acsConfig) {
+    if (acsConfig && acsConfig.botIdentityManager) {
+        return acsConfig.botIdentityManager;
+    }
+    if (!resolvedManagers.has(acsConfig)) {
+        resolvedManagers.set(acsConfig, createBotIdentityManager(acsConfig));
+    }
+    return resolvedManagers.get(acsConfig);
+}
+
+// Export the bot identity functions
+module.exports = {
+    createBotIdentityManager,
+    resolveBotIdentityManager
+};
@@ -0,0 +1,120 @@
+/**
+ * ACS-Build-Esm.js
+ *
+ * Generates the ES module copies of the libraries shared by the bot helpers and
+ * the browser modules.
+ *
+ * ACS-Errors.js and ACS-Card-Builder.js are CommonJS, so the bot helpers load
+ * them on any supported Node.js version. Browsers import ACS-Errors.mjs and
+ * ACS-Card-Builder.mjs instead, which this script writes from the CommonJS
+ * sources. Run it after editing either source:
+ *
+ *     node ACS-Build-Esm.js          # writes the .mjs copies
+ *     node ACS-Build-Esm.js --check  # exits with 1 when a copy is out of date
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+// Dependencies
+const fs = require('fs');
+const path = require('path');
+
+// CommonJS sources with an ES module copy
+const ESM_SOURCES = ['ACS-Errors.js', 'ACS-Card-Builder.js'];
+
+// Matches `const name = require('module');` and `const { a, b } = require('module');`
+const REQUIRE_PATTERN = /^const (\{[^}]*\}|\w+) = require\('([^']+)'\);$/gm;
+
+// Matches the module.exports object at the end of a source
+const EXPORTS_PATTERN = /^module\.exports = \{$/m;
+
+/**
+ * Gets the file name of the ES module copy of a source
+ *
+ * @param {string} fileName - The CommonJS file name, such as ACS-Errors.js
+ * @returns {string} The ES module file name, such as ACS-Errors.mjs
+ */
+function getEsmFileName(fileName) {
+    return fileName.replace(/\.js$/, '.mjs');
+}
+
+/**
+ * Converts a CommonJS source to its ES module copy
+ *
+ * Requires become imports, and requires of other sources in ESM_SOURCES import
+ * their .mjs copies. The module.exports object becomes an export list.
+ *
+ * @param {string} source - The CommonJS source
+ * @param {string} fileName - The CommonJS file name
+ * @returns {string} The ES module source
+ */
+function convertToEsm(source, fileName) {
+    if (!EXPORTS_PATTERN.test(source)) {
+        throw new Error(`${fileName} has no module.exports object to convert`);
+    }
+
+    const esmFileName = getEsmFileName(fileName);
+    const converted = source
+        .replace(` * ${fileName}\n`, ` * ${esmFileName}\n *\n * Generated from ${fileName} by ACS-Build-Esm.js. Do not edit.\n`)
+        .replace(REQUIRE_PATTERN, (match, binding, specifier) => {
+            const localSource = specifier.startsWith('./') ? `${specifier.slice(2)}.js` : null;
+            const target = localSource && ESM_SOURCES.includes(localSource)
+                ? `./${getEsmFileName(localSource)}`
+                : specifier;
+            return `import ${binding} from '${target}';`;
+        })
+        .replace(EXPORTS_PATTERN, 'export {');
+
+    if (/\brequire\(|\bmodule\.exports\b/.test(converted)) {
+        throw new Error(`${fileName} uses CommonJS that cannot be converted to an ES module`);
+    }
+    return converted;
+}
+
+/**
+ * Writes or checks the ES module copies
+ *
+ * @param {Object} options - Options (optional)
+ * @param {string} options.directory - Folder of the sources (default: this folder)
+ * @param {boolean} options.check - Compare instead of writing (default: false)
+ * @returns {Array<string>} The ES module copies that were out of date
+ */
+function buildEsmCopies(options = {}) {
+    const directory = options.directory || __dirname;
+    const stale = [];
+
+    for (const fileName of ESM_SOURCES) {
+        const esmPath = path.join(directory, getEsmFileName(fileName));
+        const expected = convertToEsm(fs.readFileSync(path.join(directory, fileName), 'utf8'), fileName);
+        const current = fs.existsSync(esmPath) ? fs.readFileSync(esmPath, 'utf8') : null;
+
+        if (current !== expected) {
+            stale.push(getEsmFileName(fileName));
+            if (!options.check) {
+                fs.writeFileSync(esmPath, expected);
+            }
+        }
+    }
+
+    return stale;
+}
+
+if (require.main === module) {
+    const check = process.argv.includes('--check');
+    const stale = buildEsmCopies({ check });
+
+    if (check && stale.length > 0) {
+        console.error(`Out of date, run node ACS-Build-Esm.js: ${stale.join(', ')}`);
+        process.exitCode = 1;
+    } else if (!check) {
+        console.log(stale.length > 0 ? `Wrote ${stale.join(', ')}` : 'ES module copies are up to date');
+    }
+}
+
+// Export the build functions
+module.exports = {
+    ESM_SOURCES,
+    convertToEsm,
+    buildEsmCopies
+};
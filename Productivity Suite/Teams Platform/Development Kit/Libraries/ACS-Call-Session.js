@@ -0,0 +1,374 @@
+/**
+ * ACS-Call-Session.js
+ *
+ * A call session owns the Azure Communication Services (ACS) calling objects a
+ * Microsoft Teams app needs for one user: the CallClient, its CallAgent and
+ * DeviceManager, and the active Call.
+ *
+ * The ACS call states, hold, lobby and network reconnects are folded into one
+ * session state. Each change raises a stateChanged event, so UI code follows
+ * the session instead of the SDK objects. Disposing the session hangs up and
+ * releases the agent.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+// Dependencies
+import { CallClient, Features, DiagnosticQuality } from '@azure/communication-calling';
+import { AzureCommunicationTokenCredential } from '@azure/communication-common';
+import { AcsValidationError, toAcsError } from './ACS-Errors.mjs';
+
+/**
+ * States of a call session
+ */
+export const CALL_SESSION_STATES = {
+    idle: 'idle',
+    connecting: 'connecting',
+    lobby: 'lobby',
+    connected: 'connected',
+    onHold: 'onHold',
+    reconnecting: 'reconnecting',
+    disconnected: 'disconnected',
+    disposed: 'disposed'
+};
+
+const {
+    idle,
+    connecting,
+    lobby,
+    connected,
+    onHold,
+    reconnecting,
+    disconnected,
+    disposed
+} = CALL_SESSION_STATES;
+
+// States each state can change to; disposing is allowed from any state
+const TRANSITIONS = {
+    [idle]: [connecting, disconnected],
+    [connecting]: [lobby, connected, onHold, reconnecting, disconnected],
+    [lobby]: [connected, reconnecting, disconnected],
+    [connected]: [lobby, onHold, reconnecting, disconnected],
+    [onHold]: [connected, reconnecting, disconnected],
+    [reconnecting]: [connecting, lobby, connected, onHold, disconnected],
+    [disconnected]: [connecting],
+    [disposed]: []
+};
+
+// Session state for each ACS call state; Disconnecting keeps the current state
+const STATE_BY_CALL_STATE = {
+    None: connecting,
+    Connecting: connecting,
+    Ringing: connecting,
+    EarlyMedia: connecting,
+    InLobby: lobby,
+    Connected: connected,
+    LocalHold: onHold,
+    RemoteHold: onHold,
+    Disconnected: disconnected
+};
+
+/**
+ * Options used for joining a meeting unless the caller overrides them
+ */
+export const DEFAULT_JOIN_OPTIONS = {
+    videoOptions: {
+        localVideoStreams: undefined
+    },
+    audioOptions: {
+        muted: false
+    }
+};
+
+/**
+ * Checks whether a session may change from one state to another
+ *
+ * @param {string} from - The current state
+ * @param {string} to - The next state
+ * @returns {boolean} True if the transition is allowed
+ */
+export function canTransition(from, to) {
+    if (to === disposed) {
+        return from !== disposed;
+    }
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * The calling objects of one user and the state of their active call
+ */
+export class CallSession {
+    /**
+     * @param {Object} parts - Object containing callClient, callAgent and deviceManager
+     */
+    constructor({ callClient, callAgent, deviceManager }) {
+        this.callClient = callClient;
+        this.callAgent = callAgent;
+        this.deviceManager = deviceManager;
+        this.call = null;
+        this.state = idle;
+        this.endReason = null;
+        this.isReconnecting = false;
+        this.listeners = new Map();
+        this.detachCall = null;
+    }
+
+    /**
+     * Subscribes to a session event
+     *
+     * `stateChanged` is raised with `{ state, previousState, endReason }`; the end
+     * reason, `{ code, subCode }` from ACS, is set once the call is disconnected.
+     *
+     * @param {string} event - The event name
+     * @param {Function} listener - Function called with the event
+     * @returns {void}
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+    }
+
+    /**
+     * Unsubscribes from a session event
+     *
+     * @param {string} event - The event name
+     * @param {Function} listener - The function passed to on
+     * @returns {void}
+     */
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Calls the listeners of an event; a failing listener does not stop the others
+     *
+     * @param {string} event - The event name
+     * @param {Object} args - The event
+     * @returns {void}
+     */
+    emit(event, args) {
+        for (const listener of Array.from(this.listeners.get(event) || [])) {
+            try {
+                listener(args);
+            } catch (error) {
+                console.error(`Error in call session ${event} listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * Moves the session to a new state and raises stateChanged
+     *
+     * @param {string} nextState - One of CALL_SESSION_STATES
+     * @returns {boolean} True if the state changed
+     */
+    transition(nextState) {
+        const previousState = this.state;
+        if (nextState === previousState) {
+            return false;
+        }
+        if (!canTransition(previousState, nextState)) {
+            console.warn(`Ignoring call session change from ${previousState} to ${nextState}`);
+            return false;
+        }
+
+        this.state = nextState;
+        this.emit('stateChanged', {
+            state: nextState,
+            previousState,
+            endReason: nextState === disconnected ? this.endReason : null
+        });
+        return true;
+    }
+
+    /**
+     * Joins a Teams meeting and tracks the call
+     *
+     * @param {string} meetingLink - The Teams meeting link
+     * @param {Object} options - Options for joining, merged over DEFAULT_JOIN_OPTIONS
+     * @returns {Promise<Call>} The call
+     * @throws {AcsValidationError} If the session is disposed or already has an active call
+     */
+    async joinTeamsMeeting(meetingLink, options = {}) {
+        try {
+            if (this.state === disposed) {
+                throw new AcsValidationError('The call session has been disposed');
+            }
+            if (this.call) {
+                throw new AcsValidationError('The call session already has an active call; hang up first');
+            }
+
+            const joinOptions = { ...DEFAULT_JOIN_OPTIONS, ...options };
+            const call = this.callAgent.join({ meetingLink }, joinOptions);
+            this.trackCall(call);
+            return call;
+        } catch (error) {
+            console.error('Error joining Teams meeting:', error);
+            throw toAcsError(error, 'CallSession.joinTeamsMeeting');
+        }
+    }
+
+    /**
+     * Follows the state, hold and network reconnects of a call
+     *
+     * @param {Call} call - The call to track
+     * @returns {void}
+     */
+    trackCall(call) {
+        this.call = call;
+        this.endReason = null;
+        this.isReconnecting = false;
+
+        const onStateChanged = () => this.updateState();
+        call.on('stateChanged', onStateChanged);
+
+        // Network reconnects are reported through user-facing diagnostics only
+        let network = null;
+        const onDiagnosticChanged = (info) => {
+            if (info.diagnostic === 'networkReconnect') {
+                this.isReconnecting = info.value !== DiagnosticQuality.Good;
+                this.updateState();
+            }
+        };
+        try {
+            network = call.feature(Features.UserFacingDiagnostics).network;
+            network.on('diagnosticChanged', onDiagnosticChanged);
+        } catch (error) {
+            console.warn('Network diagnostics are not available; reconnects will not be reported:', error);
+        }
+
+        this.detachCall = () => {
+            call.off('stateChanged', onStateChanged);
+            if (network) {
+                network.off('diagnosticChanged', onDiagnosticChanged);
+            }
+        };
+
+        this.updateState();
+    }
+
+    /**
+     * Derives the session state from the tracked call
+     *
+     * @returns {void}
+     */
+    updateState() {
+        const call = this.call;
+        if (!call) {
+            return;
+        }
+
+        if (call.state === 'Disconnected') {
+            this.endReason = call.callEndReason || null;
+            this.detachCall();
+            this.detachCall = null;
+            this.call = null;
+            this.isReconnecting = false;
+            this.transition(disconnected);
+            return;
+        }
+
+        const nextState = this.isReconnecting ? reconnecting : STATE_BY_CALL_STATE[call.state];
+        if (nextState) {
+            this.transition(nextState);
+        }
+    }
+
+    /**
+     * Hangs up the active call
+     *
+     * @param {Object} options - Object containing forEveryone (optional)
+     * @returns {Promise<void>}
+     */
+    async hangUp(options = {}) {
+        if (!this.call) {
+            return;
+        }
+
+        try {
+            await this.call.hangUp({ forEveryone: !!options.forEveryone });
+        } catch (error) {
+            console.error('Error hanging up call:', error);
+            throw toAcsError(error, 'CallSession.hangUp');
+        }
+    }
+
+    /**
+     * Hangs up, releases the call agent and removes all listeners
+     *
+     * Disposing twice does nothing.
+     *
+     * @returns {Promise<void>}
+     */
+    async dispose() {
+        if (this.state === disposed) {
+            return;
+        }
+
+        try {
+            await this.hangUp();
+        } catch (error) {
+            // The agent is released even if the call could not be hung up
+        }
+        if (this.detachCall) {
+            this.detachCall();
+            this.detachCall = null;
+        }
+        this.call = null;
+
+        try {
+            await this.callAgent.dispose();
+        } catch (error) {
+            console.error('Error disposing call agent:', error);
+        }
+
+        this.transition(disposed);
+        this.listeners.clear();
+    }
+}
+
+/**
+ * Creates a call session for an ACS user
+ *
+ * @param {string} token - The ACS access token
+ * @param {Object} options - Session options
+ * @param {string} options.displayName - Name shown to other participants (optional)
+ * @param {Object} options.callClientOptions - Options for the CallClient (optional)
+ * @returns {Promise<CallSession>} The idle session
+ */
+export async function createCallSession(token, options = {}) {
+    let callAgent = null;
+    try {
+        const tokenCredential = new AzureCommunicationTokenCredential(token);
+        const callClient = new CallClient(options.callClientOptions);
+
+        callAgent = await callClient.createCallAgent(tokenCredential, {
+            displayName: options.displayName
+        });
+        const deviceManager = await callClient.getDeviceManager();
+
+        return new CallSession({ callClient, callAgent, deviceManager });
+    } catch (error) {
+        // Only one agent may exist per client, so do not leave one behind
+        if (callAgent) {
+            await callAgent.dispose().catch(() => {});
+        }
+        console.error('Error creating call session:', error);
+        throw toAcsError(error, 'createCallSession');
+    }
+}
+
+// Export the call session
+export default {
+    CALL_SESSION_STATES,
+    DEFAULT_JOIN_OPTIONS,
+    canTransition,
+    CallSession,
+    createCallSession
+};
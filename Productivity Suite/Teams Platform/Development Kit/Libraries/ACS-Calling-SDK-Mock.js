@@ -0,0 +1,538 @@
+/**
+ * ACS-Calling-SDK-Mock.js
+ *
+ * A stand-in for `@azure/communication-calling` so calling code in
+ * ACS-Teams-Utils.js can run without media devices or a calling service.
+ *
+ * Map `@azure/communication-calling` to this module in the test runner. The
+ * classes follow the SDK's shapes: a CallClient creates a CallAgent and a
+ * DeviceManager, the agent joins or starts Calls, and calls carry remote
+ * participants with video streams. State changes raise the SDK's events, and
+ * `callingMock` lets tests drive what the service would do, such as connecting
+ * a call or adding a participant.
+ *
+ * @version 1.3.0
+ * @license MIT
+ */
+
+/**
+ * Devices reported by the DeviceManager until a test changes them
+ */
+export const DEFAULT_DEVICES = {
+    cameras: [{ id: 'camera-1', name: 'Integrated Camera', deviceType: 'Unknown' }],
+    microphones: [{ id: 'microphone-1', name: 'Default Microphone', deviceType: 'Microphone', isSystemDefault: true }],
+    speakers: [{ id: 'speaker-1', name: 'Default Speakers', deviceType: 'Speaker', isSystemDefault: true }]
+};
+
+// Mutable service state, reset by callingMock.reset
+const state = {
+    devices: structuredClone(DEFAULT_DEVICES),
+    deviceManagers: [],
+    callAgents: [],
+    failures: new Map(),
+    nextId: 1
+};
+
+/**
+ * Throws if a failure was queued for an operation
+ *
+ * @param {string} name - Operation name such as CallAgent.join
+ * @returns {void}
+ */
+function checkFailure(name) {
+    const failure = state.failures.get(name);
+    if (failure) {
+        state.failures.delete(name);
+        throw failure;
+    }
+}
+
+/**
+ * Minimal version of the SDK's on/off event surface
+ */
+class Emitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+    }
+
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    emit(event, args) {
+        for (const listener of Array.from(this.listeners.get(event) || [])) {
+            listener(args);
+        }
+    }
+
+    listenerCount(event) {
+        return (this.listeners.get(event) || new Set()).size;
+    }
+}
+
+/**
+ * Quality values of user-facing network diagnostics
+ */
+export const DiagnosticQuality = {
+    Good: 1,
+    Poor: 2,
+    Bad: 3
+};
+
+/**
+ * Call features available through call.feature
+ */
+export const Features = {
+    UserFacingDiagnostics: 'UserFacingDiagnostics',
+    DominantSpeakers: 'DominantSpeakers'
+};
+
+/**
+ * Network or media diagnostics of a call
+ */
+class DiagnosticCategory extends Emitter {
+    constructor() {
+        super();
+        this.latest = {};
+    }
+
+    getLatest() {
+        return { ...this.latest };
+    }
+
+    /**
+     * Changes a diagnostic and raises diagnosticChanged
+     *
+     * @param {string} diagnostic - Diagnostic name such as networkReconnect
+     * @param {number|boolean} value - A DiagnosticQuality value, or a flag
+     * @returns {void}
+     */
+    set(diagnostic, value) {
+        const valueType = typeof value === 'boolean' ? 'DiagnosticFlag' : 'DiagnosticQuality';
+        this.latest[diagnostic] = { value, valueType };
+        this.emit('diagnosticChanged', { diagnostic, value, valueType });
+    }
+}
+
+class UserFacingDiagnosticsFeature {
+    constructor() {
+        this.network = new DiagnosticCategory();
+        this.media = new DiagnosticCategory();
+    }
+}
+
+class DominantSpeakersFeature extends Emitter {
+    constructor() {
+        super();
+        this.dominantSpeakers = { speakersList: [], timestamp: new Date() };
+    }
+
+    /**
+     * Changes the dominant speakers and raises dominantSpeakersChanged
+     *
+     * @param {Array<Object>} speakersList - Identifiers of the speakers, most dominant first
+     * @returns {void}
+     */
+    set(speakersList) {
+        this.dominantSpeakers = { speakersList: speakersList.slice(), timestamp: new Date() };
+        this.emit('dominantSpeakersChanged');
+    }
+}
+
+// Feature classes by Features value
+const FEATURE_CLASSES = {
+    [Features.UserFacingDiagnostics]: UserFacingDiagnosticsFeature,
+    [Features.DominantSpeakers]: DominantSpeakersFeature
+};
+
+export class LocalVideoStream {
+    constructor(source) {
+        this.source = source;
+        this.mediaStreamType = source && source.deviceType === 'ScreenSharing' ? 'ScreenSharing' : 'Video';
+    }
+
+    async switchSource(source) {
+        checkFailure('LocalVideoStream.switchSource');
+        this.source = source;
+    }
+}
+
+export class RemoteVideoStream extends Emitter {
+    constructor(mediaStreamType = 'Video') {
+        super();
+        this.id = state.nextId++;
+        this.mediaStreamType = mediaStreamType;
+        this.isAvailable = true;
+    }
+
+    /**
+     * Changes availability and raises isAvailableChanged
+     *
+     * @param {boolean} isAvailable - The new availability
+     * @returns {void}
+     */
+    setAvailable(isAvailable) {
+        this.isAvailable = isAvailable;
+        this.emit('isAvailableChanged');
+    }
+}
+
+export class RemoteParticipant extends Emitter {
+    constructor(options = {}) {
+        super();
+        this.identifier = options.identifier || { communicationUserId: `8:acs:remote-${state.nextId++}` };
+        this.displayName = options.displayName || 'Remote Participant';
+        this.state = options.state || 'Connected';
+        this.isMuted = !!options.isMuted;
+        this.isSpeaking = false;
+        this.videoStreams = (options.videoStreams || []).map(type => new RemoteVideoStream(type));
+    }
+
+    /**
+     * Changes a property and raises the matching `<property>Changed` event
+     *
+     * @param {string} property - state, isMuted, isSpeaking or displayName
+     * @param {*} value - The new value
+     * @returns {void}
+     */
+    set(property, value) {
+        this[property] = value;
+        this.emit(`${property}Changed`);
+    }
+
+    /**
+     * Adds or removes video streams and raises videoStreamsUpdated
+     *
+     * @param {Array<string>} added - Media stream types to add, Video or ScreenSharing
+     * @param {Array<RemoteVideoStream>} removed - Streams to remove
+     * @returns {Array<RemoteVideoStream>} The added streams
+     */
+    updateVideoStreams(added = [], removed = []) {
+        const addedStreams = added.map(type => new RemoteVideoStream(type));
+        this.videoStreams = this.videoStreams.filter(stream => !removed.includes(stream)).concat(addedStreams);
+        this.emit('videoStreamsUpdated', { added: addedStreams, removed });
+        return addedStreams;
+    }
+}
+
+export class Call extends Emitter {
+    constructor(agent, options = {}) {
+        super();
+        this.agent = agent;
+        this.id = `call-${state.nextId++}`;
+        this.kind = 'Call';
+        this.locator = options.locator;
+        this.state = 'Connecting';
+        this.direction = 'Outgoing';
+        this.isMuted = !!(options.audioOptions && options.audioOptions.muted);
+        this.isScreenSharingOn = false;
+        this.localVideoStreams = ((options.videoOptions && options.videoOptions.localVideoStreams) || []).slice();
+        this.remoteParticipants = [];
+        this.callEndReason = undefined;
+        this.features = new Map();
+    }
+
+    feature(feature) {
+        const FeatureClass = FEATURE_CLASSES[feature];
+        if (!FeatureClass) {
+            throw new Error(`Feature ${String(feature)} is not supported by the mock`);
+        }
+        if (!this.features.has(feature)) {
+            this.features.set(feature, new FeatureClass());
+        }
+        return this.features.get(feature);
+    }
+
+    setState(callState) {
+        this.state = callState;
+        this.emit('stateChanged');
+    }
+
+    async mute() {
+        checkFailure('Call.mute');
+        this.isMuted = true;
+        this.emit('isMutedChanged');
+    }
+
+    async unmute() {
+        checkFailure('Call.unmute');
+        this.isMuted = false;
+        this.emit('isMutedChanged');
+    }
+
+    async startVideo(localVideoStream) {
+        checkFailure('Call.startVideo');
+        this.localVideoStreams.push(localVideoStream);
+        this.emit('localVideoStreamsUpdated', { added: [localVideoStream], removed: [] });
+    }
+
+    async stopVideo(localVideoStream) {
+        checkFailure('Call.stopVideo');
+        this.localVideoStreams = this.localVideoStreams.filter(stream => stream !== localVideoStream);
+        this.emit('localVideoStreamsUpdated', { added: [], removed: [localVideoStream] });
+    }
+
+    async startScreenSharing() {
+        checkFailure('Call.startScreenSharing');
+        this.isScreenSharingOn = true;
+        this.emit('isScreenSharingOnChanged');
+    }
+
+    async stopScreenSharing() {
+        checkFailure('Call.stopScreenSharing');
+        this.isScreenSharingOn = false;
+        this.emit('isScreenSharingOnChanged');
+    }
+
+    async hangUp() {
+        checkFailure('Call.hangUp');
+        this.callEndReason = { code: 0 };
+        this.setState('Disconnected');
+        this.agent.removeCall(this);
+    }
+
+    /**
+     * Ends the call from the service side, as when the meeting ends or the user is removed
+     *
+     * @param {Object} callEndReason - Object containing code and subCode
+     * @returns {void}
+     */
+    disconnect(callEndReason = { code: 0, subCode: 0 }) {
+        this.callEndReason = callEndReason;
+        this.setState('Disconnected');
+        this.agent.removeCall(this);
+    }
+
+    /**
+     * Adds a remote participant and raises remoteParticipantsUpdated
+     *
+     * @param {Object} options - Participant options: identifier, displayName, state, isMuted and videoStreams
+     * @returns {RemoteParticipant} The participant
+     */
+    addRemoteParticipant(options) {
+        const participant = new RemoteParticipant(options);
+        this.remoteParticipants.push(participant);
+        this.emit('remoteParticipantsUpdated', { added: [participant], removed: [] });
+        return participant;
+    }
+
+    /**
+     * Removes a remote participant and raises remoteParticipantsUpdated
+     *
+     * @param {RemoteParticipant} participant - The participant
+     * @returns {void}
+     */
+    removeRemoteParticipant(participant) {
+        this.remoteParticipants = this.remoteParticipants.filter(candidate => candidate !== participant);
+        participant.set('state', 'Disconnected');
+        this.emit('remoteParticipantsUpdated', { added: [], removed: [participant] });
+    }
+}
+
+export class CallAgent extends Emitter {
+    constructor(credential, options = {}) {
+        super();
+        this.credential = credential;
+        this.displayName = options.displayName;
+        this.calls = [];
+        this.disposed = false;
+    }
+
+    join(locator, options = {}) {
+        checkFailure('CallAgent.join');
+        return this.addCall(new Call(this, { ...options, locator }));
+    }
+
+    startCall(participants, options = {}) {
+        checkFailure('CallAgent.startCall');
+        return this.addCall(new Call(this, { ...options, locator: { participants } }));
+    }
+
+    addCall(call) {
+        this.calls.push(call);
+        this.emit('callsUpdated', { added: [call], removed: [] });
+        return call;
+    }
+
+    removeCall(call) {
+        if (this.calls.includes(call)) {
+            this.calls = this.calls.filter(candidate => candidate !== call);
+            this.emit('callsUpdated', { added: [], removed: [call] });
+        }
+    }
+
+    async dispose() {
+        this.disposed = true;
+    }
+}
+
+export class DeviceManager extends Emitter {
+    constructor() {
+        super();
+        this.isSpeakerSelectionAvailable = true;
+        this.selectedMicrophone = state.devices.microphones[0];
+        this.selectedSpeaker = state.devices.speakers[0];
+        this.permissions = { audio: false, video: false };
+    }
+
+    async getCameras() {
+        checkFailure('DeviceManager.getCameras');
+        return state.devices.cameras.slice();
+    }
+
+    async getMicrophones() {
+        checkFailure('DeviceManager.getMicrophones');
+        return state.devices.microphones.slice();
+    }
+
+    async getSpeakers() {
+        checkFailure('DeviceManager.getSpeakers');
+        return state.devices.speakers.slice();
+    }
+
+    async selectMicrophone(device) {
+        checkFailure('DeviceManager.selectMicrophone');
+        this.selectedMicrophone = device;
+        this.emit('selectedMicrophoneChanged');
+    }
+
+    async selectSpeaker(device) {
+        checkFailure('DeviceManager.selectSpeaker');
+        this.selectedSpeaker = device;
+        this.emit('selectedSpeakerChanged');
+    }
+
+    async askDevicePermission(constraints) {
+        checkFailure('DeviceManager.askDevicePermission');
+        this.permissions = { audio: !!constraints.audio, video: !!constraints.video };
+        return { ...this.permissions };
+    }
+}
+
+export class CallClient {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    async createCallAgent(credential, options) {
+        checkFailure('CallClient.createCallAgent');
+        const agent = new CallAgent(credential, options);
+        state.callAgents.push(agent);
+        return agent;
+    }
+
+    async getDeviceManager() {
+        checkFailure('CallClient.getDeviceManager');
+        // Like the SDK, each client has one device manager
+        if (!this.deviceManager) {
+            this.deviceManager = new DeviceManager();
+            state.deviceManagers.push(this.deviceManager);
+        }
+        return this.deviceManager;
+    }
+}
+
+export class VideoStreamRenderer {
+    constructor(stream) {
+        this.stream = stream;
+        this.views = [];
+        this.disposed = false;
+    }
+
+    async createView(options = {}) {
+        checkFailure('VideoStreamRenderer.createView');
+        const target = typeof document !== 'undefined' ? document.createElement('div') : { tagName: 'DIV' };
+        const view = {
+            target,
+            scalingMode: options.scalingMode || 'Crop',
+            isMirrored: !!options.isMirrored,
+            updateScalingMode: async (scalingMode) => {
+                view.scalingMode = scalingMode;
+            },
+            dispose: () => {
+                this.views = this.views.filter(candidate => candidate !== view);
+            }
+        };
+        this.views.push(view);
+        return view;
+    }
+
+    dispose() {
+        this.views.slice().forEach(view => view.dispose());
+        this.disposed = true;
+    }
+}
+
+/**
+ * Controls the mocked calling service from tests
+ */
+export const callingMock = {
+    /**
+     * Call agents created so far
+     */
+    get callAgents() {
+        return state.callAgents;
+    },
+
+    /**
+     * Device managers created so far
+     */
+    get deviceManagers() {
+        return state.deviceManagers;
+    },
+
+    /**
+     * Replaces the devices reported by DeviceManager and raises the devices-updated events
+     *
+     * @param {Object} devices - Any of cameras, microphones and speakers
+     * @returns {void}
+     */
+    setDevices(devices) {
+        Object.assign(state.devices, structuredClone(devices));
+        for (const deviceManager of state.deviceManagers) {
+            if (devices.cameras) {
+                deviceManager.emit('videoDevicesUpdated', { added: devices.cameras, removed: [] });
+            }
+            if (devices.microphones || devices.speakers) {
+                deviceManager.emit('audioDevicesUpdated', {
+                    added: [...(devices.microphones || []), ...(devices.speakers || [])],
+                    removed: []
+                });
+            }
+        }
+    },
+
+    /**
+     * Makes the next call to an operation fail
+     *
+     * @param {string} name - Operation name such as CallAgent.join or Call.mute
+     * @param {Error} error - The error to throw (default: a generic error)
+     * @returns {void}
+     */
+    failNext(name, error = new Error(`${name} failed`)) {
+        state.failures.set(name, error);
+    },
+
+    /**
+     * Restores the default devices and forgets created agents and device managers
+     *
+     * @returns {void}
+     */
+    reset() {
+        state.devices = structuredClone(DEFAULT_DEVICES);
+        state.deviceManagers = [];
+        state.callAgents = [];
+        state.failures = new Map();
+        state.nextId = 1;
+    }
+};
@@ -0,0 +1,717 @@
+/**
+ * ACS-Card-Builder.js
+ *
+ * Builds the adaptive cards shown by ACS-Bot-Helpers.js and ACS-Teams-Utils.js.
+ *
+ * Cards are assembled from reusable fragments (headers, fact sets, thread
+ * pickers and participant lists) with localized default strings, and can bind
+ * data with Adaptive Card templating. Before a card is sent it is checked
+ * against the schema version the target host supports; cards using newer
+ * elements, actions or properties are downgraded so older clients still render
+ * them. Browsers import the ES module copy, ACS-Card-Builder.mjs, which
+ * ACS-Build-Esm.js generates from ACS-Card-Builder.js.
+ *
+ * @version 1.2.0
+ * @license MIT
+ */
+
+// Dependencies
+const ACData = require('adaptivecards-templating');
+const { AcsConfigError, AcsValidationError } = require('./ACS-Errors');
+
+// Schema URL written on every card
+const ADAPTIVE_CARD_SCHEMA = 'http://adaptivecards.io/schemas/adaptive-card.json';
+
+// Newest schema version the builder knows about
+const LATEST_CARD_VERSION = '1.6';
+
+/**
+ * Highest schema version each host renders
+ */
+const HOST_CARD_VERSIONS = {
+    teams: '1.5',
+    teamsLegacy: '1.2',
+    outlook: '1.4',
+    webChat: '1.6'
+};
+
+// Hosts implied by Bot Framework channel IDs
+const CHANNEL_HOSTS = {
+    msteams: 'teams',
+    email: 'outlook',
+    webchat: 'webChat',
+    directline: 'webChat',
+    emulator: 'webChat'
+};
+
+// Schema version each element and action type was introduced in
+const TYPE_VERSIONS = {
+    AdaptiveCard: '1.0',
+    TextBlock: '1.0',
+    Image: '1.0',
+    ImageSet: '1.0',
+    Container: '1.0',
+    ColumnSet: '1.0',
+    Column: '1.0',
+    FactSet: '1.0',
+    Media: '1.1',
+    RichTextBlock: '1.2',
+    TextRun: '1.2',
+    ActionSet: '1.2',
+    Table: '1.5',
+    TableRow: '1.5',
+    TableCell: '1.5',
+    'Input.Text': '1.0',
+    'Input.Number': '1.0',
+    'Input.Date': '1.0',
+    'Input.Time': '1.0',
+    'Input.Toggle': '1.0',
+    'Input.ChoiceSet': '1.0',
+    'Action.OpenUrl': '1.0',
+    'Action.Submit': '1.0',
+    'Action.ShowCard': '1.0',
+    'Action.ToggleVisibility': '1.2',
+    'Action.Execute': '1.4'
+};
+
+// Properties introduced after the type they appear on; `*` applies to every type
+const PROPERTY_VERSIONS = {
+    '*': { fallback: '1.2', isVisible: '1.2', height: '1.1' },
+    AdaptiveCard: { refresh: '1.4', authentication: '1.4', rtl: '1.5', minHeight: '1.2', verticalContentAlignment: '1.1', selectAction: '1.1' },
+    TextBlock: { fontType: '1.2', style: '1.5' },
+    Image: { selectAction: '1.1', backgroundColor: '1.1', width: '1.1' },
+    Container: { selectAction: '1.1', verticalContentAlignment: '1.1', bleed: '1.2', minHeight: '1.2', rtl: '1.5' },
+    ColumnSet: { selectAction: '1.1', style: '1.2', bleed: '1.2', minHeight: '1.2' },
+    Column: { selectAction: '1.1', verticalContentAlignment: '1.1', bleed: '1.2', minHeight: '1.2', rtl: '1.5' },
+    'Input.*': { label: '1.3', isRequired: '1.3', errorMessage: '1.3' },
+    'Input.Text': { inlineAction: '1.2', regex: '1.3' },
+    'Action.*': { iconUrl: '1.1', style: '1.2', mode: '1.5', tooltip: '1.5', isEnabled: '1.5' },
+    'Action.Submit': { associatedInputs: '1.3' },
+    'Action.Execute': { associatedInputs: '1.3' }
+};
+
+// Properties each type cannot do without
+const REQUIRED_PROPERTIES = {
+    TextBlock: ['text'],
+    Image: ['url'],
+    ImageSet: ['images'],
+    FactSet: ['facts'],
+    Media: ['sources'],
+    RichTextBlock: ['inlines'],
+    ActionSet: ['actions'],
+    'Input.*': ['id'],
+    'Action.OpenUrl': ['url'],
+    'Action.ShowCard': ['card'],
+    'Action.ToggleVisibility': ['targetElements']
+};
+
+// Properties holding child elements or actions
+const CHILD_LIST_KEYS = ['body', 'items', 'columns', 'actions', 'rows', 'cells', 'inlines', 'images'];
+const CHILD_KEYS = ['card', 'selectAction', 'inlineAction'];
+
+// Default strings of the built-in cards, by language
+const cardStrings = {
+    en: {
+        integrationTitle: 'Azure Communication Services Integration',
+        integrationDescription: 'Connect to ACS services',
+        joinThread: 'Join Chat Thread',
+        sendMessage: 'Send Message',
+        messagePlaceholder: 'Type your message here',
+        send: 'Send',
+        statusTitle: 'Communication Status',
+        statusDescription: 'Current status of your communication services',
+        status: 'Status',
+        connected: 'Connected',
+        chatThread: 'Chat Thread',
+        bridged: 'Bridged to ACS',
+        notBridged: 'Not bridged',
+        none: 'None',
+        you: 'You',
+        lastUpdated: 'Last Updated',
+        refreshStatus: 'Refresh Status',
+        selectThread: 'Select a chat thread',
+        participants: 'Participants',
+        moreParticipants: 'and {count} more',
+        seenBy: 'Seen by {names}'
+    }
+};
+
+/**
+ * Compares two schema versions
+ *
+ * @param {string} a - A version such as 1.4
+ * @param {string} b - Another version
+ * @returns {number} Negative, zero or positive as a is older, equal or newer
+ */
+function compareCardVersions(a, b) {
+    const [aMajor, aMinor] = String(a).split('.').map(Number);
+    const [bMajor, bMinor] = String(b).split('.').map(Number);
+    return aMajor - bMajor || (aMinor || 0) - (bMinor || 0);
+}
+
+/**
+ * Resolves the schema version to build for
+ *
+ * @param {Object} options - Object containing version or host (optional)
+ * @returns {string} The schema version
+ * @throws {AcsConfigError} If the host is unknown
+ */
+function resolveCardVersion(options = {}) {
+    if (options.version) {
+        return String(options.version);
+    }
+    if (options.host) {
+        if (!HOST_CARD_VERSIONS[options.host]) {
+            throw new AcsConfigError(`Unknown adaptive card host "${options.host}"; use ${Object.keys(HOST_CARD_VERSIONS).join(', ')} or pass a version`);
+        }
+        return HOST_CARD_VERSIONS[options.host];
+    }
+    return LATEST_CARD_VERSION;
+}
+
+/**
+ * Describes the card host an activity came from
+ *
+ * `settings.version` fixes the version; `settings.versionsByPlatform` maps
+ * Teams client platforms (from the clientInfo entity, such as Android or iOS)
+ * to versions for fleets with older mobile clients.
+ *
+ * @param {Object} activity - The incoming activity
+ * @param {Object} settings - Card settings, usually acsConfig.cards (optional)
+ * @returns {Object} Object containing version and locale, for renderCard
+ */
+function getCardTarget(activity, settings = {}) {
+    const clientInfo = (activity.entities || []).find(entity => entity.type === 'clientInfo') || {};
+    const byPlatform = settings.versionsByPlatform || {};
+    const host = CHANNEL_HOSTS[activity.channelId];
+
+    return {
+        version: settings.version
+            || (clientInfo.platform && byPlatform[clientInfo.platform])
+            || (host ? HOST_CARD_VERSIONS[host] : undefined),
+        locale: activity.locale || clientInfo.locale
+    };
+}
+
+/**
+ * Adds or replaces default strings for a locale
+ *
+ * @param {string} locale - Locale or language such as fr or fr-ca
+ * @param {Object} strings - Strings keyed like the English defaults
+ * @returns {void}
+ */
+function registerCardStrings(locale, strings) {
+    const key = locale.toLowerCase();
+    cardStrings[key] = { ...cardStrings[key], ...strings };
+}
+
+/**
+ * Gets the default strings for a locale
+ *
+ * Falls back from the locale (fr-ca) to its language (fr) to English.
+ *
+ * @param {string} locale - The locale (optional)
+ * @param {Object} overrides - Strings that take precedence (optional)
+ * @returns {Object} The strings
+ */
+function getCardStrings(locale, overrides) {
+    const key = (locale || 'en').toLowerCase();
+    return {
+        ...cardStrings.en,
+        ...cardStrings[key.split('-')[0]],
+        ...cardStrings[key],
+        ...overrides
+    };
+}
+
+/**
+ * Fills `{name}` placeholders in a string
+ *
+ * @param {string} text - The string
+ * @param {Object} values - Placeholder values
+ * @returns {string} The formatted string
+ */
+function formatCardString(text, values = {}) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+}
+
+/**
+ * Binds data into a card written with Adaptive Card templating
+ *
+ * The localized default strings are available to the template as `strings`.
+ *
+ * @param {Object} template - Card template with ${...} expressions, $data and $when
+ * @param {Object} data - Data bound as $root
+ * @param {Object} options - Object containing locale and strings (optional)
+ * @returns {Object} The expanded card
+ */
+function expandCardTemplate(template, data = {}, options = {}) {
+    const strings = getCardStrings(options.locale, { ...options.strings, ...data.strings });
+    return new ACData.Template(template).expand({ $root: { ...data, strings } });
+}
+
+/**
+ * Looks up the version a property was introduced in
+ *
+ * @param {string} type - The element or action type
+ * @param {string} property - The property name
+ * @returns {string|undefined} The version, if newer than the type itself
+ */
+function getPropertyVersion(type, property) {
+    const category = type.startsWith('Input.') ? 'Input.*' : type.startsWith('Action.') ? 'Action.*' : null;
+    return (PROPERTY_VERSIONS[type] || {})[property]
+        || (category && (PROPERTY_VERSIONS[category] || {})[property])
+        || PROPERTY_VERSIONS['*'][property];
+}
+
+/**
+ * Calls a function for every child element or action of a node
+ *
+ * @param {Object} node - A card, element or action
+ * @param {string} path - Path of the node, for messages
+ * @param {Function} visit - Called with (child, path)
+ * @returns {void}
+ */
+function forEachChild(node, path, visit) {
+    for (const key of CHILD_LIST_KEYS) {
+        if (Array.isArray(node[key])) {
+            node[key].forEach((child, index) => visit(child, `${path}${key}[${index}]`));
+        }
+    }
+    for (const key of CHILD_KEYS) {
+        if (node[key] && typeof node[key] === 'object') {
+            visit(node[key], `${path}${key}`);
+        }
+    }
+}
+
+/**
+ * Checks a card against the schema version of its host
+ *
+ * Reports unknown or too new element and action types without a fallback,
+ * properties the host does not support, missing required properties, duplicate
+ * input IDs and template expressions left unbound.
+ *
+ * @param {Object} card - The adaptive card
+ * @param {Object} options - Object containing version or host (default: latest schema)
+ * @returns {Array<string>} Problems found; empty when the card is valid
+ */
+function validateCard(card, options = {}) {
+    const target = resolveCardVersion(options);
+    const problems = [];
+
+    if (!card || card.type !== 'AdaptiveCard') {
+        return ['The card type must be AdaptiveCard'];
+    }
+    if (!/^\d+\.\d+$/.test(card.version || '')) {
+        problems.push(`The card version "${card.version}" is not a schema version such as 1.5`);
+    } else if (compareCardVersions(card.version, target) > 0) {
+        problems.push(`The card declares schema ${card.version} but the host supports ${target}`);
+    }
+
+    const inputIds = new Set();
+    const visit = (node, path) => {
+        if (typeof node === 'string' && path.includes('inlines')) {
+            return;
+        }
+        if (!node || typeof node.type !== 'string') {
+            problems.push(`${path || 'card'} has no type`);
+            return;
+        }
+
+        const label = `${path || 'card'} (${node.type})`;
+        const introduced = TYPE_VERSIONS[node.type];
+        if (!introduced && !node.fallback) {
+            problems.push(`${label} is not a known element or action`);
+        } else if (introduced && compareCardVersions(introduced, target) > 0 && !node.fallback) {
+            problems.push(`${label} needs schema ${introduced}`);
+        }
+
+        const category = node.type.startsWith('Input.') ? 'Input.*' : null;
+        for (const property of [...(REQUIRED_PROPERTIES[node.type] || []), ...(REQUIRED_PROPERTIES[category] || [])]) {
+            if (node[property] === undefined || node[property] === '') {
+                problems.push(`${label} is missing ${property}`);
+            }
+        }
+        if (category && node.id) {
+            if (inputIds.has(node.id)) {
+                problems.push(`${label} reuses input id "${node.id}"`);
+            }
+            inputIds.add(node.id);
+        }
+
+        for (const property of Object.keys(node)) {
+            const version = getPropertyVersion(node.type, property);
+            if (version && compareCardVersions(version, target) > 0) {
+                problems.push(`${label} property ${property} needs schema ${version}`);
+            }
+        }
+
+        forEachChild(node, path ? `${path}.` : '', visit);
+    };
+
+    visit({ ...card, version: undefined }, '');
+
+    const unbound = JSON.stringify(card).match(/\$\{[^}]*\}/g);
+    if (unbound) {
+        problems.push(`The card has unbound template expressions: ${Array.from(new Set(unbound)).join(', ')}`);
+    }
+
+    return problems;
+}
+
+/**
+ * Rewrites a card so a host with an older schema version can render it
+ *
+ * Elements newer than the host are replaced by their `fallback`, or converted:
+ * Action.Execute becomes Action.Submit with the verb as `actionType`, tables
+ * become column sets, rich text becomes a text block and action sets move their
+ * actions to the card. Other unsupported elements are dropped. Unsupported
+ * properties are removed; input labels become text blocks above the input.
+ *
+ * @param {Object} card - The adaptive card
+ * @param {Object} options - Object containing version or host
+ * @returns {Object} A new card for the host's schema version
+ */
+function downgradeCard(card, options = {}) {
+    const target = resolveCardVersion(options);
+    const hoistedActions = [];
+    const supports = (version) => compareCardVersions(version, target) <= 0;
+
+    const replacements = {
+        'Action.Execute': (node) => {
+            const { verb, ...rest } = node;
+            const data = node.data && typeof node.data === 'object' ? node.data : {};
+            return { ...rest, type: 'Action.Submit', data: { ...data, actionType: data.actionType || verb } };
+        },
+        Table: (node) => ({
+            type: 'Container',
+            items: (node.rows || []).map((row, index) => ({
+                type: 'ColumnSet',
+                ...(index === 1 && node.firstRowAsHeader !== false ? { separator: true } : {}),
+                columns: (row.cells || []).map(cell => ({ type: 'Column', width: 'stretch', items: cell.items || [] }))
+            }))
+        }),
+        RichTextBlock: (node) => ({
+            type: 'TextBlock',
+            text: (node.inlines || []).map(inline => (typeof inline === 'string' ? inline : inline.text || '')).join(''),
+            wrap: true
+        }),
+        ActionSet: (node) => {
+            hoistedActions.push(...downgradeList(node.actions || []));
+            return null;
+        }
+    };
+
+    const downgradeNode = (node) => {
+        if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
+            return node;
+        }
+
+        const introduced = TYPE_VERSIONS[node.type];
+        if (!introduced || !supports(introduced)) {
+            if (node.fallback && typeof node.fallback === 'object') {
+                return downgradeNode(node.fallback);
+            }
+            const replace = replacements[node.type];
+            const replacement = replace && node.fallback !== 'drop' ? replace(node) : null;
+            return replacement ? downgradeNode(replacement) : null;
+        }
+
+        const prefix = [];
+        for (const property of Object.keys(node)) {
+            const version = getPropertyVersion(node.type, property);
+            if (!version || supports(version)) {
+                continue;
+            }
+            if (property === 'label' && node.type.startsWith('Input.')) {
+                prefix.push({ type: 'TextBlock', text: node.isRequired ? `${node.label} *` : node.label, wrap: true });
+            }
+            if (property === 'style' && node.type === 'TextBlock' && node.style === 'heading') {
+                node.size = node.size || 'Large';
+                node.weight = node.weight || 'Bolder';
+            }
+            delete node[property];
+        }
+
+        if (node.fallback && typeof node.fallback === 'object') {
+            node.fallback = downgradeNode(node.fallback) || 'drop';
+        }
+        for (const key of CHILD_LIST_KEYS) {
+            if (Array.isArray(node[key])) {
+                node[key] = downgradeList(node[key]);
+            }
+        }
+        for (const key of CHILD_KEYS) {
+            if (node[key] && typeof node[key] === 'object') {
+                const child = downgradeNode(node[key]);
+                if (child) {
+                    node[key] = child;
+                } else {
+                    delete node[key];
+                }
+            }
+        }
+
+        return prefix.length > 0 ? [...prefix, node] : node;
+    };
+
+    const downgradeList = (nodes) => nodes
+        .map(downgradeNode)
+        .flat()
+        .filter(node => node !== null && node !== undefined);
+
+    const downgraded = downgradeNode(JSON.parse(JSON.stringify(card)));
+    if (hoistedActions.length > 0) {
+        downgraded.actions = [...(downgraded.actions || []), ...hoistedActions];
+    }
+    if (!downgraded.version || !supports(downgraded.version)) {
+        downgraded.version = target;
+    }
+    return downgraded;
+}
+
+/**
+ * Finishes a card for its host
+ *
+ * Binds `options.data` when given, downgrades the card when a host or version
+ * is given, and validates the result. Problems are passed to
+ * `options.onProblems`, or logged as a warning, and thrown instead when
+ * `options.strict` is set.
+ *
+ * @param {Object} card - The adaptive card or card template
+ * @param {Object} options - Object containing data, locale, strings, host, version, strict and onProblems (optional)
+ * @returns {Object} The card to send
+ * @throws {AcsValidationError} In strict mode, if the card is invalid for its host
+ */
+function renderCard(card, options = {}) {
+    let rendered = options.data ? expandCardTemplate(card, options.data, options) : card;
+    if (options.host || options.version) {
+        rendered = downgradeCard(rendered, options);
+    }
+
+    const problems = validateCard(rendered, options);
+    if (problems.length > 0) {
+        const message = `Invalid adaptive card for schema ${resolveCardVersion(options)}:\n- ${problems.join('\n- ')}`;
+        if (options.strict) {
+            throw new AcsValidationError(message);
+        }
+        if (typeof options.onProblems === 'function') {
+            options.onProblems(problems, rendered);
+        } else {
+            console.warn(message);
+        }
+    }
+    return rendered;
+}
+
+/**
+ * Creates an adaptive card
+ *
+ * @param {Object} options - Object containing body, actions, version (default: 1.3) and any other card properties
+ * @returns {Object} An adaptive card JSON object
+ */
+function createAdaptiveCard(options = {}) {
+    const { body, actions, version, ...rest } = options;
+    const card = {
+        type: 'AdaptiveCard',
+        $schema: ADAPTIVE_CARD_SCHEMA,
+        version: version || '1.3',
+        body: body || [],
+        ...rest
+    };
+    if (actions && actions.length > 0) {
+        card.actions = actions;
+    }
+    return card;
+}
+
+/**
+ * Creates a card title with an optional subtitle and icon
+ *
+ * @param {Object} options - Object containing title, subtitle and iconUrl
+ * @returns {Object} A Container element
+ */
+function createHeaderFragment(options = {}) {
+    const texts = [{ type: 'TextBlock', text: options.title, size: 'Large', weight: 'Bolder', wrap: true }];
+    if (options.subtitle) {
+        texts.push({ type: 'TextBlock', text: options.subtitle, isSubtle: true, spacing: 'None', wrap: true });
+    }
+
+    if (!options.iconUrl) {
+        return { type: 'Container', items: texts };
+    }
+    return {
+        type: 'Container',
+        items: [
+            {
+                type: 'ColumnSet',
+                columns: [
+                    { type: 'Column', width: 'auto', items: [{ type: 'Image', url: options.iconUrl, size: 'Small' }] },
+                    { type: 'Column', width: 'stretch', items: texts }
+                ]
+            }
+        ]
+    };
+}
+
+/**
+ * Creates a fact set
+ *
+ * @param {Array<Object>|Object} facts - Objects containing title and value, or an object of titles to values
+ * @returns {Object} A FactSet element
+ */
+function createFactSetFragment(facts) {
+    const list = Array.isArray(facts)
+        ? facts
+        : Object.entries(facts).map(([title, value]) => ({ title, value }));
+
+    return {
+        type: 'FactSet',
+        facts: list
+            .filter(fact => fact.value !== undefined && fact.value !== null)
+            .map(fact => ({ title: fact.title, value: String(fact.value) }))
+    };
+}
+
+/**
+ * Creates a line reporting the outcome of an action
+ *
+ * @param {Object} status - Object containing type (success, warning or failure) and message
+ * @returns {Object} A TextBlock element
+ */
+function createStatusFragment(status) {
+    const colors = { success: 'Good', warning: 'Warning', failure: 'Attention' };
+    return {
+        type: 'TextBlock',
+        text: status.message,
+        color: colors[status.type] || 'Default',
+        wrap: true
+    };
+}
+
+/**
+ * Creates a drop-down for choosing a chat thread
+ *
+ * @param {Object} options - Picker options
+ * @param {Array<Object>} options.threads - Objects containing threadId and topic
+ * @param {string} options.id - Input ID (default: threadId)
+ * @param {string} options.value - Thread selected initially (optional)
+ * @param {string} options.label - Label, shown above the picker (optional)
+ * @param {string} options.placeholder - Placeholder text (default: localized "Select a chat thread")
+ * @param {boolean} options.isRequired - Whether a thread must be chosen (optional)
+ * @param {string} options.locale - Locale of the default strings (optional)
+ * @returns {Object} An Input.ChoiceSet element
+ */
+function createThreadPickerFragment(options = {}) {
+    const strings = getCardStrings(options.locale, options.strings);
+    const picker = {
+        type: 'Input.ChoiceSet',
+        id: options.id || 'threadId',
+        style: 'compact',
+        placeholder: options.placeholder || strings.selectThread,
+        choices: (options.threads || []).map(thread => ({
+            title: thread.topic || thread.threadId,
+            value: thread.threadId
+        }))
+    };
+
+    if (options.value) {
+        picker.value = options.value;
+    }
+    if (options.label) {
+        picker.label = options.label;
+    }
+    if (options.isRequired) {
+        picker.isRequired = true;
+        picker.errorMessage = options.errorMessage || picker.placeholder;
+    }
+    return picker;
+}
+
+/**
+ * Creates a list of participants with avatars and details
+ *
+ * @param {Array<Object>} participants - Objects containing displayName, and optionally avatarUrl and detail
+ * @param {Object} options - Object containing title, maxItems and locale (optional)
+ * @returns {Object} A Container element
+ */
+function createParticipantListFragment(participants, options = {}) {
+    const strings = getCardStrings(options.locale, options.strings);
+    const maxItems = options.maxItems || participants.length;
+    const items = [];
+
+    if (options.title !== false) {
+        items.push({ type: 'TextBlock', text: options.title || strings.participants, weight: 'Bolder', wrap: true });
+    }
+
+    for (const participant of participants.slice(0, maxItems)) {
+        const texts = [{ type: 'TextBlock', text: participant.displayName, wrap: true }];
+        if (participant.detail) {
+            texts.push({ type: 'TextBlock', text: participant.detail, isSubtle: true, spacing: 'None', wrap: true });
+        }
+
+        const columns = [];
+        if (participant.avatarUrl) {
+            columns.push({
+                type: 'Column',
+                width: 'auto',
+                items: [{ type: 'Image', url: participant.avatarUrl, style: 'Person', size: 'Small' }]
+            });
+        }
+        columns.push({ type: 'Column', width: 'stretch', verticalContentAlignment: 'Center', items: texts });
+        items.push({ type: 'ColumnSet', columns });
+    }
+
+    if (participants.length > maxItems) {
+        items.push({
+            type: 'TextBlock',
+            text: formatCardString(strings.moreParticipants, { count: participants.length - maxItems }),
+            isSubtle: true,
+            wrap: true
+        });
+    }
+    return { type: 'Container', items };
+}
+
+/**
+ * Creates a button that sends an action to the bot
+ *
+ * Universal Actions produce Action.Execute with the action type as its verb;
+ * otherwise Action.Submit carries the action type in its data.
+ *
+ * @param {string} title - Button title
+ * @param {string} actionType - The action type handled by the card action router
+ * @param {Object} data - Extra action data (optional)
+ * @param {Object} options - Object containing universalActions (optional)
+ * @returns {Object} An action
+ */
+function createCardAction(title, actionType, data = {}, options = {}) {
+    return options.universalActions
+        ? { type: 'Action.Execute', title, verb: actionType, data: { ...data, actionType } }
+        : { type: 'Action.Submit', title, data: { ...data, actionType } };
+}
+
+// Export the card builder functions
+module.exports = {
+    ADAPTIVE_CARD_SCHEMA,
+    LATEST_CARD_VERSION,
+    HOST_CARD_VERSIONS,
+    compareCardVersions,
+    resolveCardVersion,
+    getCardTarget,
+    registerCardStrings,
+    getCardStrings,
+    formatCardString,
+    expandCardTemplate,
+    validateCard,
+    downgradeCard,
+    renderCard,
+    createAdaptiveCard,
+    createHeaderFragment,
+    createFactSetFragment,
+    createStatusFragment,
+    createThreadPickerFragment,
+    createParticipantListFragment,
+    createCardAction
+};
@@ -0,0 +1,338 @@
+/**
+ * ACS-Card-Router.js
+ *
+ * Routes adaptive card actions from Microsoft Teams to registered handlers.
+ *
+ * Handlers are registered per action type with an optional payload schema that
+ * is checked before the handler runs. Both Action.Submit message activities and
+ * Action.Execute (Universal Actions) `adaptiveCard/action` invokes are supported,
+ * including automatic card refreshes for specific users so one card can render
+ * differently for different viewers.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+// Dependencies
+const { CardFactory } = require('botbuilder');
+const { AcsConfigError } = require('./ACS-Errors');
+
+/**
+ * Content types used in `adaptiveCard/action` invoke responses
+ */
+const INVOKE_RESPONSE_TYPES = {
+    card: 'application/vnd.microsoft.card.adaptive',
+    message: 'application/vnd.microsoft.activity.message',
+    error: 'application/vnd.microsoft.error'
+};
+
+/**
+ * Wraps an adaptive card in an invoke response that replaces the original card
+ *
+ * @param {Object} card - The adaptive card JSON
+ * @returns {Object} The invoke response
+ */
+function createCardInvokeResponse(card) {
+    return {
+        status: 200,
+        body: {
+            statusCode: 200,
+            type: INVOKE_RESPONSE_TYPES.card,
+            value: card
+        }
+    };
+}
+
+/**
+ * Creates an invoke response that shows a message instead of updating the card
+ *
+ * @param {string} message - The message to show
+ * @returns {Object} The invoke response
+ */
+function createMessageInvokeResponse(message) {
+    return {
+        status: 200,
+        body: {
+            statusCode: 200,
+            type: INVOKE_RESPONSE_TYPES.message,
+            value: message
+        }
+    };
+}
+
+/**
+ * Creates an error invoke response
+ *
+ * @param {number} statusCode - HTTP-style status code, such as 400 or 500
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Object} The invoke response
+ */
+function createErrorInvokeResponse(statusCode, code, message) {
+    return {
+        status: 200,
+        body: {
+            statusCode,
+            type: INVOKE_RESPONSE_TYPES.error,
+            value: { code, message }
+        }
+    };
+}
+
+/**
+ * Adds a Universal Actions refresh to a card for specific users
+ *
+ * Listed users' clients invoke the refresh verb automatically when they view the
+ * card, so the handler can return a personalized version for each of them.
+ *
+ * @param {Object} card - The adaptive card JSON (version 1.4 or later)
+ * @param {Object} options - Refresh options
+ * @param {string} options.verb - Action type invoked on refresh
+ * @param {Object} options.data - Data sent with the refresh
+ * @param {Array<string>} options.userIds - Teams user IDs (MRIs) that refresh automatically, at most 60
+ * @returns {Object} The card with a refresh section
+ */
+function withUserRefresh(card, options) {
+    return {
+        ...card,
+        version: parseFloat(card.version) >= 1.4 ? card.version : '1.4',
+        refresh: {
+            action: {
+                type: 'Action.Execute',
+                verb: options.verb,
+                data: { ...(options.data || {}), actionType: options.verb }
+            },
+            userIds: (options.userIds || []).slice(0, 60)
+        }
+    };
+}
+
+/**
+ * Normalizes the value of an adaptive card action activity
+ *
+ * @param {Object} activity - The incoming activity
+ * @returns {Object|null} Action data with actionType, plus trigger and verb for Action.Execute
+ */
+function normalizeCardAction(activity) {
+    const value = activity && activity.value;
+    if (!value) {
+        return null;
+    }
+
+    // Universal Actions nest the card data under value.action.data
+    if (value.action) {
+        const data = value.action.data || {};
+        return {
+            ...data,
+            actionType: data.actionType || value.action.verb,
+            verb: value.action.verb,
+            trigger: value.trigger || 'manual'
+        };
+    }
+
+    return { ...value, trigger: 'manual' };
+}
+
+/**
+ * Validates an action payload against a declared schema
+ *
+ * Schemas map field names to rules: `type` (string, number, boolean, object or
+ * array), `required`, `enum`, `pattern`, `minLength` and `maxLength`.
+ *
+ * @param {Object} action - The action payload
+ * @param {Object} schema - The payload schema
+ * @returns {Array<string>} Validation problems, empty when the payload is valid
+ */
+function validateCardActionPayload(action, schema) {
+    const problems = [];
+
+    for (const [field, rule] of Object.entries(schema || {})) {
+        const value = action[field];
+        const isMissing = value === undefined || value === null || value === '';
+
+        if (isMissing) {
+            if (rule.required) {
+                problems.push(`${field} is required`);
+            }
+            continue;
+        }
+
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        if (rule.type && actualType !== rule.type) {
+            problems.push(`${field} must be of type ${rule.type}`);
+            continue;
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            problems.push(`${field} must be one of: ${rule.enum.join(', ')}`);
+        }
+        if (rule.pattern && !new RegExp(rule.pattern).test(String(value))) {
+            problems.push(`${field} has an invalid format`);
+        }
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            problems.push(`${field} must be at least ${rule.minLength} characters`);
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            problems.push(`${field} must be at most ${rule.maxLength} characters`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Converts a handler result into an invoke response
+ *
+ * @param {Object|string|null} result - Invoke response, adaptive card, message text or nothing
+ * @returns {Object} The invoke response
+ */
+function toInvokeResponse(result) {
+    if (!result) {
+        return createMessageInvokeResponse('Your request was processed.');
+    }
+    if (typeof result === 'string') {
+        return createMessageInvokeResponse(result);
+    }
+    if (result.type === 'AdaptiveCard') {
+        return createCardInvokeResponse(result);
+    }
+    return result;
+}
+
+/**
+ * Delivers a card action result to Teams
+ *
+ * Invokes receive the response directly. For Action.Submit, card responses
+ * replace the card the action came from and message responses are posted.
+ *
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} invokeResponse - The invoke response to deliver
+ * @returns {Promise<void>}
+ */
+async function sendCardActionResponse(context, invokeResponse) {
+    if (context.activity.type === 'invoke') {
+        await context.sendActivity({ type: 'invokeResponse', value: invokeResponse });
+        return;
+    }
+
+    const body = invokeResponse.body || {};
+    if (body.type === INVOKE_RESPONSE_TYPES.card && context.activity.replyToId) {
+        await context.updateActivity({
+            id: context.activity.replyToId,
+            type: 'message',
+            attachments: [CardFactory.adaptiveCard(body.value)]
+        });
+    } else if (body.type === INVOKE_RESPONSE_TYPES.message) {
+        await context.sendActivity(body.value);
+    } else if (body.type === INVOKE_RESPONSE_TYPES.error) {
+        await context.sendActivity(body.value.message);
+    }
+}
+
+/**
+ * Creates a router that dispatches adaptive card actions to registered handlers
+ *
+ * @returns {Object} Router with register, unregister, has, actionTypes and route methods
+ */
+function createCardActionRouter() {
+    const handlers = new Map();
+
+    const router = {
+        /**
+         * Registers a handler for an action type
+         *
+         * Handlers receive (context, action, acsConfig) and may return an invoke
+         * response, an adaptive card, a message string or nothing.
+         *
+         * @param {string} actionType - The actionType (Action.Submit) or verb (Action.Execute)
+         * @param {Function} handler - Async handler function
+         * @param {Object} options - Registration options such as a payload schema
+         * @returns {Object} The router, for chaining
+         */
+        register(actionType, handler, options = {}) {
+            if (!actionType || typeof handler !== 'function') {
+                throw new AcsConfigError('An action type and handler function are required');
+            }
+            handlers.set(actionType, { handler, schema: options.schema });
+            return router;
+        },
+
+        /**
+         * Removes the handler for an action type
+         *
+         * @param {string} actionType - The action type
+         * @returns {boolean} True if a handler was removed
+         */
+        unregister(actionType) {
+            return handlers.delete(actionType);
+        },
+
+        /**
+         * Checks whether a handler is registered for an action type
+         *
+         * @param {string} actionType - The action type
+         * @returns {boolean} True if a handler is registered
+         */
+        has(actionType) {
+            return handlers.has(actionType);
+        },
+
+        /**
+         * Lists the registered action types
+         *
+         * @returns {Array<string>} The registered action types
+         */
+        actionTypes() {
+            return Array.from(handlers.keys());
+        },
+
+        /**
+         * Routes the current card action to its handler and delivers the result
+         *
+         * @param {TurnContext} context - The Bot Framework turn context
+         * @param {Object} acsConfig - Configuration passed through to handlers
+         * @returns {Promise<Object|null>} The invoke response sent, or null if no handler matched
+         */
+        async route(context, acsConfig) {
+            const action = normalizeCardAction(context.activity);
+            if (!action || !handlers.has(action.actionType)) {
+                if (action) {
+                    console.log(`Unknown action type: ${action.actionType}`);
+                }
+                return null;
+            }
+
+            const { handler, schema } = handlers.get(action.actionType);
+            let invokeResponse;
+
+            const problems = validateCardActionPayload(action, schema);
+            if (problems.length > 0) {
+                invokeResponse = createErrorInvokeResponse(400, 'BadRequest', `Invalid ${action.actionType} action: ${problems.join('; ')}`);
+            } else {
+                try {
+                    invokeResponse = toInvokeResponse(await handler(context, action, acsConfig));
+                } catch (error) {
+                    console.error(`Error handling ${action.actionType} card action:`, error);
+                    invokeResponse = createErrorInvokeResponse(500, 'InternalServerError', 'The action could not be completed. Please try again.');
+                }
+            }
+
+            await sendCardActionResponse(context, invokeResponse);
+            return invokeResponse;
+        }
+    };
+
+    return router;
+}
+
+// Export the card router functions
+module.exports = {
+    INVOKE_RESPONSE_TYPES,
+    createCardActionRouter,
+    createCardInvokeResponse,
+    createMessageInvokeResponse,
+    createErrorInvokeResponse,
+    withUserRefresh,
+    normalizeCardAction,
+    validateCardActionPayload,
+    sendCardActionResponse
+};
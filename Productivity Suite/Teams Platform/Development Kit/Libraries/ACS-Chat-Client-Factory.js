@@ -0,0 +1,322 @@
+/**
+ * ACS-Chat-Client-Factory.js
+ *
+ * Creates and caches Azure Communication Services (ACS) ChatClient and
+ * ChatThreadClient instances per identity for the bot helpers.
+ *
+ * Clients authenticate with an AzureCommunicationTokenCredential whose token
+ * refresher draws on the shared token broker, so tokens are renewed
+ * automatically instead of expiring under a long-lived client. Callers
+ * release each client they get once done with it; clients of an identity that
+ * have all been released and then gone unused for a while are disposed
+ * together with their credential.
+ *
+ * @version 1.1.0
+ * @license MIT
+ */
+
+// Dependencies
+const { ChatClient } = require('@azure/communication-chat');
+const { AzureCommunicationTokenCredential } = require('@azure/communication-common');
+const { resolveTokenBroker } = require('./ACS-Token-Broker');
+const { resolveBotIdentityManager } = require('./ACS-Bot-Identity');
+const { getSdkClientOptions } = require('./ACS-Resilience');
+const { AcsConfigError } = require('./ACS-Errors');
+
+// Default time a client may go unused before it is disposed (milliseconds)
+const DEFAULT_IDLE_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Creates a factory that caches chat clients per ACS identity
+ *
+ * @param {Object} acsConfig - Configuration with ACS endpoint and optional chatClientFactory settings
+ * @returns {Object} Factory with getChatClient, getChatThreadClient, getBotChatClient, getBotChatThreadClient, release and dispose methods
+ */
+function createChatClientFactory(acsConfig) {
+    if (!acsConfig || !acsConfig.endpoint) {
+        throw new AcsConfigError('An ACS endpoint is required to create chat clients');
+    }
+
+    const settings = acsConfig.chatClientFactory || {};
+    const idleTimeoutMs = settings.idleTimeoutMs !== undefined ? settings.idleTimeoutMs : DEFAULT_IDLE_TIMEOUT_MS;
+
+    // Cache entries keyed by "acsUserId|scope,scope"
+    const entries = new Map();
+    // Entry of every client handed out, for release(client)
+    const clientEntries = new WeakMap();
+    let sweepTimer = null;
+
+    const disposeEntry = (entry) => {
+        if (entry.disposed) {
+            return;
+        }
+        entry.disposed = true;
+        entry.chatClient = null;
+        entry.threadClients.clear();
+        if (entries.get(entry.key) === entry) {
+            entries.delete(entry.key);
+        }
+        entry.credential.dispose();
+    };
+
+    // Entries in use by a caller, or kept alive, are never disposed as idle
+    const isIdle = (entry, now) => !entry.keepAlive
+        && entry.references === 0
+        && now - entry.lastUsed >= idleTimeoutMs;
+
+    const scheduleSweep = () => {
+        if (sweepTimer || idleTimeoutMs <= 0) {
+            return;
+        }
+
+        sweepTimer = setInterval(() => {
+            const now = Date.now();
+            for (const entry of Array.from(entries.values())) {
+                if (isIdle(entry, now)) {
+                    disposeEntry(entry);
+                }
+            }
+            if (!Array.from(entries.values()).some(entry => !entry.keepAlive)) {
+                clearInterval(sweepTimer);
+                sweepTimer = null;
+            }
+        }, idleTimeoutMs);
+
+        // Never keep the process alive just to dispose clients
+        if (sweepTimer.unref) {
+            sweepTimer.unref();
+        }
+    };
+
+    const getEntry = (key, tokenRefresher) => {
+        let entry = entries.get(key);
+
+        if (!entry) {
+            entry = {
+                key,
+                credential: new AzureCommunicationTokenCredential({
+                    tokenRefresher,
+                    refreshProactively: true
+                }),
+                chatClient: null,
+                threadClients: new Map(),
+                // Clients handed out and not yet released
+                references: 0,
+                lastUsed: Date.now(),
+                keepAlive: false,
+                disposed: false
+            };
+            entries.set(key, entry);
+        }
+
+        entry.lastUsed = Date.now();
+        return entry;
+    };
+
+    // Counts a client handed out to a caller until the caller releases it
+    const acquireClient = (entry, client) => {
+        entry.references += 1;
+        clientEntries.set(client, entry);
+        scheduleSweep();
+        return client;
+    };
+
+    const chatClientFor = (entry) => {
+        if (!entry.chatClient) {
+            entry.chatClient = new ChatClient(acsConfig.endpoint, entry.credential, getSdkClientOptions(acsConfig));
+        }
+        return entry.chatClient;
+    };
+
+    const userEntry = (acsUserId, scopes) => {
+        if (!acsUserId) {
+            throw new AcsConfigError('An ACS user ID is required to create a chat client');
+        }
+        const scopeList = [].concat(scopes || ['chat']).sort();
+        return getEntry(`${acsUserId}|${scopeList.join(',')}`, async () => {
+            const token = await resolveTokenBroker(acsConfig).getToken(acsUserId, scopeList);
+            return token.token;
+        });
+    };
+
+    const botEntry = async () => {
+        const { acsUserId } = await resolveBotIdentityManager(acsConfig).getIdentity();
+        return getEntry(`${acsUserId}|bot`, async () => {
+            const token = await resolveBotIdentityManager(acsConfig).getToken();
+            return token.token;
+        });
+    };
+
+    const threadClientFor = (entry, threadId) => {
+        let threadClient = entry.threadClients.get(threadId);
+        if (!threadClient) {
+            threadClient = chatClientFor(entry).getChatThreadClient(threadId);
+            entry.threadClients.set(threadId, threadClient);
+        }
+        return threadClient;
+    };
+
+    return {
+        /**
+         * Gets the chat client for an ACS user
+         *
+         * @param {string} acsUserId - The ACS user ID
+         * @param {string|Array<string>} scopes - Token scopes (default: chat)
+         * @param {Object} options - Set keepAlive for clients used for real-time notifications (optional)
+         * @returns {ChatClient} The cached chat client
+         */
+        getChatClient(acsUserId, scopes, options = {}) {
+            const entry = userEntry(acsUserId, scopes);
+            entry.keepAlive = entry.keepAlive || !!options.keepAlive;
+            return acquireClient(entry, chatClientFor(entry));
+        },
+
+        /**
+         * Gets a thread client for an ACS user
+         *
+         * @param {string} acsUserId - The ACS user ID
+         * @param {string} threadId - The ACS chat thread ID
+         * @param {string|Array<string>} scopes - Token scopes (default: chat)
+         * @returns {ChatThreadClient} The cached thread client
+         */
+        getChatThreadClient(acsUserId, threadId, scopes) {
+            const entry = userEntry(acsUserId, scopes);
+            return acquireClient(entry, threadClientFor(entry, threadId));
+        },
+
+        /**
+         * Gets the chat client for the bot's managed identity
+         *
+         * @param {Object} options - Set keepAlive for clients used for real-time notifications (optional)
+         * @returns {Promise<ChatClient>} The cached chat client
+         */
+        async getBotChatClient(options = {}) {
+            const entry = await botEntry();
+            entry.keepAlive = entry.keepAlive || !!options.keepAlive;
+            return acquireClient(entry, chatClientFor(entry));
+        },
+
+        /**
+         * Gets a thread client for the bot's managed identity
+         *
+         * @param {string} threadId - The ACS chat thread ID
+         * @returns {Promise<ChatThreadClient>} The cached thread client
+         */
+        async getBotChatThreadClient(threadId) {
+            const entry = await botEntry();
+            return acquireClient(entry, threadClientFor(entry, threadId));
+        },
+
+        /**
+         * Releases a client a caller is done with, or every client of an ACS user
+         *
+         * Given a client, drops the caller's reference so the client can be
+         * disposed once idle. Given an ACS user ID, for example after the user
+         * left, disposes the user's clients at once; clients of the user that
+         * callers still hold stop working.
+         *
+         * @param {Object|string} clientOrAcsUserId - A client from this factory, or an ACS user ID
+         * @returns {void}
+         */
+        release(clientOrAcsUserId) {
+            if (typeof clientOrAcsUserId !== 'string') {
+                const entry = clientEntries.get(clientOrAcsUserId);
+                if (entry && entry.references > 0) {
+                    entry.references -= 1;
+                    entry.lastUsed = Date.now();
+                }
+                return;
+            }
+
+            const acsUserId = clientOrAcsUserId;
+            for (const [key, entry] of Array.from(entries)) {
+                if (key.startsWith(`${acsUserId}|`)) {
+                    disposeEntry(entry);
+                }
+            }
+        },
+
+        /**
+         * Disposes every cached client and stops the idle sweep
+         *
+         * Clients that callers still hold stop working.
+         *
+         * @returns {void}
+         */
+        dispose() {
+            for (const entry of Array.from(entries.values())) {
+                disposeEntry(entry);
+            }
+            if (sweepTimer) {
+                clearInterval(sweepTimer);
+                sweepTimer = null;
+            }
+        }
+    };
+}
+
+// Factories resolved per acsConfig object
+const resolvedFactories = new WeakMap();
+
+/**
+ * Resolves the chat client factory for an acsConfig object
+ *
+ * `acsConfig.chatClientFactory` may be a factory instance (anything with a
+ * `getChatClient` method) or settings; otherwise one factory is created on first
+ * use and shared by every helper given the same acsConfig.
+ *
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Object} The chat client factory
+ */
+function resolveChatClientFactory(acsConfig) {
+    const configured = acsConfig && acsConfig.chatClientFactory;
+    if (configured && typeof configured.getChatClient === 'function') {
+        return configured;
+    }
+
+    if (!resolvedFactories.has(acsConfig)) {
+        resolvedFactories.set(acsConfig, createChatClientFactory(acsConfig));
+    }
+    return resolvedFactories.get(acsConfig);
+}
+
+/**
+ * Runs an operation with a chat client and releases the client afterwards
+ *
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @param {Function} getClient - Gets the client from the factory, for example factory => factory.getBotChatClient()
+ * @param {Function} operation - Async function given the client
+ * @returns {Promise<*>} The operation's result
+ */
+async function withChatClient(acsConfig, getClient, operation) {
+    const clientFactory = resolveChatClientFactory(acsConfig);
+    const client = await getClient(clientFactory);
+    try {
+        return await operation(client);
+    } finally {
+        // Ready-made factories may not count references
+        if (typeof clientFactory.release === 'function') {
+            clientFactory.release(client);
+        }
+    }
+}
+
+/**
+ * Runs an operation with the bot's thread client and releases the client afterwards
+ *
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @param {string} threadId - The ACS chat thread ID
+ * @param {Function} operation - Async function given the thread client
+ * @returns {Promise<*>} The operation's result
+ */
+function withBotChatThreadClient(acsConfig, threadId, operation) {
+    return withChatClient(acsConfig, clientFactory => clientFactory.getBotChatThreadClient(threadId), operation);
+}
+
+// Export the factory functions
+module.exports = {
+    createChatClientFactory,
+    resolveChatClientFactory,
+    withChatClient,
+    withBotChatThreadClient
+};
@@ -0,0 +1,390 @@
+/**
+ * ACS-Command-Router.js
+ *
+ * Routes text commands addressed to the bot, such as `acs status`, to
+ * registered handlers.
+ *
+ * Commands start with a prefix, or follow an @mention of the bot. Mentions are
+ * stripped, arguments are tokenized with quoting and `--name=value` options,
+ * and positional arguments are checked against the declared argument list
+ * before the handler runs. A help card is generated from the registrations.
+ * Prefixed text that names no registered command, such as "ACS is down
+ * again", is ordinary conversation unless the bot is @mentioned.
+ *
+ * @version 1.1.1
+ * @license MIT
+ */
+
+// Dependencies
+const { CardFactory } = require('botbuilder');
+const { validateCardActionPayload } = require('./ACS-Card-Router');
+const { AcsConfigError } = require('./ACS-Errors');
+
+// Default word that introduces a command
+const DEFAULT_COMMAND_PREFIX = 'acs';
+
+/**
+ * Removes @mentions from message text
+ *
+ * @param {string} text - The message text
+ * @returns {string} The text without mentions, trimmed
+ */
+function stripMentions(text) {
+    return (text || '')
+        .replace(/<at[^>]*>.*?<\/at>/gi, ' ')
+        .replace(/&nbsp;/gi, ' ')
+        .trim();
+}
+
+/**
+ * Checks whether an activity mentions the bot it was sent to
+ *
+ * @param {Object} activity - The incoming activity
+ * @returns {boolean} True if the bot is mentioned
+ */
+function mentionsBot(activity) {
+    const botId = activity.recipient && activity.recipient.id;
+    return (activity.entities || []).some(entity =>
+        entity.type === 'mention' && entity.mentioned && entity.mentioned.id === botId
+    );
+}
+
+/**
+ * Splits command text into words, keeping quoted phrases together
+ *
+ * @param {string} text - The command text
+ * @returns {Array<string>} The words
+ */
+function tokenizeCommand(text) {
+    const words = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        words.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+    }
+    return words;
+}
+
+/**
+ * Builds the usage line of a command
+ *
+ * @param {string} prefix - The command prefix
+ * @param {string} name - The command name
+ * @param {Array<Object>} args - The declared arguments
+ * @returns {string} Usage such as `acs export [format] [from]`
+ */
+function formatUsage(prefix, name, args) {
+    const parts = [prefix, name].filter(Boolean);
+    for (const arg of args) {
+        const label = arg.rest ? `${arg.name}...` : arg.name;
+        parts.push(arg.required ? `<${label}>` : `[${label}]`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Creates a router that dispatches text commands to registered handlers
+ *
+ * @param {Object} options - Router options
+ * @param {string} options.prefix - Word that introduces a command (default: acs)
+ * @returns {Object} Router with register, unregister, has, commands, parse, createHelpCard and route methods
+ */
+function createCommandRouter(options = {}) {
+    const prefix = (options.prefix || DEFAULT_COMMAND_PREFIX).toLowerCase();
+    const commands = new Map();
+    const aliases = new Map();
+
+    const lookup = (name) => commands.get(aliases.get(name) || name);
+
+    const router = {
+        /**
+         * Registers a handler for a command
+         *
+         * Handlers receive (context, command, acsConfig), where command holds the
+         * parsed args and options, and may return message text, an adaptive
+         * card, an activity or nothing.
+         *
+         * @param {string} name - The command name
+         * @param {Function} handler - Async handler function
+         * @param {Object} options - Registration options: description, args, aliases and restricted
+         * @returns {Object} The router, for chaining
+         */
+        register(name, handler, options = {}) {
+            if (!name || typeof handler !== 'function') {
+                throw new AcsConfigError('A command name and handler function are required');
+            }
+
+            const normalized = name.toLowerCase();
+            commands.set(normalized, {
+                name: normalized,
+                handler,
+                description: options.description || '',
+                args: options.args || [],
+                aliases: (options.aliases || []).map(alias => alias.toLowerCase()),
+                restricted: !!options.restricted
+            });
+            for (const alias of options.aliases || []) {
+                aliases.set(alias.toLowerCase(), normalized);
+            }
+            return router;
+        },
+
+        /**
+         * Removes a command and its aliases
+         *
+         * @param {string} name - The command name
+         * @returns {boolean} True if a command was removed
+         */
+        unregister(name) {
+            const command = commands.get((name || '').toLowerCase());
+            if (!command) {
+                return false;
+            }
+            command.aliases.forEach(alias => aliases.delete(alias));
+            return commands.delete(command.name);
+        },
+
+        /**
+         * Checks whether a command or alias is registered
+         *
+         * @param {string} name - The command name
+         * @returns {boolean} True if the command is registered
+         */
+        has(name) {
+            return !!lookup((name || '').toLowerCase());
+        },
+
+        /**
+         * Lists the registered commands
+         *
+         * @returns {Array<Object>} Objects containing name, description, usage and aliases
+         */
+        commands() {
+            return Array.from(commands.values()).map(command => ({
+                name: command.name,
+                description: command.description,
+                usage: formatUsage(prefix, command.name, command.args),
+                aliases: command.aliases
+            }));
+        },
+
+        /**
+         * Parses the command in a message activity
+         *
+         * Text must start with the prefix followed by a registered command or
+         * alias, or name one right after an @mention of the bot. Without an
+         * @mention, only prefixed text that is a valid command is parsed: text
+         * naming no command, such as the prefix alone, or with arguments the
+         * command does not accept, such as "acs status is degraded", is
+         * conversation. With an @mention, the prefix alone means help and such
+         * text is parsed with its problems, so it can be answered with usage.
+         *
+         * Declared arguments take positional words in order, or `--name=value`
+         * options. An optional argument with an enum is skipped when the next
+         * word is not one of its values, so later arguments can be given alone.
+         *
+         * @param {Object} activity - The incoming activity
+         * @returns {Object|null} Object containing name, args, options and problems, or null if the text is not a command
+         */
+        parse(activity) {
+            if (!activity || activity.type !== 'message' || !activity.text) {
+                return null;
+            }
+
+            const words = tokenizeCommand(stripMentions(activity.text));
+            if (words.length === 0) {
+                return null;
+            }
+
+            const mentioned = mentionsBot(activity);
+            if (words[0].toLowerCase() === prefix) {
+                words.shift();
+            } else if (!mentioned || !lookup(words[0].toLowerCase())) {
+                return null;
+            }
+
+            if (words.length === 0 && !mentioned) {
+                return null;
+            }
+
+            const name = (words.shift() || 'help').toLowerCase();
+            const command = lookup(name);
+            if (!command) {
+                // Text that merely starts with the prefix word is conversation, not a command
+                return mentioned ? { name, known: false, args: {}, options: {}, problems: [] } : null;
+            }
+
+            // Separate --name=value options from positional words
+            const commandOptions = {};
+            const positional = [];
+            for (const word of words) {
+                const option = /^--([\w-]+)(?:=(.*))?$/.exec(word);
+                if (option) {
+                    commandOptions[option[1]] = option[2] !== undefined ? option[2] : true;
+                } else {
+                    positional.push(word);
+                }
+            }
+
+            const args = {};
+            const problems = [];
+            let next = 0;
+            for (const arg of command.args) {
+                let value;
+                if (commandOptions[arg.name] !== undefined && commandOptions[arg.name] !== true) {
+                    value = String(commandOptions[arg.name]);
+                    delete commandOptions[arg.name];
+                } else if (arg.rest) {
+                    value = positional.slice(next).join(' ');
+                    next = positional.length;
+                } else if (next < positional.length) {
+                    const word = positional[next];
+                    const skipped = arg.enum && !arg.required
+                        && !arg.enum.map(option => String(option).toLowerCase()).includes(word.toLowerCase());
+                    if (skipped) {
+                        continue;
+                    }
+                    value = word;
+                    next++;
+                }
+                if (value === undefined || value === '') {
+                    continue;
+                }
+                if (arg.type === 'number') {
+                    value = Number(value);
+                    if (Number.isNaN(value)) {
+                        problems.push(`${arg.name} must be a number`);
+                        continue;
+                    }
+                }
+                args[arg.name] = arg.enum ? value.toLowerCase() : value;
+            }
+
+            if (next < positional.length) {
+                problems.push('too many arguments');
+            }
+
+            const schema = {};
+            for (const arg of command.args) {
+                schema[arg.name] = { required: arg.required, enum: arg.enum, pattern: arg.pattern };
+            }
+            problems.push(...validateCardActionPayload(args, schema));
+
+            // Unaddressed text that does not fit the command is conversation, not a mistyped command
+            if (problems.length > 0 && !mentioned) {
+                return null;
+            }
+
+            return { name: command.name, known: true, args, options: commandOptions, problems };
+        },
+
+        /**
+         * Creates an adaptive card listing the registered commands
+         *
+         * @param {Object} options - Card options such as title (optional)
+         * @returns {Object} An adaptive card JSON object
+         */
+        createHelpCard(options = {}) {
+            const body = [
+                {
+                    type: 'TextBlock',
+                    text: options.title || 'ACS bridge commands',
+                    size: 'Medium',
+                    weight: 'Bolder',
+                    wrap: true
+                }
+            ];
+
+            for (const command of router.commands()) {
+                body.push({
+                    type: 'TextBlock',
+                    text: command.usage,
+                    fontType: 'Monospace',
+                    weight: 'Bolder',
+                    spacing: 'Medium',
+                    wrap: true
+                });
+                if (command.description) {
+                    body.push({ type: 'TextBlock', text: command.description, spacing: 'None', wrap: true });
+                }
+            }
+
+            return {
+                type: 'AdaptiveCard',
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                version: '1.3',
+                body
+            };
+        },
+
+        /**
+         * Routes the command in the current activity to its handler and replies
+         *
+         * Unknown commands and invalid arguments are answered with usage help.
+         * `acsConfig.commands.authorize(context, command)` can restrict who may
+         * run which command. Without it, commands registered as `restricted`
+         * are refused.
+         *
+         * @param {TurnContext} context - The Bot Framework turn context
+         * @param {Object} acsConfig - Configuration passed through to handlers
+         * @returns {Promise<boolean>} True if the activity was a command
+         */
+        async route(context, acsConfig) {
+            const command = router.parse(context.activity);
+            if (!command) {
+                return false;
+            }
+
+            if (!command.known) {
+                await context.sendActivity({
+                    type: 'message',
+                    text: `Unknown command "${command.name}".`,
+                    attachments: [CardFactory.adaptiveCard(router.createHelpCard())]
+                });
+                return true;
+            }
+
+            const registration = lookup(command.name);
+            const settings = (acsConfig && acsConfig.commands) || {};
+            const allowed = settings.authorize
+                ? await settings.authorize(context, command)
+                : !registration.restricted;
+            if (!allowed) {
+                await context.sendActivity(`You are not allowed to use the ${command.name} command.`);
+                return true;
+            }
+            if (command.problems.length > 0) {
+                await context.sendActivity(
+                    `Invalid ${command.name} command: ${command.problems.join('; ')}. Usage: ${formatUsage(prefix, command.name, registration.args)}`
+                );
+                return true;
+            }
+
+            try {
+                const result = await registration.handler(context, command, acsConfig);
+                if (typeof result === 'string') {
+                    await context.sendActivity(result);
+                } else if (result && result.type === 'AdaptiveCard') {
+                    await context.sendActivity({ type: 'message', attachments: [CardFactory.adaptiveCard(result)] });
+                } else if (result) {
+                    await context.sendActivity(result);
+                }
+            } catch (error) {
+                console.error(`Error handling ${command.name} command:`, error);
+                await context.sendActivity(`The ${command.name} command could not be completed. Please try again.`);
+            }
+            return true;
+        }
+    };
+
+    return router;
+}
+
+// Export the command router functions
+module.exports = {
+    DEFAULT_COMMAND_PREFIX,
+    createCommandRouter,
+    stripMentions,
+    tokenizeCommand
+};
@@ -0,0 +1,310 @@
+/**
+ * ACS-Config.js
+ *
+ * Loads and validates Azure Communication Services (ACS) configuration for the
+ * bot helpers.
+ *
+ * Settings are layered from a JSON file, environment variables and programmatic
+ * overrides, in increasing order of precedence. The connection string is parsed
+ * and checked, the endpoint is derived from it when not given, and secrets can
+ * be resolved through a secret provider. Problems are reported together, with
+ * the source each setting came from, so misconfiguration fails at startup
+ * instead of surfacing later as an opaque client error.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+// Dependencies
+const fs = require('fs');
+const path = require('path');
+const { AcsConfigError } = require('./ACS-Errors');
+
+/**
+ * Environment variables read by the loader and the settings they populate
+ */
+const ENV_VARIABLES = {
+    ACS_CONNECTION_STRING: 'connectionString',
+    ACS_ENDPOINT: 'endpoint'
+};
+
+// Environment variable naming the JSON configuration file
+const CONFIG_FILE_VARIABLE = 'ACS_CONFIG_FILE';
+
+// Suffix of environment variables naming a secret instead of holding the value
+const SECRET_VARIABLE_SUFFIX = '_SECRET';
+
+/**
+ * Parses an ACS connection string
+ *
+ * @param {string} connectionString - Connection string of the form `endpoint=...;accesskey=...`
+ * @returns {Object} Object containing endpoint and accessKey
+ * @throws {AcsConfigError} If the connection string is malformed
+ */
+function parseConnectionString(connectionString) {
+    if (typeof connectionString !== 'string' || connectionString.trim() === '') {
+        throw new AcsConfigError('The ACS connection string is empty');
+    }
+
+    const parts = {};
+    for (const segment of connectionString.split(';')) {
+        if (!segment.trim()) {
+            continue;
+        }
+        const separator = segment.indexOf('=');
+        if (separator <= 0) {
+            throw new AcsConfigError(`The ACS connection string has a malformed segment: "${segment.split('=')[0]}"`);
+        }
+        parts[segment.slice(0, separator).trim().toLowerCase()] = segment.slice(separator + 1).trim();
+    }
+
+    if (!parts.endpoint) {
+        throw new AcsConfigError('The ACS connection string has no endpoint= segment');
+    }
+    if (!parts.accesskey) {
+        throw new AcsConfigError('The ACS connection string has no accesskey= segment');
+    }
+
+    const endpoint = normalizeEndpoint(parts.endpoint, 'The endpoint in the ACS connection string');
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(parts.accesskey)) {
+        throw new AcsConfigError('The access key in the ACS connection string is not valid base64');
+    }
+
+    return { endpoint, accessKey: parts.accesskey };
+}
+
+/**
+ * Validates an endpoint URL and normalizes it to end with a slash
+ *
+ * HTTPS is required except for local emulators and test servers on localhost.
+ *
+ * @param {string} endpoint - The endpoint URL
+ * @param {string} label - Description of the value, used in error messages
+ * @returns {string} The normalized endpoint
+ * @throws {AcsConfigError} If the endpoint is not a valid URL
+ */
+function normalizeEndpoint(endpoint, label = 'The ACS endpoint') {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch (error) {
+        throw new AcsConfigError(`${label} is not a valid URL: "${endpoint}"`);
+    }
+
+    const isLocal = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+        throw new AcsConfigError(`${label} must use https: "${endpoint}"`);
+    }
+
+    return `${url.origin}/`;
+}
+
+/**
+ * Checks whether a setting value refers to a secret
+ *
+ * @param {*} value - The setting value
+ * @returns {boolean} True for values of the form `{ secret: 'name' }`
+ */
+function isSecretReference(value) {
+    return !!value && typeof value === 'object' && typeof value.secret === 'string';
+}
+
+/**
+ * Creates a secret provider backed by a local JSON file
+ *
+ * Stands in for a vault during development. The file maps secret names to
+ * values and is read on every lookup, so edits take effect without a restart.
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.filePath - Path to the JSON secrets file
+ * @returns {Object} Secret provider with a getSecret method
+ */
+function createLocalFileSecretProvider(options = {}) {
+    if (!options.filePath) {
+        throw new AcsConfigError('A filePath is required for the local file secret provider');
+    }
+
+    const filePath = path.resolve(options.filePath);
+
+    return {
+        /**
+         * Gets a secret value by name
+         *
+         * @param {string} name - The secret name
+         * @returns {Promise<string>} The secret value
+         */
+        async getSecret(name) {
+            let secrets;
+            try {
+                secrets = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            } catch (error) {
+                throw new AcsConfigError(`Could not read secrets file ${filePath}: ${error.message}`, { cause: error });
+            }
+
+            if (typeof secrets[name] !== 'string') {
+                throw new AcsConfigError(`Secret "${name}" was not found in ${filePath}`);
+            }
+            return secrets[name];
+        }
+    };
+}
+
+/**
+ * Reads the JSON configuration file
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {Object} The parsed settings
+ * @throws {AcsConfigError} If the file cannot be read or parsed
+ */
+function readConfigFile(filePath) {
+    const resolved = path.resolve(filePath);
+    let settings;
+    try {
+        settings = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+        throw new AcsConfigError(`Could not read ACS configuration file ${resolved}: ${error.message}`, { cause: error });
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new AcsConfigError(`ACS configuration file ${resolved} must contain a JSON object`);
+    }
+    return settings;
+}
+
+/**
+ * Layers the configuration sources into raw settings
+ *
+ * @param {Object} options - Loader options
+ * @returns {Object} Object containing settings and the source of each setting
+ */
+function collectSettings(options = {}) {
+    const env = options.env || process.env;
+    const settings = {};
+    const sources = {};
+
+    const apply = (values, source) => {
+        for (const [key, value] of Object.entries(values)) {
+            if (value !== undefined && value !== null && value !== '') {
+                settings[key] = value;
+                sources[key] = source;
+            }
+        }
+    };
+
+    const configFile = options.configFile || env[CONFIG_FILE_VARIABLE];
+    if (configFile) {
+        apply(readConfigFile(configFile), `configuration file ${path.resolve(configFile)}`);
+    }
+
+    for (const [variable, key] of Object.entries(ENV_VARIABLES)) {
+        apply({ [key]: env[variable] }, `environment variable ${variable}`);
+
+        const secretName = env[`${variable}${SECRET_VARIABLE_SUFFIX}`];
+        if (secretName) {
+            apply({ [key]: { secret: secretName } }, `environment variable ${variable}${SECRET_VARIABLE_SUFFIX}`);
+        }
+    }
+
+    apply(options.overrides || {}, 'overrides');
+
+    return { settings, sources };
+}
+
+/**
+ * Validates layered settings and derives the endpoint
+ *
+ * @param {Object} settings - Settings with secrets already resolved
+ * @param {Object} sources - Source of each setting
+ * @returns {Object} The validated ACS configuration
+ * @throws {AcsConfigError} Listing every problem found
+ */
+function validateSettings(settings, sources) {
+    const problems = [];
+    const describe = (key) => (sources[key] ? ` (from ${sources[key]})` : '');
+    let parsed = null;
+
+    if (!settings.connectionString) {
+        problems.push('connectionString is missing; set ACS_CONNECTION_STRING, add it to the configuration file, or pass it as an override');
+    } else {
+        try {
+            parsed = parseConnectionString(settings.connectionString);
+        } catch (error) {
+            problems.push(`connectionString is invalid${describe('connectionString')}: ${error.message}`);
+        }
+    }
+
+    let endpoint = parsed ? parsed.endpoint : null;
+    if (settings.endpoint) {
+        try {
+            endpoint = normalizeEndpoint(settings.endpoint);
+            if (parsed && endpoint !== parsed.endpoint) {
+                problems.push(`endpoint${describe('endpoint')} is ${endpoint} but the connection string points to ${parsed.endpoint}`);
+            }
+        } catch (error) {
+            problems.push(`endpoint is invalid${describe('endpoint')}: ${error.message}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new AcsConfigError(`Invalid ACS configuration:\n- ${problems.join('\n- ')}`);
+    }
+
+    return { ...settings, endpoint };
+}
+
+/**
+ * Resolves and validates the ACS configuration synchronously
+ *
+ * Use loadAcsConfig instead when settings refer to secrets.
+ *
+ * @param {Object} options - Loader options
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @param {string} options.configFile - JSON configuration file (default: ACS_CONFIG_FILE)
+ * @param {Object} options.overrides - Settings that take precedence over every other source
+ * @returns {Object} The validated ACS configuration
+ * @throws {AcsConfigError} If the configuration is invalid or needs a secret provider
+ */
+function resolveAcsConfig(options = {}) {
+    const { settings, sources } = collectSettings(options);
+
+    const secretKeys = Object.keys(settings).filter(key => isSecretReference(settings[key]));
+    if (secretKeys.length > 0) {
+        throw new AcsConfigError(`ACS setting(s) ${secretKeys.join(', ')} refer to secrets; use loadAcsConfig with a secretProvider`);
+    }
+
+    return validateSettings(settings, sources);
+}
+
+/**
+ * Loads and validates the ACS configuration, resolving secret references
+ *
+ * @param {Object} options - Loader options, as for resolveAcsConfig
+ * @param {Object} options.secretProvider - Provider with an async getSecret(name) method
+ * @returns {Promise<Object>} The validated ACS configuration
+ * @throws {AcsConfigError} If the configuration is invalid or a secret cannot be resolved
+ */
+async function loadAcsConfig(options = {}) {
+    const { settings, sources } = collectSettings(options);
+
+    for (const [key, value] of Object.entries(settings)) {
+        if (!isSecretReference(value)) {
+            continue;
+        }
+        if (!options.secretProvider) {
+            throw new AcsConfigError(`ACS setting ${key} (from ${sources[key]}) refers to secret "${value.secret}" but no secretProvider was given`);
+        }
+        settings[key] = await options.secretProvider.getSecret(value.secret);
+        sources[key] = `secret "${value.secret}"`;
+    }
+
+    return validateSettings(settings, sources);
+}
+
+// Export the configuration functions
+module.exports = {
+    ENV_VARIABLES,
+    parseConnectionString,
+    normalizeEndpoint,
+    createLocalFileSecretProvider,
+    resolveAcsConfig,
+    loadAcsConfig
+};
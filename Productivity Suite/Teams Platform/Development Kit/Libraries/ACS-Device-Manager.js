@@ -0,0 +1,560 @@
+/**
+ * ACS-Device-Manager.js
+ *
+ * Camera, microphone and speaker selection for Azure Communication Services
+ * (ACS) calls in Microsoft Teams tabs and meeting apps.
+ *
+ * A device controller lists the devices the ACS DeviceManager reports, asks
+ * for permission to use them, and remembers the user's choice of each kind of
+ * device across page loads. Choices apply to the active call straight away.
+ * When the chosen device is unplugged the controller falls back to the system
+ * default, and it switches back when the device is plugged in again. A
+ * settings panel lets users choose devices with the `.acs-*` styling.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+// Dependencies
+import { CallSession } from './ACS-Call-Session.js';
+import { AcsConfigError, AcsNotFoundError, AcsValidationError, toAcsError } from './ACS-Errors.mjs';
+
+/**
+ * Kinds of devices a controller selects
+ */
+export const DEVICE_KINDS = {
+    camera: 'camera',
+    microphone: 'microphone',
+    speaker: 'speaker'
+};
+
+/**
+ * Storage key of the remembered devices unless the caller overrides it
+ */
+export const DEFAULT_DEVICE_STORAGE_KEY = 'acs-device-preferences';
+
+// Labels of the settings panel fields
+const DEVICE_LABELS = {
+    camera: 'Camera',
+    microphone: 'Microphone',
+    speaker: 'Speaker'
+};
+
+// Cameras selected by the controllers of each DeviceManager, for setupLocalVideo
+const selectedCameras = new WeakMap();
+
+/**
+ * Get the storage used for remembered devices by default
+ *
+ * Storage may be blocked in embedded Teams tabs, in which case choices last
+ * until the page is closed.
+ *
+ * @returns {Storage|null} The page's localStorage, or null
+ */
+function getDefaultStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Read the remembered devices
+ *
+ * @param {Storage} storage - Storage with getItem
+ * @param {string} storageKey - The storage key
+ * @returns {Object} Remembered `{ id, name }` by device kind
+ */
+function readPreferences(storage, storageKey) {
+    if (!storage) {
+        return {};
+    }
+    try {
+        return JSON.parse(storage.getItem(storageKey)) || {};
+    } catch (error) {
+        console.warn('Ignoring unreadable device preferences:', error);
+        return {};
+    }
+}
+
+/**
+ * Find a device in a list by ID, or by name as IDs can change between sessions
+ *
+ * @param {Array<Object>} devices - The devices
+ * @param {Object} device - Object containing id and name
+ * @returns {Object|null} The device from the list, or null
+ */
+function findDevice(devices, device) {
+    if (!device) {
+        return null;
+    }
+    return devices.find(candidate => candidate.id === device.id)
+        || (device.name && devices.find(candidate => candidate.name === device.name))
+        || null;
+}
+
+/**
+ * Choose a device: the remembered one, then the current one, then the system default
+ *
+ * @param {Array<Object>} devices - The available devices
+ * @param {Object} preferred - The remembered device (optional)
+ * @param {Object} current - The selected device (optional)
+ * @returns {Object|null} The device to use, or null if there are none
+ */
+export function chooseDevice(devices, preferred, current) {
+    return findDevice(devices, preferred)
+        || findDevice(devices, current)
+        || devices.find(device => device.isSystemDefault)
+        || devices[0]
+        || null;
+}
+
+/**
+ * Choose the camera for a new local video stream
+ *
+ * The camera selected with a device controller is used, then the remembered
+ * camera, then the first camera.
+ *
+ * @param {DeviceManager} deviceManager - The ACS device manager
+ * @param {Array<Object>} cameras - The available cameras
+ * @returns {Object|null} The camera, or null if there are none
+ */
+export function choosePreferredCamera(deviceManager, cameras) {
+    const preferences = readPreferences(getDefaultStorage(), DEFAULT_DEVICE_STORAGE_KEY);
+    return findDevice(cameras, selectedCameras.get(deviceManager))
+        || findDevice(cameras, preferences.camera)
+        || cameras[0]
+        || null;
+}
+
+/**
+ * Get the camera streams a call is sending
+ *
+ * @param {Call} call - The ACS call
+ * @returns {Array<LocalVideoStream>} The camera streams
+ */
+function getCameraStreams(call) {
+    return ((call && call.localVideoStreams) || []).filter(stream => stream.mediaStreamType === 'Video');
+}
+
+/**
+ * Create a device controller for a call session or device manager
+ *
+ * @param {CallSession|Object} source - The call session, or an object containing deviceManager and call
+ * @param {Object} options - Controller options
+ * @param {Storage} options.storage - Storage for the remembered devices (default: localStorage)
+ * @param {string} options.storageKey - Storage key (default: acs-device-preferences)
+ * @returns {Promise<Object>} The controller, with the remembered devices selected
+ * @throws {AcsConfigError} If there is no device manager
+ */
+export async function createDeviceController(source, options = {}) {
+    const session = source instanceof CallSession ? source : null;
+    const deviceManager = session ? session.deviceManager : source && source.deviceManager;
+    if (!deviceManager) {
+        throw new AcsConfigError('A call session or a deviceManager is needed to select devices');
+    }
+
+    const getCall = () => (session ? session.call : source.call) || null;
+    const storage = options.storage === undefined ? getDefaultStorage() : options.storage;
+    const storageKey = options.storageKey || DEFAULT_DEVICE_STORAGE_KEY;
+
+    // Remembered choices survive fallbacks, so unplugged devices are restored
+    const preferences = readPreferences(storage, storageKey);
+    const devices = { camera: [], microphone: [], speaker: [] };
+    const selected = { camera: null, microphone: null, speaker: null };
+    const listeners = new Map();
+    let disposed = false;
+    let pendingChange = Promise.resolve();
+
+    // Device changes run one at a time; an unplug raises video and audio updates together
+    const serialize = (change) => {
+        const run = pendingChange.then(change);
+        pendingChange = run.catch(() => {});
+        return run;
+    };
+
+    const emit = (event, args) => {
+        for (const listener of Array.from(listeners.get(event) || [])) {
+            try {
+                listener(args);
+            } catch (error) {
+                console.error(`Error in device controller ${event} listener:`, error);
+            }
+        }
+    };
+
+    const savePreferences = () => {
+        if (!storage) {
+            return;
+        }
+        try {
+            storage.setItem(storageKey, JSON.stringify(preferences));
+        } catch (error) {
+            console.warn('Could not remember the selected devices:', error);
+        }
+    };
+
+    const listDevices = async () => {
+        const [cameras, microphones, speakers] = await Promise.all([
+            deviceManager.getCameras(),
+            deviceManager.getMicrophones(),
+            // Browsers without speaker selection report no speakers
+            deviceManager.isSpeakerSelectionAvailable ? deviceManager.getSpeakers() : []
+        ]);
+        devices.camera = cameras;
+        devices.microphone = microphones;
+        devices.speaker = speakers;
+    };
+
+    // Use a device for its kind, in the device manager and the active call
+    const applyDevice = async (kind, device, reason) => {
+        const previousDevice = selected[kind];
+        if ((previousDevice && previousDevice.id) === (device && device.id)) {
+            return;
+        }
+
+        if (kind === DEVICE_KINDS.camera) {
+            const call = getCall();
+            for (const stream of getCameraStreams(call)) {
+                if (device) {
+                    await stream.switchSource(device);
+                } else {
+                    // Nothing can be sent once the last camera is gone
+                    await call.stopVideo(stream);
+                }
+            }
+            if (device) {
+                selectedCameras.set(deviceManager, device);
+            } else {
+                selectedCameras.delete(deviceManager);
+            }
+        } else if (device && kind === DEVICE_KINDS.microphone) {
+            await deviceManager.selectMicrophone(device);
+        } else if (device && kind === DEVICE_KINDS.speaker) {
+            await deviceManager.selectSpeaker(device);
+        }
+
+        selected[kind] = device;
+        emit('selectionChanged', { kind, device, previousDevice, reason });
+    };
+
+    // Choose each kind's device again after the devices changed
+    const reconcile = async () => {
+        for (const kind of Object.values(DEVICE_KINDS)) {
+            const current = selected[kind]
+                || (kind === DEVICE_KINDS.microphone && deviceManager.selectedMicrophone)
+                || (kind === DEVICE_KINDS.speaker && deviceManager.selectedSpeaker)
+                || null;
+            const device = chooseDevice(devices[kind], preferences[kind], current);
+            let reason = selected[kind] ? 'fallback' : 'default';
+            if (device && findDevice([device], preferences[kind])) {
+                reason = 'preferred';
+            }
+            try {
+                await applyDevice(kind, device, reason);
+            } catch (error) {
+                console.error(`Error selecting ${kind}:`, error);
+                emit('error', toAcsError(error, 'selectDevice'));
+            }
+        }
+    };
+
+    const refresh = () => serialize(async () => {
+        await listDevices();
+        emit('devicesChanged', controller.getDevices());
+        await reconcile();
+    });
+
+    // Hot-plugged devices are reported as updates to the device lists
+    const onDevicesUpdated = () => {
+        if (disposed) {
+            return;
+        }
+        refresh().catch(error => {
+            console.error('Error updating devices:', error);
+            emit('error', toAcsError(error, 'refreshDevices'));
+        });
+    };
+
+    const controller = {
+        deviceManager,
+
+        /**
+         * Subscribes to a controller event
+         *
+         * `devicesChanged` is raised with the device lists, `selectionChanged`
+         * with `{ kind, device, previousDevice, reason }`, where reason is user,
+         * preferred, default or fallback, and `error` with a typed error.
+         *
+         * @param {string} event - The event name
+         * @param {Function} listener - Function called with the event
+         * @returns {void}
+         */
+        on(event, listener) {
+            if (!listeners.has(event)) {
+                listeners.set(event, new Set());
+            }
+            listeners.get(event).add(listener);
+        },
+
+        /**
+         * Unsubscribes from a controller event
+         *
+         * @param {string} event - The event name
+         * @param {Function} listener - The function passed to on
+         * @returns {void}
+         */
+        off(event, listener) {
+            const eventListeners = listeners.get(event);
+            if (eventListeners) {
+                eventListeners.delete(listener);
+            }
+        },
+
+        /**
+         * Gets the available devices
+         *
+         * @returns {Object} Object containing cameras, microphones and speakers
+         */
+        getDevices() {
+            return {
+                cameras: devices.camera.slice(),
+                microphones: devices.microphone.slice(),
+                speakers: devices.speaker.slice()
+            };
+        },
+
+        /**
+         * Gets the selected device of a kind
+         *
+         * @param {string} kind - One of DEVICE_KINDS
+         * @returns {Object|null} The device, or null if there is none
+         */
+        getSelectedDevice(kind) {
+            return selected[kind] || null;
+        },
+
+        /**
+         * Selects and remembers a device, switching the active call to it
+         *
+         * @param {string} kind - One of DEVICE_KINDS
+         * @param {Object|string} deviceOrId - The device, or its ID
+         * @returns {Promise<Object>} The selected device
+         * @throws {AcsValidationError} If the kind is unknown
+         * @throws {AcsNotFoundError} If the device is not available
+         */
+        async selectDevice(kind, deviceOrId) {
+            try {
+                if (!DEVICE_KINDS[kind]) {
+                    throw new AcsValidationError(`Unknown device kind "${kind}"; use camera, microphone or speaker`);
+                }
+                const id = typeof deviceOrId === 'string' ? deviceOrId : deviceOrId && deviceOrId.id;
+
+                return await serialize(async () => {
+                    const device = devices[kind].find(candidate => candidate.id === id);
+                    if (!device) {
+                        throw new AcsNotFoundError(`The ${kind} ${id} is not available`);
+                    }
+
+                    await applyDevice(kind, device, 'user');
+                    preferences[kind] = { id: device.id, name: device.name };
+                    savePreferences();
+                    return device;
+                });
+            } catch (error) {
+                console.error(`Error selecting ${kind}:`, error);
+                throw toAcsError(error, 'selectDevice');
+            }
+        },
+
+        /**
+         * Asks the user for access to cameras and microphones
+         *
+         * Device names are only reported once access is granted, so the devices
+         * are listed again afterwards.
+         *
+         * @param {Object} constraints - Object containing audio and video (default: both)
+         * @returns {Promise<Object>} Object containing audio and video, true where access was granted
+         */
+        async requestPermissions(constraints = { audio: true, video: true }) {
+            try {
+                const access = await deviceManager.askDevicePermission(constraints);
+                await refresh();
+                return access;
+            } catch (error) {
+                console.error('Error requesting device permissions:', error);
+                throw toAcsError(error, 'requestPermissions');
+            }
+        },
+
+        /**
+         * Lists the devices again and falls back from any that are gone
+         *
+         * @returns {Promise<void>}
+         */
+        refresh,
+
+        /**
+         * Stops following device changes and removes all listeners
+         *
+         * The selected devices stay in use.
+         *
+         * @returns {void}
+         */
+        dispose() {
+            if (disposed) {
+                return;
+            }
+            disposed = true;
+            deviceManager.off('videoDevicesUpdated', onDevicesUpdated);
+            deviceManager.off('audioDevicesUpdated', onDevicesUpdated);
+            listeners.clear();
+        }
+    };
+
+    try {
+        await refresh();
+    } catch (error) {
+        console.error('Error listing devices:', error);
+        throw toAcsError(error, 'createDeviceController');
+    }
+    deviceManager.on('videoDevicesUpdated', onDevicesUpdated);
+    deviceManager.on('audioDevicesUpdated', onDevicesUpdated);
+
+    return controller;
+}
+
+/**
+ * Create a settings panel for choosing devices
+ *
+ * The panel has a list for each kind of device and follows the controller's
+ * devices and selection. An access button is shown while device names are
+ * hidden because permission has not been granted.
+ *
+ * @param {Object} controller - A controller from createDeviceController
+ * @param {Object} options - Panel options
+ * @param {HTMLElement|string} options.container - Element, or its ID, to mount the panel in (default: document.body)
+ * @param {Function} options.onError - Function called with errors from the panel (optional)
+ * @returns {Object} Object containing element and dispose
+ * @throws {AcsConfigError} If the container is not found
+ */
+export function createDeviceSettingsPanel(controller, options = {}) {
+    const parent = typeof options.container === 'string'
+        ? document.getElementById(options.container)
+        : options.container || document.body;
+    if (!parent) {
+        throw new AcsConfigError(`Element with ID ${options.container} not found`);
+    }
+
+    const panelElement = document.createElement('div');
+    panelElement.className = 'acs-container acs-device-settings';
+    panelElement.setAttribute('role', 'group');
+    panelElement.setAttribute('aria-label', 'Device settings');
+
+    const reportError = (error) => {
+        if (typeof options.onError === 'function') {
+            options.onError(error);
+        }
+    };
+
+    const permissionButton = document.createElement('button');
+    permissionButton.className = 'acs-button acs-device-settings-permission';
+    permissionButton.textContent = 'Allow camera and microphone access';
+    panelElement.appendChild(permissionButton);
+
+    // One field per kind of device
+    const fields = Object.values(DEVICE_KINDS).map(kind => {
+        const fieldElement = document.createElement('div');
+        fieldElement.className = 'acs-device-settings-field';
+
+        const selectElement = document.createElement('select');
+        selectElement.id = `acs-device-settings-${kind}`;
+        selectElement.className = 'acs-input';
+
+        const labelElement = document.createElement('label');
+        labelElement.className = 'acs-device-settings-label';
+        labelElement.htmlFor = selectElement.id;
+        labelElement.textContent = DEVICE_LABELS[kind];
+
+        const onChange = () => {
+            controller.selectDevice(kind, selectElement.value).catch(error => {
+                // Show the device still in use
+                render();
+                reportError(error);
+            });
+        };
+        selectElement.addEventListener('change', onChange);
+
+        fieldElement.appendChild(labelElement);
+        fieldElement.appendChild(selectElement);
+        panelElement.appendChild(fieldElement);
+        return { kind, fieldElement, selectElement, onChange };
+    });
+
+    const listKey = { camera: 'cameras', microphone: 'microphones', speaker: 'speakers' };
+
+    const render = () => {
+        const devices = controller.getDevices();
+        let namesHidden = false;
+
+        for (const { kind, fieldElement, selectElement } of fields) {
+            const kindDevices = devices[listKey[kind]];
+            const selectedDevice = controller.getSelectedDevice(kind);
+
+            selectElement.innerHTML = '';
+            kindDevices.forEach((device, index) => {
+                const optionElement = document.createElement('option');
+                optionElement.value = device.id;
+                optionElement.textContent = device.name || `${DEVICE_LABELS[kind]} ${index + 1}`;
+                optionElement.selected = !!selectedDevice && selectedDevice.id === device.id;
+                selectElement.appendChild(optionElement);
+                namesHidden = namesHidden || !device.name;
+            });
+
+            // Speakers cannot be chosen in some browsers
+            fieldElement.hidden = kind === DEVICE_KINDS.speaker && kindDevices.length === 0;
+            selectElement.disabled = kindDevices.length === 0;
+        }
+
+        const { cameras, microphones } = devices;
+        permissionButton.hidden = !namesHidden && cameras.length + microphones.length > 0;
+    };
+
+    const onPermissionClicked = () => {
+        controller.requestPermissions().catch(reportError);
+    };
+    permissionButton.addEventListener('click', onPermissionClicked);
+    controller.on('devicesChanged', render);
+    controller.on('selectionChanged', render);
+
+    render();
+    parent.appendChild(panelElement);
+
+    return {
+        element: panelElement,
+
+        /**
+         * Removes the panel and stops following the controller
+         *
+         * @returns {void}
+         */
+        dispose() {
+            controller.off('devicesChanged', render);
+            controller.off('selectionChanged', render);
+            permissionButton.removeEventListener('click', onPermissionClicked);
+            fields.forEach(({ selectElement, onChange }) => selectElement.removeEventListener('change', onChange));
+            panelElement.remove();
+        }
+    };
+}
+
+// Export the device selection functions
+export default {
+    DEVICE_KINDS,
+    DEFAULT_DEVICE_STORAGE_KEY,
+    chooseDevice,
+    choosePreferredCamera,
+    createDeviceController,
+    createDeviceSettingsPanel
+};
@@ -0,0 +1,297 @@
+/**
+ * ACS-Errors.mjs
+ *
+ * Generated from ACS-Errors.js by ACS-Build-Esm.js. Do not edit.
+ *
+ * Typed errors for Azure Communication Services (ACS) helper failures.
+ *
+ * Every error keeps the REST status and code of the underlying failure, the
+ * helper operation that failed, and whether retrying may succeed, so callers can
+ * react to the kind of failure instead of parsing messages. The module has no
+ * dependencies and is used by both ACS-Bot-Helpers.js and ACS-Teams-Utils.js.
+ * Browsers import the ES module copy, ACS-Errors.mjs, which ACS-Build-Esm.js
+ * generates from ACS-Errors.js.
+ *
+ * @version 1.2.0
+ * @license MIT
+ */
+
+// Error codes of network failures that are safe to treat as transient
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'REQUEST_SEND_ERROR'];
+
+// Status implied by ACS error codes, for errors that carry a code but no status
+const STATUS_BY_CODE = {
+    Unauthorized: 401,
+    Forbidden: 403,
+    ResourceNotFound: 404,
+    NotFound: 404,
+    TooManyRequests: 429,
+    ServiceUnavailable: 503
+};
+
+/**
+ * Base class for ACS helper errors
+ */
+class AcsError extends Error {
+    /**
+     * @param {string} message - The error message
+     * @param {Object} details - Error details
+     * @param {number} details.statusCode - REST status code, if the failure came from a request
+     * @param {string} details.code - Service or helper error code
+     * @param {boolean} details.retryable - Whether retrying may succeed
+     * @param {string} details.operation - Name of the helper operation that failed
+     * @param {Error} details.cause - The underlying error
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.statusCode = details.statusCode;
+        this.code = details.code;
+        this.retryable = !!details.retryable;
+        this.operation = details.operation;
+        if (details.cause) {
+            this.cause = details.cause;
+        }
+    }
+}
+
+/**
+ * The caller is not authenticated or not allowed to perform the operation (401, 403)
+ */
+class AcsAuthError extends AcsError {
+    constructor(message, details = {}) {
+        super(message, {
+            ...details,
+            code: details.code || (details.statusCode === 403 ? 'Forbidden' : 'Unauthorized'),
+            retryable: false
+        });
+    }
+}
+
+/**
+ * The requested resource, such as a thread or user, does not exist (404)
+ */
+class AcsNotFoundError extends AcsError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: details.code || 'ResourceNotFound', retryable: false });
+    }
+}
+
+/**
+ * ACS throttled the request (429)
+ */
+class AcsThrottledError extends AcsError {
+    /**
+     * @param {string} message - The error message
+     * @param {Object} details - Error details, plus retryAfterMs when the service sent one
+     */
+    constructor(message, details = {}) {
+        super(message, { ...details, code: details.code || 'TooManyRequests', retryable: true });
+        this.retryAfterMs = details.retryAfterMs !== undefined ? details.retryAfterMs : null;
+    }
+}
+
+/**
+ * ACS rejected the request as invalid (400, 409 and other client errors)
+ */
+class AcsValidationError extends AcsError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: details.code || 'BadRequest', retryable: false });
+    }
+}
+
+/**
+ * ACS failed or could not be reached (5xx, timeouts, dropped connections)
+ */
+class AcsServiceError extends AcsError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: details.code || 'ServiceUnavailable', retryable: true });
+    }
+}
+
+/**
+ * Calls were not attempted because the endpoint's circuit breaker is open
+ */
+class AcsCircuitOpenError extends AcsServiceError {
+    /**
+     * @param {string} message - The error message
+     * @param {Object} details - Error details, plus retryAt for when the circuit allows a trial call
+     */
+    constructor(message, details = {}) {
+        super(message, { ...details, statusCode: details.statusCode || 503, code: 'CircuitOpen' });
+        this.retryAt = details.retryAt || null;
+    }
+}
+
+/**
+ * Required configuration or input is missing or invalid
+ */
+class AcsConfigError extends AcsError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: details.code || 'InvalidConfiguration', retryable: false });
+    }
+}
+
+/**
+ * A camera, microphone or other media device is missing or not permitted
+ */
+class AcsDeviceError extends AcsError {
+    constructor(message, details = {}) {
+        super(message, { ...details, code: details.code || 'DeviceUnavailable', retryable: false });
+    }
+}
+
+/**
+ * Gets the HTTP status code of a failed call
+ *
+ * @param {Error} error - The error thrown by the Azure SDK or a helper
+ * @returns {number|undefined} The status code, if any
+ */
+function getStatusCode(error) {
+    if (!error) {
+        return undefined;
+    }
+    return error.statusCode || error.status || (error.response && error.response.status);
+}
+
+/**
+ * Reads the delay requested by the service from the response headers
+ *
+ * Supports `retry-after-ms`, `x-ms-retry-after-ms` and `Retry-After` in either
+ * seconds or HTTP date form.
+ *
+ * @param {Error|Response} errorOrResponse - An error with a response, or a fetch Response
+ * @returns {number|null} Requested delay in milliseconds, or null if none was given
+ */
+function getRetryAfterMs(errorOrResponse) {
+    const response = errorOrResponse && errorOrResponse.response ? errorOrResponse.response : errorOrResponse;
+    const headers = response && response.headers;
+    if (!headers) {
+        return null;
+    }
+
+    const readHeader = (name) => (typeof headers.get === 'function'
+        ? headers.get(name)
+        : headers[name] || headers[name.toLowerCase()]);
+
+    for (const name of ['retry-after-ms', 'x-ms-retry-after-ms']) {
+        const value = readHeader(name);
+        if (value !== undefined && value !== null && value !== '' && !Number.isNaN(Number(value))) {
+            return Math.max(Number(value), 0);
+        }
+    }
+
+    const retryAfter = readHeader('retry-after');
+    if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+        return null;
+    }
+
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(seconds * 1000, 0);
+    }
+
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Picks the error class for a status code
+ *
+ * @param {number} statusCode - The HTTP status code
+ * @returns {Function} The AcsError subclass
+ */
+function errorClassForStatus(statusCode) {
+    if (statusCode === 401 || statusCode === 403) {
+        return AcsAuthError;
+    }
+    if (statusCode === 404) {
+        return AcsNotFoundError;
+    }
+    if (statusCode === 429) {
+        return AcsThrottledError;
+    }
+    if (statusCode === 408 || statusCode >= 500) {
+        return AcsServiceError;
+    }
+    return AcsValidationError;
+}
+
+/**
+ * Converts any error into a typed ACS error
+ *
+ * Typed errors are returned as they are, with the operation filled in if it was
+ * missing. Other errors are classified by their REST status or network code and
+ * keep that status and code.
+ *
+ * @param {Error} error - The error to convert
+ * @param {string} operation - Name of the helper operation that failed
+ * @param {string} message - Message prefix, such as 'Failed to send message' (optional)
+ * @returns {AcsError} The typed error
+ */
+function toAcsError(error, operation, message) {
+    if (error instanceof AcsError) {
+        if (!error.operation) {
+            error.operation = operation;
+        }
+        return error;
+    }
+
+    const originalMessage = (error && error.message) || String(error);
+    const fullMessage = message ? `${message}: ${originalMessage}` : originalMessage;
+    const statusCode = getStatusCode(error) || (error && STATUS_BY_CODE[error.code]);
+    const details = {
+        statusCode,
+        code: error && error.code,
+        operation,
+        cause: error
+    };
+
+    if (statusCode) {
+        const ErrorClass = errorClassForStatus(statusCode);
+        return new ErrorClass(fullMessage, { ...details, retryAfterMs: getRetryAfterMs(error) });
+    }
+    if (error && TRANSIENT_NETWORK_CODES.includes(error.code)) {
+        return new AcsServiceError(fullMessage, details);
+    }
+    if (error && (error.name === 'NotAllowedError' || error.name === 'NotFoundError' || error.name === 'NotReadableError')) {
+        return new AcsDeviceError(fullMessage, { ...details, code: error.name });
+    }
+
+    return new AcsError(fullMessage, details);
+}
+
+/**
+ * Creates a typed error for an unsuccessful fetch response
+ *
+ * @param {Response} response - The fetch response
+ * @param {string} operation - Name of the helper operation that failed
+ * @param {string} message - Message prefix, such as 'Failed to exchange token'
+ * @returns {AcsError} The typed error
+ */
+function createErrorFromResponse(response, operation, message) {
+    const ErrorClass = errorClassForStatus(response.status);
+    return new ErrorClass(`${message}: ${response.statusText}`, {
+        statusCode: response.status,
+        operation,
+        retryAfterMs: getRetryAfterMs(response)
+    });
+}
+
+// Export the error classes and helpers
+export {
+    TRANSIENT_NETWORK_CODES,
+    AcsError,
+    AcsAuthError,
+    AcsNotFoundError,
+    AcsThrottledError,
+    AcsValidationError,
+    AcsServiceError,
+    AcsCircuitOpenError,
+    AcsConfigError,
+    AcsDeviceError,
+    getStatusCode,
+    getRetryAfterMs,
+    toAcsError,
+    createErrorFromResponse
+};
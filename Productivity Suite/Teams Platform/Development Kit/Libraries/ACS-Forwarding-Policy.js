@@ -0,0 +1,195 @@
+/**
+ * ACS-Forwarding-Policy.js
+ *
+ * Decides which Microsoft Teams messages `setupAcsMiddleware` forwards to Azure
+ * Communication Services (ACS) chat threads, and when.
+ *
+ * Messages can be included or excluded by conversation type, team, channel or
+ * tenant, and individual conversations can be opted in or out. Messages sent by
+ * bots, including this one, are never forwarded. Applications choose per
+ * activity whether forwarding runs before or after their own handlers, and can
+ * suppress forwarding from a handler.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+// Dependencies
+const { MAPPING_COLLECTIONS, resolveMappingStore } = require('./ACS-Mapping-Store');
+
+/**
+ * When forwarding runs relative to the application's handlers
+ */
+const FORWARDING_TIMING = {
+    before: 'before',
+    after: 'after'
+};
+
+// Turn state key set by suppressForwarding
+const SUPPRESS_FORWARDING_KEY = 'acsSuppressForwarding';
+
+/**
+ * Reads the routing facts of a Teams activity
+ *
+ * @param {Object} activity - The Teams activity
+ * @returns {Object} Object containing conversationId, conversationType, teamId, channelId and tenantId
+ */
+function describeConversation(activity) {
+    const channelData = activity.channelData || {};
+    const conversation = activity.conversation || {};
+
+    return {
+        conversationId: conversation.id,
+        conversationType: conversation.conversationType || 'personal',
+        teamId: channelData.team && channelData.team.id,
+        channelId: channelData.channel && channelData.channel.id,
+        tenantId: (channelData.tenant && channelData.tenant.id) || conversation.tenantId
+    };
+}
+
+/**
+ * Checks whether a conversation matches a rule
+ *
+ * Rules list conversationTypes, teamIds, channelIds and tenantIds; a conversation
+ * matches when it matches any listed value.
+ *
+ * @param {Object} facts - Conversation facts from describeConversation
+ * @param {Object} rule - The rule
+ * @returns {boolean} True if the conversation matches
+ */
+function matchesRule(facts, rule) {
+    if (!rule) {
+        return false;
+    }
+
+    return (rule.conversationTypes || []).includes(facts.conversationType)
+        || (rule.teamIds || []).includes(facts.teamId)
+        || (rule.channelIds || []).includes(facts.channelId)
+        || (rule.tenantIds || []).includes(facts.tenantId);
+}
+
+/**
+ * Checks whether an activity was sent by a bot
+ *
+ * @param {Object} activity - The Teams activity
+ * @returns {boolean} True for messages from this or another bot
+ */
+function isBotMessage(activity) {
+    const from = activity.from || {};
+    const recipient = activity.recipient || {};
+
+    return from.role === 'bot'
+        || (!!from.id && from.id === recipient.id)
+        || (typeof from.id === 'string' && from.id.startsWith('28:'));
+}
+
+/**
+ * Opts a conversation in or out of forwarding
+ *
+ * @param {string} teamsConversationId - The Teams conversation ID
+ * @param {boolean} enabled - True to opt in, false to opt out
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
+ * @returns {Promise<void>}
+ */
+async function setConversationForwarding(teamsConversationId, enabled, acsConfig) {
+    await resolveMappingStore(acsConfig).set(MAPPING_COLLECTIONS.forwardingSettings, teamsConversationId, {
+        enabled: !!enabled,
+        updatedOn: new Date().toISOString()
+    });
+}
+
+/**
+ * Gets a conversation's explicit forwarding choice
+ *
+ * @param {string} teamsConversationId - The Teams conversation ID
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
+ * @returns {Promise<boolean|null>} True or false when set, null when the conversation made no choice
+ */
+async function getConversationForwarding(teamsConversationId, acsConfig) {
+    const record = await resolveMappingStore(acsConfig).get(MAPPING_COLLECTIONS.forwardingSettings, teamsConversationId);
+    return record ? record.enabled : null;
+}
+
+/**
+ * Stops the current activity from being forwarded
+ *
+ * Call from an application handler; takes effect when forwarding runs after
+ * the handlers.
+ *
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @returns {void}
+ */
+function suppressForwarding(context) {
+    context.turnState.set(SUPPRESS_FORWARDING_KEY, true);
+}
+
+/**
+ * Checks whether forwarding was suppressed for the current activity
+ *
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @returns {boolean} True if suppressForwarding was called
+ */
+function isForwardingSuppressed(context) {
+    return !!context.turnState.get(SUPPRESS_FORWARDING_KEY);
+}
+
+/**
+ * Evaluates the forwarding policy for a message activity
+ *
+ * Policy settings go under `acsConfig.forwarding`: `include` and `exclude` rules,
+ * `requireOptIn`, `timing` ('before', 'after' or a function of the context) and
+ * an async `shouldForward` predicate. Exclusions and opt-outs take precedence
+ * over inclusions and opt-ins.
+ *
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} acsConfig - Configuration with optional forwarding settings
+ * @returns {Promise<Object>} Decision with forward, timing and reason
+ */
+async function evaluateForwardingPolicy(context, acsConfig) {
+    const policy = (acsConfig && acsConfig.forwarding) || {};
+    const activity = context.activity;
+    const facts = describeConversation(activity);
+
+    const timing = typeof policy.timing === 'function'
+        ? await policy.timing(context)
+        : policy.timing || FORWARDING_TIMING.before;
+    const decide = (forward, reason) => ({ forward, timing, reason });
+
+    if (activity.type !== 'message') {
+        return decide(false, 'not a message');
+    }
+    if (isBotMessage(activity)) {
+        return decide(false, 'sent by a bot');
+    }
+    if (matchesRule(facts, policy.exclude)) {
+        return decide(false, 'excluded by policy');
+    }
+
+    const optedIn = await getConversationForwarding(facts.conversationId, acsConfig);
+    if (optedIn === false) {
+        return decide(false, 'conversation opted out');
+    }
+    if (policy.include && !matchesRule(facts, policy.include) && optedIn !== true) {
+        return decide(false, 'not included by policy');
+    }
+    if (policy.requireOptIn && optedIn !== true) {
+        return decide(false, 'conversation has not opted in');
+    }
+    if (policy.shouldForward && !(await policy.shouldForward(context, facts))) {
+        return decide(false, 'rejected by shouldForward');
+    }
+
+    return decide(true, 'allowed');
+}
+
+// Export the forwarding policy functions
+module.exports = {
+    FORWARDING_TIMING,
+    describeConversation,
+    isBotMessage,
+    setConversationForwarding,
+    getConversationForwarding,
+    suppressForwarding,
+    isForwardingSuppressed,
+    evaluateForwardingPolicy
+};
@@ -0,0 +1,372 @@
+/**
+ * ACS-Live-Indicators.js
+ *
+ * Bridges typing indicators and read receipts between Microsoft Teams
+ * conversations and the Azure Communication Services (ACS) chat threads they
+ * are bridged to, so both sides can see when the other is typing or has read
+ * their messages.
+ *
+ * Teams `typing` activities become ACS typing notifications, throttled per
+ * conversation. Teams read receipt events become ACS read receipts for the last
+ * message relayed from ACS. ACS typing notifications are shown as the bot typing
+ * in Teams, and ACS read receipts of messages forwarded from Teams are shown on
+ * a "seen by" card the bot keeps up to date. Teams does not let bots mark
+ * messages as read, so the card stands in for read receipts there.
+ *
+ * @version 1.0.1
+ * @license MIT
+ */
+
+// Dependencies
+const { CardFactory } = require('botbuilder');
+const { MAPPING_COLLECTIONS, resolveMappingStore } = require('./ACS-Mapping-Store');
+const { resolveBotIdentityManager } = require('./ACS-Bot-Identity');
+const { withBotChatThreadClient } = require('./ACS-Chat-Client-Factory');
+const { resolveResiliencePolicy } = require('./ACS-Resilience');
+const { isBotMessage, getConversationForwarding } = require('./ACS-Forwarding-Policy');
+const {
+    getCardTarget,
+    getCardStrings,
+    formatCardString,
+    renderCard,
+    createAdaptiveCard
+} = require('./ACS-Card-Builder');
+
+/**
+ * Default indicator settings, overridable through acsConfig.indicators
+ */
+const DEFAULT_INDICATOR_SETTINGS = {
+    typing: true,
+    readReceipts: true,
+    typingIntervalMs: 8 * 1000
+};
+
+/**
+ * Name of the event activity Teams sends when a user reads the bot's messages
+ */
+const TEAMS_READ_RECEIPT_EVENT = 'application/vnd.microsoft.readReceipt';
+
+// Readers named on a "seen by" card before the rest are counted
+const MAX_NAMED_READERS = 3;
+
+// Number of throttled conversations and threads above which stale entries are pruned
+const MAX_TYPING_ENTRIES = 1000;
+
+// When a typing indicator was last sent, keyed by direction and conversation or thread
+const typingSentAt = new Map();
+
+/**
+ * Resolves the indicator settings of a configuration
+ *
+ * @param {Object} acsConfig - Configuration with optional indicators settings
+ * @returns {Object} Settings containing typing, readReceipts and typingIntervalMs
+ */
+function resolveIndicatorSettings(acsConfig) {
+    return { ...DEFAULT_INDICATOR_SETTINGS, ...(acsConfig && acsConfig.indicators) };
+}
+
+/**
+ * Claims the right to send a typing indicator
+ *
+ * @param {string} key - Direction and conversation or thread ID
+ * @param {number} intervalMs - Minimum time between indicators
+ * @returns {boolean} True if no indicator was sent within the interval
+ */
+function acquireTypingSlot(key, intervalMs) {
+    const now = Date.now();
+    const sentAt = typingSentAt.get(key);
+    if (sentAt !== undefined && now - sentAt < intervalMs) {
+        return false;
+    }
+
+    if (typingSentAt.size >= MAX_TYPING_ENTRIES) {
+        for (const [candidate, candidateSentAt] of typingSentAt) {
+            if (now - candidateSentAt >= intervalMs) {
+                typingSentAt.delete(candidate);
+            }
+        }
+    }
+    typingSentAt.set(key, now);
+    return true;
+}
+
+/**
+ * Lets the next Teams typing activity of a conversation through
+ *
+ * Called when a message is forwarded, since ACS clears the sender's typing
+ * indicator when their message arrives.
+ *
+ * @param {string} teamsConversationId - The Teams conversation ID
+ * @returns {void}
+ */
+function resetTeamsTyping(teamsConversationId) {
+    typingSentAt.delete(`teams|${teamsConversationId}`);
+}
+
+/**
+ * Lets the next ACS typing notification of a thread through
+ *
+ * @param {string} threadId - The ACS chat thread ID
+ * @returns {void}
+ */
+function resetAcsTyping(threadId) {
+    typingSentAt.delete(`acs|${threadId}`);
+}
+
+/**
+ * Checks whether one Teams message ID is the same as or later than another
+ *
+ * Teams message IDs in chats are creation times in milliseconds; other IDs can
+ * only be compared for equality.
+ *
+ * @param {string} messageId - The message ID to check
+ * @param {string} otherId - The message ID to compare with
+ * @returns {boolean} True if messageId is otherId or a later message
+ */
+function isSameOrLaterMessage(messageId, otherId) {
+    if (messageId === otherId) {
+        return true;
+    }
+    return /^\d+$/.test(messageId) && /^\d+$/.test(otherId) && BigInt(messageId) > BigInt(otherId);
+}
+
+/**
+ * Normalizes an ACS typing or read receipt notification
+ *
+ * @param {Object} event - ChatClient typingIndicatorReceived or readReceiptReceived event
+ * @returns {Object} Object containing threadId, senderAcsUserId, senderDisplayName, chatMessageId and readOn
+ */
+function normalizeIndicatorEvent(event) {
+    const sender = event.sender || {};
+    return {
+        threadId: event.threadId,
+        senderAcsUserId: sender.communicationUserId || sender.rawId,
+        senderDisplayName: event.senderDisplayName,
+        chatMessageId: event.chatMessageId,
+        readOn: event.readOn ? new Date(event.readOn).toISOString() : new Date().toISOString()
+    };
+}
+
+/**
+ * Forwards a Teams typing activity to the bridged ACS chat thread
+ *
+ * The notification is sent as the bot with the Teams user's display name, at
+ * most once per `typingIntervalMs` per conversation. Typing never creates a
+ * thread, and conversations that opted out of forwarding are skipped.
+ *
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<boolean>} True if a typing notification was sent
+ */
+async function forwardTeamsTypingToAcs(context, acsConfig) {
+    const settings = resolveIndicatorSettings(acsConfig);
+    const activity = context.activity;
+    const teamsConversationId = activity.conversation.id;
+
+    if (!settings.typing || isBotMessage(activity)) {
+        return false;
+    }
+    if (!acquireTypingSlot(`teams|${teamsConversationId}`, settings.typingIntervalMs)) {
+        return false;
+    }
+
+    try {
+        const mapping = await resolveMappingStore(acsConfig).get(MAPPING_COLLECTIONS.conversations, teamsConversationId);
+        if (!mapping || await getConversationForwarding(teamsConversationId, acsConfig) === false) {
+            return false;
+        }
+
+        return await withBotChatThreadClient(acsConfig, mapping.threadId, threadClient => resolveResiliencePolicy(acsConfig).execute(
+            'sendTypingNotification',
+            () => threadClient.sendTypingNotification({ senderDisplayName: activity.from && activity.from.name }),
+            { idempotent: true }
+        ));
+    } catch (error) {
+        console.error('Error forwarding Teams typing to ACS:', error);
+        return false;
+    }
+}
+
+/**
+ * Records the last ACS message relayed into a Teams conversation
+ *
+ * Teams read receipts refer to Teams activities, so the relay records which
+ * ACS message each conversation saw last.
+ *
+ * @param {string} teamsConversationId - The Teams conversation ID
+ * @param {Object} record - Object containing threadId, acsMessageId and activityId
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
+ * @returns {Promise<void>}
+ */
+async function storeRelayedMessage(teamsConversationId, record, acsConfig) {
+    if (!resolveIndicatorSettings(acsConfig).readReceipts || !record.activityId) {
+        return;
+    }
+
+    await resolveMappingStore(acsConfig).set(MAPPING_COLLECTIONS.relayedMessages, teamsConversationId, {
+        threadId: record.threadId,
+        acsMessageId: record.acsMessageId,
+        activityId: record.activityId,
+        receiptSent: false,
+        updatedOn: new Date().toISOString()
+    });
+}
+
+/**
+ * Forwards a Teams read receipt to the bridged ACS chat thread
+ *
+ * Handles the `application/vnd.microsoft.readReceipt` event Teams sends in
+ * personal chats when the bot has the ChatMessageReadReceipt.Read.Chat
+ * permission. When the user has read the last relayed ACS message, the bot
+ * sends an ACS read receipt for it.
+ *
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<boolean>} True if a read receipt was sent
+ */
+async function forwardTeamsReadReceiptToAcs(context, acsConfig) {
+    const activity = context.activity;
+    const lastReadMessageId = activity.value && activity.value.lastReadMessageId;
+
+    if (!resolveIndicatorSettings(acsConfig).readReceipts || !lastReadMessageId) {
+        return false;
+    }
+
+    try {
+        const store = resolveMappingStore(acsConfig);
+        const teamsConversationId = activity.conversation.id;
+        const record = await store.get(MAPPING_COLLECTIONS.relayedMessages, teamsConversationId);
+        if (!record || record.receiptSent || !isSameOrLaterMessage(String(lastReadMessageId), record.activityId)) {
+            return false;
+        }
+
+        await withBotChatThreadClient(acsConfig, record.threadId, threadClient => resolveResiliencePolicy(acsConfig).execute(
+            'sendReadReceipt',
+            () => threadClient.sendReadReceipt({ chatMessageId: record.acsMessageId }),
+            { idempotent: true }
+        ));
+
+        await store.set(MAPPING_COLLECTIONS.relayedMessages, teamsConversationId, {
+            ...record,
+            receiptSent: true,
+            updatedOn: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        console.error('Error forwarding Teams read receipt to ACS:', error);
+        return false;
+    }
+}
+
+/**
+ * Creates the "seen by" card
+ *
+ * @param {Array<Object>} readers - Objects containing displayName, in reading order
+ * @param {Object} options - Object containing locale, strings, host and version (optional)
+ * @returns {Object} An adaptive card JSON object
+ */
+function createSeenByCard(readers, options = {}) {
+    const strings = getCardStrings(options.locale, options.strings);
+    const names = readers.slice(0, MAX_NAMED_READERS).map(reader => reader.displayName).join(', ');
+
+    let text = formatCardString(strings.seenBy, { names });
+    if (readers.length > MAX_NAMED_READERS) {
+        text += ` ${formatCardString(strings.moreParticipants, { count: readers.length - MAX_NAMED_READERS })}`;
+    }
+
+    const card = createAdaptiveCard({
+        body: [{ type: 'TextBlock', text, size: 'Small', isSubtle: true, wrap: true }]
+    });
+    return renderCard(card, options);
+}
+
+/**
+ * Shows an ACS read receipt on the conversation's "seen by" card
+ *
+ * Only receipts for messages the bot sent, which are the messages forwarded
+ * from Teams, are shown. A reader of the message the card describes is added
+ * to it. A receipt for a later message replaces the card with a new one at the
+ * bottom of the conversation, and receipts for earlier messages are ignored.
+ *
+ * @param {TurnContext} turnContext - Turn context of the bridged Teams conversation
+ * @param {Object} receipt - Normalized read receipt from normalizeIndicatorEvent
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<boolean>} True if the card was posted or updated
+ */
+async function updateSeenByCard(turnContext, receipt, acsConfig) {
+    const teamsConversationId = turnContext.activity.conversation.id;
+    const store = resolveMappingStore(acsConfig);
+
+    const message = await withBotChatThreadClient(acsConfig, receipt.threadId, threadClient => resolveResiliencePolicy(acsConfig).execute(
+        'getMessage',
+        () => threadClient.getMessage(receipt.chatMessageId),
+        { idempotent: true }
+    ));
+
+    const botIdentity = await resolveBotIdentityManager(acsConfig).getIdentity();
+    const sender = message.sender || {};
+    if ((sender.communicationUserId || sender.rawId) !== botIdentity.acsUserId) {
+        return false;
+    }
+
+    const record = await store.get(MAPPING_COLLECTIONS.seenByCards, teamsConversationId);
+    const sequenceId = Number(message.sequenceId);
+    const sameMessage = !!record && record.acsMessageId === message.id;
+    if (record && !sameMessage && sequenceId < record.sequenceId) {
+        return false;
+    }
+
+    const previousReaders = sameMessage ? record.readers : [];
+    if (previousReaders.some(reader => reader.acsUserId === receipt.senderAcsUserId)) {
+        return false;
+    }
+    const readers = previousReaders.concat({
+        acsUserId: receipt.senderAcsUserId,
+        displayName: receipt.senderDisplayName || 'ACS participant',
+        readOn: receipt.readOn
+    });
+
+    const card = createSeenByCard(readers, getCardTarget(turnContext.activity, acsConfig && acsConfig.cards));
+    const cardActivity = { type: 'message', attachments: [CardFactory.adaptiveCard(card)] };
+
+    let activityId;
+    if (sameMessage) {
+        activityId = record.activityId;
+        await turnContext.updateActivity({ ...cardActivity, id: activityId });
+    } else {
+        // The card follows the latest read message, so the old one is removed
+        if (record) {
+            await turnContext.deleteActivity(record.activityId).catch((error) => {
+                console.log(`Could not remove the previous seen-by card in ${teamsConversationId}: ${error.message}`);
+            });
+        }
+        const response = await turnContext.sendActivity(cardActivity);
+        activityId = response && response.id;
+    }
+
+    await store.set(MAPPING_COLLECTIONS.seenByCards, teamsConversationId, {
+        threadId: receipt.threadId,
+        acsMessageId: message.id,
+        sequenceId,
+        activityId,
+        readers,
+        updatedOn: new Date().toISOString()
+    });
+    return true;
+}
+
+// Export the indicator functions
+module.exports = {
+    DEFAULT_INDICATOR_SETTINGS,
+    TEAMS_READ_RECEIPT_EVENT,
+    resolveIndicatorSettings,
+    acquireTypingSlot,
+    resetTeamsTyping,
+    resetAcsTyping,
+    normalizeIndicatorEvent,
+    forwardTeamsTypingToAcs,
+    storeRelayedMessage,
+    forwardTeamsReadReceiptToAcs,
+    createSeenByCard,
+    updateSeenByCard
+};
@@ -0,0 +1,474 @@
+/**
+ * ACS-Mapping-Store.js
+ *
+ * Pluggable persistence for the identifiers that link Microsoft Teams and
+ * Azure Communication Services (ACS) resources, such as Teams users to ACS
+ * identities and Teams conversations to ACS chat threads.
+ *
+ * Every adapter implements the same small key/value interface, grouped by
+ * collection, so the bot helpers can be pointed at in-memory, file, SQLite
+ * or Azure Table Storage persistence through the acsConfig object.
+ *
+ * @version 1.1.1
+ * @license MIT
+ */
+
+// Dependencies
+const fs = require('fs');
+const path = require('path');
+const { AcsConfigError } = require('./ACS-Errors');
+
+/**
+ * Collection names used by the bot helpers
+ */
+const MAPPING_COLLECTIONS = {
+    teamsUsers: 'teamsUsers',
+    acsUsers: 'acsUsers',
+    conversations: 'conversations',
+    threads: 'threads',
+    botIdentities: 'botIdentities',
+    conversationReferences: 'conversationReferences',
+    forwardingSettings: 'forwardingSettings',
+    forwardedMessages: 'forwardedMessages',
+    archivedConversations: 'archivedConversations',
+    relayedMessages: 'relayedMessages',
+    seenByCards: 'seenByCards',
+    transcriptOffers: 'transcriptOffers'
+};
+
+/**
+ * A mapping store persists JSON-serializable records grouped by collection.
+ *
+ * @typedef {Object} MappingStore
+ * @property {function(string, string): Promise<Object|null>} get - Reads a record, or null if absent
+ * @property {function(string, string, Object): Promise<void>} set - Creates or replaces a record
+ * @property {function(string, string): Promise<boolean>} delete - Removes a record, returning whether it existed
+ * @property {function(string): Promise<Array<{key: string, value: Object}>>} list - Lists every record in a collection
+ * @property {function(string, string, Object|null, Object): Promise<boolean>} [compareAndSet] - Writes a record only if
+ *     it still equals the expected record, or is absent when the expected record is null; returns whether it was written
+ */
+
+/**
+ * Checks whether a stored record equals the record a caller read earlier
+ *
+ * @param {Object|null} current - The stored record, or null
+ * @param {Object|null} expected - The record the caller read, or null
+ * @returns {boolean} True if they are equal
+ */
+function recordsEqual(current, expected) {
+    return JSON.stringify(current === undefined ? null : current) === JSON.stringify(expected === undefined ? null : expected);
+}
+
+/**
+ * Creates a mapping store that keeps records in process memory
+ *
+ * Suitable for development and tests; records are lost when the process exits.
+ *
+ * @returns {MappingStore} The in-memory store
+ */
+function createInMemoryMappingStore() {
+    const collections = new Map();
+
+    const getCollection = (collection) => {
+        if (!collections.has(collection)) {
+            collections.set(collection, new Map());
+        }
+        return collections.get(collection);
+    };
+
+    return {
+        async get(collection, key) {
+            const value = getCollection(collection).get(key);
+            return value === undefined ? null : JSON.parse(value);
+        },
+        async set(collection, key, value) {
+            getCollection(collection).set(key, JSON.stringify(value));
+        },
+        async delete(collection, key) {
+            return getCollection(collection).delete(key);
+        },
+        async list(collection) {
+            return Array.from(getCollection(collection).entries())
+                .map(([key, value]) => ({ key, value: JSON.parse(value) }));
+        },
+        async compareAndSet(collection, key, expected, value) {
+            const records = getCollection(collection);
+            const current = records.has(key) ? JSON.parse(records.get(key)) : null;
+            if (!recordsEqual(current, expected)) {
+                return false;
+            }
+            records.set(key, JSON.stringify(value));
+            return true;
+        }
+    };
+}
+
+/**
+ * Creates a mapping store backed by a single JSON file on disk
+ *
+ * The file is read once on first use and rewritten atomically after every change.
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.filePath - Path of the JSON file to use
+ * @returns {MappingStore} The file-backed store
+ */
+function createFileMappingStore(options = {}) {
+    if (!options.filePath) {
+        throw new AcsConfigError('A filePath is required for the file mapping store');
+    }
+
+    const filePath = path.resolve(options.filePath);
+    let data = null;
+    let pendingWrite = Promise.resolve();
+
+    const load = async () => {
+        if (data) {
+            return data;
+        }
+        try {
+            data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            data = {};
+        }
+        return data;
+    };
+
+    // Serialize writes so concurrent updates never interleave on disk
+    const persist = () => {
+        const write = pendingWrite.then(async () => {
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+            await fs.promises.rename(tempPath, filePath);
+        });
+
+        // A failed write is reported to its caller only; later writes still run
+        pendingWrite = write.catch(() => {});
+        return write;
+    };
+
+    return {
+        async get(collection, key) {
+            const records = (await load())[collection] || {};
+            return Object.prototype.hasOwnProperty.call(records, key) ? records[key] : null;
+        },
+        async set(collection, key, value) {
+            const store = await load();
+            store[collection] = store[collection] || {};
+            store[collection][key] = value;
+            await persist();
+        },
+        async delete(collection, key) {
+            const store = await load();
+            if (!store[collection] || !Object.prototype.hasOwnProperty.call(store[collection], key)) {
+                return false;
+            }
+            delete store[collection][key];
+            await persist();
+            return true;
+        },
+        async list(collection) {
+            const records = (await load())[collection] || {};
+            return Object.keys(records).map(key => ({ key, value: records[key] }));
+        },
+        async compareAndSet(collection, key, expected, value) {
+            const store = await load();
+            const records = store[collection] || {};
+            const current = Object.prototype.hasOwnProperty.call(records, key) ? records[key] : null;
+            if (!recordsEqual(current, expected)) {
+                return false;
+            }
+            store[collection] = records;
+            records[key] = value;
+            await persist();
+            return true;
+        }
+    };
+}
+
+/**
+ * Creates a mapping store backed by a SQLite database
+ *
+ * Requires the optional `better-sqlite3` package.
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.filePath - Path of the SQLite database file
+ * @param {string} options.tableName - Table to store records in (default: acs_mappings)
+ * @returns {MappingStore} The SQLite-backed store
+ */
+function createSqliteMappingStore(options = {}) {
+    if (!options.filePath) {
+        throw new AcsConfigError('A filePath is required for the SQLite mapping store');
+    }
+
+    const tableName = options.tableName || 'acs_mappings';
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(tableName)) {
+        throw new AcsConfigError(`Invalid SQLite table name: ${tableName}`);
+    }
+
+    // Loaded lazily so the dependency is only needed when this adapter is used
+    const Database = require('better-sqlite3');
+    const db = new Database(options.filePath);
+
+    db.exec(`CREATE TABLE IF NOT EXISTS ${tableName} (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+    )`);
+
+    const statements = {
+        get: db.prepare(`SELECT value FROM ${tableName} WHERE collection = ? AND key = ?`),
+        set: db.prepare(`INSERT OR REPLACE INTO ${tableName} (collection, key, value) VALUES (?, ?, ?)`),
+        insert: db.prepare(`INSERT OR IGNORE INTO ${tableName} (collection, key, value) VALUES (?, ?, ?)`),
+        replace: db.prepare(`UPDATE ${tableName} SET value = ? WHERE collection = ? AND key = ? AND value = ?`),
+        delete: db.prepare(`DELETE FROM ${tableName} WHERE collection = ? AND key = ?`),
+        list: db.prepare(`SELECT key, value FROM ${tableName} WHERE collection = ?`)
+    };
+
+    return {
+        async get(collection, key) {
+            const row = statements.get.get(collection, key);
+            return row ? JSON.parse(row.value) : null;
+        },
+        async set(collection, key, value) {
+            statements.set.run(collection, key, JSON.stringify(value));
+        },
+        async delete(collection, key) {
+            return statements.delete.run(collection, key).changes > 0;
+        },
+        async list(collection) {
+            return statements.list.all(collection)
+                .map(row => ({ key: row.key, value: JSON.parse(row.value) }));
+        },
+        async compareAndSet(collection, key, expected, value) {
+            const result = expected === null || expected === undefined
+                ? statements.insert.run(collection, key, JSON.stringify(value))
+                : statements.replace.run(JSON.stringify(value), collection, key, JSON.stringify(expected));
+            return result.changes > 0;
+        },
+        close() {
+            db.close();
+        }
+    };
+}
+
+/**
+ * Creates a mapping store backed by Azure Table Storage
+ *
+ * Requires the optional `@azure/data-tables` package. Works against the local
+ * Azurite emulator with the connection string `UseDevelopmentStorage=true`.
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.connectionString - Storage account or Azurite connection string
+ * @param {string} options.tableName - Table to store records in (default: AcsMappings)
+ * @returns {MappingStore} The Table Storage-backed store
+ */
+function createTableMappingStore(options = {}) {
+    if (!options.connectionString) {
+        throw new AcsConfigError('A connectionString is required for the Table Storage mapping store');
+    }
+
+    // Loaded lazily so the dependency is only needed when this adapter is used
+    const { TableClient, odata } = require('@azure/data-tables');
+
+    const tableName = options.tableName || 'AcsMappings';
+    const isEmulator = /UseDevelopmentStorage=true|127\.0\.0\.1|localhost/i.test(options.connectionString);
+    const tableClient = TableClient.fromConnectionString(options.connectionString, tableName, {
+        allowInsecureConnection: isEmulator
+    });
+
+    let tableReady = null;
+    const ensureTable = () => {
+        if (!tableReady) {
+            tableReady = tableClient.createTable().catch(error => {
+                tableReady = null;
+                throw error;
+            });
+        }
+        return tableReady;
+    };
+
+    // Row keys may not contain '/', '\', '#' or '?', which Teams IDs sometimes do
+    const encodeKey = key => encodeURIComponent(key);
+    const decodeKey = rowKey => decodeURIComponent(rowKey);
+
+    return {
+        async get(collection, key) {
+            await ensureTable();
+            try {
+                const entity = await tableClient.getEntity(collection, encodeKey(key));
+                return JSON.parse(entity.value);
+            } catch (error) {
+                if (error.statusCode === 404) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        async set(collection, key, value) {
+            await ensureTable();
+            await tableClient.upsertEntity({
+                partitionKey: collection,
+                rowKey: encodeKey(key),
+                value: JSON.stringify(value)
+            }, 'Replace');
+        },
+        async delete(collection, key) {
+            await ensureTable();
+            try {
+                await tableClient.deleteEntity(collection, encodeKey(key));
+                return true;
+            } catch (error) {
+                if (error.statusCode === 404) {
+                    return false;
+                }
+                throw error;
+            }
+        },
+        async list(collection) {
+            await ensureTable();
+            const records = [];
+            const entities = tableClient.listEntities({
+                queryOptions: { filter: odata`PartitionKey eq ${collection}` }
+            });
+            for await (const entity of entities) {
+                records.push({ key: decodeKey(entity.rowKey), value: JSON.parse(entity.value) });
+            }
+            return records;
+        },
+        async compareAndSet(collection, key, expected, value) {
+            await ensureTable();
+            const entity = {
+                partitionKey: collection,
+                rowKey: encodeKey(key),
+                value: JSON.stringify(value)
+            };
+
+            try {
+                if (expected === null || expected === undefined) {
+                    await tableClient.createEntity(entity);
+                    return true;
+                }
+
+                // The ETag makes the replace fail if another writer changed the record meanwhile
+                const current = await tableClient.getEntity(collection, entity.rowKey);
+                if (!recordsEqual(JSON.parse(current.value), expected)) {
+                    return false;
+                }
+                await tableClient.updateEntity(entity, 'Replace', { etag: current.etag });
+                return true;
+            } catch (error) {
+                if (error.statusCode === 404 || error.statusCode === 409 || error.statusCode === 412) {
+                    return false;
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+/**
+ * Creates a mapping store from a configuration descriptor
+ *
+ * @param {Object} descriptor - Store descriptor with a `type` of memory, file, sqlite or table
+ * @returns {MappingStore} The configured store
+ */
+function createMappingStore(descriptor = {}) {
+    switch (descriptor.type || 'memory') {
+        case 'memory':
+            return createInMemoryMappingStore();
+        case 'file':
+            return createFileMappingStore(descriptor);
+        case 'sqlite':
+            return createSqliteMappingStore(descriptor);
+        case 'table':
+            return createTableMappingStore(descriptor);
+        default:
+            throw new AcsConfigError(`Unknown mapping store type: ${descriptor.type}`);
+    }
+}
+
+/**
+ * Writes a record only if it still equals the record the caller read
+ *
+ * Uses the store's atomic `compareAndSet` when it has one. Custom stores
+ * without it fall back to a read followed by a write, which is not atomic
+ * across processes.
+ *
+ * @param {MappingStore} store - The mapping store
+ * @param {string} collection - The collection
+ * @param {string} key - The record key
+ * @param {Object|null} expected - The record read earlier, or null to write only if absent
+ * @param {Object} value - The record to write
+ * @returns {Promise<boolean>} True if the record was written
+ */
+async function compareAndSetMapping(store, collection, key, expected, value) {
+    if (typeof store.compareAndSet === 'function') {
+        return store.compareAndSet(collection, key, expected === undefined ? null : expected, value);
+    }
+
+    if (!recordsEqual(await store.get(collection, key), expected)) {
+        return false;
+    }
+    await store.set(collection, key, value);
+    return true;
+}
+
+/**
+ * Checks whether a value implements the mapping store interface
+ *
+ * @param {*} candidate - The value to check
+ * @returns {boolean} True if the value can be used as a mapping store
+ */
+function isMappingStore(candidate) {
+    return !!candidate && ['get', 'set', 'delete', 'list']
+        .every(method => typeof candidate[method] === 'function');
+}
+
+// Stores resolved per acsConfig object, plus a shared fallback
+const resolvedStores = new WeakMap();
+let defaultStore = null;
+
+/**
+ * Resolves the mapping store selected by an acsConfig object
+ *
+ * `acsConfig.mappingStore` may be a store instance or a descriptor accepted by
+ * `createMappingStore`. Without one, a process-wide in-memory store is used.
+ *
+ * @param {Object} acsConfig - Configuration with an optional mappingStore
+ * @returns {MappingStore} The mapping store to use
+ */
+function resolveMappingStore(acsConfig) {
+    if (!acsConfig || !acsConfig.mappingStore) {
+        if (!defaultStore) {
+            defaultStore = createInMemoryMappingStore();
+        }
+        return defaultStore;
+    }
+
+    if (isMappingStore(acsConfig.mappingStore)) {
+        return acsConfig.mappingStore;
+    }
+
+    if (!resolvedStores.has(acsConfig)) {
+        resolvedStores.set(acsConfig, createMappingStore(acsConfig.mappingStore));
+    }
+    return resolvedStores.get(acsConfig);
+}
+
+// Export the mapping store functions
+module.exports = {
+    MAPPING_COLLECTIONS,
+    createInMemoryMappingStore,
+    createFileMappingStore,
+    createSqliteMappingStore,
+    createTableMappingStore,
+    createMappingStore,
+    isMappingStore,
+    compareAndSetMapping,
+    resolveMappingStore
+};
@@ -0,0 +1,385 @@
+/**
+ * ACS-Message-Translator.js
+ *
+ * Translates message content between Microsoft Teams activities and Azure
+ * Communication Services (ACS) chat messages.
+ *
+ * Teams markdown and HTML are converted into sanitized ACS `html` messages and
+ * back, @mentions are mapped between Teams users and ACS identities, and content
+ * that the other side cannot show, such as hosted images or adaptive cards,
+ * degrades to a readable text fallback instead of disappearing.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+// Dependencies
+const { MAPPING_COLLECTIONS, resolveMappingStore } = require('./ACS-Mapping-Store');
+
+// Tags kept when sanitizing HTML, with the attributes each may carry
+const ALLOWED_TAGS = {
+    p: [], br: [], div: [], span: [],
+    b: [], strong: [], i: [], em: [], u: [], s: [], strike: [], del: [],
+    h1: [], h2: [], h3: [],
+    code: [], pre: [], blockquote: [],
+    ul: [], ol: [], li: [],
+    table: [], thead: [], tbody: [], tr: [], th: [], td: [],
+    a: ['href', 'title'],
+    'msft-mention': ['id']
+};
+
+// Tags whose content is dropped entirely
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template'];
+
+// Attribute values that may be used as link targets
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+/**
+ * Escapes text for inclusion in HTML
+ *
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Decodes the HTML entities produced by escapeHtml and common named entities
+ *
+ * @param {string} text - The text to decode
+ * @returns {string} The decoded text
+ */
+function decodeHtmlEntities(text) {
+    return String(text)
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Removes every tag and attribute that is not on the allow list
+ *
+ * Images are replaced with a readable placeholder because hosted Teams and ACS
+ * image URLs require authentication the other side does not have.
+ *
+ * @param {string} html - The HTML to sanitize
+ * @returns {string} The sanitized HTML
+ */
+function sanitizeHtml(html) {
+    let result = String(html || '');
+
+    for (const tag of DROPPED_TAGS) {
+        result = result.replace(new RegExp(`<${tag}[\\s\\S]*?</${tag}>`, 'gi'), '');
+    }
+
+    result = result.replace(/<!--[\s\S]*?-->/g, '');
+
+    result = result.replace(/<img\b([^>]*)>/gi, (match, attributes) => {
+        const alt = /\balt\s*=\s*("([^"]*)"|'([^']*)')/i.exec(attributes);
+        const label = alt ? (alt[2] || alt[3] || '').trim() : '';
+        return `[Image${label ? `: ${label}` : ''}]`;
+    });
+
+    return result.replace(/<(\/?)([a-zA-Z][\w-]*)([^>]*)>/g, (match, closing, tagName, attributes) => {
+        const tag = tagName.toLowerCase();
+        if (!Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, tag)) {
+            return '';
+        }
+        if (closing) {
+            return `</${tag}>`;
+        }
+
+        const kept = [];
+        const attributePattern = /([\w-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let attribute;
+        while ((attribute = attributePattern.exec(attributes)) !== null) {
+            const name = attribute[1].toLowerCase();
+            const value = attribute[3] !== undefined ? attribute[3] : attribute[4];
+            if (!ALLOWED_TAGS[tag].includes(name)) {
+                continue;
+            }
+            if (name === 'href' && !SAFE_URL.test(decodeHtmlEntities(value).trim())) {
+                continue;
+            }
+            kept.push(`${name}="${escapeHtml(decodeHtmlEntities(value))}"`);
+        }
+
+        return `<${tag}${kept.length > 0 ? ` ${kept.join(' ')}` : ''}>`;
+    });
+}
+
+/**
+ * Converts HTML to readable plain text
+ *
+ * @param {string} html - The HTML to convert
+ * @returns {string} The plain text
+ */
+function htmlToPlainText(html) {
+    return decodeHtmlEntities(sanitizeHtml(html)
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|blockquote|pre|h[1-3]|tr)>/gi, '\n')
+        .replace(/<li>/gi, '- ')
+        .replace(/<[^>]+>/g, ''))
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Converts the Teams markdown subset to HTML
+ *
+ * Supports fenced and inline code, bold, italics, strikethrough, links,
+ * block quotes, bulleted and numbered lists, and line breaks.
+ *
+ * @param {string} markdown - The markdown text
+ * @returns {string} The HTML
+ */
+function markdownToHtml(markdown) {
+    const codeBlocks = [];
+    let text = String(markdown || '').replace(/```[^\n]*\n?([\s\S]*?)```/g, (match, code) => {
+        codeBlocks.push(`<pre><code>${escapeHtml(code.replace(/\n$/, ''))}</code></pre>`);
+        return `\u0000CODE${codeBlocks.length - 1}\u0000`;
+    });
+
+    text = escapeHtml(text)
+        .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*\n]+)\*\*|__([^_\n]+)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/(^|[^\w*])\*([^*\n]+)\*(?!\w)|(^|[^\w_])_([^_\n]+)_(?!\w)/g,
+            (match, p1, a, p2, b) => `${p1 !== undefined ? p1 : p2}<em>${a || b}</em>`)
+        .replace(/~~([^~\n]+)~~/g, '<s>$1</s>')
+        .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) => (SAFE_URL.test(decodeHtmlEntities(url))
+            ? `<a href="${url}">${label}</a>`
+            : match));
+
+    const lines = text.split('\n');
+    const output = [];
+    let listTag = null;
+
+    const closeList = () => {
+        if (listTag) {
+            output.push(`</${listTag}>`);
+            listTag = null;
+        }
+    };
+
+    for (const line of lines) {
+        const bullet = /^\s*[-*]\s+(.*)$/.exec(line);
+        const numbered = /^\s*\d+\.\s+(.*)$/.exec(line);
+        const quote = /^\s*&gt;\s?(.*)$/.exec(line);
+
+        if (bullet || numbered) {
+            const tag = bullet ? 'ul' : 'ol';
+            if (listTag !== tag) {
+                closeList();
+                output.push(`<${tag}>`);
+                listTag = tag;
+            }
+            output.push(`<li>${(bullet || numbered)[1]}</li>`);
+        } else if (quote) {
+            closeList();
+            output.push(`<blockquote>${quote[1]}</blockquote>`);
+        } else {
+            closeList();
+            output.push(`${line}<br>`);
+        }
+    }
+    closeList();
+
+    return output.join('')
+        .replace(/(<br>)+$/, '')
+        .replace(/<\/blockquote><blockquote>/g, '<br>')
+        .replace(/\u0000CODE(\d+)\u0000(<br>)?/g, (match, index) => codeBlocks[Number(index)]);
+}
+
+/**
+ * Describes an adaptive card as readable text
+ *
+ * @param {Object} card - The adaptive card JSON
+ * @returns {string} Text made from the card's text blocks and facts
+ */
+function describeAdaptiveCard(card) {
+    const parts = [];
+
+    const visit = (element) => {
+        if (!element || typeof element !== 'object') {
+            return;
+        }
+        if (element.type === 'TextBlock' && element.text) {
+            parts.push(element.text);
+        }
+        if (element.type === 'FactSet' && Array.isArray(element.facts)) {
+            element.facts.forEach(fact => parts.push(`${fact.title}: ${fact.value}`));
+        }
+        ['body', 'items', 'columns'].forEach(key => {
+            if (Array.isArray(element[key])) {
+                element[key].forEach(visit);
+            }
+        });
+    };
+
+    visit(card);
+    return parts.join('\n');
+}
+
+/**
+ * Builds readable fallbacks for Teams attachments ACS cannot render
+ *
+ * @param {Array<Object>} attachments - The activity attachments
+ * @returns {Array<string>} HTML fragments describing each attachment
+ */
+function describeTeamsAttachments(attachments) {
+    const fragments = [];
+
+    for (const attachment of attachments || []) {
+        const contentType = attachment.contentType || '';
+
+        if (contentType === 'text/html') {
+            continue;
+        }
+        if (contentType === 'application/vnd.microsoft.card.adaptive') {
+            const description = describeAdaptiveCard(attachment.content);
+            fragments.push(`<p><em>[Card]</em>${description ? `<br>${escapeHtml(description).replace(/\n/g, '<br>')}` : ''}</p>`);
+        } else if (contentType.startsWith('image/')) {
+            fragments.push(`<p>[Image${attachment.name ? `: ${escapeHtml(attachment.name)}` : ''}]</p>`);
+        } else if (contentType === 'application/vnd.microsoft.teams.file.download.info') {
+            fragments.push(`<p>[File: ${escapeHtml(attachment.name || 'attachment')}]</p>`);
+        } else {
+            fragments.push(`<p>[Attachment${attachment.name ? `: ${escapeHtml(attachment.name)}` : ''}]</p>`);
+        }
+    }
+
+    return fragments;
+}
+
+/**
+ * Translates a Teams message activity into ACS chat message content
+ *
+ * Mentions of Teams users with a mapped ACS identity become `msft-mention`
+ * elements; other mentions become plain `@Name` text. Mentions of the bot
+ * itself are removed, as they only address the bot.
+ *
+ * @param {Object} activity - The Teams message activity
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
+ * @returns {Promise<Object>} Object containing content, type ('html' or 'text') and metadata
+ */
+async function translateTeamsActivityToAcs(activity, acsConfig) {
+    const store = resolveMappingStore(acsConfig);
+    const mentions = (activity.entities || []).filter(entity => entity.type === 'mention' && entity.mentioned);
+    const botId = activity.recipient && activity.recipient.id;
+
+    // Resolve each mention to its replacement markup up front
+    const mentionMarkup = await Promise.all(mentions.map(async (mention) => {
+        const { id, name } = mention.mentioned;
+        if (id === botId) {
+            return '';
+        }
+        const record = await store.get(MAPPING_COLLECTIONS.teamsUsers, id);
+        return record
+            ? `<msft-mention id="${escapeHtml(record.acsUserId)}">${escapeHtml(name || '')}</msft-mention>`
+            : `@${escapeHtml(name || 'someone')}`;
+    }));
+
+    const htmlAttachment = (activity.attachments || []).find(attachment => attachment.contentType === 'text/html');
+    let html;
+
+    if (htmlAttachment && typeof htmlAttachment.content === 'string') {
+        // Teams HTML marks mentions as spans whose itemid indexes the mention entities
+        html = htmlAttachment.content.replace(
+            /<span[^>]*itemtype="http:\/\/schema\.skype\.com\/Mention"[^>]*itemid="(\d+)"[^>]*>[\s\S]*?<\/span>/gi,
+            (match, index) => `\u0000MENTION${index}\u0000`
+        );
+        html = sanitizeHtml(html);
+    } else {
+        let mentionIndex = 0;
+        const text = String(activity.text || '').replace(/<at[^>]*>[\s\S]*?<\/at>/gi, () => `\u0000MENTION${mentionIndex++}\u0000`);
+        html = activity.textFormat === 'xml' ? sanitizeHtml(text) : markdownToHtml(text);
+    }
+
+    html = html.replace(/\u0000MENTION(\d+)\u0000/g, (match, index) => mentionMarkup[Number(index)] || '').trim();
+
+    const fallbacks = describeTeamsAttachments(activity.attachments);
+    if (fallbacks.length > 0) {
+        html = [html, ...fallbacks].filter(Boolean).join('');
+    }
+
+    // Plain text is enough when no formatting survived translation
+    const isPlain = !/<[a-z][\s\S]*?>/i.test(html.replace(/<br>/g, ''));
+    const metadata = {};
+    if (activity.replyToId) {
+        metadata.teamsReplyToId = activity.replyToId;
+    }
+
+    return isPlain
+        ? { content: decodeHtmlEntities(html.replace(/<br>/g, '\n')), type: 'text', metadata }
+        : { content: html, type: 'html', metadata };
+}
+
+/**
+ * Translates ACS chat message content into a Teams activity
+ *
+ * `msft-mention` elements for ACS users with a mapped Teams identity become Teams
+ * mentions; others become plain `@Name` text.
+ *
+ * @param {Object} message - ACS message with content and type ('text' or 'html')
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
+ * @returns {Promise<Object>} Partial activity with text, textFormat and entities
+ */
+async function translateAcsMessageToTeams(message, acsConfig) {
+    const store = resolveMappingStore(acsConfig);
+    const type = (message.type || 'text').toLowerCase();
+
+    let html = type === 'html'
+        ? sanitizeHtml(message.content)
+        : escapeHtml(message.content || '').replace(/\n/g, '<br>');
+
+    const entities = [];
+    const mentionPattern = /<msft-mention id="([^"]*)">([\s\S]*?)<\/msft-mention>/g;
+    const replacements = [];
+    let match;
+
+    while ((match = mentionPattern.exec(html)) !== null) {
+        const acsUserId = decodeHtmlEntities(match[1]);
+        const name = htmlToPlainText(match[2]);
+        const record = await store.get(MAPPING_COLLECTIONS.acsUsers, acsUserId);
+
+        if (record) {
+            const mentionText = `<at>${escapeHtml(name)}</at>`;
+            entities.push({
+                type: 'mention',
+                text: mentionText,
+                mentioned: { id: record.teamsUserId, name }
+            });
+            replacements.push([match[0], mentionText]);
+        } else {
+            replacements.push([match[0], `@${escapeHtml(name)}`]);
+        }
+    }
+
+    for (const [original, replacement] of replacements) {
+        html = html.replace(original, replacement);
+    }
+
+    return {
+        text: html,
+        textFormat: 'xml',
+        entities
+    };
+}
+
+// Export the translation functions
+module.exports = {
+    escapeHtml,
+    sanitizeHtml,
+    htmlToPlainText,
+    markdownToHtml,
+    describeAdaptiveCard,
+    translateTeamsActivityToAcs,
+    translateAcsMessageToTeams
+};
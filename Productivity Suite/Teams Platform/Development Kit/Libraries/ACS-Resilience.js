@@ -0,0 +1,306 @@
+/**
+ * ACS-Resilience.js
+ *
+ * Shared retry and circuit breaking policy for Azure Communication Services (ACS)
+ * calls made by the bot helpers.
+ *
+ * Transient failures (throttling, server errors and dropped connections) are
+ * retried with exponential backoff and jitter, honoring the service's
+ * `Retry-After` hints. Only idempotent operations are retried, except for `429`
+ * responses, which ACS returns before processing a request. A circuit breaker per
+ * ACS endpoint fails calls fast while the endpoint keeps failing.
+ *
+ * @version 1.2.0
+ * @license MIT
+ */
+
+// Dependencies
+const {
+    TRANSIENT_NETWORK_CODES,
+    AcsCircuitOpenError,
+    getStatusCode,
+    getRetryAfterMs
+} = require('./ACS-Errors');
+
+/**
+ * Default resilience settings, overridable through acsConfig.resilience
+ */
+const DEFAULT_RESILIENCE_SETTINGS = {
+    maxRetries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 30 * 1000,
+    maxRetryAfterMs: 60 * 1000,
+    retryableStatusCodes: [408, 429, 500, 502, 503, 504],
+    failureThreshold: 5,
+    resetTimeoutMs: 30 * 1000
+};
+
+// Policies created from settings, keyed by the acsConfig they belong to
+const policiesByConfig = new WeakMap();
+let sharedPolicy = null;
+
+/**
+ * Gets client options that disable the Azure SDK's built-in retries
+ *
+ * The SDK retries on its own by default; disabling that leaves retries to this
+ * policy so a call is not retried by both. An `acsConfig.httpClient` is passed
+ * through so requests can be served by a stand-in such as the fake ACS service.
+ *
+ * @param {Object} acsConfig - Configuration with an optional httpClient
+ * @returns {Object} Options for ChatClient and CommunicationIdentityClient constructors
+ */
+function getSdkClientOptions(acsConfig) {
+    const options = { retryOptions: { maxRetries: 0 } };
+    if (acsConfig && acsConfig.httpClient) {
+        options.httpClient = acsConfig.httpClient;
+    }
+    return options;
+}
+
+/**
+ * Checks whether an error is a transient failure worth retrying
+ *
+ * @param {Error} error - The error thrown by the Azure SDK
+ * @param {Object} settings - Resilience settings with retryableStatusCodes
+ * @returns {boolean} True if the failure is transient
+ */
+function isTransientError(error, settings = DEFAULT_RESILIENCE_SETTINGS) {
+    const statusCode = getStatusCode(error);
+    if (statusCode) {
+        return settings.retryableStatusCodes.includes(statusCode);
+    }
+    if (error && typeof error.retryable === 'boolean') {
+        return error.retryable;
+    }
+    return !!error && TRANSIENT_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Computes the delay before the next attempt
+ *
+ * Uses exponential backoff with jitter, or the service's requested delay when
+ * one was given.
+ *
+ * @param {number} attempt - Zero-based number of the attempt that failed
+ * @param {Object} settings - Resilience settings
+ * @param {number|null} retryAfterMs - Delay requested by the service (optional)
+ * @returns {number} Delay in milliseconds
+ */
+function computeBackoffDelay(attempt, settings, retryAfterMs) {
+    if (retryAfterMs !== null && retryAfterMs !== undefined) {
+        return Math.min(retryAfterMs, settings.maxRetryAfterMs);
+    }
+
+    // Equal jitter: half the exponential delay is fixed, the rest is random
+    const exponential = Math.min(settings.maxDelayMs, settings.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Creates a circuit breaker
+ *
+ * The circuit opens after `failureThreshold` consecutive transient failures,
+ * rejects calls for `resetTimeoutMs`, then lets a single trial call through.
+ * A successful trial closes the circuit; a failed one opens it again.
+ *
+ * @param {Object} settings - Settings with failureThreshold and resetTimeoutMs
+ * @returns {Object} Circuit breaker with canRequest, recordSuccess, recordFailure and getState methods
+ */
+function createCircuitBreaker(settings = DEFAULT_RESILIENCE_SETTINGS) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    return {
+        /**
+         * Checks whether a call may be made now
+         *
+         * @returns {boolean} True if the call may proceed
+         */
+        canRequest() {
+            if (state === 'open' && Date.now() - openedAt >= settings.resetTimeoutMs) {
+                state = 'half-open';
+                trialInFlight = false;
+            }
+            if (state === 'half-open') {
+                if (trialInFlight) {
+                    return false;
+                }
+                trialInFlight = true;
+                return true;
+            }
+            return state === 'closed';
+        },
+
+        /**
+         * Records a call that reached a healthy service
+         */
+        recordSuccess() {
+            state = 'closed';
+            failures = 0;
+            trialInFlight = false;
+        },
+
+        /**
+         * Records a transient failure
+         */
+        recordFailure() {
+            failures++;
+            if (state === 'half-open' || failures >= settings.failureThreshold) {
+                state = 'open';
+                openedAt = Date.now();
+                trialInFlight = false;
+            }
+        },
+
+        /**
+         * Gets the current state of the circuit
+         *
+         * @returns {Object} Object containing state, failures and retryAt (when open)
+         */
+        getState() {
+            return {
+                state,
+                failures,
+                retryAt: state === 'open' ? new Date(openedAt + settings.resetTimeoutMs) : null
+            };
+        }
+    };
+}
+
+/**
+ * Derives the ACS endpoint a configuration talks to
+ *
+ * @param {Object} acsConfig - Configuration with endpoint or connection string
+ * @returns {string} The endpoint, or 'default' when none is configured
+ */
+function getEndpointKey(acsConfig) {
+    if (acsConfig && acsConfig.endpoint) {
+        return acsConfig.endpoint.replace(/\/+$/, '').toLowerCase();
+    }
+    const match = acsConfig && acsConfig.connectionString
+        ? /endpoint=([^;]+)/i.exec(acsConfig.connectionString)
+        : null;
+    return match ? match[1].replace(/\/+$/, '').toLowerCase() : 'default';
+}
+
+/**
+ * Creates a resilience policy for ACS calls
+ *
+ * @param {Object} acsConfig - Configuration with optional resilience settings
+ * @returns {Object} Policy with execute and getCircuitState methods
+ */
+function createResiliencePolicy(acsConfig) {
+    const settings = { ...DEFAULT_RESILIENCE_SETTINGS, ...((acsConfig && acsConfig.resilience) || {}) };
+    const sleep = settings.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    const circuits = new Map();
+
+    const getCircuit = (endpoint) => {
+        if (!circuits.has(endpoint)) {
+            circuits.set(endpoint, createCircuitBreaker(settings));
+        }
+        return circuits.get(endpoint);
+    };
+
+    return {
+        /**
+         * Runs an ACS call with retries and circuit breaking
+         *
+         * @param {string} operation - Name of the operation, used in logs and errors
+         * @param {Function} call - Async function making the call; receives the attempt number
+         * @param {Object} options - Call options
+         * @param {boolean} options.idempotent - Whether the call is safe to repeat
+         * @param {string} options.endpoint - Circuit key (default: the acsConfig endpoint)
+         * @returns {Promise<*>} The result of the call
+         */
+        async execute(operation, call, options = {}) {
+            const endpoint = options.endpoint || getEndpointKey(acsConfig);
+            const circuit = getCircuit(endpoint);
+
+            for (let attempt = 0; ; attempt++) {
+                if (!circuit.canRequest()) {
+                    throw new AcsCircuitOpenError(`ACS endpoint ${endpoint} is unavailable; ${operation} was not attempted`, {
+                        operation,
+                        retryAt: circuit.getState().retryAt
+                    });
+                }
+
+                try {
+                    const result = await call(attempt);
+                    circuit.recordSuccess();
+                    return result;
+                } catch (error) {
+                    const transient = isTransientError(error, settings);
+                    if (transient) {
+                        circuit.recordFailure();
+                    } else {
+                        circuit.recordSuccess();
+                    }
+
+                    const retryAllowed = options.idempotent || getStatusCode(error) === 429;
+                    const circuitOpen = circuit.getState().state === 'open';
+                    if (!transient || !retryAllowed || circuitOpen || attempt >= settings.maxRetries) {
+                        throw error;
+                    }
+
+                    const delay = computeBackoffDelay(attempt, settings, getRetryAfterMs(error));
+                    console.warn(`ACS ${operation} failed (${getStatusCode(error) || error.code}); retrying in ${delay}ms`);
+                    await sleep(delay);
+                }
+            }
+        },
+
+        /**
+         * Gets the circuit state for an endpoint
+         *
+         * @param {string} endpoint - Circuit key (default: the acsConfig endpoint)
+         * @returns {Object} Object containing state, failures and retryAt
+         */
+        getCircuitState(endpoint) {
+            return getCircuit(endpoint || getEndpointKey(acsConfig)).getState();
+        }
+    };
+}
+
+/**
+ * Resolves the resilience policy for an ACS configuration
+ *
+ * `acsConfig.resilience` may be a policy instance (anything with an `execute`
+ * method) or settings; policies built from settings are reused per acsConfig
+ * so circuit state is shared between calls.
+ *
+ * @param {Object} acsConfig - Configuration with optional resilience settings
+ * @returns {Object} The resilience policy
+ */
+function resolveResiliencePolicy(acsConfig) {
+    const resilience = acsConfig && acsConfig.resilience;
+    if (resilience && typeof resilience.execute === 'function') {
+        return resilience;
+    }
+
+    if (!acsConfig) {
+        if (!sharedPolicy) {
+            sharedPolicy = createResiliencePolicy(null);
+        }
+        return sharedPolicy;
+    }
+
+    if (!policiesByConfig.has(acsConfig)) {
+        policiesByConfig.set(acsConfig, createResiliencePolicy(acsConfig));
+    }
+    return policiesByConfig.get(acsConfig);
+}
+
+// Export the resilience functions
+module.exports = {
+    DEFAULT_RESILIENCE_SETTINGS,
+    getSdkClientOptions,
+    getStatusCode,
+    getRetryAfterMs,
+    isTransientError,
+    computeBackoffDelay,
+    createCircuitBreaker,
+    createResiliencePolicy,
+    resolveResiliencePolicy
+};
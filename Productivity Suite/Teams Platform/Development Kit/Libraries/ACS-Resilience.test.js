@@ -0,0 +1,270 @@
+/**
+ * ACS-Resilience.test.js
+ *
+ * Drives the retry and circuit breaking policy through the bot helpers against
+ * the fake ACS service, injecting 429 and 503 responses.
+ *
+ * Run with `node --test`.
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createFakeAcsService, createFakeAcsConfig } = require('./ACS-Test-Harness');
+const {
+    DEFAULT_RESILIENCE_SETTINGS,
+    getSdkClientOptions,
+    isTransientError,
+    computeBackoffDelay
+} = require('./ACS-Resilience');
+const {
+    createOrGetChatThread,
+    sendMessageToThread,
+    resolveChatClientFactory,
+    resolveResiliencePolicy,
+    AcsServiceError,
+    AcsThrottledError,
+    AcsNotFoundError,
+    AcsCircuitOpenError
+} = require('./ACS-Bot-Helpers');
+
+// Path of thread creation requests, without the thread paths below it
+const CREATE_THREAD_PATH = /^\/chat\/threads$/;
+
+const configs = [];
+
+/**
+ * Creates a fake service and a configuration that records retry delays
+ *
+ * @param {Object} resilience - Resilience settings (optional)
+ * @returns {Object} Object containing acsService, acsConfig and delays
+ */
+function createSetup(resilience = {}) {
+    const acsService = createFakeAcsService();
+    const delays = [];
+    const acsConfig = createFakeAcsConfig(acsService, {
+        resilience: {
+            baseDelayMs: 100,
+            maxDelayMs: 250,
+            resetTimeoutMs: 50,
+            ...resilience,
+            sleep: async (ms) => {
+                delays.push(ms);
+            }
+        }
+    });
+    configs.push(acsConfig);
+    return { acsService, acsConfig, delays };
+}
+
+/**
+ * Lists the statuses of the requests made to a path
+ *
+ * @param {Object} acsService - The fake ACS service
+ * @param {RegExp|string} path - The request path
+ * @returns {Array<number>} The statuses, in order
+ */
+function statusesFor(acsService, path) {
+    return acsService.requests
+        .filter(request => request.method === 'POST'
+            && (path instanceof RegExp ? path.test(request.path) : request.path.endsWith(path)))
+        .map(request => request.status);
+}
+
+/**
+ * Creates the bot identity and a thread, so later requests only hit the path under test
+ *
+ * @param {Object} setup - The setup from createSetup
+ * @returns {Promise<string>} The thread ID
+ */
+async function warmUp(setup) {
+    const threadId = await createOrGetChatThread('a:warm-up', setup.acsConfig);
+    setup.delays.length = 0;
+    return threadId;
+}
+
+afterEach(() => {
+    configs.splice(0).forEach(acsConfig => resolveChatClientFactory(acsConfig).dispose());
+});
+
+test('retries idempotent calls after 503 with growing, jittered delays', async () => {
+    const setup = createSetup();
+    await warmUp(setup);
+    setup.acsService.failNext({ method: 'POST', path: CREATE_THREAD_PATH, status: 503, times: 3 });
+
+    const threadId = await createOrGetChatThread('a:backoff', setup.acsConfig);
+
+    assert.ok(threadId);
+    assert.deepStrictEqual(statusesFor(setup.acsService, CREATE_THREAD_PATH), [201, 503, 503, 503, 201]);
+    assert.strictEqual(setup.delays.length, 3);
+
+    // Equal jitter keeps each delay between half and all of 100, 200 and 250 (capped) ms
+    [100, 200, 250].forEach((ceiling, attempt) => {
+        assert.ok(setup.delays[attempt] >= ceiling / 2 && setup.delays[attempt] <= ceiling,
+            `delay ${setup.delays[attempt]} of attempt ${attempt} is outside ${ceiling / 2}-${ceiling}`);
+    });
+
+    // The idempotency token made the retries return one thread
+    assert.strictEqual(setup.acsService.listThreads().length, 2);
+});
+
+test('gives up after maxRetries and rejects with the typed error', async () => {
+    const setup = createSetup({ maxRetries: 2 });
+    await warmUp(setup);
+    setup.acsService.failNext({ method: 'POST', path: CREATE_THREAD_PATH, status: 503, times: 5 });
+
+    await assert.rejects(createOrGetChatThread('a:exhausted', setup.acsConfig), AcsServiceError);
+    assert.deepStrictEqual(statusesFor(setup.acsService, CREATE_THREAD_PATH), [201, 503, 503, 503]);
+    assert.strictEqual(setup.delays.length, 2);
+});
+
+test('waits as long as Retry-After asks', async () => {
+    const setup = createSetup();
+    const threadId = await warmUp(setup);
+    setup.acsService.failNext({ path: '/messages', status: 429, code: 'TooManyRequests', retryAfterSeconds: 2 });
+
+    const messageId = await sendMessageToThread(threadId, 'Throttled once', setup.acsConfig);
+
+    assert.ok(messageId);
+    assert.deepStrictEqual(setup.delays, [2000]);
+    assert.deepStrictEqual(statusesFor(setup.acsService, '/messages'), [429, 201]);
+});
+
+test('caps Retry-After at maxRetryAfterMs', async () => {
+    const setup = createSetup({ maxRetryAfterMs: 5000 });
+    const threadId = await warmUp(setup);
+    setup.acsService.failNext({ path: '/messages', status: 429, code: 'TooManyRequests', retryAfterSeconds: 120 });
+
+    await sendMessageToThread(threadId, 'Throttled for long', setup.acsConfig);
+
+    assert.deepStrictEqual(setup.delays, [5000]);
+});
+
+test('does not retry a non-idempotent call after 503', async () => {
+    const setup = createSetup();
+    const threadId = await warmUp(setup);
+    setup.acsService.failNext({ path: '/messages', status: 503 });
+
+    await assert.rejects(sendMessageToThread(threadId, 'Maybe sent', setup.acsConfig), AcsServiceError);
+    assert.deepStrictEqual(statusesFor(setup.acsService, '/messages'), [503]);
+    assert.deepStrictEqual(setup.delays, []);
+});
+
+test('retries a non-idempotent call after 429, which ACS returns before processing', async () => {
+    const setup = createSetup();
+    const threadId = await warmUp(setup);
+    setup.acsService.failNext({ path: '/messages', status: 429, code: 'TooManyRequests' });
+
+    await sendMessageToThread(threadId, 'Throttled without a hint', setup.acsConfig);
+
+    assert.deepStrictEqual(statusesFor(setup.acsService, '/messages'), [429, 201]);
+    assert.strictEqual(setup.delays.length, 1);
+    assert.ok(setup.delays[0] >= 50 && setup.delays[0] <= 100);
+});
+
+test('rejects with AcsThrottledError when throttling outlasts the retries', async () => {
+    const setup = createSetup({ maxRetries: 1 });
+    const threadId = await warmUp(setup);
+    setup.acsService.failNext({ path: '/messages', status: 429, code: 'TooManyRequests', retryAfterSeconds: 1, times: 2 });
+
+    const error = await sendMessageToThread(threadId, 'Throttled twice', setup.acsConfig).catch(caught => caught);
+
+    assert.ok(error instanceof AcsThrottledError);
+    assert.strictEqual(error.retryAfterMs, 1000);
+    assert.strictEqual(error.retryable, true);
+});
+
+test('opens the circuit after consecutive transient failures and fails fast', async () => {
+    const setup = createSetup({ failureThreshold: 2, maxRetries: 5 });
+    await warmUp(setup);
+    const policy = resolveResiliencePolicy(setup.acsConfig);
+    setup.acsService.failNext({ method: 'POST', path: CREATE_THREAD_PATH, status: 503, times: 2 });
+
+    // The second failure opens the circuit, which ends the retries early
+    await assert.rejects(createOrGetChatThread('a:circuit', setup.acsConfig), AcsServiceError);
+    assert.strictEqual(policy.getCircuitState().state, 'open');
+    assert.strictEqual(setup.delays.length, 1);
+
+    const requestsBefore = setup.acsService.requests.length;
+    const error = await createOrGetChatThread('a:circuit', setup.acsConfig).catch(caught => caught);
+    assert.ok(error instanceof AcsCircuitOpenError);
+    assert.strictEqual(error.code, 'CircuitOpen');
+    assert.ok(error.retryAt instanceof Date);
+    assert.strictEqual(setup.acsService.requests.length, requestsBefore);
+});
+
+test('closes the circuit after a successful trial call', async () => {
+    const setup = createSetup({ failureThreshold: 1, maxRetries: 0 });
+    await warmUp(setup);
+    const policy = resolveResiliencePolicy(setup.acsConfig);
+    setup.acsService.failNext({ method: 'POST', path: CREATE_THREAD_PATH, status: 503 });
+
+    await assert.rejects(createOrGetChatThread('a:trial', setup.acsConfig), AcsServiceError);
+    assert.strictEqual(policy.getCircuitState().state, 'open');
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.ok(await createOrGetChatThread('a:trial', setup.acsConfig));
+    assert.deepStrictEqual(policy.getCircuitState(), { state: 'closed', failures: 0, retryAt: null });
+});
+
+test('opens the circuit again when the trial call fails', async () => {
+    const setup = createSetup({ failureThreshold: 1, maxRetries: 0 });
+    await warmUp(setup);
+    const policy = resolveResiliencePolicy(setup.acsConfig);
+    setup.acsService.failNext({ method: 'POST', path: CREATE_THREAD_PATH, status: 503, times: 2 });
+
+    await assert.rejects(createOrGetChatThread('a:trial', setup.acsConfig), AcsServiceError);
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await assert.rejects(createOrGetChatThread('a:trial', setup.acsConfig), AcsServiceError);
+
+    assert.strictEqual(policy.getCircuitState().state, 'open');
+    assert.deepStrictEqual(statusesFor(setup.acsService, CREATE_THREAD_PATH), [201, 503, 503]);
+});
+
+test('does not retry or count failures that are not transient', async () => {
+    const setup = createSetup({ failureThreshold: 1 });
+    const threadId = await warmUp(setup);
+    setup.acsService.failNext({ path: '/messages', status: 404, code: 'NotFound', times: 2 });
+
+    await assert.rejects(sendMessageToThread(threadId, 'Lost', setup.acsConfig), AcsNotFoundError);
+    await assert.rejects(sendMessageToThread(threadId, 'Lost again', setup.acsConfig), AcsNotFoundError);
+
+    assert.deepStrictEqual(setup.delays, []);
+    assert.strictEqual(resolveResiliencePolicy(setup.acsConfig).getCircuitState().state, 'closed');
+});
+
+test('keeps circuits per endpoint', async () => {
+    const setup = createSetup({ failureThreshold: 1, maxRetries: 0 });
+    const policy = resolveResiliencePolicy(setup.acsConfig);
+    const failing = async () => {
+        throw Object.assign(new Error('Service unavailable'), { statusCode: 503 });
+    };
+
+    await assert.rejects(policy.execute('probe', failing, { endpoint: 'https://other.communication.azure.com' }));
+
+    assert.strictEqual(policy.getCircuitState('https://other.communication.azure.com').state, 'open');
+    assert.strictEqual(policy.getCircuitState().state, 'closed');
+});
+
+test('classifies transient failures and computes delays', () => {
+    assert.strictEqual(isTransientError({ statusCode: 503 }), true);
+    assert.strictEqual(isTransientError({ statusCode: 429 }), true);
+    assert.strictEqual(isTransientError({ statusCode: 400 }), false);
+    assert.strictEqual(isTransientError({ code: 'ECONNRESET' }), true);
+    assert.strictEqual(isTransientError({ code: 'EACCES' }), false);
+
+    const settings = { ...DEFAULT_RESILIENCE_SETTINGS, maxRetryAfterMs: 1000 };
+    assert.strictEqual(computeBackoffDelay(0, settings, 250), 250);
+    assert.strictEqual(computeBackoffDelay(0, settings, 5000), 1000);
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const delay = computeBackoffDelay(attempt, settings, null);
+        const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * Math.pow(2, attempt));
+        assert.ok(delay >= ceiling / 2 && delay <= ceiling);
+    }
+});
+
+test('disables the Azure SDK retries and passes on the HTTP client', () => {
+    const setup = createSetup();
+
+    assert.deepStrictEqual(getSdkClientOptions(null), { retryOptions: { maxRetries: 0 } });
+    assert.strictEqual(getSdkClientOptions(setup.acsConfig).httpClient, setup.acsConfig.httpClient);
+});
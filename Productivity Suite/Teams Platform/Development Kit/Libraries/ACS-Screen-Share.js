@@ -0,0 +1,399 @@
+/**
+ * ACS-Screen-Share.js
+ *
+ * Screen sharing for Azure Communication Services (ACS) calls in Microsoft
+ * Teams tabs and meeting apps.
+ *
+ * The local user's screen share is started and stopped on the active call of
+ * a call or call session. Remote participants' shares are shown on a stage,
+ * separate from the camera tiles of the video gallery: the share started most
+ * recently is rendered, and the stage is hidden while nobody is sharing.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+// Dependencies
+import { VideoStreamRenderer } from '@azure/communication-calling';
+import { getIdentifierRawId } from '@azure/communication-common';
+import { AcsConfigError, AcsDeviceError, AcsValidationError, toAcsError } from './ACS-Errors.mjs';
+import { CallSession } from './ACS-Call-Session.js';
+
+/**
+ * Stage options used unless the caller overrides them
+ */
+export const DEFAULT_SCREEN_SHARE_OPTIONS = {
+    // Fit, as cropping a shared screen hides part of its content
+    scalingMode: 'Fit'
+};
+
+/**
+ * Check whether the browser can share the screen
+ *
+ * Teams mobile clients and some embedded browsers cannot.
+ *
+ * @returns {boolean} True if getDisplayMedia is available
+ */
+export function isScreenSharingSupported() {
+    return typeof navigator !== 'undefined'
+        && !!navigator.mediaDevices
+        && typeof navigator.mediaDevices.getDisplayMedia === 'function';
+}
+
+/**
+ * Get the call of a call or call session
+ *
+ * @param {Call|CallSession} source - The call, or the call session
+ * @returns {Call|null} The call, or null
+ */
+function getCall(source) {
+    return source instanceof CallSession ? source.call : source || null;
+}
+
+/**
+ * Start sharing the local user's screen on the active call
+ *
+ * The browser asks the user what to share. Sharing that is already on is left
+ * as it is.
+ *
+ * @param {Call|CallSession} source - The call, or the call session
+ * @returns {Promise<void>} Resolves when sharing has started
+ * @throws {AcsValidationError} If there is no connected call
+ * @throws {AcsDeviceError} If the browser cannot share the screen, or the user cancels
+ */
+export async function startScreenSharing(source) {
+    const call = getCall(source);
+    if (!call || call.state !== 'Connected') {
+        throw new AcsValidationError('Screen sharing needs a connected call');
+    }
+    if (!isScreenSharingSupported()) {
+        throw new AcsDeviceError('This browser cannot share the screen', { code: 'ScreenSharingNotSupported' });
+    }
+    if (call.isScreenSharingOn) {
+        return;
+    }
+
+    try {
+        await call.startScreenSharing();
+    } catch (error) {
+        console.error('Error starting screen sharing:', error);
+        throw toAcsError(error, 'startScreenSharing');
+    }
+}
+
+/**
+ * Stop sharing the local user's screen
+ *
+ * Does nothing if there is no call or the screen is not shared.
+ *
+ * @param {Call|CallSession} source - The call, or the call session
+ * @returns {Promise<void>} Resolves when sharing has stopped
+ */
+export async function stopScreenSharing(source) {
+    const call = getCall(source);
+    if (!call || !call.isScreenSharingOn) {
+        return;
+    }
+
+    try {
+        await call.stopScreenSharing();
+    } catch (error) {
+        console.error('Error stopping screen sharing:', error);
+        throw toAcsError(error, 'stopScreenSharing');
+    }
+}
+
+/**
+ * Get the screen share stream of a remote participant
+ *
+ * @param {RemoteParticipant} participant - The remote participant
+ * @returns {RemoteVideoStream|null} The screen share stream, or null
+ */
+export function getScreenShareStream(participant) {
+    return (participant.videoStreams || []).find(stream => stream.mediaStreamType === 'ScreenSharing') || null;
+}
+
+/**
+ * Create a stage showing remote screen shares for a call or call session
+ *
+ * The stage is mounted first in its container, so a video gallery in the same
+ * container is shown below it. It is hidden while nobody is sharing. A
+ * session's stage follows each call the session joins.
+ *
+ * @param {Call|CallSession} source - The call, or the call session
+ * @param {Object} options - Stage options
+ * @param {HTMLElement|string} options.container - Element, or its ID, to mount the stage in (default: document.body)
+ * @param {string} options.scalingMode - Fit or Crop (default: Fit)
+ * @param {Function} options.onPresenterChanged - Function called with the presenter's participant ID, or null (optional)
+ * @param {Function} options.onError - Function called with rendering errors (optional)
+ * @returns {Object} Stage with element, getPresenterId and dispose
+ * @throws {AcsConfigError} If the container is not found
+ */
+export function createScreenShareStage(source, options = {}) {
+    const settings = { ...DEFAULT_SCREEN_SHARE_OPTIONS, ...options };
+    const session = source instanceof CallSession ? source : null;
+
+    const parent = typeof settings.container === 'string'
+        ? document.getElementById(settings.container)
+        : settings.container || document.body;
+    if (!parent) {
+        throw new AcsConfigError(`Element with ID ${settings.container} not found`);
+    }
+
+    const stageElement = document.createElement('div');
+    stageElement.className = 'acs-screen-share-stage';
+    stageElement.setAttribute('role', 'region');
+    stageElement.hidden = true;
+
+    const videoElement = document.createElement('div');
+    videoElement.className = 'acs-screen-share-video';
+    stageElement.appendChild(videoElement);
+
+    const labelElement = document.createElement('div');
+    labelElement.className = 'acs-screen-share-label';
+    stageElement.appendChild(labelElement);
+
+    parent.insertBefore(stageElement, parent.firstChild);
+
+    // Shares by participant ID
+    const shares = new Map();
+    // IDs of participants with an available share, most recently started last
+    let sharingIds = [];
+    let presenterId = null;
+    let call = null;
+    let unbindCall = null;
+    let renderer = null;
+    let renderedStream = null;
+    let disposed = false;
+
+    const reportError = (error, operation) => {
+        const acsError = toAcsError(error, operation);
+        console.error(`Error in screen share stage ${operation}:`, acsError);
+        if (typeof settings.onError === 'function') {
+            settings.onError(acsError);
+        }
+    };
+
+    const stopRendering = () => {
+        if (!renderer) {
+            return;
+        }
+        renderer.dispose();
+        videoElement.innerHTML = '';
+        renderer = null;
+        renderedStream = null;
+    };
+
+    const startRendering = async (stream) => {
+        const streamRenderer = new VideoStreamRenderer(stream);
+        renderer = streamRenderer;
+        renderedStream = stream;
+
+        try {
+            const view = await streamRenderer.createView({ scalingMode: settings.scalingMode });
+
+            // Another share may have been shown while the view was created
+            if (renderer !== streamRenderer) {
+                streamRenderer.dispose();
+                return;
+            }
+            videoElement.appendChild(view.target);
+        } catch (error) {
+            streamRenderer.dispose();
+
+            // Views of renderers stopped meanwhile are expected to fail
+            if (renderer === streamRenderer) {
+                renderer = null;
+                renderedStream = null;
+                reportError(error, 'renderScreenShare');
+            }
+        }
+    };
+
+    // Show the share started most recently
+    const refresh = () => {
+        sharingIds = sharingIds.filter(id => {
+            const share = shares.get(id);
+            return share && share.stream && share.stream.isAvailable;
+        });
+        for (const [id, share] of shares) {
+            if (share.stream && share.stream.isAvailable && !sharingIds.includes(id)) {
+                sharingIds.push(id);
+            }
+        }
+
+        const nextPresenterId = sharingIds.length > 0 ? sharingIds[sharingIds.length - 1] : null;
+        const presenter = nextPresenterId ? shares.get(nextPresenterId) : null;
+        const stream = presenter ? presenter.stream : null;
+
+        if (renderedStream !== stream) {
+            stopRendering();
+            if (stream) {
+                startRendering(stream);
+            }
+        }
+
+        if (presenter) {
+            const label = `${presenter.participant.displayName || 'Unknown participant'} is presenting`;
+            labelElement.textContent = label;
+            stageElement.setAttribute('aria-label', label);
+        }
+        stageElement.hidden = !presenter;
+
+        if (nextPresenterId !== presenterId) {
+            presenterId = nextPresenterId;
+            if (typeof settings.onPresenterChanged === 'function') {
+                settings.onPresenterChanged(presenterId);
+            }
+        }
+    };
+
+    // A share becoming available again counts as started most recently
+    const onShareAvailableChanged = (id) => {
+        sharingIds = sharingIds.filter(candidate => candidate !== id);
+        refresh();
+    };
+
+    // Follow the participant's share stream as it is added or removed
+    const bindShareStream = (share) => {
+        const stream = getScreenShareStream(share.participant);
+        if (stream === share.stream) {
+            return;
+        }
+        if (share.stream) {
+            share.stream.off('isAvailableChanged', share.onAvailableChanged);
+        }
+        share.stream = stream;
+        if (stream) {
+            stream.on('isAvailableChanged', share.onAvailableChanged);
+        }
+    };
+
+    const addParticipant = (participant) => {
+        const id = getIdentifierRawId(participant.identifier);
+        if (shares.has(id)) {
+            return;
+        }
+
+        const share = {
+            participant,
+            stream: null,
+            onAvailableChanged: () => onShareAvailableChanged(id)
+        };
+        const onVideoStreamsUpdated = () => {
+            bindShareStream(share);
+            refresh();
+        };
+        const onDisplayNameChanged = () => refresh();
+        participant.on('videoStreamsUpdated', onVideoStreamsUpdated);
+        participant.on('displayNameChanged', onDisplayNameChanged);
+        share.unbind = () => {
+            participant.off('videoStreamsUpdated', onVideoStreamsUpdated);
+            participant.off('displayNameChanged', onDisplayNameChanged);
+            if (share.stream) {
+                share.stream.off('isAvailableChanged', share.onAvailableChanged);
+            }
+        };
+
+        shares.set(id, share);
+        bindShareStream(share);
+    };
+
+    const removeParticipant = (participant) => {
+        const id = getIdentifierRawId(participant.identifier);
+        const share = shares.get(id);
+        if (!share) {
+            return;
+        }
+        share.unbind();
+        shares.delete(id);
+    };
+
+    const bindCall = (nextCall) => {
+        if (unbindCall) {
+            unbindCall();
+            unbindCall = null;
+        }
+        for (const share of Array.from(shares.values())) {
+            removeParticipant(share.participant);
+        }
+        call = nextCall;
+
+        if (call) {
+            const boundCall = call;
+            const onParticipantsUpdated = ({ added, removed }) => {
+                removed.forEach(removeParticipant);
+                added.forEach(addParticipant);
+                refresh();
+            };
+            const onStateChanged = () => {
+                if (boundCall.state === 'Disconnected') {
+                    bindCall(null);
+                }
+            };
+            boundCall.on('remoteParticipantsUpdated', onParticipantsUpdated);
+            if (!session) {
+                boundCall.on('stateChanged', onStateChanged);
+            }
+            unbindCall = () => {
+                boundCall.off('remoteParticipantsUpdated', onParticipantsUpdated);
+                boundCall.off('stateChanged', onStateChanged);
+            };
+
+            boundCall.remoteParticipants.forEach(addParticipant);
+        }
+        refresh();
+    };
+
+    // A session's call changes as it joins and leaves calls
+    const onSessionStateChanged = () => {
+        if (session.call !== call) {
+            bindCall(session.call);
+        }
+    };
+
+    if (session) {
+        session.on('stateChanged', onSessionStateChanged);
+    }
+    bindCall(session ? session.call : source);
+
+    return {
+        element: stageElement,
+
+        /**
+         * Gets the participant whose share is shown
+         *
+         * @returns {string|null} The participant ID, or null while nobody is sharing
+         */
+        getPresenterId() {
+            return presenterId;
+        },
+
+        /**
+         * Disposes the renderer, stops following the call and removes the stage
+         *
+         * @returns {void}
+         */
+        dispose() {
+            if (disposed) {
+                return;
+            }
+            disposed = true;
+            if (session) {
+                session.off('stateChanged', onSessionStateChanged);
+            }
+            bindCall(null);
+            stageElement.remove();
+        }
+    };
+}
+
+// Export screen sharing
+export default {
+    DEFAULT_SCREEN_SHARE_OPTIONS,
+    isScreenSharingSupported,
+    startScreenSharing,
+    stopScreenSharing,
+    getScreenShareStream,
+    createScreenShareStage
+};
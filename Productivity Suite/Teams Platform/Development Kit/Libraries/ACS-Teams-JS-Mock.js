@@ -0,0 +1,204 @@
+/**
+ * ACS-Teams-JS-Mock.js
+ *
+ * A stand-in for `@microsoft/teams-js` so ACS-Teams-Utils.js can run outside
+ * the Teams client.
+ *
+ * Map `@microsoft/teams-js` to this module in the test runner. It exports the
+ * `app`, `pages`, `meeting`, `notifications` and `authentication` namespaces the
+ * utilities use, records every call, and lets tests set the context, tokens and
+ * failures the host would produce.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * Context returned by app.getContext until a test changes it
+ */
+export const DEFAULT_TEAMS_CONTEXT = {
+    app: { locale: 'en-us', theme: 'default', sessionId: 'test-session', host: { name: 'Teams', clientType: 'web' } },
+    page: { id: 'acs-tab', frameContext: 'content' },
+    user: { id: '00000000-0000-0000-0000-000000000001', loginHint: 'test.user@contoso.com', tenant: { id: '72f988bf-0000-0000-0000-000000000000' } },
+    frameContext: 'content'
+};
+
+// Mutable host state, reset by teamsMock.reset
+const state = {
+    calls: [],
+    context: null,
+    meetingDetails: null,
+    authToken: 'teams-sso-token',
+    failures: new Map(),
+    handlers: {}
+};
+
+/**
+ * Records a call and throws or rejects if a failure was queued for it
+ *
+ * @param {string} name - Qualified name such as app.getContext
+ * @param {Array} args - Call arguments
+ * @returns {void}
+ */
+function record(name, args) {
+    state.calls.push({ name, args });
+
+    const failure = state.failures.get(name);
+    if (failure) {
+        state.failures.delete(name);
+        throw failure;
+    }
+}
+
+/**
+ * Wraps an async host API so it is recorded and can be made to fail
+ *
+ * @param {string} name - Qualified name such as app.getContext
+ * @param {Function} implementation - Returns the result
+ * @returns {Function} Async function
+ */
+function hostCall(name, implementation = () => undefined) {
+    return async (...args) => {
+        record(name, args);
+        return implementation(...args);
+    };
+}
+
+export const app = {
+    initialize: hostCall('app.initialize'),
+    getContext: hostCall('app.getContext', () => structuredClone(state.context || DEFAULT_TEAMS_CONTEXT)),
+    openLink: hostCall('app.openLink'),
+    showLoadingIndicator: hostCall('app.showLoadingIndicator'),
+    hideLoadingIndicator: hostCall('app.hideLoadingIndicator'),
+    requestPermissions: hostCall('app.requestPermissions', () => true),
+    registerOnThemeChangeHandler(handler) {
+        record('app.registerOnThemeChangeHandler', [handler]);
+        state.handlers.theme = handler;
+    }
+};
+
+export const pages = {
+    registerBackButtonHandler(handler) {
+        record('pages.registerBackButtonHandler', [handler]);
+        state.handlers.backButton = handler;
+    }
+};
+
+export const meeting = {
+    getMeetingDetails: hostCall('meeting.getMeetingDetails', () => {
+        if (!state.meetingDetails) {
+            throw new Error('Not in a meeting');
+        }
+        return structuredClone(state.meetingDetails);
+    }),
+    shareAppContentToStage(callback, appContentUrl) {
+        record('meeting.shareAppContentToStage', [callback, appContentUrl]);
+        callback(null, true);
+    }
+};
+
+export const notifications = {
+    showNotification: hostCall('notifications.showNotification')
+};
+
+export const authentication = {
+    getAuthToken: hostCall('authentication.getAuthToken', () => state.authToken)
+};
+
+/**
+ * Controls the mocked Teams host from tests
+ */
+export const teamsMock = {
+    /**
+     * Calls made so far, as objects containing name and args
+     */
+    get calls() {
+        return state.calls;
+    },
+
+    /**
+     * Lists the calls made to one API
+     *
+     * @param {string} name - Qualified name such as app.openLink
+     * @returns {Array<Array>} Arguments of each call
+     */
+    callsTo(name) {
+        return state.calls.filter(call => call.name === name).map(call => call.args);
+    },
+
+    /**
+     * Sets the context returned by app.getContext
+     *
+     * @param {Object} context - Values merged over DEFAULT_TEAMS_CONTEXT
+     * @returns {void}
+     */
+    setContext(context) {
+        state.context = { ...DEFAULT_TEAMS_CONTEXT, ...context };
+    },
+
+    /**
+     * Puts the app in a meeting, or takes it out with null
+     *
+     * @param {Object|null} details - Result of meeting.getMeetingDetails, such as { id, title }
+     * @returns {void}
+     */
+    setMeetingDetails(details) {
+        state.meetingDetails = details;
+    },
+
+    /**
+     * Sets the token returned by authentication.getAuthToken
+     *
+     * @param {string} token - The Teams SSO token
+     * @returns {void}
+     */
+    setAuthToken(token) {
+        state.authToken = token;
+    },
+
+    /**
+     * Makes the next call to an API fail
+     *
+     * @param {string} name - Qualified name such as authentication.getAuthToken
+     * @param {Error} error - The error to throw (default: a generic error)
+     * @returns {void}
+     */
+    failNext(name, error = new Error(`${name} failed`)) {
+        state.failures.set(name, error);
+    },
+
+    /**
+     * Simulates the user switching the Teams theme
+     *
+     * @param {string} theme - default, dark or contrast
+     * @returns {void}
+     */
+    changeTheme(theme) {
+        if (state.handlers.theme) {
+            state.handlers.theme(theme);
+        }
+    },
+
+    /**
+     * Simulates the user pressing the back button
+     *
+     * @returns {boolean} Whether the registered handler handled navigation
+     */
+    pressBackButton() {
+        return state.handlers.backButton ? state.handlers.backButton() : false;
+    },
+
+    /**
+     * Restores the initial host state and clears recorded calls
+     *
+     * @returns {void}
+     */
+    reset() {
+        state.calls = [];
+        state.context = null;
+        state.meetingDetails = null;
+        state.authToken = 'teams-sso-token';
+        state.failures = new Map();
+        state.handlers = {};
+    }
+};
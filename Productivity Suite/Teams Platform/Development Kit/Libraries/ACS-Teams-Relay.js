@@ -0,0 +1,397 @@
+/**
+ * ACS-Teams-Relay.js
+ *
+ * Relays messages posted to Azure Communication Services (ACS) chat threads back
+ * into the Microsoft Teams conversations they are bridged to, so replies from
+ * ACS-only participants such as web customers or kiosks reach Teams users.
+ *
+ * Messages arrive either as ChatClient real-time notifications or as Event Grid
+ * webhook payloads. Each message is resolved to a Teams conversation through the
+ * thread mapping and posted proactively with the stored conversation reference,
+ * attributed to its ACS sender. Messages the bot itself forwarded from Teams are
+ * never relayed back.
+ *
+ * Typing notifications and read receipts from real-time notifications are
+ * relayed as well, through ACS-Live-Indicators.js.
+ *
+ * @version 1.2.1
+ * @license MIT
+ */
+
+// Dependencies
+const { MAPPING_COLLECTIONS, resolveMappingStore } = require('./ACS-Mapping-Store');
+const { resolveBotIdentityManager } = require('./ACS-Bot-Identity');
+const { escapeHtml, translateAcsMessageToTeams } = require('./ACS-Message-Translator');
+const { AcsConfigError } = require('./ACS-Errors');
+const {
+    resolveIndicatorSettings,
+    acquireTypingSlot,
+    resetAcsTyping,
+    normalizeIndicatorEvent,
+    storeRelayedMessage,
+    updateSeenByCard
+} = require('./ACS-Live-Indicators');
+
+/**
+ * Metadata written on ACS messages forwarded from Teams, used for loop prevention
+ */
+const BRIDGE_METADATA = {
+    originKey: 'bridgedFrom',
+    teamsOrigin: 'teams',
+    activityIdKey: 'teamsActivityId'
+};
+
+/**
+ * Event Grid event types handled by the relay
+ */
+const EVENT_GRID_TYPES = {
+    subscriptionValidation: 'Microsoft.EventGrid.SubscriptionValidationEvent',
+    messageReceivedInThread: 'Microsoft.Communication.ChatMessageReceivedInThread',
+    messageReceived: 'Microsoft.Communication.ChatMessageReceived'
+};
+
+// Number of relayed message IDs remembered to drop duplicate deliveries
+const DEFAULT_DEDUPE_SIZE = 1000;
+
+/**
+ * Normalizes an ACS chat message event into a common shape
+ *
+ * Accepts both ChatClient `chatMessageReceived` notifications and the `data`
+ * of Event Grid chat message events.
+ *
+ * @param {Object} event - The ACS chat message event
+ * @returns {Object} Normalized message with messageId, threadId, senderAcsUserId, senderDisplayName, content, type and metadata
+ */
+function normalizeChatMessageEvent(event) {
+    // Event Grid payloads carry messageBody and senderCommunicationIdentifier
+    if (event.messageBody !== undefined || event.senderCommunicationIdentifier) {
+        const sender = event.senderCommunicationIdentifier || {};
+        return {
+            messageId: event.messageId,
+            threadId: event.threadId,
+            senderAcsUserId: (sender.communicationUser && sender.communicationUser.id) || sender.rawId,
+            senderDisplayName: event.senderDisplayName,
+            content: event.messageBody,
+            type: (event.type || 'text').toLowerCase(),
+            metadata: event.metadata || {},
+            createdOn: event.composeTime
+        };
+    }
+
+    const sender = event.sender || {};
+    return {
+        messageId: event.id,
+        threadId: event.threadId,
+        senderAcsUserId: sender.communicationUserId || sender.rawId,
+        senderDisplayName: event.senderDisplayName,
+        content: event.message,
+        type: (event.type || 'text').toLowerCase(),
+        metadata: event.metadata || {},
+        createdOn: event.createdOn
+    };
+}
+
+/**
+ * Builds the Teams activity for a relayed ACS message
+ *
+ * The content is translated with ACS-Message-Translator.js, so formatting is kept
+ * and mentions of bridged users become Teams mentions.
+ *
+ * @param {Object} message - Normalized ACS message
+ * @param {Object} acsConfig - Configuration selecting the mapping store (optional)
+ * @returns {Promise<Object>} Partial Bot Framework activity
+ */
+async function formatRelayedMessage(message, acsConfig) {
+    const senderName = message.senderDisplayName || 'ACS participant';
+    const translated = await translateAcsMessageToTeams(message, acsConfig);
+
+    return {
+        type: 'message',
+        textFormat: translated.textFormat,
+        text: `<strong>${escapeHtml(senderName)}</strong>: ${translated.text}`,
+        entities: translated.entities
+    };
+}
+
+/**
+ * Creates a relay that posts ACS thread messages into bridged Teams conversations
+ *
+ * @param {BotFrameworkAdapter|CloudAdapter} adapter - The Bot Framework adapter used for proactive messages
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @param {Object} options - Relay options
+ * @param {string} options.botAppId - Bot app ID, required for CloudAdapter proactive messaging
+ * @param {Function} options.formatMessage - Builds the Teams activity for a normalized message, may be async
+ * @param {Function} options.shouldRelay - Async predicate for additional filtering
+ * @param {number} options.dedupeSize - Number of message IDs remembered for duplicate detection
+ * @returns {Object} Relay with handleChatMessageEvent, handleTypingEvent, handleReadReceiptEvent, handleEventGridEvents, attachToChatClient and detach methods
+ */
+function createAcsToTeamsRelay(adapter, acsConfig, options = {}) {
+    if (!adapter) {
+        throw new AcsConfigError('A Bot Framework adapter is required to relay messages to Teams');
+    }
+
+    const formatMessage = options.formatMessage || formatRelayedMessage;
+    const dedupeSize = options.dedupeSize || DEFAULT_DEDUPE_SIZE;
+    const relayedMessageIds = new Set();
+    const attachedClients = [];
+
+    const rememberMessage = (messageId) => {
+        relayedMessageIds.add(messageId);
+        if (relayedMessageIds.size > dedupeSize) {
+            relayedMessageIds.delete(relayedMessageIds.values().next().value);
+        }
+    };
+
+    const continueConversation = (reference, logic) => {
+        if (typeof adapter.continueConversationAsync === 'function' && options.botAppId) {
+            return adapter.continueConversationAsync(options.botAppId, reference, logic);
+        }
+        return adapter.continueConversation(reference, logic);
+    };
+
+    // Finds the stored conversation reference of the Teams conversation bridged to a thread
+    const findConversationReference = async (threadId) => {
+        const store = resolveMappingStore(acsConfig);
+        const threadRecord = await store.get(MAPPING_COLLECTIONS.threads, threadId);
+        if (!threadRecord) {
+            return null;
+        }
+
+        const referenceRecord = await store.get(
+            MAPPING_COLLECTIONS.conversationReferences,
+            threadRecord.teamsConversationId
+        );
+        if (!referenceRecord) {
+            console.log(`No conversation reference stored for ${threadRecord.teamsConversationId}; cannot relay`);
+            return null;
+        }
+        return referenceRecord.reference;
+    };
+
+    const isBotSender = async (senderAcsUserId) => {
+        const botIdentity = await resolveBotIdentityManager(acsConfig).getIdentity();
+        return senderAcsUserId === botIdentity.acsUserId;
+    };
+
+    const relay = {
+        /**
+         * Relays a single ACS chat message event to Teams
+         *
+         * @param {Object} event - ChatClient notification or Event Grid event data
+         * @returns {Promise<boolean>} True if the message was posted to Teams
+         */
+        async handleChatMessageEvent(event) {
+            try {
+                const message = normalizeChatMessageEvent(event);
+
+                if (!message.messageId || !message.threadId || relayedMessageIds.has(message.messageId)) {
+                    return false;
+                }
+
+                // Never echo messages that were forwarded from Teams in the first place
+                if (message.metadata[BRIDGE_METADATA.originKey] === BRIDGE_METADATA.teamsOrigin) {
+                    return false;
+                }
+
+                if (await isBotSender(message.senderAcsUserId)) {
+                    return false;
+                }
+
+                if (options.shouldRelay && !(await options.shouldRelay(message))) {
+                    return false;
+                }
+
+                const reference = await findConversationReference(message.threadId);
+                if (!reference) {
+                    return false;
+                }
+
+                // Claimed while sending so a concurrent delivery is dropped, and released
+                // if the send fails so a later redelivery can still reach Teams
+                rememberMessage(message.messageId);
+                let sent = false;
+                try {
+                    const activity = await formatMessage(message, acsConfig);
+
+                    await continueConversation(reference, async (turnContext) => {
+                        const response = await turnContext.sendActivity(activity);
+                        sent = true;
+
+                        // Remembered so Teams read receipts can be passed back to ACS
+                        await storeRelayedMessage(reference.conversation.id, {
+                            threadId: message.threadId,
+                            acsMessageId: message.messageId,
+                            activityId: response && response.id
+                        }, acsConfig);
+                    });
+                } catch (error) {
+                    if (!sent) {
+                        relayedMessageIds.delete(message.messageId);
+                    }
+                    throw error;
+                }
+
+                // The sender stopped typing when their message arrived
+                resetAcsTyping(message.threadId);
+                return true;
+            } catch (error) {
+                console.error('Error relaying ACS message to Teams:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Shows an ACS typing notification in the bridged Teams conversation
+         *
+         * The bot appears to type, at most once per `typingIntervalMs` per thread.
+         *
+         * @param {Object} event - ChatClient typingIndicatorReceived event
+         * @returns {Promise<boolean>} True if a typing activity was sent to Teams
+         */
+        async handleTypingEvent(event) {
+            try {
+                const settings = resolveIndicatorSettings(acsConfig);
+                const indicator = normalizeIndicatorEvent(event);
+
+                if (!settings.typing || !indicator.threadId || await isBotSender(indicator.senderAcsUserId)) {
+                    return false;
+                }
+                if (!acquireTypingSlot(`acs|${indicator.threadId}`, settings.typingIntervalMs)) {
+                    return false;
+                }
+
+                const reference = await findConversationReference(indicator.threadId);
+                if (!reference) {
+                    return false;
+                }
+
+                await continueConversation(reference, async (turnContext) => {
+                    await turnContext.sendActivity({ type: 'typing' });
+                });
+                return true;
+            } catch (error) {
+                console.error('Error relaying ACS typing notification to Teams:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Shows an ACS read receipt on the bridged Teams conversation's "seen by" card
+         *
+         * @param {Object} event - ChatClient readReceiptReceived event
+         * @returns {Promise<boolean>} True if the card was posted or updated
+         */
+        async handleReadReceiptEvent(event) {
+            try {
+                const receipt = normalizeIndicatorEvent(event);
+
+                if (!resolveIndicatorSettings(acsConfig).readReceipts || !receipt.threadId || !receipt.chatMessageId) {
+                    return false;
+                }
+                if (await isBotSender(receipt.senderAcsUserId)) {
+                    return false;
+                }
+
+                const reference = await findConversationReference(receipt.threadId);
+                if (!reference) {
+                    return false;
+                }
+
+                let updated = false;
+                await continueConversation(reference, async (turnContext) => {
+                    updated = await updateSeenByCard(turnContext, receipt, acsConfig);
+                });
+                return updated;
+            } catch (error) {
+                console.error('Error relaying ACS read receipt to Teams:', error);
+                return false;
+            }
+        },
+
+        /**
+         * Handles an Event Grid webhook delivery
+         *
+         * Answers the subscription validation handshake and relays chat message events.
+         *
+         * @param {Array<Object>|Object} events - The Event Grid request body
+         * @returns {Promise<Object>} Response body to return to Event Grid
+         */
+        async handleEventGridEvents(events) {
+            const deliveries = [].concat(events || []);
+            let relayed = 0;
+
+            for (const event of deliveries) {
+                const eventType = event.eventType || event.type;
+
+                if (eventType === EVENT_GRID_TYPES.subscriptionValidation) {
+                    return { validationResponse: event.data.validationCode };
+                }
+
+                if (eventType === EVENT_GRID_TYPES.messageReceivedInThread
+                    || eventType === EVENT_GRID_TYPES.messageReceived) {
+                    if (await relay.handleChatMessageEvent(event.data)) {
+                        relayed++;
+                    }
+                }
+            }
+
+            return { relayed };
+        },
+
+        /**
+         * Subscribes to real-time notifications from a ChatClient
+         *
+         * Messages, typing notifications and read receipts are relayed. Event Grid
+         * does not deliver typing notifications or read receipts, so they are
+         * only relayed from real-time notifications.
+         *
+         * @param {ChatClient} chatClient - A ChatClient authenticated as a thread participant
+         * @returns {Promise<void>}
+         */
+        async attachToChatClient(chatClient) {
+            const listeners = {
+                chatMessageReceived: (event) => {
+                    relay.handleChatMessageEvent(event);
+                },
+                typingIndicatorReceived: (event) => {
+                    relay.handleTypingEvent(event);
+                },
+                readReceiptReceived: (event) => {
+                    relay.handleReadReceiptEvent(event);
+                }
+            };
+
+            await chatClient.startRealtimeNotifications();
+            for (const [eventName, listener] of Object.entries(listeners)) {
+                chatClient.on(eventName, listener);
+            }
+            attachedClients.push({ chatClient, listeners });
+        },
+
+        /**
+         * Stops every real-time subscription made through attachToChatClient
+         *
+         * @returns {Promise<void>}
+         */
+        async detach() {
+            while (attachedClients.length > 0) {
+                const { chatClient, listeners } = attachedClients.pop();
+                for (const [eventName, listener] of Object.entries(listeners)) {
+                    chatClient.off(eventName, listener);
+                }
+                await chatClient.stopRealtimeNotifications();
+            }
+        }
+    };
+
+    return relay;
+}
+
+// Export the relay functions
+module.exports = {
+    BRIDGE_METADATA,
+    EVENT_GRID_TYPES,
+    normalizeChatMessageEvent,
+    formatRelayedMessage,
+    createAcsToTeamsRelay
+};
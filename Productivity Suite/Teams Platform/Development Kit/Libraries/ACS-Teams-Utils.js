@@ -17,7 +17,79 @@ import * as microsoftTeams from '@microsoft/teams-js';
 import { CallClient, CallAgent, VideoStreamRenderer, LocalVideoStream } from '@azure/communication-calling';
 import { AzureCommunicationTokenCredential } from '@azure/communication-common';
 import { ChatClient } from '@azure/communication-chat';
-import { AzureKeyCredential } from '@azure/core-auth';
+import { AcsConfigError, AcsDeviceError, toAcsError, createErrorFromResponse } from './ACS-Errors.mjs';
+import {
+    getCardStrings,
+    renderCard,
+    createAdaptiveCard,
+    createHeaderFragment,
+    createFactSetFragment,
+    createCardAction
+} from './ACS-Card-Builder.mjs';
+import { CallSession, DEFAULT_JOIN_OPTIONS } from './ACS-Call-Session.js';
+import { choosePreferredCamera } from './ACS-Device-Manager.js';
+import { isScreenSharingSupported, startScreenSharing, stopScreenSharing } from './ACS-Screen-Share.js';
+
+// Typed errors thrown by these utilities
+export {
+    AcsError,
+    AcsAuthError,
+    AcsNotFoundError,
+    AcsThrottledError,
+    AcsValidationError,
+    AcsServiceError,
+    AcsConfigError,
+    AcsDeviceError
+} from './ACS-Errors.mjs';
+
+// Card building shared with the bot helpers
+export {
+    HOST_CARD_VERSIONS,
+    registerCardStrings,
+    expandCardTemplate,
+    validateCard,
+    downgradeCard,
+    renderCard,
+    createHeaderFragment,
+    createFactSetFragment,
+    createStatusFragment,
+    createThreadPickerFragment,
+    createParticipantListFragment,
+    createCardAction
+} from './ACS-Card-Builder.mjs';
+
+// Call sessions owning the calling objects and call state
+export {
+    CALL_SESSION_STATES,
+    DEFAULT_JOIN_OPTIONS,
+    CallSession,
+    createCallSession
+} from './ACS-Call-Session.js';
+
+// Remote participant video gallery
+export {
+    DEFAULT_GALLERY_OPTIONS,
+    getParticipantId,
+    createVideoGallery
+} from './ACS-Video-Gallery.js';
+
+// Camera, microphone and speaker selection
+export {
+    DEVICE_KINDS,
+    DEFAULT_DEVICE_STORAGE_KEY,
+    createDeviceController,
+    createDeviceSettingsPanel
+} from './ACS-Device-Manager.js';
+
+// Local screen sharing and the remote screen share stage
+export {
+    DEFAULT_SCREEN_SHARE_OPTIONS,
+    isScreenSharingSupported,
+    startScreenSharing,
+    stopScreenSharing,
+    getScreenShareStream,
+    createScreenShareStage
+} from './ACS-Screen-Share.js';
 
 /**
  * Initialize the Teams SDK and ensure it's ready to use
@@ -31,7 +103,7 @@ export async function initializeTeamsSDK() {
         console.log('Teams SDK initialized successfully');
     } catch (error) {
         console.error('Failed to initialize Teams SDK:', error);
-        throw error;
+        throw toAcsError(error, 'initializeTeamsSDK');
     }
 }
 
@@ -46,7 +118,7 @@ export async function getTeamsContext() {
         return context;
     } catch (error) {
         console.error('Failed to get Teams context:', error);
-        throw error;
+        throw toAcsError(error, 'getTeamsContext');
     }
 }
 
@@ -60,7 +132,7 @@ export async function getTeamsContext() {
 export async function convertTeamsUserToAcsIdentity(teamsContext, acsConfig) {
     try {
         if (!teamsContext || !teamsContext.user || !teamsContext.user.id) {
-            throw new Error('Invalid Teams context or missing user information');
+            throw new AcsConfigError('Invalid Teams context or missing user information');
         }
 
         // This would typically involve a server-side call to exchange the Teams token
@@ -76,7 +148,7 @@ export async function convertTeamsUserToAcsIdentity(teamsContext, acsConfig) {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to convert Teams identity: ${response.statusText}`);
+            throw createErrorFromResponse(response, 'convertTeamsUserToAcsIdentity', 'Failed to convert Teams identity');
         }
 
         const acsIdentity = await response.json();
@@ -87,7 +159,7 @@ export async function convertTeamsUserToAcsIdentity(teamsContext, acsConfig) {
         };
     } catch (error) {
         console.error('Error converting Teams user to ACS identity:', error);
-        throw error;
+        throw toAcsError(error, 'convertTeamsUserToAcsIdentity');
     }
 }
 
@@ -108,13 +180,16 @@ export function initializeChatClient(endpoint, token) {
         return chatClient;
     } catch (error) {
         console.error('Error initializing ACS chat client:', error);
-        throw error;
+        throw toAcsError(error, 'initializeChatClient');
     }
 }
 
 /**
  * Initialize an ACS calling client with the appropriate credentials
  * 
+ * Only the call agent is returned; use `createCallSession` to keep the call
+ * client and device manager as well.
+ * 
  * @param {string} token - The ACS access token
  * @returns {Promise<CallAgent>} The initialized call agent
  */
@@ -131,46 +206,45 @@ export async function initializeCallingClient(token) {
         return callAgent;
     } catch (error) {
         console.error('Error initializing ACS calling client:', error);
-        throw error;
+        throw toAcsError(error, 'initializeCallingClient');
     }
 }
 
 /**
  * Join a Teams meeting using ACS interoperability
  * 
- * @param {CallAgent} callAgent - The ACS call agent
+ * Given a call session, the session joins and tracks the call.
+ * 
+ * @param {CallAgent|CallSession} callAgent - The ACS call agent, or a call session
  * @param {string} meetingLink - The Teams meeting link or ID
  * @param {Object} options - Options for joining the meeting
  * @returns {Promise<Object>} The call object representing the meeting
  */
 export async function joinTeamsMeeting(callAgent, meetingLink, options = {}) {
+    if (callAgent instanceof CallSession) {
+        return callAgent.joinTeamsMeeting(meetingLink, options);
+    }
+    
     try {
-        // Default options
-        const defaultOptions = {
-            videoOptions: {
-                localVideoStreams: undefined
-            },
-            audioOptions: {
-                muted: false
-            }
-        };
-        
         // Merge options
-        const joinOptions = { ...defaultOptions, ...options };
+        const joinOptions = { ...DEFAULT_JOIN_OPTIONS, ...options };
         
         // Join the Teams meeting
         const call = callAgent.join({ meetingLink }, joinOptions);
         return call;
     } catch (error) {
         console.error('Error joining Teams meeting:', error);
-        throw error;
+        throw toAcsError(error, 'joinTeamsMeeting');
     }
 }
 
 /**
  * Set up local video for a Teams meeting
  * 
- * @param {CallClient} callClient - The ACS call client
+ * The camera selected with a device controller is used, then the remembered
+ * camera, then the first camera.
+ * 
+ * @param {CallClient} callClient - The ACS call client, such as a call session's callClient
  * @returns {Promise<LocalVideoStream>} The local video stream
  */
 export async function setupLocalVideo(callClient) {
@@ -180,21 +254,24 @@ export async function setupLocalVideo(callClient) {
         const cameras = await deviceManager.getCameras();
         
         if (cameras.length === 0) {
-            throw new Error('No cameras available');
+            throw new AcsDeviceError('No cameras available');
         }
         
-        // Create a local video stream using the first camera
-        const localVideoStream = new LocalVideoStream(cameras[0]);
+        // Create a local video stream using the selected camera
+        const localVideoStream = new LocalVideoStream(choosePreferredCamera(deviceManager, cameras));
         return localVideoStream;
     } catch (error) {
         console.error('Error setting up local video:', error);
-        throw error;
+        throw toAcsError(error, 'setupLocalVideo');
     }
 }
 
 /**
  * Render a remote participant's video stream
  * 
+ * The caller disposes the returned renderer when the stream ends; use
+ * `createVideoGallery` to render and dispose streams automatically.
+ * 
  * @param {RemoteVideoStream} stream - The remote video stream
  * @param {string} elementId - The ID of the HTML element to render the video in
  * @returns {Promise<VideoStreamRenderer>} The video stream renderer
@@ -210,64 +287,55 @@ export async function renderRemoteVideo(stream, elementId) {
         // Attach the view to the specified element
         const videoElement = document.getElementById(elementId);
         if (!videoElement) {
-            throw new Error(`Element with ID ${elementId} not found`);
+            throw new AcsConfigError(`Element with ID ${elementId} not found`);
         }
         
         videoElement.appendChild(view.target);
         return renderer;
     } catch (error) {
         console.error('Error rendering remote video:', error);
-        throw error;
+        throw toAcsError(error, 'renderRemoteVideo');
     }
 }
 
 /**
  * Adaptive Card template for displaying ACS status in Teams
  * 
+ * Labels follow `options.locale`, `options.data` is bound into `${...}`
+ * expressions, and `options.host` or `options.version` downgrade the card for
+ * older clients.
+ * 
  * @param {Object} options - Customization options for the card
  * @returns {Object} Adaptive Card JSON
  */
 export function createAcsStatusCard(options) {
-    return {
-        type: 'AdaptiveCard',
-        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+    const strings = getCardStrings(options.locale, options.strings);
+    const card = createAdaptiveCard({
         version: '1.3',
         body: [
+            createHeaderFragment({ title: options.title || strings.statusTitle }),
             {
                 type: 'TextBlock',
-                text: options.title || 'Communication Status',
-                size: 'Large',
-                weight: 'Bolder'
-            },
-            {
-                type: 'TextBlock',
-                text: options.description || 'Current status of your communication services',
+                text: options.description || strings.statusDescription,
                 wrap: true
             },
-            {
-                type: 'FactSet',
-                facts: [
-                    {
-                        title: 'Status',
-                        value: options.status || 'Connected'
-                    },
-                    {
-                        title: 'Last Updated',
-                        value: options.lastUpdated || new Date().toLocaleString()
-                    }
-                ]
-            }
+            createFactSetFragment([
+                {
+                    title: strings.status,
+                    value: options.status || strings.connected
+                },
+                {
+                    title: strings.lastUpdated,
+                    value: options.lastUpdated || new Date().toLocaleString(options.locale)
+                }
+            ])
         ],
         actions: options.actions || [
-            {
-                type: 'Action.Submit',
-                title: 'Refresh Status',
-                data: {
-                    actionType: 'refreshStatus'
-                }
-            }
+            createCardAction(strings.refreshStatus, 'refreshStatus')
         ]
-    };
+    });
+    
+    return renderCard(card, options);
 }
 
 /**
@@ -410,7 +478,7 @@ export async function shareAcsContentToTeamsMeeting(threadId, meetingId, content
         const meetingContext = await microsoftTeams.meeting.getMeetingDetails();
         
         if (meetingContext.id !== meetingId) {
-            throw new Error('Meeting ID mismatch');
+            throw new AcsConfigError('Meeting ID mismatch');
         }
         
         // Then, share the content
@@ -432,13 +500,80 @@ export async function shareAcsContentToTeamsMeeting(threadId, meetingId, content
     }
 }
 
+/**
+ * Icons and titles of the call toggle buttons when on and off
+ */
+const CALL_CONTROL_STATES = {
+    mute: {
+        on: { icon: 'acs-icon-mic-off', title: 'Unmute' },
+        off: { icon: 'acs-icon-mic', title: 'Mute' }
+    },
+    video: {
+        on: { icon: 'acs-icon-video', title: 'Turn camera off' },
+        off: { icon: 'acs-icon-video-off', title: 'Turn camera on' }
+    },
+    screenShare: {
+        on: { icon: 'acs-icon-share-stop', title: 'Stop sharing' },
+        off: { icon: 'acs-icon-share-screen', title: 'Share screen' }
+    }
+};
+
+/**
+ * Show the state of a call toggle on its button
+ * 
+ * @param {HTMLButtonElement} button - The button
+ * @param {Object} states - Icons and titles from CALL_CONTROL_STATES
+ * @param {boolean} isOn - Whether the toggle is on
+ * @returns {void}
+ */
+function updateCallControlButton(button, states, isOn) {
+    const { icon, title } = isOn ? states.on : states.off;
+    button.innerHTML = `<i class="acs-icon ${icon}"></i>`;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.setAttribute('aria-pressed', String(isOn));
+}
+
+/**
+ * Get the camera video streams a call is sending
+ * 
+ * @param {Call} call - The ACS call
+ * @returns {Array<LocalVideoStream>} The camera streams
+ */
+function getCameraStreams(call) {
+    return ((call && call.localVideoStreams) || []).filter(stream => stream.mediaStreamType === 'Video');
+}
+
 /**
  * Set up an ACS call UI integrated with Teams styling
  * 
+ * Given a call or a call session, the buttons mute and unmute, turn the camera
+ * on and off, share the screen and hang up, and show the call's state. A
+ * session's buttons follow each call it joins and are disabled between calls.
+ * The share button is also disabled where the browser cannot share the screen.
+ * 
  * @param {Object} callOptions - Call configuration options
- * @returns {Object} Object containing call UI elements and controls
+ * @param {Call} callOptions.call - The call to control (optional)
+ * @param {CallSession} callOptions.session - The call session to control, instead of a call (optional)
+ * @param {CallClient} callOptions.callClient - Call client for finding a camera when a call is given (optional)
+ * @param {LocalVideoStream} callOptions.localVideoStream - Stream to send when the camera is turned on, instead of one for the selected camera (optional)
+ * @param {HTMLElement|string} callOptions.container - Element, or its ID, to mount the UI in (default: document.body)
+ * @param {Function} callOptions.onError - Function called with errors from the controls (optional)
+ * @returns {Object} Object containing call UI elements, controls and a dispose method
+ * @throws {AcsConfigError} If the container is not found
  */
-export function setupAcsCallUI(callOptions) {
+export function setupAcsCallUI(callOptions = {}) {
+    const session = callOptions.session || (callOptions.call instanceof CallSession ? callOptions.call : null);
+    const isBound = !!(session || callOptions.call);
+    
+    // Find where to mount the UI
+    const parent = typeof callOptions.container === 'string'
+        ? document.getElementById(callOptions.container)
+        : callOptions.container || document.body;
+    if (!parent) {
+        throw new AcsConfigError(`Element with ID ${callOptions.container} not found`);
+    }
+    
     // Create UI container
     const containerDiv = document.createElement('div');
     containerDiv.className = 'acs-call-container';
@@ -456,35 +591,166 @@ export function setupAcsCallUI(callOptions) {
     // Add mute button
     const muteButton = document.createElement('button');
     muteButton.className = 'acs-control-button acs-mute-button';
-    muteButton.innerHTML = '<i class="acs-icon acs-icon-mic"></i>';
-    muteButton.title = 'Mute';
+    updateCallControlButton(muteButton, CALL_CONTROL_STATES.mute, false);
     controlsDiv.appendChild(muteButton);
     
     // Add video button
     const videoButton = document.createElement('button');
     videoButton.className = 'acs-control-button acs-video-button';
-    videoButton.innerHTML = '<i class="acs-icon acs-icon-video"></i>';
-    videoButton.title = 'Camera';
+    updateCallControlButton(videoButton, CALL_CONTROL_STATES.video, false);
     controlsDiv.appendChild(videoButton);
     
+    // Add screen share button
+    const screenShareButton = document.createElement('button');
+    screenShareButton.className = 'acs-control-button acs-screen-share-button';
+    updateCallControlButton(screenShareButton, CALL_CONTROL_STATES.screenShare, false);
+    controlsDiv.appendChild(screenShareButton);
+    
     // Add end call button
     const endCallButton = document.createElement('button');
     endCallButton.className = 'acs-control-button acs-end-call-button';
     endCallButton.innerHTML = '<i class="acs-icon acs-icon-end-call"></i>';
     endCallButton.title = 'End Call';
+    endCallButton.setAttribute('aria-label', 'End Call');
     controlsDiv.appendChild(endCallButton);
     
     // Add controls to the container
     containerDiv.appendChild(controlsDiv);
     
-    // Add container to the document
-    document.body.appendChild(containerDiv);
+    // Add container to the page
+    parent.appendChild(containerDiv);
     
     // Get Teams theme
     microsoftTeams.app.getContext().then(context => {
         applyThemeToAcsUI(context.theme);
     });
     
+    let call = null;
+    let unbindCall = null;
+    
+    // Show the bound call's state on the buttons
+    const render = () => {
+        updateCallControlButton(muteButton, CALL_CONTROL_STATES.mute, !!call && call.isMuted);
+        updateCallControlButton(videoButton, CALL_CONTROL_STATES.video, getCameraStreams(call).length > 0);
+        updateCallControlButton(screenShareButton, CALL_CONTROL_STATES.screenShare, !!call && call.isScreenSharingOn);
+        if (isBound) {
+            [muteButton, videoButton, endCallButton].forEach(button => {
+                button.disabled = !call;
+            });
+        }
+        screenShareButton.disabled = (isBound && !call) || !isScreenSharingSupported();
+    };
+    
+    const bindCall = (nextCall) => {
+        if (unbindCall) {
+            unbindCall();
+            unbindCall = null;
+        }
+        call = nextCall;
+        
+        if (call) {
+            const boundCall = call;
+            const onStateChanged = () => {
+                if (boundCall.state === 'Disconnected') {
+                    bindCall(null);
+                }
+            };
+            boundCall.on('isMutedChanged', render);
+            boundCall.on('localVideoStreamsUpdated', render);
+            boundCall.on('isScreenSharingOnChanged', render);
+            if (!session) {
+                boundCall.on('stateChanged', onStateChanged);
+            }
+            unbindCall = () => {
+                boundCall.off('isMutedChanged', render);
+                boundCall.off('localVideoStreamsUpdated', render);
+                boundCall.off('isScreenSharingOnChanged', render);
+                boundCall.off('stateChanged', onStateChanged);
+            };
+        }
+        render();
+    };
+    
+    // A session's call changes as it joins and leaves calls
+    const onSessionStateChanged = () => {
+        if (session.call !== call) {
+            bindCall(session.call);
+        }
+    };
+    
+    const reportError = (error, operation) => {
+        const acsError = toAcsError(error, operation);
+        console.error(`Error in call control ${operation}:`, acsError);
+        if (typeof callOptions.onError === 'function') {
+            callOptions.onError(acsError);
+        }
+    };
+    
+    // Run a control's action with its button disabled until it completes
+    const runControl = async (button, operation, action) => {
+        if (!call) {
+            return;
+        }
+        button.disabled = true;
+        try {
+            await action(call);
+        } catch (error) {
+            reportError(error, operation);
+        } finally {
+            render();
+        }
+    };
+    
+    const toggleMute = () => runControl(muteButton, 'toggleMute', async (activeCall) => {
+        if (activeCall.isMuted) {
+            await activeCall.unmute();
+        } else {
+            await activeCall.mute();
+        }
+    });
+    
+    const toggleVideo = () => runControl(videoButton, 'toggleVideo', async (activeCall) => {
+        const [cameraStream] = getCameraStreams(activeCall);
+        if (cameraStream) {
+            await activeCall.stopVideo(cameraStream);
+            return;
+        }
+        
+        // A new stream uses the camera selected since the video was turned off
+        let localVideoStream = callOptions.localVideoStream;
+        if (!localVideoStream) {
+            const callClient = session ? session.callClient : callOptions.callClient;
+            if (!callClient) {
+                throw new AcsConfigError('A callClient or localVideoStream is needed to turn the camera on');
+            }
+            localVideoStream = await setupLocalVideo(callClient);
+        }
+        await activeCall.startVideo(localVideoStream);
+    });
+    
+    const toggleScreenShare = () => runControl(screenShareButton, 'toggleScreenShare', async (activeCall) => {
+        if (activeCall.isScreenSharingOn) {
+            await stopScreenSharing(activeCall);
+        } else {
+            await startScreenSharing(activeCall);
+        }
+    });
+    
+    const endCall = () => runControl(endCallButton, 'endCall', (activeCall) => {
+        return session ? session.hangUp() : activeCall.hangUp();
+    });
+    
+    if (isBound) {
+        muteButton.addEventListener('click', toggleMute);
+        videoButton.addEventListener('click', toggleVideo);
+        screenShareButton.addEventListener('click', toggleScreenShare);
+        endCallButton.addEventListener('click', endCall);
+        if (session) {
+            session.on('stateChanged', onSessionStateChanged);
+        }
+        bindCall(session ? session.call : callOptions.call);
+    }
+    
     // Return UI elements and controls for further customization
     return {
         container: containerDiv,
@@ -492,7 +758,27 @@ export function setupAcsCallUI(callOptions) {
         controls: {
             muteButton,
             videoButton,
+            screenShareButton,
             endCallButton
+        },
+        
+        /**
+         * Remove the UI and stop following the call
+         * 
+         * @returns {void}
+         */
+        dispose() {
+            if (isBound) {
+                muteButton.removeEventListener('click', toggleMute);
+                videoButton.removeEventListener('click', toggleVideo);
+                screenShareButton.removeEventListener('click', toggleScreenShare);
+                endCallButton.removeEventListener('click', endCall);
+                if (session) {
+                    session.off('stateChanged', onSessionStateChanged);
+                }
+                bindCall(null);
+            }
+            containerDiv.remove();
         }
     };
 }
@@ -520,14 +806,14 @@ export async function createTeamsMeetingForAcs(meetingDetails) {
         });
         
         if (!response.ok) {
-            throw new Error(`Failed to create Teams meeting: ${response.statusText}`);
+            throw createErrorFromResponse(response, 'createTeamsMeetingForAcs', 'Failed to create Teams meeting');
         }
         
         const meetingInfo = await response.json();
         return meetingInfo.joinLink;
     } catch (error) {
         console.error('Error creating Teams meeting:', error);
-        throw error;
+        throw toAcsError(error, 'createTeamsMeetingForAcs');
     }
 }
 
@@ -553,14 +839,14 @@ export async function syncParticipantInfo(teamsContext, acsThread) {
         });
         
         if (!response.ok) {
-            throw new Error(`Failed to sync participants: ${response.statusText}`);
+            throw createErrorFromResponse(response, 'syncParticipantInfo', 'Failed to sync participants');
         }
         
         const mappingInfo = await response.json();
         return mappingInfo.userMappings;
     } catch (error) {
         console.error('Error synchronizing participant info:', error);
-        throw error;
+        throw toAcsError(error, 'syncParticipantInfo');
     }
 }
 
@@ -632,7 +918,7 @@ export async function registerForChatNotifications(chatClient, threadId, notific
         });
     } catch (error) {
         console.error('Error registering for chat notifications:', error);
-        throw error;
+        throw toAcsError(error, 'registerForChatNotifications');
     }
 }
 
@@ -667,14 +953,14 @@ export async function initializeAuthentication() {
         const context = await microsoftTeams.app.getContext();
         
         // Get authentication token for the user
-        const result = await microsoftTeams.authentication.getAuthToken();
+        const teamsToken = await microsoftTeams.authentication.getAuthToken();
         
         // Exchange the Teams token for ACS token on the server
         const response = await fetch('/api/exchangeTokenForAcs', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${result.token}`
+                'Authorization': `Bearer ${teamsToken}`
             },
             body: JSON.stringify({
                 userId: context.user.id
@@ -682,20 +968,20 @@ export async function initializeAuthentication() {
         });
         
         if (!response.ok) {
-            throw new Error(`Failed to exchange token: ${response.statusText}`);
+            throw createErrorFromResponse(response, 'initializeAuthentication', 'Failed to exchange token');
         }
         
         const tokenInfo = await response.json();
         
         return {
-            teamsToken: result.token,
+            teamsToken,
             acsToken: tokenInfo.token,
             acsUserId: tokenInfo.communicationUserId,
             expiresOn: tokenInfo.expiresOn
         };
     } catch (error) {
         console.error('Error initializing authentication:', error);
-        throw error;
+        throw toAcsError(error, 'initializeAuthentication');
     }
 }
 
@@ -724,7 +1010,7 @@ export async function configureTeamsForAcs(options) {
         console.log('Teams SDK configured for ACS integration');
     } catch (error) {
         console.error('Error configuring Teams for ACS:', error);
-        throw error;
+        throw toAcsError(error, 'configureTeamsForAcs');
     }
 }
 
@@ -740,7 +1026,7 @@ export async function getTeamsMeetingContext() {
         return meetingContext;
     } catch (error) {
         console.error('Error getting Teams meeting context:', error);
-        throw error;
+        throw toAcsError(error, 'getTeamsMeetingContext');
     }
 }
 
@@ -768,7 +1054,7 @@ export async function validateContextForAcs() {
             chat: isSupported.inTeams || isSupported.inChat || isSupported.inPersonalApp,
             calling: isSupported.inPersonalApp || isSupported.inChat,
             meeting: isSupported.inMeeting,
-            screenSharing: isSupported.inMeeting || isSupported.inPersonalApp
+            screenSharing: (isSupported.inMeeting || isSupported.inPersonalApp) && isScreenSharingSupported()
         };
         
         return {
@@ -778,7 +1064,7 @@ export async function validateContextForAcs() {
         };
     } catch (error) {
         console.error('Error validating context for ACS:', error);
-        throw error;
+        throw toAcsError(error, 'validateContextForAcs');
     }
 }
 
@@ -887,6 +1173,8 @@ export function generateAcsStyles(theme) {
         
         .acs-video-display {
             flex: 1;
+            display: flex;
+            flex-direction: column;
             background-color: ${theme === 'dark' ? '#1a1a1a' : '#f0f0f0'};
             border-radius: 4px;
             overflow: hidden;
@@ -918,6 +1206,16 @@ export function generateAcsStyles(theme) {
             background-color: ${theme === 'dark' ? '#4f4f4f' : '#f0f0f0'};
         }
         
+        .acs-control-button:disabled {
+            opacity: 0.5;
+            cursor: default;
+        }
+        
+        .acs-control-button[aria-pressed="true"] {
+            background-color: ${primaryColor};
+            color: #ffffff;
+        }
+        
         .acs-end-call-button {
             background-color: #e74c3c;
             color: #ffffff;
@@ -931,6 +1229,134 @@ export function generateAcsStyles(theme) {
             font-size: 18px;
         }
         
+        .acs-video-gallery {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(240px, 1fr));
+            grid-auto-rows: minmax(135px, 1fr);
+            gap: 8px;
+            height: 100%;
+            padding: 8px;
+            box-sizing: border-box;
+        }
+        
+        .acs-video-tile {
+            position: relative;
+            background-color: ${theme === 'dark' ? '#3b3a39' : '#d1d1d1'};
+            border: 2px solid transparent;
+            border-radius: 4px;
+            overflow: hidden;
+        }
+        
+        .acs-video-tile-video {
+            width: 100%;
+            height: 100%;
+        }
+        
+        .acs-video-tile-speaking {
+            border-color: ${accentColor};
+        }
+        
+        .acs-video-tile-pinned {
+            grid-column: 1 / -1;
+            grid-row: span 2;
+            order: -1;
+        }
+        
+        .acs-video-tile-label {
+            position: absolute;
+            left: 8px;
+            bottom: 8px;
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            padding: 2px 8px;
+            border-radius: 4px;
+            background-color: rgba(0, 0, 0, 0.6);
+            color: #ffffff;
+            font-size: 12px;
+        }
+        
+        .acs-video-tile-pin {
+            position: absolute;
+            top: 8px;
+            right: 8px;
+            border: none;
+            border-radius: 4px;
+            background-color: rgba(0, 0, 0, 0.6);
+            color: #ffffff;
+            cursor: pointer;
+        }
+        
+        .acs-video-tile-pin[aria-pressed="true"] {
+            background-color: ${primaryColor};
+        }
+        
+        .acs-screen-share-stage {
+            position: relative;
+            flex: 3;
+            min-height: 0;
+            background-color: #000000;
+            border-radius: 4px;
+            overflow: hidden;
+        }
+        
+        .acs-screen-share-stage[hidden] {
+            display: none;
+        }
+        
+        .acs-screen-share-video {
+            width: 100%;
+            height: 100%;
+        }
+        
+        .acs-screen-share-label {
+            position: absolute;
+            left: 8px;
+            bottom: 8px;
+            padding: 2px 8px;
+            border-radius: 4px;
+            background-color: rgba(0, 0, 0, 0.6);
+            color: #ffffff;
+            font-size: 12px;
+        }
+        
+        .acs-screen-share-stage:not([hidden]) ~ .acs-video-gallery {
+            flex: 1;
+            height: auto;
+            min-height: 0;
+            grid-auto-flow: column;
+            grid-template-columns: none;
+            grid-auto-columns: minmax(160px, 240px);
+            overflow-x: auto;
+        }
+        
+        .acs-screen-share-stage:not([hidden]) ~ .acs-video-gallery .acs-video-tile-pinned {
+            grid-column: auto;
+            grid-row: auto;
+        }
+        
+        .acs-device-settings {
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            min-width: 280px;
+        }
+        
+        .acs-device-settings-field {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        }
+        
+        .acs-device-settings-label {
+            font-size: 14px;
+            font-weight: 600;
+        }
+        
+        .acs-device-settings select:disabled {
+            opacity: 0.5;
+        }
+        
         .acs-chat-container {
             display: flex;
             flex-direction: column;
@@ -0,0 +1,772 @@
+/**
+ * ACS-Teams-Utils.test.mjs
+ *
+ * Runs every export of ACS-Teams-Utils.js against the Teams and calling SDK
+ * mocks, with jsdom standing in for the page.
+ *
+ * Run with `node --test`; jsdom must be installed.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { register, createRequire } from 'node:module';
+import { JSDOM } from 'jsdom';
+
+register('./ACS-Test-Loader.mjs', import.meta.url);
+
+const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>');
+globalThis.window = dom.window;
+globalThis.document = dom.window.document;
+
+// Node.js has its own navigator, without mediaDevices
+const browserNavigator = { mediaDevices: { getDisplayMedia: async () => ({}) } };
+Object.defineProperty(globalThis, 'navigator', { value: browserNavigator, configurable: true, writable: true });
+
+const utils = await import('./ACS-Teams-Utils.js');
+const { teamsMock, DEFAULT_TEAMS_CONTEXT } = await import('./ACS-Teams-JS-Mock.js');
+const { callingMock, CallClient, RemoteVideoStream, LocalVideoStream } = await import('./ACS-Calling-SDK-Mock.js');
+const { ChatClient } = await import('@azure/communication-chat');
+const { buildEsmCopies } = createRequire(import.meta.url)('./ACS-Build-Esm.js');
+
+const {
+    AcsError,
+    AcsAuthError,
+    AcsNotFoundError,
+    AcsThrottledError,
+    AcsValidationError,
+    AcsServiceError,
+    AcsConfigError,
+    AcsDeviceError
+} = utils;
+
+/**
+ * Encodes a JSON value as base64url, for building tokens
+ *
+ * @param {Object} value - The value
+ * @returns {string} The encoded value
+ */
+function encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// An ACS access token that expires in an hour; the credential only reads exp
+const ACS_TOKEN = [
+    encode({ alg: 'RS256', typ: 'JWT' }),
+    encode({ skypeid: 'acs:test-user', exp: Math.floor(Date.now() / 1000) + 3600 }),
+    'signature'
+].join('.');
+
+const MEETING_LINK = 'https://teams.microsoft.com/l/meetup-join/19%3ameeting_test%40thread.v2/0';
+
+let fetchCalls = [];
+let fetchResponses = [];
+const originalFetch = globalThis.fetch;
+
+/**
+ * Queues the response of the next fetch
+ *
+ * @param {Object} body - The JSON body
+ * @param {Object} options - Object containing status, statusText and headers (optional)
+ * @returns {void}
+ */
+function respondWith(body, options = {}) {
+    const status = options.status || 200;
+    fetchResponses.push({
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: options.statusText || 'OK',
+        headers: new Headers(options.headers || {}),
+        json: async () => body
+    });
+}
+
+/**
+ * Gets the fetch calls made to a path, with their parsed bodies
+ *
+ * @param {string} path - The URL or path
+ * @returns {Array<Object>} Objects containing url, init and body
+ */
+function fetchesTo(path) {
+    return fetchCalls.filter(call => call.url.endsWith(path));
+}
+
+/**
+ * Lets listeners and pending promises run
+ *
+ * @returns {Promise<void>}
+ */
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Creates a call agent and joins a connected call
+ *
+ * @returns {Promise<Object>} Object containing callClient and call
+ */
+async function joinConnectedCall() {
+    const callClient = new CallClient();
+    const callAgent = await callClient.createCallAgent({});
+    const call = await utils.joinTeamsMeeting(callAgent, MEETING_LINK);
+    call.setState('Connected');
+    return { callClient, call };
+}
+
+beforeEach(() => {
+    teamsMock.reset();
+    callingMock.reset();
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+    document.documentElement.removeAttribute('style');
+    browserNavigator.mediaDevices = { getDisplayMedia: async () => ({}) };
+    fetchCalls = [];
+    fetchResponses = [];
+    globalThis.fetch = async (url, init = {}) => {
+        fetchCalls.push({ url: String(url), init, body: init.body ? JSON.parse(init.body) : undefined });
+        if (fetchResponses.length === 0) {
+            throw new TypeError('fetch failed');
+        }
+        return fetchResponses.shift();
+    };
+});
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+test('loads with the real @azure/communication-common and @azure/communication-chat', () => {
+    // The unused AzureKeyCredential import once stopped the module from loading
+    assert.strictEqual(typeof utils.initializeChatClient, 'function');
+    assert.strictEqual(typeof utils.default.initializeChatClient, 'function');
+    for (const [name, value] of Object.entries(utils.default)) {
+        assert.strictEqual(utils[name], value, `${name} is missing from the named exports`);
+    }
+});
+
+test('imports ES module copies of the errors and card builder that match their CommonJS sources', () => {
+    assert.deepStrictEqual(buildEsmCopies({ check: true }), []);
+});
+
+test('initializeTeamsSDK initializes the host and types its failures', async () => {
+    await utils.initializeTeamsSDK();
+    assert.strictEqual(teamsMock.callsTo('app.initialize').length, 1);
+
+    teamsMock.failNext('app.initialize', new Error('Host not found'));
+    const error = await utils.initializeTeamsSDK().catch(caught => caught);
+    assert.ok(error instanceof AcsError);
+    assert.strictEqual(error.operation, 'initializeTeamsSDK');
+});
+
+test('getTeamsContext returns the host context', async () => {
+    teamsMock.setContext({ chatId: '19:chat@thread.v2' });
+
+    const context = await utils.getTeamsContext();
+
+    assert.strictEqual(context.chatId, '19:chat@thread.v2');
+    assert.strictEqual(context.user.id, DEFAULT_TEAMS_CONTEXT.user.id);
+
+    teamsMock.failNext('app.getContext', new Error('Not initialized'));
+    await assert.rejects(utils.getTeamsContext(), AcsError);
+});
+
+test('convertTeamsUserToAcsIdentity exchanges the Teams user for an ACS identity', async () => {
+    respondWith({ communicationUserId: '8:acs:user-1', token: ACS_TOKEN, expiresOn: '2030-01-01T00:00:00Z' });
+
+    const identity = await utils.convertTeamsUserToAcsIdentity(DEFAULT_TEAMS_CONTEXT, {
+        identityServiceUrl: 'https://identity.contoso.com'
+    });
+
+    assert.deepStrictEqual(identity, {
+        acsUserId: '8:acs:user-1',
+        acsToken: ACS_TOKEN,
+        expiresOn: '2030-01-01T00:00:00Z'
+    });
+    const [call] = fetchesTo('https://identity.contoso.com/api/getAcsIdentity');
+    assert.strictEqual(call.init.method, 'POST');
+    assert.deepStrictEqual(call.body, { teamsUserId: DEFAULT_TEAMS_CONTEXT.user.id });
+});
+
+test('convertTeamsUserToAcsIdentity rejects a context without a user or a failed exchange', async () => {
+    await assert.rejects(utils.convertTeamsUserToAcsIdentity({}, { identityServiceUrl: '' }), AcsConfigError);
+    assert.strictEqual(fetchCalls.length, 0);
+
+    respondWith({}, { status: 401, statusText: 'Unauthorized' });
+    const error = await utils.convertTeamsUserToAcsIdentity(DEFAULT_TEAMS_CONTEXT, { identityServiceUrl: '' })
+        .catch(caught => caught);
+    assert.ok(error instanceof AcsAuthError);
+    assert.strictEqual(error.statusCode, 401);
+});
+
+test('initializeChatClient creates a chat client from a token', () => {
+    const chatClient = utils.initializeChatClient('https://contoso.communication.azure.com', ACS_TOKEN);
+
+    assert.ok(chatClient instanceof ChatClient);
+    assert.throws(() => utils.initializeChatClient('https://contoso.communication.azure.com', 'not-a-token'), AcsError);
+});
+
+test('initializeCallingClient creates a call agent', async () => {
+    const callAgent = await utils.initializeCallingClient(ACS_TOKEN);
+
+    assert.deepStrictEqual(callingMock.callAgents, [callAgent]);
+
+    callingMock.failNext('CallClient.createCallAgent');
+    await assert.rejects(utils.initializeCallingClient(ACS_TOKEN), AcsError);
+});
+
+test('joinTeamsMeeting joins with the default options merged in', async () => {
+    const callAgent = await utils.initializeCallingClient(ACS_TOKEN);
+
+    const call = await utils.joinTeamsMeeting(callAgent, MEETING_LINK, { audioOptions: { muted: true } });
+
+    assert.deepStrictEqual(call.locator, { meetingLink: MEETING_LINK });
+    assert.strictEqual(call.isMuted, true);
+    assert.deepStrictEqual(callAgent.calls, [call]);
+
+    callingMock.failNext('CallAgent.join');
+    await assert.rejects(utils.joinTeamsMeeting(callAgent, MEETING_LINK), AcsError);
+});
+
+test('joinTeamsMeeting lets a call session track the call', async () => {
+    const session = await utils.createCallSession(ACS_TOKEN);
+
+    const call = await utils.joinTeamsMeeting(session, MEETING_LINK);
+
+    assert.strictEqual(session.call, call);
+    assert.strictEqual(session.state, utils.CALL_SESSION_STATES.connecting);
+    await assert.rejects(utils.joinTeamsMeeting(session, MEETING_LINK), AcsValidationError);
+    await session.dispose();
+});
+
+test('setupLocalVideo uses the first camera, and fails without one', async () => {
+    const callClient = new CallClient();
+
+    const stream = await utils.setupLocalVideo(callClient);
+    assert.ok(stream instanceof LocalVideoStream);
+    assert.strictEqual(stream.source.id, 'camera-1');
+
+    callingMock.setDevices({ cameras: [] });
+    await assert.rejects(utils.setupLocalVideo(callClient), AcsDeviceError);
+});
+
+test('setupLocalVideo uses the camera a device controller selected', async () => {
+    callingMock.setDevices({ cameras: [
+        { id: 'camera-1', name: 'Integrated Camera', deviceType: 'Unknown' },
+        { id: 'camera-2', name: 'USB Camera', deviceType: 'USBCamera' }
+    ] });
+    const session = await utils.createCallSession(ACS_TOKEN);
+    const controller = await utils.createDeviceController(session, { storage: null });
+
+    await controller.selectDevice('camera', 'camera-2');
+    const stream = await utils.setupLocalVideo(session.callClient);
+
+    assert.strictEqual(stream.source.id, 'camera-2');
+    controller.dispose();
+    await session.dispose();
+});
+
+test('renderRemoteVideo renders the stream into an element', async () => {
+    document.body.innerHTML = '<div id="remote"></div>';
+
+    const renderer = await utils.renderRemoteVideo(new RemoteVideoStream(), 'remote');
+
+    assert.strictEqual(renderer.views.length, 1);
+    assert.strictEqual(document.getElementById('remote').firstChild, renderer.views[0].target);
+    await assert.rejects(utils.renderRemoteVideo(new RemoteVideoStream(), 'missing'), AcsConfigError);
+});
+
+test('createAcsStatusCard builds a localized, host-aware status card', () => {
+    const card = utils.createAcsStatusCard({ status: 'Degraded', lastUpdated: '10:00' });
+
+    assert.strictEqual(card.type, 'AdaptiveCard');
+    assert.strictEqual(card.body[0].items[0].text, 'Communication Status');
+    assert.deepStrictEqual(card.body[2].facts, [
+        { title: 'Status', value: 'Degraded' },
+        { title: 'Last Updated', value: '10:00' }
+    ]);
+    assert.deepStrictEqual(card.actions[0].data, { actionType: 'refreshStatus' });
+
+    utils.registerCardStrings('fr', { statusTitle: 'État de la communication' });
+    const french = utils.createAcsStatusCard({ locale: 'fr-ca', lastUpdated: '10:00' });
+    assert.strictEqual(french.body[0].items[0].text, 'État de la communication');
+
+    const expanded = utils.createAcsStatusCard({ title: '${name}', data: { name: 'Support' }, lastUpdated: '10:00' });
+    assert.strictEqual(expanded.body[0].items[0].text, 'Support');
+});
+
+test('openTeamsDeepLink opens the link and passes on failures', async () => {
+    await utils.openTeamsDeepLink('https://teams.microsoft.com/l/chat/0/0');
+    assert.deepStrictEqual(teamsMock.callsTo('app.openLink'), [['https://teams.microsoft.com/l/chat/0/0']]);
+
+    const failure = new Error('Link blocked');
+    teamsMock.failNext('app.openLink', failure);
+    await assert.rejects(utils.openTeamsDeepLink('https://example.com'), failure);
+});
+
+test('registerThemeChangeHandler calls back and restyles on theme changes', () => {
+    const themes = [];
+    utils.registerThemeChangeHandler(theme => themes.push(theme));
+
+    teamsMock.changeTheme('dark');
+
+    assert.deepStrictEqual(themes, ['dark']);
+    assert.strictEqual(document.documentElement.style.getPropertyValue('--acs-background-color'), '#2d2c2c');
+});
+
+test('applyThemeToAcsUI sets the theme variables', () => {
+    const read = name => document.documentElement.style.getPropertyValue(name);
+
+    utils.applyThemeToAcsUI('contrast');
+    assert.strictEqual(read('--acs-background-color'), '#000000');
+    assert.strictEqual(read('--acs-primary-color'), '#ffff01');
+
+    utils.applyThemeToAcsUI('unknown');
+    assert.strictEqual(read('--acs-background-color'), '#f3f2f1');
+    assert.strictEqual(read('--acs-text-color'), '#252423');
+    assert.strictEqual(read('--acs-accent-color'), '#5b5fc7');
+});
+
+test('showTeamsLoadingIndicator and hideTeamsLoadingIndicator ignore host failures', async () => {
+    await utils.showTeamsLoadingIndicator();
+    await utils.showTeamsLoadingIndicator('Joining');
+    await utils.hideTeamsLoadingIndicator();
+
+    assert.deepStrictEqual(teamsMock.callsTo('app.showLoadingIndicator'), [
+        [{ title: 'Loading Communication Services' }],
+        [{ title: 'Joining' }]
+    ]);
+    assert.strictEqual(teamsMock.callsTo('app.hideLoadingIndicator').length, 1);
+
+    teamsMock.failNext('app.showLoadingIndicator');
+    teamsMock.failNext('app.hideLoadingIndicator');
+    await utils.showTeamsLoadingIndicator();
+    await utils.hideTeamsLoadingIndicator();
+});
+
+test('registerBackButtonHandler returns what the handler returns', () => {
+    utils.registerBackButtonHandler(() => false);
+    assert.strictEqual(teamsMock.pressBackButton(), false);
+
+    utils.registerBackButtonHandler();
+    assert.strictEqual(teamsMock.pressBackButton(), true);
+});
+
+test('shareAcsContentToTeamsMeeting only shares to the current meeting', async () => {
+    assert.strictEqual(await utils.shareAcsContentToTeamsMeeting('19:thread', 'meeting-1', {}), false);
+
+    teamsMock.setMeetingDetails({ id: 'meeting-1', title: 'Standup' });
+    assert.strictEqual(await utils.shareAcsContentToTeamsMeeting('19:thread', 'meeting-1', {}), true);
+    assert.strictEqual(await utils.shareAcsContentToTeamsMeeting('19:thread', 'meeting-2', {}), false);
+});
+
+test('setupAcsCallUI mounts enabled controls when no call is given', () => {
+    document.body.innerHTML = '<div id="call-area"></div>';
+
+    const callUI = utils.setupAcsCallUI({ container: 'call-area' });
+
+    const area = document.getElementById('call-area');
+    assert.strictEqual(area.firstChild, callUI.container);
+    assert.ok(callUI.container.contains(callUI.videoDisplay));
+    for (const button of Object.values(callUI.controls)) {
+        assert.strictEqual(button.disabled, false);
+    }
+    assert.strictEqual(callUI.controls.muteButton.getAttribute('aria-pressed'), 'false');
+
+    callUI.dispose();
+    assert.strictEqual(area.children.length, 0);
+    assert.throws(() => utils.setupAcsCallUI({ container: 'missing' }), AcsConfigError);
+});
+
+test('setupAcsCallUI toggles mute, camera and screen sharing on a call', async () => {
+    const { callClient, call } = await joinConnectedCall();
+    const callUI = utils.setupAcsCallUI({ call, callClient });
+    const { muteButton, videoButton, screenShareButton } = callUI.controls;
+
+    muteButton.click();
+    await settle();
+    assert.strictEqual(call.isMuted, true);
+    assert.strictEqual(muteButton.getAttribute('aria-pressed'), 'true');
+    assert.strictEqual(muteButton.title, 'Unmute');
+
+    videoButton.click();
+    await settle();
+    assert.strictEqual(call.localVideoStreams.length, 1);
+    assert.strictEqual(call.localVideoStreams[0].source.id, 'camera-1');
+    assert.strictEqual(videoButton.getAttribute('aria-pressed'), 'true');
+
+    videoButton.click();
+    await settle();
+    assert.strictEqual(call.localVideoStreams.length, 0);
+    assert.strictEqual(videoButton.getAttribute('aria-pressed'), 'false');
+
+    screenShareButton.click();
+    await settle();
+    assert.strictEqual(call.isScreenSharingOn, true);
+    assert.strictEqual(screenShareButton.title, 'Stop sharing');
+
+    // Changes made outside the UI are shown too
+    await call.unmute();
+    assert.strictEqual(muteButton.getAttribute('aria-pressed'), 'false');
+    callUI.dispose();
+});
+
+test('setupAcsCallUI reports control failures and disables itself when the call ends', async () => {
+    const { call } = await joinConnectedCall();
+    const errors = [];
+    const callUI = utils.setupAcsCallUI({ call, onError: error => errors.push(error) });
+    const { muteButton, videoButton, endCallButton } = callUI.controls;
+
+    callingMock.failNext('Call.mute');
+    muteButton.click();
+    await settle();
+    assert.strictEqual(errors.length, 1);
+    assert.ok(errors[0] instanceof AcsError);
+    assert.strictEqual(errors[0].operation, 'toggleMute');
+    assert.strictEqual(muteButton.disabled, false);
+
+    // Without a callClient or stream there is no camera to turn on
+    videoButton.click();
+    await settle();
+    assert.ok(errors[1] instanceof AcsConfigError);
+
+    endCallButton.click();
+    await settle();
+    assert.strictEqual(call.state, 'Disconnected');
+    for (const button of Object.values(callUI.controls)) {
+        assert.strictEqual(button.disabled, true);
+    }
+    callUI.dispose();
+});
+
+test('setupAcsCallUI follows the calls of a session and disables sharing where unsupported', async () => {
+    delete browserNavigator.mediaDevices.getDisplayMedia;
+    const session = await utils.createCallSession(ACS_TOKEN);
+    const callUI = utils.setupAcsCallUI({ session });
+    const { muteButton, screenShareButton } = callUI.controls;
+
+    assert.strictEqual(muteButton.disabled, true);
+
+    const call = await session.joinTeamsMeeting(MEETING_LINK);
+    call.setState('Connected');
+    assert.strictEqual(muteButton.disabled, false);
+    assert.strictEqual(screenShareButton.disabled, true);
+
+    callUI.controls.endCallButton.click();
+    await settle();
+    assert.strictEqual(session.state, utils.CALL_SESSION_STATES.disconnected);
+    assert.strictEqual(muteButton.disabled, true);
+
+    callUI.dispose();
+    await session.dispose();
+});
+
+test('createTeamsMeetingForAcs returns the join link', async () => {
+    respondWith({ joinLink: MEETING_LINK });
+    const details = { subject: 'Support', startTime: '2030-01-01T10:00:00Z', endTime: '2030-01-01T11:00:00Z', attendees: [] };
+
+    assert.strictEqual(await utils.createTeamsMeetingForAcs(details), MEETING_LINK);
+    assert.deepStrictEqual(fetchesTo('/api/createTeamsMeeting')[0].body, details);
+
+    respondWith({}, { status: 429, statusText: 'Too Many Requests', headers: { 'Retry-After': '3' } });
+    const error = await utils.createTeamsMeetingForAcs(details).catch(caught => caught);
+    assert.ok(error instanceof AcsThrottledError);
+    assert.strictEqual(error.retryAfterMs, 3000);
+});
+
+test('syncParticipantInfo returns the user mappings', async () => {
+    const userMappings = [{ teamsUserId: 'teams-1', acsUserId: '8:acs:user-1' }];
+    respondWith({ userMappings });
+
+    assert.deepStrictEqual(await utils.syncParticipantInfo(DEFAULT_TEAMS_CONTEXT, { threadId: '19:thread' }), userMappings);
+    assert.strictEqual(fetchesTo('/api/syncParticipants')[0].body.acsThreadId, '19:thread');
+
+    respondWith({}, { status: 503, statusText: 'Service Unavailable' });
+    await assert.rejects(utils.syncParticipantInfo(DEFAULT_TEAMS_CONTEXT, { threadId: '19:thread' }), AcsServiceError);
+});
+
+test('registerForChatNotifications passes on events of its thread', async () => {
+    const handlers = {};
+    const chatClient = {
+        getChatThreadClient: () => ({}),
+        startRealtimeNotifications: async () => {},
+        on: (event, handler) => {
+            handlers[event] = handler;
+        }
+    };
+    const notifications = [];
+
+    await utils.registerForChatNotifications(chatClient, '19:thread', notification => notifications.push(notification));
+
+    handlers.chatMessageReceived({ threadId: '19:other', sender: { displayName: 'Ada' }, message: 'Elsewhere' });
+    handlers.chatMessageReceived({ threadId: '19:thread', sender: { displayName: 'Ada' }, message: 'Hello', createdOn: 'now' });
+    handlers.typingIndicatorReceived({ threadId: '19:thread', sender: { displayName: 'Ada' } });
+    handlers.participantsAdded({ threadId: '19:thread', participantsAdded: [{ displayName: 'Grace' }] });
+    handlers.participantsRemoved({ threadId: '19:thread', participantsRemoved: [{ displayName: 'Ada' }] });
+    await settle();
+
+    assert.deepStrictEqual(notifications.map(notification => notification.type),
+        ['message', 'typing', 'participantsAdded', 'participantsRemoved']);
+    assert.strictEqual(notifications[0].content, 'Hello');
+    assert.deepStrictEqual(notifications[2].participants, [{ displayName: 'Grace' }]);
+    assert.strictEqual(teamsMock.callsTo('notifications.showNotification')[0][0].title, 'Message from Ada');
+
+    await assert.rejects(utils.registerForChatNotifications({}, '19:thread', () => {}), AcsError);
+});
+
+test('showTeamsNotification shows a message and ignores host failures', async () => {
+    await utils.showTeamsNotification({ title: 'New message', message: 'Hello' });
+
+    assert.deepStrictEqual(teamsMock.callsTo('notifications.showNotification')[0][0], {
+        type: 'message',
+        title: 'New message',
+        message: 'Hello',
+        customData: {},
+        iconUrl: undefined
+    });
+
+    teamsMock.failNext('notifications.showNotification');
+    await utils.showTeamsNotification({ title: 'Lost', message: 'Lost' });
+});
+
+test('initializeAuthentication sends the Teams token as a bearer string', async () => {
+    // getAuthToken resolves to the token string, not an object wrapping it
+    teamsMock.setAuthToken('sso-token-123');
+    respondWith({ token: ACS_TOKEN, communicationUserId: '8:acs:user-1', expiresOn: '2030-01-01T00:00:00Z' });
+
+    const auth = await utils.initializeAuthentication();
+
+    assert.deepStrictEqual(auth, {
+        teamsToken: 'sso-token-123',
+        acsToken: ACS_TOKEN,
+        acsUserId: '8:acs:user-1',
+        expiresOn: '2030-01-01T00:00:00Z'
+    });
+    const [call] = fetchesTo('/api/exchangeTokenForAcs');
+    assert.strictEqual(call.init.headers.Authorization, 'Bearer sso-token-123');
+    assert.deepStrictEqual(call.body, { userId: DEFAULT_TEAMS_CONTEXT.user.id });
+});
+
+test('initializeAuthentication types a failed exchange or sign-in', async () => {
+    respondWith({}, { status: 403, statusText: 'Forbidden' });
+    await assert.rejects(utils.initializeAuthentication(), AcsAuthError);
+
+    teamsMock.failNext('authentication.getAuthToken', new Error('User cancelled'));
+    const error = await utils.initializeAuthentication().catch(caught => caught);
+    assert.ok(error instanceof AcsError);
+    assert.strictEqual(error.operation, 'initializeAuthentication');
+    assert.strictEqual(fetchesTo('/api/exchangeTokenForAcs').length, 1);
+});
+
+test('configureTeamsForAcs initializes the host and requests permissions', async () => {
+    await utils.configureTeamsForAcs({});
+
+    assert.strictEqual(teamsMock.callsTo('app.initialize').length, 1);
+    assert.deepStrictEqual(teamsMock.callsTo('app.requestPermissions'), [[['identity', 'messageTeamMembers']]]);
+
+    teamsMock.failNext('app.requestPermissions', new Error('Denied'));
+    await assert.rejects(utils.configureTeamsForAcs({}), AcsError);
+});
+
+test('getTeamsMeetingContext returns the meeting details', async () => {
+    await assert.rejects(utils.getTeamsMeetingContext(), AcsError);
+
+    teamsMock.setMeetingDetails({ id: 'meeting-1', title: 'Standup' });
+    assert.deepStrictEqual(await utils.getTeamsMeetingContext(), { id: 'meeting-1', title: 'Standup' });
+});
+
+test('validateContextForAcs reports the features the context supports', async () => {
+    const personal = await utils.validateContextForAcs();
+    assert.strictEqual(personal.isSupported.inPersonalApp, true);
+    assert.deepStrictEqual(personal.availableFeatures, { chat: true, calling: true, meeting: false, screenSharing: true });
+
+    teamsMock.setContext({ frameContext: 'sidePanel', chatId: '19:meeting@thread.v2' });
+    delete browserNavigator.mediaDevices.getDisplayMedia;
+    const sidePanel = await utils.validateContextForAcs();
+    assert.strictEqual(sidePanel.isSupported.inMeeting, true);
+    assert.deepStrictEqual(sidePanel.availableFeatures, { chat: true, calling: true, meeting: true, screenSharing: false });
+    assert.strictEqual(sidePanel.context.chatId, '19:meeting@thread.v2');
+});
+
+test('generateAcsStyles and injectAcsStyles style the components for a theme', () => {
+    const css = utils.generateAcsStyles('dark');
+    assert.match(css, /\.acs-container \{[^}]*background-color: #2d2c2c/);
+    assert.match(css, /\.acs-screen-share-stage/);
+    assert.match(utils.generateAcsStyles('contrast'), /#ffff01/);
+
+    utils.injectAcsStyles('default');
+    utils.injectAcsStyles('dark');
+
+    const styles = document.querySelectorAll('#acs-teams-styles');
+    assert.strictEqual(styles.length, 1);
+    assert.strictEqual(styles[0].textContent, css);
+});
+
+test('re-exports the typed errors', () => {
+    const errors = { AcsAuthError, AcsNotFoundError, AcsThrottledError, AcsValidationError, AcsServiceError, AcsConfigError, AcsDeviceError };
+    for (const [name, ErrorClass] of Object.entries(errors)) {
+        const error = new ErrorClass('Failed');
+        assert.ok(error instanceof AcsError, `${name} is not an AcsError`);
+        assert.strictEqual(error.name, name);
+    }
+    assert.strictEqual(new AcsThrottledError('Slow down', { retryAfterMs: 500 }).retryAfterMs, 500);
+});
+
+test('re-exports the card builder', () => {
+    assert.strictEqual(utils.HOST_CARD_VERSIONS.teams, '1.5');
+
+    const template = { type: 'AdaptiveCard', version: '1.5', body: [{ type: 'TextBlock', text: 'Hi ${name}' }] };
+    assert.strictEqual(utils.expandCardTemplate(template, { name: 'Ada' }).body[0].text, 'Hi Ada');
+
+    const table = { type: 'AdaptiveCard', version: '1.5', body: [{ type: 'Table', rows: [] }] };
+    assert.ok(utils.validateCard(table, { host: 'teamsLegacy' }).length > 0);
+    assert.deepStrictEqual(utils.validateCard(table, { host: 'teams' }), []);
+
+    const executeCard = { type: 'AdaptiveCard', version: '1.5', body: [], actions: [utils.createCardAction('Go', 'go', {}, { universalActions: true })] };
+    const downgraded = utils.downgradeCard(executeCard, { host: 'teamsLegacy' });
+    assert.strictEqual(downgraded.version, '1.2');
+    assert.deepStrictEqual(downgraded.actions[0], { type: 'Action.Submit', title: 'Go', data: { actionType: 'go' } });
+
+    // Downgrading cannot add a missing text, so the problem is reported
+    const problems = [];
+    const untitled = { type: 'AdaptiveCard', version: '1.5', body: [{ type: 'TextBlock' }] };
+    utils.renderCard(untitled, { host: 'teamsLegacy', onProblems: found => problems.push(...found) });
+    assert.strictEqual(problems.length, 1);
+    assert.throws(() => utils.renderCard({ type: 'AdaptiveCard', version: '9.9', body: [] }, { strict: true }), AcsValidationError);
+});
+
+test('re-exports the card fragments', () => {
+    assert.strictEqual(utils.createHeaderFragment({ title: 'Title', subtitle: 'Sub' }).items.length, 2);
+    assert.deepStrictEqual(utils.createFactSetFragment({ Status: 'Up', Skipped: null }).facts, [{ title: 'Status', value: 'Up' }]);
+    assert.strictEqual(utils.createStatusFragment({ type: 'failure', message: 'Failed' }).color, 'Attention');
+
+    const picker = utils.createThreadPickerFragment({ threads: [{ threadId: '19:a', topic: 'Support' }], isRequired: true });
+    assert.deepStrictEqual(picker.choices, [{ title: 'Support', value: '19:a' }]);
+    assert.strictEqual(picker.errorMessage, 'Select a chat thread');
+
+    const list = utils.createParticipantListFragment([{ displayName: 'Ada' }, { displayName: 'Grace' }], { maxItems: 1 });
+    assert.strictEqual(list.items[list.items.length - 1].text, 'and 1 more');
+
+    assert.deepStrictEqual(utils.createCardAction('Refresh', 'refresh', { id: 1 }), {
+        type: 'Action.Submit',
+        title: 'Refresh',
+        data: { id: 1, actionType: 'refresh' }
+    });
+});
+
+test('re-exports call sessions, which follow the call state', async () => {
+    assert.deepStrictEqual(utils.DEFAULT_JOIN_OPTIONS.audioOptions, { muted: false });
+    const session = await utils.createCallSession(ACS_TOKEN, { displayName: 'Ada' });
+    assert.ok(session instanceof utils.CallSession);
+    assert.strictEqual(session.callAgent.displayName, 'Ada');
+
+    const states = [];
+    session.on('stateChanged', event => states.push(event.state));
+    const call = await session.joinTeamsMeeting(MEETING_LINK);
+    call.setState('InLobby');
+    call.setState('Connected');
+    call.disconnect({ code: 487, subCode: 0 });
+
+    const { connecting, lobby, connected, disconnected, disposed } = utils.CALL_SESSION_STATES;
+    assert.deepStrictEqual(states, [connecting, lobby, connected, disconnected]);
+    assert.deepStrictEqual(session.endReason, { code: 487, subCode: 0 });
+
+    await session.dispose();
+    assert.strictEqual(session.state, disposed);
+    assert.strictEqual(session.callAgent.disposed, true);
+
+    await assert.rejects(utils.createCallSession('not-a-token'), AcsError);
+});
+
+test('re-exports the video gallery', async () => {
+    assert.strictEqual(utils.DEFAULT_GALLERY_OPTIONS.maxRenderedStreams, 9);
+    const { call } = await joinConnectedCall();
+    const gallery = utils.createVideoGallery(call);
+
+    const participant = call.addRemoteParticipant({ displayName: 'Ada', videoStreams: ['Video'] });
+    const participantId = utils.getParticipantId(participant);
+    await settle();
+
+    assert.strictEqual(participantId, participant.identifier.communicationUserId);
+    assert.deepStrictEqual(gallery.getRenderedParticipantIds(), [participantId]);
+    assert.strictEqual(gallery.element.parentNode, document.body);
+
+    gallery.pin(participantId);
+    assert.strictEqual(gallery.getPinnedParticipantId(), participantId);
+    gallery.unpin();
+    assert.strictEqual(gallery.getPinnedParticipantId(), null);
+    assert.throws(() => gallery.pin('8:acs:nobody'), AcsNotFoundError);
+
+    gallery.dispose();
+    assert.strictEqual(gallery.element.parentNode, null);
+});
+
+test('re-exports device selection and its settings panel', async () => {
+    assert.strictEqual(utils.DEVICE_KINDS.camera, 'camera');
+    const storage = new Map();
+    const preferences = {
+        getItem: key => storage.get(key) || null,
+        setItem: (key, value) => storage.set(key, value)
+    };
+    const session = await utils.createCallSession(ACS_TOKEN);
+    const controller = await utils.createDeviceController(session, { storage: preferences });
+
+    assert.strictEqual(controller.getSelectedDevice('microphone').id, 'microphone-1');
+    await assert.rejects(controller.selectDevice('microphone', 'missing'), AcsNotFoundError);
+    await assert.rejects(controller.selectDevice('projector', 'camera-1'), AcsValidationError);
+
+    callingMock.setDevices({ microphones: [
+        { id: 'microphone-1', name: 'Default Microphone', deviceType: 'Microphone', isSystemDefault: true },
+        { id: 'microphone-2', name: 'Headset', deviceType: 'Microphone' }
+    ] });
+    await controller.refresh();
+    await controller.selectDevice('microphone', 'microphone-2');
+    assert.strictEqual(session.deviceManager.selectedMicrophone.id, 'microphone-2');
+    assert.strictEqual(JSON.parse(storage.get(utils.DEFAULT_DEVICE_STORAGE_KEY)).microphone.id, 'microphone-2');
+
+    const panel = utils.createDeviceSettingsPanel(controller);
+    assert.strictEqual(panel.element.parentNode, document.body);
+    assert.strictEqual(panel.element.querySelectorAll('select').length, 3);
+
+    panel.dispose();
+    controller.dispose();
+    await session.dispose();
+    await assert.rejects(utils.createDeviceController({}), AcsConfigError);
+});
+
+test('re-exports screen sharing and the share stage', async () => {
+    assert.strictEqual(utils.DEFAULT_SCREEN_SHARE_OPTIONS.scalingMode, 'Fit');
+    const { call } = await joinConnectedCall();
+
+    assert.strictEqual(utils.isScreenSharingSupported(), true);
+    await utils.startScreenSharing(call);
+    assert.strictEqual(call.isScreenSharingOn, true);
+    await utils.stopScreenSharing(call);
+    assert.strictEqual(call.isScreenSharingOn, false);
+
+    const cancelled = Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' });
+    callingMock.failNext('Call.startScreenSharing', cancelled);
+    const error = await utils.startScreenSharing(call).catch(caught => caught);
+    assert.ok(error instanceof AcsDeviceError);
+    assert.strictEqual(error.code, 'NotAllowedError');
+
+    const presenters = [];
+    const stage = utils.createScreenShareStage(call, { onPresenterChanged: id => presenters.push(id) });
+    const participant = call.addRemoteParticipant({ displayName: 'Ada' });
+    const [shareStream] = participant.updateVideoStreams(['ScreenSharing']);
+    await settle();
+
+    assert.strictEqual(utils.getScreenShareStream(participant), shareStream);
+    assert.strictEqual(stage.getPresenterId(), utils.getParticipantId(participant));
+    assert.strictEqual(stage.element.hidden, false);
+
+    participant.updateVideoStreams([], [shareStream]);
+    await settle();
+    assert.strictEqual(stage.getPresenterId(), null);
+    assert.deepStrictEqual(presenters, [utils.getParticipantId(participant), null]);
+    stage.dispose();
+
+    delete browserNavigator.mediaDevices.getDisplayMedia;
+    const unsupported = await utils.startScreenSharing(call).catch(caught => caught);
+    assert.strictEqual(unsupported.code, 'ScreenSharingNotSupported');
+    call.setState('Connecting');
+    await assert.rejects(utils.startScreenSharing(call), AcsValidationError);
+});
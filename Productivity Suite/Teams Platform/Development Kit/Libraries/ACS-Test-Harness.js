@@ -0,0 +1,1116 @@
+/**
+ * ACS-Test-Harness.js
+ *
+ * Runs the bot helpers offline, without Azure Communication Services (ACS)
+ * resources or a Teams tenant.
+ *
+ * A fake ACS service keeps identities, tokens, chat threads, messages,
+ * participants and read receipts in memory and answers the Identity and Chat
+ * REST APIs. The real Azure SDK clients talk to it through an injected HTTP
+ * client, so requests go through the same serialization, authentication and
+ * error handling as in production. Teams activity builders and a fixture built
+ * on botbuilder's TestAdapter drive setupAcsMiddleware end to end.
+ *
+ * @version 1.1.0
+ * @license MIT
+ */
+
+// Dependencies
+const http = require('http');
+const { randomUUID } = require('crypto');
+const { createHttpHeaders } = require('@azure/core-rest-pipeline');
+const { TestAdapter, TurnContext } = require('botbuilder');
+const { resolveAcsConfig } = require('./ACS-Config');
+const { resolveChatClientFactory } = require('./ACS-Chat-Client-Factory');
+const { createAcsToTeamsRelay } = require('./ACS-Teams-Relay');
+const { setupAcsMiddleware } = require('./ACS-Bot-Helpers');
+
+// Endpoint the fake service answers on when used through an injected HTTP client
+const FAKE_ACS_ENDPOINT = 'https://fake-acs.communication.azure.com/';
+
+// Resource ID embedded in fake identities and tokens
+const FAKE_RESOURCE_ID = '00000000-0000-0000-0000-00000000acs0';
+
+/**
+ * Defaults for the Teams activities built by the harness
+ */
+const TEAMS_TEST_DEFAULTS = {
+    serviceUrl: 'https://smba.trafficmanager.net/teams/',
+    tenantId: '72f988bf-0000-0000-0000-000000000000',
+    bot: { id: '28:test-bot', name: 'ACS Bot' },
+    user: { id: '29:test-user', name: 'Test User', aadObjectId: '00000000-0000-0000-0000-000000000001' }
+};
+
+/**
+ * Encodes a value as unpadded base64url
+ *
+ * @param {string} value - The value to encode
+ * @returns {string} The encoded value
+ */
+function toBase64Url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Creates an unsigned JWT the Azure SDK accepts as an ACS access token
+ *
+ * @param {string} acsUserId - The identity the token is issued to
+ * @param {Array<string>} scopes - The token scopes
+ * @param {number} expiresInMinutes - Token lifetime
+ * @returns {Object} Object containing token and expiresOn
+ */
+function createFakeToken(acsUserId, scopes, expiresInMinutes) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const expiresAt = issuedAt + expiresInMinutes * 60;
+    const payload = {
+        sub: acsUserId,
+        skypeid: acsUserId.replace(/^8:/, ''),
+        acsScope: scopes.join(','),
+        resourceId: FAKE_RESOURCE_ID,
+        iat: issuedAt,
+        exp: expiresAt
+    };
+
+    return {
+        token: `${toBase64Url(JSON.stringify({ alg: 'none', typ: 'JWT' }))}.${toBase64Url(JSON.stringify(payload))}.fake`,
+        expiresOn: new Date(expiresAt * 1000).toISOString()
+    };
+}
+
+/**
+ * Reads the payload of a fake access token
+ *
+ * @param {string} token - The token
+ * @returns {Object|null} The payload, or null if the token is malformed
+ */
+function decodeFakeToken(token) {
+    try {
+        return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Converts an ACS user ID to the wire format of a communication identifier
+ *
+ * @param {string} acsUserId - The ACS user ID
+ * @returns {Object} The communication identifier model
+ */
+function toIdentifierModel(acsUserId) {
+    return { rawId: acsUserId, kind: 'communicationUser', communicationUser: { id: acsUserId } };
+}
+
+/**
+ * Reads the ACS user ID from a communication identifier model
+ *
+ * @param {Object} identifier - The communication identifier model
+ * @returns {string|undefined} The ACS user ID
+ */
+function fromIdentifierModel(identifier) {
+    if (!identifier) {
+        return undefined;
+    }
+    return (identifier.communicationUser && identifier.communicationUser.id) || identifier.rawId;
+}
+
+/**
+ * Creates a JSON response
+ *
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body (optional)
+ * @param {Object} headers - Extra response headers (optional)
+ * @returns {Object} Object containing status, headers and body
+ */
+function respond(status, body, headers = {}) {
+    return {
+        status,
+        headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+        body
+    };
+}
+
+/**
+ * Creates an ACS error response
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} code - ACS error code
+ * @param {string} message - Error message
+ * @param {Object} headers - Extra response headers (optional)
+ * @returns {Object} The response
+ */
+function respondError(status, code, message, headers) {
+    return respond(status, { error: { code, message } }, headers);
+}
+
+/**
+ * Creates an in-memory stand-in for the ACS Identity and Chat REST APIs
+ *
+ * Chat requests are authorized with the fake tokens the service issues, so a
+ * caller only sees threads it participates in. Failures can be injected with
+ * failNext, and chat messages are recorded as Event Grid events for the relay.
+ *
+ * @returns {Object} Fake service with handle, createHttpClient, listen, inspection and fault injection methods
+ */
+function createFakeAcsService() {
+    let identities = new Map();
+    let threads = new Map();
+    let repeatedRequests = new Map();
+    let faults = [];
+    let pendingEvents = [];
+    const requests = [];
+
+    const now = () => new Date().toISOString();
+
+    const createIdentity = () => {
+        const acsUserId = `8:acs:${FAKE_RESOURCE_ID}_${randomUUID()}`;
+        identities.set(acsUserId, { acsUserId, createdOn: now(), tokens: new Set() });
+        return acsUserId;
+    };
+
+    const issueToken = (acsUserId, scopes = ['chat'], expiresInMinutes = 24 * 60) => {
+        const identity = identities.get(acsUserId);
+        if (!identity) {
+            throw new Error(`Identity ${acsUserId} does not exist`);
+        }
+        const issued = createFakeToken(acsUserId, scopes, expiresInMinutes);
+        identity.tokens.add(issued.token);
+        return issued;
+    };
+
+    // Resolves the caller of a chat request from its bearer token
+    const authenticate = (headers) => {
+        const match = /^Bearer (.+)$/.exec(headers.authorization || '');
+        const payload = match && decodeFakeToken(match[1]);
+        if (!payload || !payload.sub) {
+            return null;
+        }
+
+        const identity = identities.get(payload.sub);
+        if (!identity || !identity.tokens.has(match[1]) || payload.exp * 1000 <= Date.now()) {
+            return null;
+        }
+        return payload.sub;
+    };
+
+    const toParticipantModel = (participant) => ({
+        communicationIdentifier: toIdentifierModel(participant.acsUserId),
+        displayName: participant.displayName,
+        shareHistoryTime: participant.shareHistoryTime
+    });
+
+    const toMessageModel = (message) => {
+        const model = {
+            id: message.id,
+            type: message.type,
+            sequenceId: message.sequenceId,
+            version: message.version,
+            content: message.content,
+            senderDisplayName: message.senderDisplayName,
+            createdOn: message.createdOn,
+            senderCommunicationIdentifier: message.senderAcsUserId && toIdentifierModel(message.senderAcsUserId),
+            editedOn: message.editedOn,
+            deletedOn: message.deletedOn,
+            metadata: message.metadata
+        };
+        if (message.deletedOn) {
+            model.content = undefined;
+        }
+        return model;
+    };
+
+    const appendMessage = (thread, message) => {
+        const createdOn = now();
+        const stored = {
+            id: `${Date.now()}${String(thread.messages.length).padStart(4, '0')}`,
+            sequenceId: String(thread.messages.length + 1),
+            version: String(Date.now()),
+            createdOn,
+            metadata: {},
+            ...message
+        };
+        thread.messages.push(stored);
+        thread.lastMessageReceivedOn = createdOn;
+
+        if (stored.type === 'text' || stored.type === 'html') {
+            pendingEvents.push({
+                id: randomUUID(),
+                eventType: 'Microsoft.Communication.ChatMessageReceivedInThread',
+                subject: `thread/${thread.id}/sender/${stored.senderAcsUserId}`,
+                eventTime: createdOn,
+                dataVersion: '1.0',
+                data: {
+                    messageId: stored.id,
+                    threadId: thread.id,
+                    senderCommunicationIdentifier: toIdentifierModel(stored.senderAcsUserId),
+                    senderDisplayName: stored.senderDisplayName,
+                    messageBody: stored.content.message,
+                    type: stored.type === 'html' ? 'Html' : 'Text',
+                    metadata: stored.metadata,
+                    composeTime: createdOn,
+                    version: Number(stored.version)
+                }
+            });
+        }
+        return stored;
+    };
+
+    const addParticipants = (thread, participants, initiator) => {
+        const added = [];
+        for (const participant of participants) {
+            const acsUserId = fromIdentifierModel(participant.communicationIdentifier);
+            if (!identities.has(acsUserId)) {
+                continue;
+            }
+            const stored = {
+                acsUserId,
+                displayName: participant.displayName,
+                shareHistoryTime: participant.shareHistoryTime
+            };
+            thread.participants.set(acsUserId, stored);
+            added.push(toParticipantModel(stored));
+        }
+        if (added.length > 0 && initiator) {
+            appendMessage(thread, {
+                type: 'participantAdded',
+                content: { participants: added, initiatorCommunicationIdentifier: toIdentifierModel(initiator) }
+            });
+        }
+        return added;
+    };
+
+    // Pages a list the way ACS does, with an absolute nextLink
+    const page = (items, url) => {
+        const pageSize = Number(url.searchParams.get('maxPageSize')) || 100;
+        const skip = Number(url.searchParams.get('skip')) || 0;
+        const body = { value: items.slice(skip, skip + pageSize) };
+
+        if (skip + pageSize < items.length) {
+            const next = new URL(url.href);
+            next.searchParams.set('skip', String(skip + pageSize));
+            next.searchParams.set('maxPageSize', String(pageSize));
+            body.nextLink = next.href;
+        }
+        return respond(200, body);
+    };
+
+    const takeFault = (method, path) => {
+        const index = faults.findIndex(fault =>
+            (!fault.method || fault.method === method)
+            && (!fault.path || (fault.path instanceof RegExp ? fault.path.test(path) : path.includes(fault.path)))
+        );
+        if (index === -1) {
+            return null;
+        }
+
+        const fault = faults[index];
+        fault.times--;
+        if (fault.times <= 0) {
+            faults.splice(index, 1);
+        }
+
+        const headers = fault.retryAfterSeconds !== undefined ? { 'retry-after': String(fault.retryAfterSeconds) } : {};
+        return respondError(fault.status, fault.code, fault.message, headers);
+    };
+
+    const handleIdentityRequest = (method, segments, body) => {
+        if (method === 'POST' && segments.length === 1) {
+            const acsUserId = createIdentity();
+            const response = { identity: { id: acsUserId } };
+            if (body && body.createTokenWithScopes && body.createTokenWithScopes.length > 0) {
+                response.accessToken = issueToken(acsUserId, body.createTokenWithScopes, body.expiresInMinutes);
+            }
+            return respond(201, response);
+        }
+
+        const acsUserId = decodeURIComponent(segments[1] || '');
+        const identity = identities.get(acsUserId);
+        if (!identity) {
+            return respondError(404, 'IdentityNotFound', `Identity ${acsUserId} was not found`);
+        }
+
+        if (method === 'DELETE' && segments.length === 2) {
+            identities.delete(acsUserId);
+            return respond(204);
+        }
+        if (method === 'POST' && segments[2] === ':issueAccessToken') {
+            const options = body || {};
+            return respond(200, issueToken(acsUserId, options.scopes, options.expiresInMinutes));
+        }
+        if (method === 'POST' && segments[2] === ':revokeAccessTokens') {
+            identity.tokens.clear();
+            return respond(204);
+        }
+        return respondError(404, 'NotFound', `No identity operation ${method} ${segments.join('/')}`);
+    };
+
+    const handleThreadRequest = (method, segments, body, url, caller, headers) => {
+        // chat/threads
+        if (segments.length === 2) {
+            if (method === 'POST') {
+                const repeatabilityId = headers['repeatability-request-id'];
+                if (repeatabilityId && repeatedRequests.has(repeatabilityId)) {
+                    return repeatedRequests.get(repeatabilityId);
+                }
+
+                const thread = {
+                    id: `19:${randomUUID().replace(/-/g, '')}@thread.v2`,
+                    topic: body.topic,
+                    createdOn: now(),
+                    createdBy: caller,
+                    deletedOn: undefined,
+                    metadata: body.metadata,
+                    participants: new Map(),
+                    messages: [],
+                    readReceipts: new Map()
+                };
+                threads.set(thread.id, thread);
+                addParticipants(thread, [{ communicationIdentifier: toIdentifierModel(caller) }]);
+                addParticipants(thread, body.participants || []);
+
+                const response = respond(201, {
+                    chatThread: {
+                        id: thread.id,
+                        topic: thread.topic,
+                        createdOn: thread.createdOn,
+                        createdByCommunicationIdentifier: toIdentifierModel(caller)
+                    }
+                });
+                if (repeatabilityId) {
+                    repeatedRequests.set(repeatabilityId, response);
+                }
+                return response;
+            }
+            if (method === 'GET') {
+                const visible = Array.from(threads.values())
+                    .filter(thread => !thread.deletedOn && thread.participants.has(caller))
+                    .map(thread => ({ id: thread.id, topic: thread.topic, lastMessageReceivedOn: thread.lastMessageReceivedOn }));
+                return page(visible, url);
+            }
+        }
+
+        const thread = threads.get(decodeURIComponent(segments[2] || ''));
+        if (!thread || thread.deletedOn) {
+            return respondError(404, 'NotFound', `Chat thread ${segments[2]} was not found`);
+        }
+        if (!thread.participants.has(caller)) {
+            return respondError(403, 'Forbidden', 'The caller is not a participant of the chat thread');
+        }
+
+        const resource = segments[3];
+        const resourceId = segments[4] && decodeURIComponent(segments[4]);
+
+        if (!resource) {
+            if (method === 'GET') {
+                return respond(200, {
+                    id: thread.id,
+                    topic: thread.topic,
+                    createdOn: thread.createdOn,
+                    createdByCommunicationIdentifier: toIdentifierModel(thread.createdBy),
+                    metadata: thread.metadata
+                });
+            }
+            if (method === 'PATCH') {
+                if (body.topic !== undefined) {
+                    thread.topic = body.topic;
+                    appendMessage(thread, {
+                        type: 'topicUpdated',
+                        content: { topic: body.topic, initiatorCommunicationIdentifier: toIdentifierModel(caller) }
+                    });
+                }
+                return respond(204);
+            }
+            if (method === 'DELETE') {
+                thread.deletedOn = now();
+                return respond(204);
+            }
+        }
+
+        if (resource === 'messages') {
+            if (method === 'POST' && !resourceId) {
+                if (!body || typeof body.content !== 'string') {
+                    return respondError(400, 'BadRequest', 'Message content is required');
+                }
+                const message = appendMessage(thread, {
+                    type: (body.type || 'text').toLowerCase(),
+                    content: { message: body.content },
+                    senderAcsUserId: caller,
+                    senderDisplayName: body.senderDisplayName,
+                    metadata: body.metadata || {}
+                });
+                return respond(201, { id: message.id });
+            }
+            if (method === 'GET' && !resourceId) {
+                const startTime = url.searchParams.get('startTime');
+                const messages = thread.messages
+                    .filter(message => !startTime || message.createdOn >= new Date(startTime).toISOString())
+                    .slice()
+                    .reverse()
+                    .map(toMessageModel);
+                return page(messages, url);
+            }
+
+            const message = thread.messages.find(candidate => candidate.id === resourceId);
+            if (!message || message.deletedOn) {
+                return respondError(404, 'NotFound', `Message ${resourceId} was not found`);
+            }
+            if (method === 'GET') {
+                return respond(200, toMessageModel(message));
+            }
+            if (message.senderAcsUserId !== caller) {
+                return respondError(403, 'Forbidden', 'Only the sender can change a message');
+            }
+            if (method === 'PATCH') {
+                if (body.content !== undefined) {
+                    message.content = { message: body.content };
+                }
+                if (body.metadata) {
+                    message.metadata = { ...message.metadata, ...body.metadata };
+                }
+                message.editedOn = now();
+                message.version = String(Date.now());
+                return respond(204);
+            }
+            if (method === 'DELETE') {
+                message.deletedOn = now();
+                message.version = String(Date.now());
+                return respond(204);
+            }
+        }
+
+        if (resource === 'participants') {
+            if (method === 'GET' && !resourceId) {
+                return page(Array.from(thread.participants.values()).map(toParticipantModel), url);
+            }
+            if (method === 'POST' && resourceId === ':add') {
+                const unknown = (body.participants || [])
+                    .filter(participant => !identities.has(fromIdentifierModel(participant.communicationIdentifier)))
+                    .map(participant => ({
+                        code: '404',
+                        message: 'Identity not found',
+                        target: fromIdentifierModel(participant.communicationIdentifier)
+                    }));
+                addParticipants(thread, body.participants || [], caller);
+                return respond(201, unknown.length > 0 ? { invalidParticipants: unknown } : {});
+            }
+            if (method === 'POST' && resourceId === ':remove') {
+                const acsUserId = fromIdentifierModel(body);
+                const participant = thread.participants.get(acsUserId);
+                if (participant) {
+                    thread.participants.delete(acsUserId);
+                    appendMessage(thread, {
+                        type: 'participantRemoved',
+                        content: {
+                            participants: [toParticipantModel(participant)],
+                            initiatorCommunicationIdentifier: toIdentifierModel(caller)
+                        }
+                    });
+                }
+                return respond(204);
+            }
+        }
+
+        if (resource === 'readReceipts') {
+            if (method === 'GET') {
+                const receipts = Array.from(thread.readReceipts.entries()).map(([acsUserId, receipt]) => ({
+                    senderCommunicationIdentifier: toIdentifierModel(acsUserId),
+                    chatMessageId: receipt.chatMessageId,
+                    readOn: receipt.readOn
+                }));
+                return page(receipts, url);
+            }
+            if (method === 'POST') {
+                thread.readReceipts.set(caller, { chatMessageId: body.chatMessageId, readOn: now() });
+                return respond(200);
+            }
+        }
+
+        if (resource === 'typing' && method === 'POST') {
+            thread.typing = { acsUserId: caller, senderDisplayName: body && body.senderDisplayName, sentOn: now() };
+            return respond(200);
+        }
+
+        return respondError(404, 'NotFound', `No chat operation ${method} ${segments.join('/')}`);
+    };
+
+    const service = {
+        /**
+         * Answers a single REST request
+         *
+         * @param {Object} request - Object containing method, url, headers (lower-cased names) and body text
+         * @returns {Object} Object containing status, headers and body
+         */
+        handle(request) {
+            const method = request.method.toUpperCase();
+            const url = new URL(request.url, FAKE_ACS_ENDPOINT);
+            const path = decodeURIComponent(url.pathname);
+            const segments = url.pathname.split('/').filter(Boolean);
+            const headers = request.headers || {};
+            const entry = { method, path, caller: null, status: 0 };
+            requests.push(entry);
+
+            let body = null;
+            if (request.body) {
+                try {
+                    body = JSON.parse(request.body);
+                } catch (error) {
+                    entry.status = 400;
+                    return respondError(400, 'BadRequest', 'The request body is not valid JSON');
+                }
+            }
+
+            let response = takeFault(method, path);
+            if (!response && segments[0] === 'identities') {
+                response = handleIdentityRequest(method, segments, body);
+            } else if (!response && segments[0] === 'chat' && segments[1] === 'threads') {
+                entry.caller = authenticate(headers);
+                response = entry.caller
+                    ? handleThreadRequest(method, segments, body || {}, url, entry.caller, headers)
+                    : respondError(401, 'Unauthorized', 'The access token is missing, expired or revoked');
+            } else if (!response) {
+                response = respondError(404, 'NotFound', `No ACS operation ${method} ${path}`);
+            }
+
+            entry.status = response.status;
+            return response;
+        },
+
+        /**
+         * Creates an Azure SDK HTTP client served by this fake service
+         *
+         * Pass it as `acsConfig.httpClient`; the helpers hand it to every
+         * ChatClient and CommunicationIdentityClient they create.
+         *
+         * @returns {Object} HttpClient with a sendRequest method
+         */
+        createHttpClient() {
+            return {
+                async sendRequest(request) {
+                    const response = service.handle({
+                        method: request.method,
+                        url: request.url,
+                        headers: request.headers.toJSON(),
+                        body: typeof request.body === 'string' ? request.body : undefined
+                    });
+                    return {
+                        request,
+                        status: response.status,
+                        headers: createHttpHeaders(response.headers),
+                        bodyAsText: response.body === undefined ? '' : JSON.stringify(response.body)
+                    };
+                }
+            };
+        },
+
+        /**
+         * Serves the fake REST API over HTTP
+         *
+         * Useful for clients that cannot take an injected HTTP client. The Azure
+         * SDK only sends bearer tokens over HTTPS, so SDK clients should use
+         * createHttpClient instead.
+         *
+         * @param {number} port - Port to listen on (default: a free port)
+         * @returns {Promise<Object>} Object containing url and an async close method
+         */
+        listen(port = 0) {
+            const server = http.createServer((req, res) => {
+                const chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => {
+                    const response = service.handle({
+                        method: req.method,
+                        url: req.url,
+                        headers: req.headers,
+                        body: Buffer.concat(chunks).toString('utf8')
+                    });
+                    res.writeHead(response.status, response.headers);
+                    res.end(response.body === undefined ? undefined : JSON.stringify(response.body));
+                });
+            });
+
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, '127.0.0.1', () => {
+                    resolve({
+                        url: `http://127.0.0.1:${server.address().port}/`,
+                        close: () => new Promise(done => server.close(() => done()))
+                    });
+                });
+            });
+        },
+
+        /**
+         * Makes the next matching requests fail
+         *
+         * @param {Object} options - Fault options
+         * @param {string} options.method - HTTP method to match (optional)
+         * @param {string|RegExp} options.path - Path substring or pattern to match (optional)
+         * @param {number} options.status - Status code to return (default: 503)
+         * @param {string} options.code - ACS error code (default: ServiceUnavailable)
+         * @param {number} options.retryAfterSeconds - Value of the Retry-After header (optional)
+         * @param {number} options.times - Number of requests to fail (default: 1)
+         * @returns {Object} The service, for chaining
+         */
+        failNext(options = {}) {
+            faults.push({
+                method: options.method && options.method.toUpperCase(),
+                path: options.path,
+                status: options.status || 503,
+                code: options.code || 'ServiceUnavailable',
+                message: options.message || 'Injected failure',
+                retryAfterSeconds: options.retryAfterSeconds,
+                times: options.times || 1
+            });
+            return service;
+        },
+
+        /**
+         * Creates an identity directly, as an ACS-only participant would have
+         *
+         * @param {Object} options - Options such as scopes and expiresInMinutes (optional)
+         * @returns {Object} Object containing acsUserId, token and expiresOn
+         */
+        createUser(options = {}) {
+            const acsUserId = createIdentity();
+            return { acsUserId, ...issueToken(acsUserId, options.scopes, options.expiresInMinutes) };
+        },
+
+        /**
+         * Issues a token for an existing identity
+         *
+         * @param {string} acsUserId - The ACS user ID
+         * @param {Array<string>} scopes - Token scopes (default: chat)
+         * @param {number} expiresInMinutes - Token lifetime (default: 24 hours)
+         * @returns {Object} Object containing token and expiresOn
+         */
+        issueToken,
+
+        /**
+         * Posts a message as a thread participant, bypassing the REST API
+         *
+         * Simulates an ACS-only user such as a web customer replying in the thread.
+         *
+         * @param {string} threadId - The chat thread ID
+         * @param {string} acsUserId - The sender, who must be a participant
+         * @param {string} content - The message text
+         * @param {Object} options - Options such as senderDisplayName, type and metadata (optional)
+         * @returns {string} The message ID
+         */
+        postMessage(threadId, acsUserId, content, options = {}) {
+            const thread = threads.get(threadId);
+            if (!thread || !thread.participants.has(acsUserId)) {
+                throw new Error(`${acsUserId} is not a participant of ${threadId}`);
+            }
+            return appendMessage(thread, {
+                type: options.type || 'text',
+                content: { message: content },
+                senderAcsUserId: acsUserId,
+                senderDisplayName: options.senderDisplayName,
+                metadata: options.metadata || {}
+            }).id;
+        },
+
+        /**
+         * Records a read receipt as a thread participant, bypassing the REST API
+         *
+         * @param {string} threadId - The chat thread ID
+         * @param {string} acsUserId - The reader, who must be a participant
+         * @param {string} chatMessageId - The last message read
+         * @returns {Object} The matching ChatClient readReceiptReceived event
+         */
+        readMessage(threadId, acsUserId, chatMessageId) {
+            const thread = threads.get(threadId);
+            if (!thread || !thread.participants.has(acsUserId)) {
+                throw new Error(`${acsUserId} is not a participant of ${threadId}`);
+            }
+            const readOn = now();
+            thread.readReceipts.set(acsUserId, { chatMessageId, readOn });
+            return {
+                threadId,
+                sender: { kind: 'communicationUser', communicationUserId: acsUserId },
+                senderDisplayName: thread.participants.get(acsUserId).displayName,
+                chatMessageId,
+                readOn: new Date(readOn)
+            };
+        },
+
+        /**
+         * Records a typing notification as a thread participant, bypassing the REST API
+         *
+         * @param {string} threadId - The chat thread ID
+         * @param {string} acsUserId - The typing user, who must be a participant
+         * @param {string} senderDisplayName - Display name shown to others (optional)
+         * @returns {Object} The matching ChatClient typingIndicatorReceived event
+         */
+        startTyping(threadId, acsUserId, senderDisplayName) {
+            const thread = threads.get(threadId);
+            if (!thread || !thread.participants.has(acsUserId)) {
+                throw new Error(`${acsUserId} is not a participant of ${threadId}`);
+            }
+            thread.typing = { acsUserId, senderDisplayName, sentOn: now() };
+            return {
+                threadId,
+                sender: { kind: 'communicationUser', communicationUserId: acsUserId },
+                senderDisplayName,
+                receivedOn: new Date(thread.typing.sentOn),
+                version: String(Date.now())
+            };
+        },
+
+        /**
+         * Adds an identity to a thread, bypassing the REST API
+         *
+         * @param {string} threadId - The chat thread ID
+         * @param {string} acsUserId - The ACS user ID
+         * @param {string} displayName - Display name in the thread (optional)
+         * @returns {void}
+         */
+        addParticipant(threadId, acsUserId, displayName) {
+            const thread = threads.get(threadId);
+            if (!thread) {
+                throw new Error(`Chat thread ${threadId} does not exist`);
+            }
+            addParticipants(thread, [{ communicationIdentifier: toIdentifierModel(acsUserId), displayName }]);
+        },
+
+        /**
+         * Gets a snapshot of a thread
+         *
+         * @param {string} threadId - The chat thread ID
+         * @returns {Object|null} Object containing id, topic, createdBy, deletedOn, participants, messages, readReceipts and typing
+         */
+        getThread(threadId) {
+            const thread = threads.get(threadId);
+            if (!thread) {
+                return null;
+            }
+            return {
+                id: thread.id,
+                topic: thread.topic,
+                createdBy: thread.createdBy,
+                deletedOn: thread.deletedOn,
+                participants: Array.from(thread.participants.values()).map(participant => ({ ...participant })),
+                messages: thread.messages.map(message => ({ ...message, content: { ...message.content } })),
+                readReceipts: Array.from(thread.readReceipts.entries())
+                    .map(([acsUserId, receipt]) => ({ acsUserId, ...receipt })),
+                typing: thread.typing
+            };
+        },
+
+        /**
+         * Lists snapshots of every thread
+         *
+         * @returns {Array<Object>} Thread snapshots as returned by getThread
+         */
+        listThreads() {
+            return Array.from(threads.keys()).map(threadId => service.getThread(threadId));
+        },
+
+        /**
+         * Checks whether an identity exists
+         *
+         * @param {string} acsUserId - The ACS user ID
+         * @returns {boolean} True if the identity exists
+         */
+        hasIdentity(acsUserId) {
+            return identities.has(acsUserId);
+        },
+
+        /**
+         * Removes and returns the Event Grid events raised since the last call
+         *
+         * Pass them to the relay's handleEventGridEvents.
+         *
+         * @returns {Array<Object>} ChatMessageReceivedInThread events
+         */
+        takeEvents() {
+            return pendingEvents.splice(0);
+        },
+
+        /**
+         * Requests answered so far, as objects containing method, path, caller and status
+         */
+        requests,
+
+        /**
+         * Discards all identities, threads, injected faults, events and recorded requests
+         *
+         * @returns {void}
+         */
+        reset() {
+            identities = new Map();
+            threads = new Map();
+            repeatedRequests = new Map();
+            faults = [];
+            pendingEvents = [];
+            requests.length = 0;
+        }
+    };
+
+    return service;
+}
+
+/**
+ * Creates a validated ACS configuration that talks to a fake ACS service
+ *
+ * Process environment variables are ignored, mappings are kept in memory and
+ * retry delays are shortened so failure paths run quickly.
+ *
+ * @param {Object} service - The fake ACS service
+ * @param {Object} overrides - Settings to add or replace (optional)
+ * @returns {Object} The ACS configuration
+ */
+function createFakeAcsConfig(service, overrides = {}) {
+    return resolveAcsConfig({
+        env: {},
+        overrides: {
+            connectionString: `endpoint=${FAKE_ACS_ENDPOINT};accesskey=${Buffer.from('fake-acs-access-key').toString('base64')}`,
+            httpClient: service.createHttpClient(),
+            mappingStore: { type: 'memory' },
+            resilience: { baseDelayMs: 1, maxDelayMs: 10, resetTimeoutMs: 50 },
+            ...overrides
+        }
+    });
+}
+
+/**
+ * Builds a Teams activity
+ *
+ * @param {string} type - The activity type
+ * @param {Object} options - Activity options
+ * @param {string} options.conversationId - Conversation ID (default: a personal chat)
+ * @param {string} options.conversationType - personal, groupChat or channel (default: personal)
+ * @param {Object} options.from - Sender with id, name and aadObjectId (default: a test user)
+ * @param {Object} options.team - Team with id and name, for channel conversations (optional)
+ * @param {Object} options.channel - Channel with id and name, for channel conversations (optional)
+ * @param {Object} options.channelData - Extra channel data (optional)
+ * @returns {Object} The activity
+ */
+function createTeamsActivity(type, options = {}) {
+    const conversationType = options.conversationType || (options.channel ? 'channel' : 'personal');
+    const conversationId = options.conversationId
+        || (options.channel ? `${options.channel.id};messageid=${Date.now()}` : `a:${randomUUID()}`);
+
+    return {
+        type,
+        id: options.id || randomUUID(),
+        timestamp: new Date(),
+        channelId: 'msteams',
+        serviceUrl: TEAMS_TEST_DEFAULTS.serviceUrl,
+        from: { ...TEAMS_TEST_DEFAULTS.user, ...options.from },
+        recipient: { ...TEAMS_TEST_DEFAULTS.bot, ...options.recipient },
+        conversation: {
+            id: conversationId,
+            conversationType,
+            tenantId: TEAMS_TEST_DEFAULTS.tenantId,
+            isGroup: conversationType !== 'personal'
+        },
+        channelData: {
+            tenant: { id: TEAMS_TEST_DEFAULTS.tenantId },
+            ...(options.team ? { team: options.team } : {}),
+            ...(options.channel ? { channel: options.channel } : {}),
+            ...options.channelData
+        }
+    };
+}
+
+/**
+ * Builds a Teams message activity
+ *
+ * @param {string} text - The message text
+ * @param {Object} options - Options as for createTeamsActivity, plus mentionBot and value (optional)
+ * @returns {Object} The activity
+ */
+function createTeamsMessageActivity(text, options = {}) {
+    const activity = createTeamsActivity('message', options);
+    activity.text = text;
+    activity.textFormat = 'plain';
+
+    if (options.mentionBot) {
+        const mention = `<at>${activity.recipient.name}</at>`;
+        activity.text = `${mention} ${text}`;
+        activity.entities = [{ type: 'mention', text: mention, mentioned: { ...activity.recipient } }];
+    }
+    if (options.value !== undefined) {
+        activity.value = options.value;
+    }
+    return activity;
+}
+
+/**
+ * Builds an edit or delete of a previously sent Teams message
+ *
+ * @param {Object} original - The original message activity
+ * @param {string} text - The new text, or null for a delete
+ * @returns {Object} A messageUpdate or messageDelete activity
+ */
+function createTeamsMessageChangeActivity(original, text) {
+    const activity = {
+        ...original,
+        type: text === null ? 'messageDelete' : 'messageUpdate',
+        timestamp: new Date(),
+        channelData: {
+            ...original.channelData,
+            eventType: text === null ? 'softDeleteMessage' : 'editMessage'
+        }
+    };
+    if (text !== null) {
+        activity.text = text;
+    } else {
+        delete activity.text;
+    }
+    return activity;
+}
+
+/**
+ * Builds the event Teams sends when a user reads the bot's messages
+ *
+ * @param {string} lastReadMessageId - ID of the last message the user read
+ * @param {Object} options - Options as for createTeamsActivity (optional)
+ * @returns {Object} The activity
+ */
+function createTeamsReadReceiptActivity(lastReadMessageId, options = {}) {
+    const activity = createTeamsActivity('event', options);
+    activity.name = 'application/vnd.microsoft.readReceipt';
+    activity.value = { lastReadMessageId };
+    return activity;
+}
+
+/**
+ * Builds a Teams conversationUpdate activity
+ *
+ * @param {Object} options - Options as for createTeamsActivity, plus eventType, membersAdded and membersRemoved
+ * @returns {Object} The activity
+ */
+function createConversationUpdateActivity(options = {}) {
+    const activity = createTeamsActivity('conversationUpdate', options);
+    if (options.eventType) {
+        activity.channelData.eventType = options.eventType;
+    }
+    if (options.membersAdded) {
+        activity.membersAdded = options.membersAdded;
+    }
+    if (options.membersRemoved) {
+        activity.membersRemoved = options.membersRemoved;
+    }
+    return activity;
+}
+
+/**
+ * TestAdapter that can also start and continue conversations proactively
+ *
+ * botbuilder's TestAdapter rejects proactive calls; the relay and transcript
+ * delivery need both. Updates and deletes are recorded, as TestAdapter only
+ * applies them to activities still in its queue.
+ */
+class AcsTestAdapter extends TestAdapter {
+    constructor(logic) {
+        super(logic);
+        this.createdConversations = [];
+        this.updatedActivities = [];
+        this.deletedActivityIds = [];
+    }
+
+    async updateActivity(context, activity) {
+        this.updatedActivities.push(activity);
+        return super.updateActivity(context, activity);
+    }
+
+    async deleteActivity(context, reference) {
+        this.deletedActivityIds.push(reference.activityId);
+        return super.deleteActivity(context, reference);
+    }
+
+    async continueConversation(reference, logic) {
+        const request = TurnContext.applyConversationReference(
+            { type: 'event', name: 'continueConversation' },
+            reference,
+            true
+        );
+        await this.runMiddleware(this.createContext(request), logic);
+    }
+
+    async createConversation(reference, parameters, logic) {
+        const conversationId = `a:${randomUUID()}`;
+        this.createdConversations.push({ conversationId, parameters });
+        await this.continueConversation(
+            { ...reference, conversation: { id: conversationId, conversationType: 'personal' } },
+            logic
+        );
+    }
+}
+
+/**
+ * Creates a Teams bot wired to a fake ACS service through setupAcsMiddleware
+ *
+ * @param {Object} options - Fixture options
+ * @param {Object} options.acsService - Fake ACS service (default: a new one)
+ * @param {Object} options.config - Settings passed to createFakeAcsConfig (optional)
+ * @param {Function} options.logic - Bot logic run after the middleware (default: echoes messages)
+ * @returns {Object} Fixture with adapter, acsService, acsConfig, relay, send, relayAcsMessages and dispose
+ */
+function createBotTestFixture(options = {}) {
+    const acsService = options.acsService || createFakeAcsService();
+    const acsConfig = createFakeAcsConfig(acsService, options.config);
+    const logic = options.logic || (async (context) => {
+        if (context.activity.type === 'message' && context.activity.text) {
+            await context.sendActivity(`echo: ${context.activity.text}`);
+        }
+    });
+
+    const adapter = new AcsTestAdapter(logic);
+    setupAcsMiddleware(adapter, acsConfig);
+    const relay = createAcsToTeamsRelay(adapter, acsConfig);
+
+    return {
+        adapter,
+        acsService,
+        acsConfig,
+        relay,
+
+        /**
+         * Runs an activity through the bot
+         *
+         * @param {Object|string} activity - The activity, or message text
+         * @returns {Promise<Array<Object>>} Activities the bot sent in reply
+         */
+        async send(activity) {
+            await adapter.processActivity(typeof activity === 'string' ? createTeamsMessageActivity(activity) : activity);
+            return adapter.activeQueue.splice(0);
+        },
+
+        /**
+         * Relays messages posted to fake ACS threads since the last call into Teams
+         *
+         * @returns {Promise<Array<Object>>} Activities the relay sent to Teams
+         */
+        async relayAcsMessages() {
+            await relay.handleEventGridEvents(acsService.takeEvents());
+            return adapter.activeQueue.splice(0);
+        },
+
+        /**
+         * Releases the chat clients created for the fixture
+         *
+         * @returns {void}
+         */
+        dispose() {
+            resolveChatClientFactory(acsConfig).dispose();
+        }
+    };
+}
+
+// Export the test harness functions
+module.exports = {
+    FAKE_ACS_ENDPOINT,
+    TEAMS_TEST_DEFAULTS,
+    createFakeAcsService,
+    createFakeAcsConfig,
+    createTeamsActivity,
+    createTeamsMessageActivity,
+    createTeamsMessageChangeActivity,
+    createTeamsReadReceiptActivity,
+    createConversationUpdateActivity,
+    AcsTestAdapter,
+    createBotTestFixture
+};
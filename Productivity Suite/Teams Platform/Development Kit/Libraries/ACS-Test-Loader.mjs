@@ -0,0 +1,60 @@
+/**
+ * ACS-Test-Loader.mjs
+ *
+ * Node.js module hooks that run ACS-Teams-Utils.js and the other browser
+ * modules under `node --test`.
+ *
+ * `@microsoft/teams-js` and `@azure/communication-calling` resolve to
+ * ACS-Teams-JS-Mock.js and ACS-Calling-SDK-Mock.js. The browser modules are
+ * ES modules saved as `.js` without a package.json, so they are loaded as ES
+ * modules here. Register the hooks before importing the utilities:
+ *
+ *     import { register } from 'node:module';
+ *     register('./ACS-Test-Loader.mjs', import.meta.url);
+ *     const utils = await import('./ACS-Teams-Utils.js');
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+// SDK packages and the mocks that replace them
+const MOCKED_PACKAGES = {
+    '@microsoft/teams-js': './ACS-Teams-JS-Mock.js',
+    '@azure/communication-calling': './ACS-Calling-SDK-Mock.js'
+};
+
+// Browser modules written as ES modules
+const BROWSER_MODULES = /\/ACS-(Teams-Utils|Call-Session|Video-Gallery|Device-Manager|Screen-Share|Teams-JS-Mock|Calling-SDK-Mock)\.js$/;
+
+/**
+ * Resolves the mocked SDK packages to the mocks next to this file
+ *
+ * @param {string} specifier - The imported specifier
+ * @param {Object} context - The resolve context
+ * @param {Function} nextResolve - The next resolve hook
+ * @returns {Promise<Object>} The resolution
+ */
+export async function resolve(specifier, context, nextResolve) {
+    if (MOCKED_PACKAGES[specifier]) {
+        return {
+            url: new URL(MOCKED_PACKAGES[specifier], import.meta.url).href,
+            shortCircuit: true
+        };
+    }
+    return nextResolve(specifier, context);
+}
+
+/**
+ * Loads the browser modules as ES modules
+ *
+ * @param {string} url - The module URL
+ * @param {Object} context - The load context
+ * @param {Function} nextLoad - The next load hook
+ * @returns {Promise<Object>} The loaded module
+ */
+export async function load(url, context, nextLoad) {
+    if (BROWSER_MODULES.test(url)) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
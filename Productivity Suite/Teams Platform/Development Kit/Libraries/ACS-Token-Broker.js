@@ -0,0 +1,237 @@
+/**
+ * ACS-Token-Broker.js
+ *
+ * Caches Azure Communication Services (ACS) access tokens per user and scope set
+ * so that busy Teams bots do not request a new token for every operation.
+ *
+ * Cached tokens are returned until they are within a configurable buffer of
+ * expiring, refreshed ahead of expiry in the background while they are still
+ * in use, and concurrent refreshes for the same user and scopes share a single
+ * request to the identity service.
+ *
+ * @version 1.1.0
+ * @license MIT
+ */
+
+// Dependencies
+const { CommunicationIdentityClient } = require('@azure/communication-identity');
+const { getSdkClientOptions, resolveResiliencePolicy } = require('./ACS-Resilience');
+const { AcsConfigError } = require('./ACS-Errors');
+
+/**
+ * Token scopes accepted by the ACS identity service
+ */
+const TOKEN_SCOPES = ['chat', 'voip', 'chat.join', 'chat.join.limited', 'voip.join'];
+
+// Default timings (milliseconds)
+const DEFAULT_EXPIRY_BUFFER_MS = 5 * 60 * 1000;
+const DEFAULT_REFRESH_AHEAD_MS = 10 * 60 * 1000;
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Normalizes a scope list into a sorted, de-duplicated array
+ *
+ * @param {string|Array<string>} scopes - One scope or a list of scopes
+ * @returns {Array<string>} The normalized scopes
+ */
+function normalizeScopes(scopes) {
+    const list = Array.from(new Set([].concat(scopes || ['chat']))).sort();
+
+    const unknown = list.filter(scope => !TOKEN_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        throw new AcsConfigError(`Unsupported ACS token scope(s): ${unknown.join(', ')}`);
+    }
+    if (list.length === 0) {
+        throw new AcsConfigError('At least one ACS token scope is required');
+    }
+
+    return list;
+}
+
+/**
+ * Creates a token broker that caches ACS access tokens
+ *
+ * @param {Object} acsConfig - Configuration with ACS connection string and optional tokenBroker settings
+ * @returns {Object} Token broker with getToken, invalidate and dispose methods
+ */
+function createTokenBroker(acsConfig) {
+    if (!acsConfig || !acsConfig.connectionString) {
+        throw new AcsConfigError('An ACS connection string is required to issue tokens');
+    }
+
+    const settings = acsConfig.tokenBroker || {};
+    const expiryBufferMs = settings.expiryBufferMs !== undefined ? settings.expiryBufferMs : DEFAULT_EXPIRY_BUFFER_MS;
+    const refreshAheadMs = Math.max(
+        settings.refreshAheadMs !== undefined ? settings.refreshAheadMs : DEFAULT_REFRESH_AHEAD_MS,
+        expiryBufferMs
+    );
+    const idleTimeoutMs = settings.idleTimeoutMs !== undefined ? settings.idleTimeoutMs : DEFAULT_IDLE_TIMEOUT_MS;
+
+    const identityClient = settings.identityClient
+        || new CommunicationIdentityClient(acsConfig.connectionString, getSdkClientOptions(acsConfig));
+    const resilience = resolveResiliencePolicy(acsConfig);
+
+    // Cache entries keyed by "acsUserId|scope,scope"
+    const entries = new Map();
+    const pending = new Map();
+
+    const remainingMs = (token) => new Date(token.expiresOn).getTime() - Date.now();
+
+    const clearTimer = (entry) => {
+        if (entry && entry.timer) {
+            clearTimeout(entry.timer);
+            entry.timer = null;
+        }
+    };
+
+    const scheduleRefresh = (key, entry) => {
+        clearTimer(entry);
+
+        const delay = Math.max(remainingMs(entry.token) - refreshAheadMs, 0);
+        entry.timer = setTimeout(() => {
+            entry.timer = null;
+
+            // Let tokens nobody has asked for lapse instead of refreshing forever
+            if (Date.now() - entry.lastAccess > idleTimeoutMs) {
+                entries.delete(key);
+                return;
+            }
+
+            refresh(key, entry.acsUserId, entry.scopes).catch(error => {
+                console.error(`Background refresh of ACS token failed for ${entry.acsUserId}:`, error);
+            });
+        }, delay);
+
+        // Never keep the process alive just to refresh tokens
+        if (entry.timer.unref) {
+            entry.timer.unref();
+        }
+    };
+
+    const refresh = (key, acsUserId, scopes) => {
+        if (pending.has(key)) {
+            return pending.get(key);
+        }
+
+        const issueToken = () => identityClient.getToken({ communicationUserId: acsUserId }, scopes);
+
+        const request = resilience.execute('getToken', issueToken, { idempotent: true })
+            .then(tokenResponse => {
+                const previous = entries.get(key);
+                const entry = {
+                    acsUserId,
+                    scopes,
+                    token: {
+                        acsUserId,
+                        scopes,
+                        token: tokenResponse.token,
+                        expiresOn: tokenResponse.expiresOn
+                    },
+                    lastAccess: previous ? previous.lastAccess : Date.now(),
+                    timer: null
+                };
+
+                clearTimer(previous);
+                entries.set(key, entry);
+                scheduleRefresh(key, entry);
+                return entry.token;
+            })
+            .finally(() => {
+                pending.delete(key);
+            });
+
+        pending.set(key, request);
+        return request;
+    };
+
+    return {
+        /**
+         * Gets a valid access token for an ACS user and scope set
+         *
+         * @param {string} acsUserId - The ACS user ID
+         * @param {string|Array<string>} scopes - Token scopes (default: chat)
+         * @param {Object} options - Set forceRefresh to bypass the cache
+         * @returns {Promise<Object>} Object containing acsUserId, scopes, token and expiresOn
+         */
+        async getToken(acsUserId, scopes, options = {}) {
+            if (!acsUserId) {
+                throw new AcsConfigError('An ACS user ID is required to issue a token');
+            }
+
+            const normalizedScopes = normalizeScopes(scopes);
+            const key = `${acsUserId}|${normalizedScopes.join(',')}`;
+            const entry = entries.get(key);
+
+            if (entry && !options.forceRefresh && remainingMs(entry.token) > expiryBufferMs) {
+                entry.lastAccess = Date.now();
+                return entry.token;
+            }
+
+            const token = await refresh(key, acsUserId, normalizedScopes);
+            const refreshed = entries.get(key);
+            if (refreshed) {
+                refreshed.lastAccess = Date.now();
+            }
+            return token;
+        },
+
+        /**
+         * Removes cached tokens for an ACS user, optionally for one scope set only
+         *
+         * @param {string} acsUserId - The ACS user ID
+         * @param {string|Array<string>} scopes - Scope set to invalidate (optional)
+         * @returns {void}
+         */
+        invalidate(acsUserId, scopes) {
+            const scopeKey = scopes ? normalizeScopes(scopes).join(',') : null;
+            for (const [key, entry] of entries) {
+                if (entry.acsUserId === acsUserId && (!scopeKey || entry.scopes.join(',') === scopeKey)) {
+                    clearTimer(entry);
+                    entries.delete(key);
+                }
+            }
+        },
+
+        /**
+         * Stops background refreshes and clears the cache
+         *
+         * @returns {void}
+         */
+        dispose() {
+            for (const entry of entries.values()) {
+                clearTimer(entry);
+            }
+            entries.clear();
+        }
+    };
+}
+
+// Brokers resolved per acsConfig object
+const resolvedBrokers = new WeakMap();
+
+/**
+ * Resolves the token broker for an acsConfig object
+ *
+ * `acsConfig.tokenBroker` may be a broker instance or broker settings; the
+ * resulting broker is shared by every helper given the same acsConfig.
+ *
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Object} The token broker
+ */
+function resolveTokenBroker(acsConfig) {
+    if (acsConfig && acsConfig.tokenBroker && typeof acsConfig.tokenBroker.getToken === 'function') {
+        return acsConfig.tokenBroker;
+    }
+    if (!resolvedBrokers.has(acsConfig)) {
+        resolvedBrokers.set(acsConfig, createTokenBroker(acsConfig));
+    }
+    return resolvedBrokers.get(acsConfig);
+}
+
+// Export the token broker functions
+module.exports = {
+    TOKEN_SCOPES,
+    normalizeScopes,
+    createTokenBroker,
+    resolveTokenBroker
+};
@@ -0,0 +1,602 @@
+/**
+ * ACS-Transcript-Export.js
+ *
+ * Exports transcripts of Azure Communication Services (ACS) chat threads bridged
+ * to Microsoft Teams conversations, for compliance reviews and record keeping.
+ *
+ * Messages, participants and read receipts are paged from the thread as the
+ * bot, ACS identities are resolved back to Teams users through the mapping
+ * store, and the transcript is rendered as JSON, HTML or Markdown. Transcripts
+ * reach Teams users as files through the Teams file consent flow.
+ *
+ * @version 1.1.1
+ * @license MIT
+ */
+
+// Dependencies
+const { randomUUID } = require('crypto');
+const { TurnContext } = require('botbuilder');
+const { MAPPING_COLLECTIONS, resolveMappingStore } = require('./ACS-Mapping-Store');
+const { withBotChatThreadClient } = require('./ACS-Chat-Client-Factory');
+const { resolveResiliencePolicy } = require('./ACS-Resilience');
+const { BRIDGE_METADATA } = require('./ACS-Teams-Relay');
+const { escapeHtml, sanitizeHtml, htmlToPlainText } = require('./ACS-Message-Translator');
+const { AcsValidationError } = require('./ACS-Errors');
+
+/**
+ * Supported transcript formats
+ */
+const TRANSCRIPT_FORMATS = {
+    json: { extension: 'json', contentType: 'application/json' },
+    html: { extension: 'html', contentType: 'text/html' },
+    markdown: { extension: 'md', contentType: 'text/markdown' }
+};
+
+// Key under which transcript offer IDs travel in file consent card contexts
+const TRANSCRIPT_CONTEXT_KEY = 'acsTranscript';
+
+// Default time a user has to accept a transcript offer (24 hours)
+const DEFAULT_OFFER_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+
+// Default number of items requested per page
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Parses an optional point in time
+ *
+ * @param {Date|string|number} value - The time, or nothing
+ * @param {string} name - Option name used in error messages
+ * @returns {Date|null} The parsed time
+ * @throws {AcsValidationError} If the value is not a valid time
+ */
+function parseTime(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const time = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(time.getTime())) {
+        throw new AcsValidationError(`Transcript option ${name} is not a valid time: "${value}"`);
+    }
+    return time;
+}
+
+/**
+ * Collects every item of a paged ACS listing
+ *
+ * @param {PagedAsyncIterableIterator} iterator - The listing
+ * @param {number} pageSize - Items requested per page
+ * @returns {Promise<Array>} The items
+ */
+async function collectPages(iterator, pageSize) {
+    const items = [];
+    for await (const page of iterator.byPage({ maxPageSize: pageSize })) {
+        items.push(...page);
+    }
+    return items;
+}
+
+/**
+ * Collects the transcript of an ACS chat thread
+ *
+ * @param {string} threadId - The ACS chat thread ID
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @param {Object} options - Transcript options (optional)
+ * @param {Date|string} options.from - Only include messages sent at or after this time
+ * @param {Date|string} options.to - Only include messages sent at or before this time
+ * @returns {Promise<Object>} Transcript with thread details, participants, messages and read receipts
+ */
+async function collectThreadTranscript(threadId, acsConfig, options = {}) {
+    const from = parseTime(options.from, 'from');
+    const to = parseTime(options.to, 'to');
+    const settings = (acsConfig && acsConfig.transcripts) || {};
+    const pageSize = settings.pageSize || DEFAULT_PAGE_SIZE;
+
+    const policy = resolveResiliencePolicy(acsConfig);
+
+    const { properties, rawParticipants, rawMessages, rawReceipts } = await withBotChatThreadClient(acsConfig, threadId, async threadClient => ({
+        properties: await policy.execute('getProperties', () => threadClient.getProperties(), { idempotent: true }),
+        rawParticipants: await policy.execute(
+            'listParticipants',
+            () => collectPages(threadClient.listParticipants(), pageSize),
+            { idempotent: true }
+        ),
+        rawMessages: await policy.execute(
+            'listMessages',
+            () => collectPages(threadClient.listMessages(from ? { startTime: from } : {}), pageSize),
+            { idempotent: true }
+        ),
+        rawReceipts: await policy.execute(
+            'listReadReceipts',
+            () => collectPages(threadClient.listReadReceipts(), pageSize),
+            { idempotent: true }
+        )
+    }));
+
+    // Resolve ACS identities back to Teams users
+    const store = resolveMappingStore(acsConfig);
+    const teamsUserIds = new Map();
+    const resolveTeamsUserId = async (acsUserId) => {
+        if (!acsUserId) {
+            return null;
+        }
+        if (!teamsUserIds.has(acsUserId)) {
+            const record = await store.get(MAPPING_COLLECTIONS.acsUsers, acsUserId);
+            teamsUserIds.set(acsUserId, record ? record.teamsUserId : null);
+        }
+        return teamsUserIds.get(acsUserId);
+    };
+
+    const participants = [];
+    const displayNames = new Map();
+    for (const participant of rawParticipants) {
+        const acsUserId = participant.id && (participant.id.communicationUserId || participant.id.rawId);
+        displayNames.set(acsUserId, participant.displayName);
+        participants.push({
+            acsUserId,
+            teamsUserId: await resolveTeamsUserId(acsUserId),
+            displayName: participant.displayName || null
+        });
+    }
+
+    const describeSystemMessage = (message) => {
+        const content = message.content || {};
+        const names = (content.participants || []).map(participant => participant.displayName || 'a participant').join(', ');
+        switch (message.type) {
+            case 'topicUpdated':
+                return `Topic changed to "${content.topic}"`;
+            case 'participantAdded':
+                return `${names} joined`;
+            case 'participantRemoved':
+                return `${names} left`;
+            default:
+                return `[${message.type}]`;
+        }
+    };
+
+    const messages = [];
+    for (const message of rawMessages) {
+        const createdOn = new Date(message.createdOn);
+        if ((from && createdOn < from) || (to && createdOn > to)) {
+            continue;
+        }
+
+        const acsUserId = message.sender && (message.sender.communicationUserId || message.sender.rawId);
+        const isChat = message.type === 'text' || message.type === 'html';
+        messages.push({
+            id: message.id,
+            sequenceId: Number(message.sequenceId),
+            type: isChat ? message.type : 'system',
+            createdOn: createdOn.toISOString(),
+            editedOn: message.editedOn ? new Date(message.editedOn).toISOString() : null,
+            deletedOn: message.deletedOn ? new Date(message.deletedOn).toISOString() : null,
+            sender: {
+                acsUserId: acsUserId || null,
+                teamsUserId: await resolveTeamsUserId(acsUserId),
+                displayName: message.senderDisplayName || displayNames.get(acsUserId) || null
+            },
+            bridgedFromTeams: !!(message.metadata && message.metadata[BRIDGE_METADATA.originKey] === BRIDGE_METADATA.teamsOrigin),
+            content: isChat ? ((message.content && message.content.message) || '') : describeSystemMessage(message),
+            readBy: []
+        });
+    }
+    messages.sort((a, b) => a.sequenceId - b.sequenceId);
+
+    // A read receipt covers the message it names and every earlier one
+    const sequenceIds = new Map(rawMessages.map(message => [message.id, Number(message.sequenceId)]));
+    const readReceipts = [];
+    for (const receipt of rawReceipts) {
+        const acsUserId = receipt.sender && (receipt.sender.communicationUserId || receipt.sender.rawId);
+        readReceipts.push({
+            acsUserId,
+            teamsUserId: await resolveTeamsUserId(acsUserId),
+            displayName: displayNames.get(acsUserId) || null,
+            chatMessageId: receipt.chatMessageId,
+            readOn: new Date(receipt.readOn).toISOString()
+        });
+
+        const readUpTo = sequenceIds.get(receipt.chatMessageId);
+        if (readUpTo === undefined) {
+            continue;
+        }
+        for (const message of messages) {
+            if (message.type !== 'system' && message.sequenceId <= readUpTo && message.sender.acsUserId !== acsUserId) {
+                message.readBy.push(acsUserId);
+            }
+        }
+    }
+
+    return {
+        threadId,
+        topic: properties.topic || null,
+        exportedOn: new Date().toISOString(),
+        from: from ? from.toISOString() : null,
+        to: to ? to.toISOString() : null,
+        participants,
+        messages,
+        readReceipts
+    };
+}
+
+/**
+ * Gets the name to show for a transcript participant
+ *
+ * @param {Object} transcript - The transcript
+ * @param {string} acsUserId - The ACS user ID
+ * @returns {string} The display name, or the ID when the participant has none
+ */
+function participantName(transcript, acsUserId) {
+    const participant = transcript.participants.find(candidate => candidate.acsUserId === acsUserId);
+    return (participant && participant.displayName) || acsUserId;
+}
+
+/**
+ * Renders a transcript as Markdown
+ *
+ * @param {Object} transcript - The transcript
+ * @returns {string} The Markdown document
+ */
+function renderMarkdownTranscript(transcript) {
+    const lines = [
+        `# Transcript: ${transcript.topic || transcript.threadId}`,
+        '',
+        `- Thread: \`${transcript.threadId}\``,
+        `- Exported: ${transcript.exportedOn}`
+    ];
+    if (transcript.from || transcript.to) {
+        lines.push(`- Range: ${transcript.from || 'start'} to ${transcript.to || 'now'}`);
+    }
+
+    lines.push('', '## Participants', '');
+    for (const participant of transcript.participants) {
+        const teams = participant.teamsUserId ? ` (Teams: \`${participant.teamsUserId}\`)` : '';
+        lines.push(`- ${participant.displayName || participant.acsUserId}${teams}`);
+    }
+
+    lines.push('', '## Messages', '');
+    for (const message of transcript.messages) {
+        if (message.type === 'system') {
+            lines.push(`_${message.createdOn}: ${message.content}_`, '');
+            continue;
+        }
+
+        const name = message.sender.displayName || message.sender.acsUserId || 'Unknown sender';
+        const flags = [message.editedOn ? 'edited' : null, message.bridgedFromTeams ? 'from Teams' : null].filter(Boolean);
+        lines.push(`**${name}** (${message.createdOn})${flags.length ? ` _${flags.join(', ')}_` : ''}`);
+
+        const text = message.deletedOn
+            ? '_[deleted]_'
+            : (message.type === 'html' ? htmlToPlainText(message.content) : message.content);
+        lines.push(...text.split('\n').map(line => `> ${line}`));
+
+        if (message.readBy.length > 0) {
+            lines.push('', `Seen by ${message.readBy.map(id => participantName(transcript, id)).join(', ')}`);
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Renders a transcript as a standalone HTML document
+ *
+ * Message HTML is sanitized, so the document can be opened safely in a browser.
+ *
+ * @param {Object} transcript - The transcript
+ * @returns {string} The HTML document
+ */
+function renderHtmlTranscript(transcript) {
+    const title = escapeHtml(transcript.topic || transcript.threadId);
+    const range = transcript.from || transcript.to
+        ? `<p>Range: ${escapeHtml(transcript.from || 'start')} to ${escapeHtml(transcript.to || 'now')}</p>`
+        : '';
+
+    const participants = transcript.participants.map(participant => {
+        const teams = participant.teamsUserId ? ` <small>(Teams: ${escapeHtml(participant.teamsUserId)})</small>` : '';
+        return `<li>${escapeHtml(participant.displayName || participant.acsUserId)}${teams}</li>`;
+    }).join('\n');
+
+    const messages = transcript.messages.map(message => {
+        if (message.type === 'system') {
+            return `<li class="system"><time>${escapeHtml(message.createdOn)}</time> ${escapeHtml(message.content)}</li>`;
+        }
+
+        const name = escapeHtml(message.sender.displayName || message.sender.acsUserId || 'Unknown sender');
+        const body = message.deletedOn
+            ? '<em>[deleted]</em>'
+            : (message.type === 'html' ? sanitizeHtml(message.content) : escapeHtml(message.content).replace(/\n/g, '<br>'));
+        const edited = message.editedOn ? ' <small>(edited)</small>' : '';
+        const seenBy = message.readBy.length > 0
+            ? `<div class="seen">Seen by ${escapeHtml(message.readBy.map(id => participantName(transcript, id)).join(', '))}</div>`
+            : '';
+        return `<li><strong>${name}</strong> <time>${escapeHtml(message.createdOn)}</time>${edited}<div>${body}</div>${seenBy}</li>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Transcript: ${title}</title>
+<style>
+body { font-family: 'Segoe UI', sans-serif; margin: 2em; }
+ol { list-style: none; padding: 0; }
+li { margin-bottom: 1em; }
+time, .seen, .system { color: #616161; font-size: 0.9em; }
+</style>
+</head>
+<body>
+<h1>Transcript: ${title}</h1>
+<p>Thread: ${escapeHtml(transcript.threadId)}<br>Exported: ${escapeHtml(transcript.exportedOn)}</p>
+${range}
+<h2>Participants</h2>
+<ul>
+${participants}
+</ul>
+<h2>Messages</h2>
+<ol>
+${messages}
+</ol>
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a transcript in one of the supported formats
+ *
+ * @param {Object} transcript - Transcript from collectThreadTranscript
+ * @param {string} format - 'json', 'html' or 'markdown'
+ * @returns {string} The rendered transcript
+ * @throws {AcsValidationError} If the format is not supported
+ */
+function renderTranscript(transcript, format = 'json') {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(transcript, null, 2);
+        case 'html':
+            return renderHtmlTranscript(transcript);
+        case 'markdown':
+            return renderMarkdownTranscript(transcript);
+        default:
+            throw new AcsValidationError(`Unsupported transcript format "${format}"; use ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`);
+    }
+}
+
+/**
+ * Collects and renders the transcript of an ACS chat thread
+ *
+ * @param {string} threadId - The ACS chat thread ID
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @param {Object} options - Transcript options: format, from and to (optional)
+ * @returns {Promise<Object>} Object containing fileName, contentType, content and transcript
+ */
+async function exportThreadTranscript(threadId, acsConfig, options = {}) {
+    const format = options.format || 'json';
+    if (!TRANSCRIPT_FORMATS[format]) {
+        throw new AcsValidationError(`Unsupported transcript format "${format}"; use ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`);
+    }
+
+    const transcript = await collectThreadTranscript(threadId, acsConfig, options);
+    const stamp = transcript.exportedOn.replace(/[:.]/g, '-');
+
+    return {
+        fileName: `acs-transcript-${stamp}.${TRANSCRIPT_FORMATS[format].extension}`,
+        contentType: TRANSCRIPT_FORMATS[format].contentType,
+        content: renderTranscript(transcript, format),
+        transcript
+    };
+}
+
+/**
+ * Creates the file consent card that offers a transcript to a Teams user
+ *
+ * The card only carries the offer ID. Teams echoes the card context back
+ * unchecked, so the request itself stays in the mapping store.
+ *
+ * @param {Object} exported - Result of exportThreadTranscript
+ * @param {string} offerId - ID of the offer in the transcriptOffers collection
+ * @returns {Object} The file consent card attachment
+ */
+function createTranscriptConsentCard(exported, offerId) {
+    const consentContext = { [TRANSCRIPT_CONTEXT_KEY]: { offerId } };
+
+    return {
+        contentType: 'application/vnd.microsoft.teams.card.file.consent',
+        name: exported.fileName,
+        content: {
+            description: `Transcript of ${exported.transcript.topic || 'the ACS chat thread'} (${exported.transcript.messages.length} messages)`,
+            sizeInBytes: Buffer.byteLength(exported.content, 'utf8'),
+            acceptContext: consentContext,
+            declineContext: consentContext
+        }
+    };
+}
+
+/**
+ * Sends an activity to the current user in a personal chat with the bot
+ *
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} activity - The activity to send
+ * @param {string} botAppId - Bot app ID, required for CloudAdapter
+ * @returns {Promise<void>}
+ */
+async function sendToPersonalChat(context, activity, botAppId) {
+    const source = context.activity;
+    const tenantId = (source.channelData && source.channelData.tenant && source.channelData.tenant.id)
+        || source.conversation.tenantId;
+    const parameters = {
+        isGroup: false,
+        bot: source.recipient,
+        members: [source.from],
+        tenantId,
+        channelData: { tenant: { id: tenantId } }
+    };
+    const logic = async (turnContext) => {
+        await turnContext.sendActivity(activity);
+    };
+
+    const adapter = context.adapter;
+    if (typeof adapter.createConversationAsync === 'function' && botAppId) {
+        await adapter.createConversationAsync(botAppId, source.channelId, source.serviceUrl, null, parameters, logic);
+        return;
+    }
+    await adapter.createConversation(TurnContext.getConversationReference(source), parameters, logic);
+}
+
+/**
+ * Offers the transcript of the current conversation's thread as a file
+ *
+ * Teams only accepts files from bots in personal chats, so requests from
+ * channels and group chats are answered in a personal chat with the requester.
+ * `acsConfig.transcripts.authorize(context, threadId)` can restrict who may
+ * export transcripts. An explicit `threadId` other than the conversation's own
+ * is refused unless `authorize` allows it.
+ *
+ * The request is stored in the mapping store as a transcript offer, which the
+ * file consent invoke redeems once.
+ *
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} acsConfig - Configuration with ACS details and optional transcripts settings
+ * @param {Object} options - Transcript options: format, from, to and threadId (optional)
+ * @returns {Promise<boolean>} True if the transcript was offered
+ */
+async function sendTranscriptToTeams(context, acsConfig, options = {}) {
+    const settings = (acsConfig && acsConfig.transcripts) || {};
+    const activity = context.activity;
+
+    const mappingStore = resolveMappingStore(acsConfig);
+    const mapping = await mappingStore.get(MAPPING_COLLECTIONS.conversations, activity.conversation.id);
+    const threadId = options.threadId || (mapping && mapping.threadId);
+    if (!threadId) {
+        await context.sendActivity('This conversation is not bridged to an ACS chat thread yet.');
+        return false;
+    }
+
+    // Other conversations' threads may only be exported with an authorize hook
+    const ownThread = !!mapping && mapping.threadId === threadId;
+    const allowed = settings.authorize ? await settings.authorize(context, threadId) : ownThread;
+    if (!allowed) {
+        await context.sendActivity('You are not allowed to export this transcript.');
+        return false;
+    }
+
+    const request = {
+        threadId,
+        format: options.format || 'html',
+        from: options.from ? parseTime(options.from, 'from').toISOString() : null,
+        to: options.to ? parseTime(options.to, 'to').toISOString() : null
+    };
+    const exported = await exportThreadTranscript(threadId, acsConfig, request);
+    const offerId = randomUUID();
+    await mappingStore.set(MAPPING_COLLECTIONS.transcriptOffers, offerId, {
+        ...request,
+        teamsUserId: activity.from.id,
+        createdOn: new Date().toISOString()
+    });
+    const consentActivity = { type: 'message', attachments: [createTranscriptConsentCard(exported, offerId)] };
+
+    if ((activity.conversation.conversationType || 'personal') === 'personal') {
+        await context.sendActivity(consentActivity);
+    } else {
+        await sendToPersonalChat(context, consentActivity, settings.botAppId);
+        await context.sendActivity('I sent you the transcript in a personal chat.');
+    }
+    return true;
+}
+
+/**
+ * Handles the file consent invoke of a transcript offer
+ *
+ * The offer named in the card context is looked up in the mapping store and
+ * redeemed once. Only the user it was made to can accept it, within
+ * `acsConfig.transcripts.offerTimeoutMs`. When the user accepts, the transcript
+ * is exported again, uploaded to the location Teams provides and shared as a
+ * file card.
+ *
+ * @param {TurnContext} context - The Bot Framework turn context
+ * @param {Object} acsConfig - Configuration with ACS details
+ * @returns {Promise<Object|null>} The invoke response, or null if the invoke is not for a transcript
+ */
+async function handleTranscriptFileConsent(context, acsConfig) {
+    const value = context.activity.value || {};
+    const offer = value.context && value.context[TRANSCRIPT_CONTEXT_KEY];
+    if (!offer) {
+        return null;
+    }
+
+    try {
+        const settings = (acsConfig && acsConfig.transcripts) || {};
+        const mappingStore = resolveMappingStore(acsConfig);
+        const request = typeof offer.offerId === 'string'
+            ? await mappingStore.get(MAPPING_COLLECTIONS.transcriptOffers, offer.offerId)
+            : null;
+        if (!request || request.teamsUserId !== context.activity.from.id) {
+            if (value.action === 'accept') {
+                await context.sendActivity('This transcript offer is no longer available. Use "acs export" again.');
+            }
+            return { status: 200 };
+        }
+
+        // Offers are single use, whether accepted or declined
+        await mappingStore.delete(MAPPING_COLLECTIONS.transcriptOffers, offer.offerId);
+        if (value.action !== 'accept') {
+            return { status: 200 };
+        }
+
+        const offerTimeoutMs = settings.offerTimeoutMs !== undefined ? settings.offerTimeoutMs : DEFAULT_OFFER_TIMEOUT_MS;
+        if (Date.now() - Date.parse(request.createdOn) > offerTimeoutMs) {
+            await context.sendActivity('This transcript offer is no longer available. Use "acs export" again.');
+            return { status: 200 };
+        }
+        if (settings.authorize && !(await settings.authorize(context, request.threadId))) {
+            await context.sendActivity('You are not allowed to export this transcript.');
+            return { status: 200 };
+        }
+
+        const exported = await exportThreadTranscript(request.threadId, acsConfig, request);
+        const uploadInfo = value.uploadInfo;
+        const body = Buffer.from(exported.content, 'utf8');
+
+        const response = await fetch(uploadInfo.uploadUrl, {
+            method: 'PUT',
+            headers: {
+                'Content-Length': String(body.length),
+                'Content-Range': `bytes 0-${body.length - 1}/${body.length}`
+            },
+            body
+        });
+        if (!response.ok) {
+            throw new Error(`Transcript upload failed with status ${response.status}`);
+        }
+
+        await context.sendActivity({
+            type: 'message',
+            attachments: [{
+                contentType: 'application/vnd.microsoft.teams.card.file.info',
+                contentUrl: uploadInfo.contentUrl,
+                name: uploadInfo.name,
+                content: {
+                    uniqueId: uploadInfo.uniqueId,
+                    fileType: uploadInfo.fileType
+                }
+            }]
+        });
+    } catch (error) {
+        console.error('Error delivering transcript:', error);
+        await context.sendActivity('The transcript could not be delivered. Please try again.');
+    }
+
+    return { status: 200 };
+}
+
+// Export the transcript functions
+module.exports = {
+    TRANSCRIPT_FORMATS,
+    collectThreadTranscript,
+    renderTranscript,
+    exportThreadTranscript,
+    createTranscriptConsentCard,
+    sendTranscriptToTeams,
+    handleTranscriptFileConsent
+};
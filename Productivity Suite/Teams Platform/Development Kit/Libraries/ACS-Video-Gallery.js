@@ -0,0 +1,434 @@
+/**
+ * ACS-Video-Gallery.js
+ *
+ * A gallery of the remote participants in an Azure Communication Services
+ * (ACS) call, for Microsoft Teams tabs and meeting apps.
+ *
+ * Each participant gets a tile with their name and a mute indicator. Camera
+ * streams are rendered while they are available and their renderers disposed
+ * as soon as they are not, or when the participant leaves. In large meetings
+ * only a limited number of streams is rendered: the pinned participant first,
+ * then the dominant speakers, then the others in the order they joined.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+// Dependencies
+import { VideoStreamRenderer, Features } from '@azure/communication-calling';
+import { getIdentifierRawId } from '@azure/communication-common';
+import { AcsConfigError, AcsNotFoundError, toAcsError } from './ACS-Errors.mjs';
+import { CallSession } from './ACS-Call-Session.js';
+
+/**
+ * Gallery options used unless the caller overrides them
+ */
+export const DEFAULT_GALLERY_OPTIONS = {
+    // Streams rendered at once; browsers decode a limited number of videos smoothly
+    maxRenderedStreams: 9,
+    scalingMode: 'Crop'
+};
+
+/**
+ * Get the ID a gallery uses for a remote participant
+ *
+ * @param {RemoteParticipant} participant - The remote participant
+ * @returns {string} The participant's raw identifier
+ */
+export function getParticipantId(participant) {
+    return getIdentifierRawId(participant.identifier);
+}
+
+/**
+ * Get the camera stream of a remote participant
+ *
+ * @param {RemoteParticipant} participant - The remote participant
+ * @returns {RemoteVideoStream|null} The camera stream, or null
+ */
+function getCameraStream(participant) {
+    return (participant.videoStreams || []).find(stream => stream.mediaStreamType === 'Video') || null;
+}
+
+/**
+ * Create a video gallery for a call or call session
+ *
+ * A session's gallery follows each call the session joins and is emptied
+ * between calls.
+ *
+ * @param {Call|CallSession} source - The call, or the call session
+ * @param {Object} options - Gallery options
+ * @param {HTMLElement|string} options.container - Element, or its ID, to mount the gallery in (default: document.body)
+ * @param {number} options.maxRenderedStreams - Most streams rendered at once (default: 9)
+ * @param {string} options.scalingMode - Crop or Fit (default: Crop)
+ * @param {Function} options.onError - Function called with rendering errors (optional)
+ * @returns {Object} Gallery with element, pin, unpin, getPinnedParticipantId, getRenderedParticipantIds and dispose
+ * @throws {AcsConfigError} If the container is not found
+ */
+export function createVideoGallery(source, options = {}) {
+    const settings = { ...DEFAULT_GALLERY_OPTIONS, ...options };
+    const session = source instanceof CallSession ? source : null;
+
+    const parent = typeof settings.container === 'string'
+        ? document.getElementById(settings.container)
+        : settings.container || document.body;
+    if (!parent) {
+        throw new AcsConfigError(`Element with ID ${settings.container} not found`);
+    }
+
+    const galleryElement = document.createElement('div');
+    galleryElement.className = 'acs-video-gallery';
+    galleryElement.setAttribute('role', 'list');
+    parent.appendChild(galleryElement);
+
+    // Tiles by participant ID, in the order participants joined
+    const tiles = new Map();
+    let call = null;
+    let unbindCall = null;
+    let pinnedId = null;
+    let dominantIds = [];
+    let renderedIds = new Set();
+    let disposed = false;
+
+    const reportError = (error, operation) => {
+        const acsError = toAcsError(error, operation);
+        console.error(`Error in video gallery ${operation}:`, acsError);
+        if (typeof settings.onError === 'function') {
+            settings.onError(acsError);
+        }
+    };
+
+    // Pinned first, then dominant speakers, then join order
+    const selectRenderedIds = () => {
+        const candidates = [pinnedId, ...dominantIds, ...tiles.keys()];
+        const selected = new Set();
+        for (const id of candidates) {
+            const tile = tiles.get(id);
+            if (!tile || selected.has(id) || !tile.stream || !tile.stream.isAvailable) {
+                continue;
+            }
+            selected.add(id);
+            if (selected.size >= settings.maxRenderedStreams) {
+                break;
+            }
+        }
+        return selected;
+    };
+
+    const stopRendering = (tile) => {
+        if (!tile.renderer) {
+            return;
+        }
+        tile.renderer.dispose();
+        if (tile.view) {
+            tile.view.target.remove();
+        }
+        tile.renderer = null;
+        tile.view = null;
+        tile.renderedStream = null;
+        tile.element.classList.remove('acs-video-tile-has-video');
+    };
+
+    const startRendering = async (tile) => {
+        const renderer = new VideoStreamRenderer(tile.stream);
+        tile.renderer = renderer;
+        tile.renderedStream = tile.stream;
+
+        try {
+            const view = await renderer.createView({ scalingMode: settings.scalingMode });
+
+            // The tile may have stopped rendering while the view was created
+            if (tile.renderer !== renderer) {
+                renderer.dispose();
+                return;
+            }
+            tile.view = view;
+            tile.videoElement.appendChild(view.target);
+            tile.element.classList.add('acs-video-tile-has-video');
+        } catch (error) {
+            renderer.dispose();
+
+            // Views of renderers stopped meanwhile are expected to fail
+            if (tile.renderer === renderer) {
+                tile.renderer = null;
+                tile.renderedStream = null;
+                reportError(error, 'renderStream');
+            }
+        }
+    };
+
+    const updateTileLabel = (tile) => {
+        const { participant } = tile;
+        const name = participant.displayName || 'Unknown participant';
+        tile.nameElement.textContent = name;
+        tile.mutedElement.hidden = !participant.isMuted;
+        tile.element.setAttribute('aria-label', participant.isMuted ? `${name}, muted` : name);
+    };
+
+    // Render the selected streams, and show the pinned participant and dominant speaker
+    const refresh = () => {
+        renderedIds = selectRenderedIds();
+        for (const tile of tiles.values()) {
+            const shouldRender = renderedIds.has(tile.id);
+            if (!shouldRender || tile.renderedStream !== tile.stream) {
+                stopRendering(tile);
+            }
+            if (shouldRender && !tile.renderer) {
+                startRendering(tile);
+            }
+
+            const isPinned = tile.id === pinnedId;
+            tile.element.classList.toggle('acs-video-tile-pinned', isPinned);
+            tile.element.classList.toggle('acs-video-tile-speaking', tile.id === dominantIds[0]);
+            tile.pinButton.title = isPinned ? 'Unpin' : 'Pin';
+            tile.pinButton.setAttribute('aria-label', `${tile.pinButton.title} ${tile.participant.displayName || ''}`.trim());
+            tile.pinButton.setAttribute('aria-pressed', String(isPinned));
+        }
+    };
+
+    // Follow the participant's camera stream as it is added, removed or changes availability
+    const bindTileStream = (tile) => {
+        const stream = getCameraStream(tile.participant);
+        if (stream === tile.stream) {
+            return;
+        }
+        if (tile.stream) {
+            tile.stream.off('isAvailableChanged', refresh);
+        }
+        tile.stream = stream;
+        if (stream) {
+            stream.on('isAvailableChanged', refresh);
+        }
+    };
+
+    const addParticipant = (participant) => {
+        const id = getParticipantId(participant);
+        if (tiles.has(id)) {
+            return;
+        }
+
+        const element = document.createElement('div');
+        element.className = 'acs-video-tile';
+        element.setAttribute('role', 'listitem');
+        element.setAttribute('data-participant-id', id);
+
+        const videoElement = document.createElement('div');
+        videoElement.className = 'acs-video-tile-video';
+        element.appendChild(videoElement);
+
+        const labelElement = document.createElement('div');
+        labelElement.className = 'acs-video-tile-label';
+        const nameElement = document.createElement('span');
+        nameElement.className = 'acs-video-tile-name';
+        labelElement.appendChild(nameElement);
+        const mutedElement = document.createElement('i');
+        mutedElement.className = 'acs-icon acs-icon-mic-off acs-video-tile-muted';
+        mutedElement.setAttribute('aria-hidden', 'true');
+        labelElement.appendChild(mutedElement);
+        element.appendChild(labelElement);
+
+        const pinButton = document.createElement('button');
+        pinButton.className = 'acs-video-tile-pin';
+        pinButton.innerHTML = '<i class="acs-icon acs-icon-pin"></i>';
+        element.appendChild(pinButton);
+
+        const tile = {
+            id,
+            participant,
+            element,
+            videoElement,
+            nameElement,
+            mutedElement,
+            pinButton,
+            stream: null,
+            renderer: null,
+            view: null,
+            renderedStream: null
+        };
+
+        const onLabelChanged = () => updateTileLabel(tile);
+        const onVideoStreamsUpdated = () => {
+            bindTileStream(tile);
+            refresh();
+        };
+        const onPinClicked = () => {
+            if (pinnedId === id) {
+                gallery.unpin();
+            } else {
+                gallery.pin(id);
+            }
+        };
+        participant.on('isMutedChanged', onLabelChanged);
+        participant.on('displayNameChanged', onLabelChanged);
+        participant.on('videoStreamsUpdated', onVideoStreamsUpdated);
+        pinButton.addEventListener('click', onPinClicked);
+        tile.unbind = () => {
+            participant.off('isMutedChanged', onLabelChanged);
+            participant.off('displayNameChanged', onLabelChanged);
+            participant.off('videoStreamsUpdated', onVideoStreamsUpdated);
+            pinButton.removeEventListener('click', onPinClicked);
+            if (tile.stream) {
+                tile.stream.off('isAvailableChanged', refresh);
+            }
+        };
+
+        tiles.set(id, tile);
+        bindTileStream(tile);
+        updateTileLabel(tile);
+        galleryElement.appendChild(element);
+    };
+
+    const removeParticipant = (participant) => {
+        const id = getParticipantId(participant);
+        const tile = tiles.get(id);
+        if (!tile) {
+            return;
+        }
+
+        stopRendering(tile);
+        tile.unbind();
+        tile.element.remove();
+        tiles.delete(id);
+        if (pinnedId === id) {
+            pinnedId = null;
+        }
+    };
+
+    const bindCall = (nextCall) => {
+        if (unbindCall) {
+            unbindCall();
+            unbindCall = null;
+        }
+        for (const tile of Array.from(tiles.values())) {
+            removeParticipant(tile.participant);
+        }
+        dominantIds = [];
+        call = nextCall;
+
+        if (call) {
+            const boundCall = call;
+            const onParticipantsUpdated = ({ added, removed }) => {
+                removed.forEach(removeParticipant);
+                added.forEach(addParticipant);
+                refresh();
+            };
+            const onStateChanged = () => {
+                if (boundCall.state === 'Disconnected') {
+                    bindCall(null);
+                }
+            };
+            boundCall.on('remoteParticipantsUpdated', onParticipantsUpdated);
+            if (!session) {
+                boundCall.on('stateChanged', onStateChanged);
+            }
+
+            // Dominant speakers are only reported in group calls and meetings
+            let dominantSpeakers = null;
+            const onDominantSpeakersChanged = () => {
+                dominantIds = dominantSpeakers.dominantSpeakers.speakersList.map(getIdentifierRawId);
+                refresh();
+            };
+            try {
+                dominantSpeakers = boundCall.feature(Features.DominantSpeakers);
+                dominantSpeakers.on('dominantSpeakersChanged', onDominantSpeakersChanged);
+            } catch (error) {
+                console.warn('Dominant speakers are not available; no speaker will be highlighted:', error);
+            }
+
+            unbindCall = () => {
+                boundCall.off('remoteParticipantsUpdated', onParticipantsUpdated);
+                boundCall.off('stateChanged', onStateChanged);
+                if (dominantSpeakers) {
+                    dominantSpeakers.off('dominantSpeakersChanged', onDominantSpeakersChanged);
+                }
+            };
+
+            boundCall.remoteParticipants.forEach(addParticipant);
+        }
+        refresh();
+    };
+
+    // A session's call changes as it joins and leaves calls
+    const onSessionStateChanged = () => {
+        if (session.call !== call) {
+            bindCall(session.call);
+        }
+    };
+
+    const gallery = {
+        element: galleryElement,
+
+        /**
+         * Pins a participant, who is shown first and always rendered
+         *
+         * @param {string} participantId - ID from getParticipantId
+         * @returns {void}
+         * @throws {AcsNotFoundError} If the participant is not in the gallery
+         */
+        pin(participantId) {
+            if (!tiles.has(participantId)) {
+                throw new AcsNotFoundError(`Participant ${participantId} is not in the video gallery`);
+            }
+            pinnedId = participantId;
+            refresh();
+        },
+
+        /**
+         * Unpins the pinned participant
+         *
+         * @returns {void}
+         */
+        unpin() {
+            pinnedId = null;
+            refresh();
+        },
+
+        /**
+         * Gets the pinned participant
+         *
+         * @returns {string|null} The participant ID, or null
+         */
+        getPinnedParticipantId() {
+            return pinnedId;
+        },
+
+        /**
+         * Gets the participants whose streams are rendered
+         *
+         * @returns {Array<string>} Participant IDs
+         */
+        getRenderedParticipantIds() {
+            return Array.from(renderedIds);
+        },
+
+        /**
+         * Disposes all renderers, stops following the call and removes the gallery
+         *
+         * @returns {void}
+         */
+        dispose() {
+            if (disposed) {
+                return;
+            }
+            disposed = true;
+            if (session) {
+                session.off('stateChanged', onSessionStateChanged);
+            }
+            bindCall(null);
+            galleryElement.remove();
+        }
+    };
+
+    if (session) {
+        session.on('stateChanged', onSessionStateChanged);
+    }
+    bindCall(session ? session.call : source);
+
+    return gallery;
+}
+
+// Export the video gallery
+export default {
+    DEFAULT_GALLERY_OPTIONS,
+    getParticipantId,
+    createVideoGallery
+};